@@ -0,0 +1,118 @@
+/**
+ * Strumkey Service Worker
+ *
+ * Caches the app shell so the app still opens without a connection (e.g. at
+ * meetings with no signal). Page loads are network first, falling back to the
+ * cached index.html; built assets (content-hashed) and fonts are served from
+ * the cache once fetched. Files that keep their name across deploys, like the
+ * PDF.js worker, are served from the cache and refreshed in the background
+ * (stale-while-revalidate). Songbook data pinned for offline use is kept in
+ * IndexedDB by the app itself (see src/utils/offline-store.js), not here.
+ *
+ * Bump CACHE_VERSION to drop old caches after changing this file.
+ */
+
+const CACHE_VERSION = 'v2';
+const SHELL_CACHE = `strumkey-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `strumkey-runtime-${CACHE_VERSION}`;
+
+const SHELL_URLS = [
+  '/',
+  '/index.html',
+  '/manifest.webmanifest',
+  '/icon.svg',
+  '/pdf.worker.min.mjs',
+];
+
+// Cross-origin hosts whose responses are safe to cache (Google Fonts)
+const CACHEABLE_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+/**
+ * Find the built scripts and stylesheets referenced by index.html
+ * (their names are content-hashed, so they can't be listed up front)
+ */
+async function getShellAssetUrls() {
+  const response = await fetch('/index.html', { cache: 'no-store' });
+  const html = await response.text();
+  const matches = html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g);
+  return Array.from(matches, match => match[1]);
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(SHELL_URLS);
+    try {
+      await cache.addAll(await getShellAssetUrls());
+    } catch (error) {
+      // Assets are also cached as they are fetched, so this isn't fatal
+      console.warn('[sw] Could not precache app assets:', error);
+    }
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(
+      keys
+        .filter(key => key.startsWith('strumkey-') && key !== SHELL_CACHE && key !== RUNTIME_CACHE)
+        .map(key => caches.delete(key))
+    );
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+
+  // Page loads: network first so deploys show up, cached shell when offline
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(async () =>
+        (await caches.match('/index.html')) || Response.error()
+      )
+    );
+    return;
+  }
+
+  // Static files and fonts: cached, caching anything new as it is fetched
+  // (everything else, including InstantDB, is left to the network)
+  if (sameOrigin || CACHEABLE_HOSTS.includes(url.hostname)) {
+    event.respondWith((async () => {
+      const cached = await caches.match(request);
+      // Hashed assets and fonts never change under the same URL
+      if (cached && (!sameOrigin || url.pathname.startsWith('/assets/'))) return cached;
+
+      // Refresh precached files where they were precached, so the new copy is the one found
+      const update = fetchAndCache(request, SHELL_URLS.includes(url.pathname) ? SHELL_CACHE : RUNTIME_CACHE);
+      if (cached) {
+        // Unhashed files (e.g., /pdf.worker.min.mjs) change on upgrades: use the
+        // cached copy now and pick up the new one for next time
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+      }
+      return update;
+    })());
+  }
+});
+
+/**
+ * Fetch a request and store a good response in a cache
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache to store the response in
+ * @returns {Promise<Response>} Network response
+ */
+async function fetchAndCache(request, cacheName) {
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
@@ -0,0 +1,108 @@
+/**
+ * Script to link existing group memberships to their groups
+ *
+ * Memberships used to be saved with only a groupId field. Permission rules
+ * follow links, so this script (run once, with the admin token):
+ * 1. Links every membership to its group (`group`)
+ * 2. Links approved memberships as approved (`approvedGroup`), which the
+ *    member-only rules (e.g., viewing meeting attendance) check
+ *
+ * Memberships that are already linked are left alone, so it is safe to re-run.
+ *
+ * Usage:
+ *   npm run link-memberships
+ *
+ * Make sure VITE_INSTANTDB_APP_ID and INSTANTDB_ADMIN_TOKEN are set in your .env file
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { init } from '@instantdb/admin';
+import schema from '../src/instant.schema.ts';
+
+// Load environment variables from .env file
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+function getEnvVar(name: string): string | null {
+  try {
+    const envPath = join(__dirname, '..', '.env');
+    const envContent = readFileSync(envPath, 'utf-8');
+    const match = envContent.match(new RegExp(`${name}\\s*=\\s*(.+)`));
+    return match ? match[1].trim() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+const APP_ID = getEnvVar('VITE_INSTANTDB_APP_ID') || process.env.VITE_INSTANTDB_APP_ID || process.env.INSTANTDB_APP_ID;
+const ADMIN_TOKEN = getEnvVar('INSTANTDB_ADMIN_TOKEN') || process.env.INSTANTDB_ADMIN_TOKEN;
+
+if (!APP_ID) {
+  console.error('Error: VITE_INSTANTDB_APP_ID must be set in .env file or environment');
+  process.exit(1);
+}
+
+if (!ADMIN_TOKEN) {
+  console.error('Error: INSTANTDB_ADMIN_TOKEN must be set in .env file or environment');
+  process.exit(1);
+}
+
+// Initialize database with admin token (admin writes aren't limited by the permission rules)
+const db = init({ appId: APP_ID, adminToken: ADMIN_TOKEN, schema }) as any;
+
+async function linkGroupMemberships() {
+  try {
+    console.log('Fetching all group memberships...');
+
+    const result = await db.query({
+      groupMembers: {
+        $: {},
+        group: {},
+        approvedGroup: {},
+      },
+    });
+    const memberships = result.data?.groupMembers || [];
+
+    const transactions = [];
+    for (const membership of memberships) {
+      if (!membership.groupId) continue;
+
+      const links: Record<string, string> = {};
+      if (!membership.group?.length) {
+        links.group = membership.groupId;
+      }
+      if (membership.status === 'approved' && !membership.approvedGroup?.length) {
+        links.approvedGroup = membership.groupId;
+      }
+      if (Object.keys(links).length > 0) {
+        transactions.push(db.tx.groupMembers[membership.id].link(links));
+      }
+    }
+
+    if (transactions.length === 0) {
+      console.log(`All ${memberships.length} membership(s) are already linked.`);
+      return;
+    }
+
+    console.log(`Linking ${transactions.length} of ${memberships.length} membership(s)...`);
+
+    // Execute in batches
+    const BATCH_SIZE = 50;
+    for (let i = 0; i < transactions.length; i += BATCH_SIZE) {
+      const batch = transactions.slice(i, i + BATCH_SIZE);
+      await db.transact(batch);
+      console.log(`  Processed batch ${Math.floor(i / BATCH_SIZE) + 1} of ${Math.ceil(transactions.length / BATCH_SIZE)}`);
+    }
+
+    console.log('\n✅ Linked all group memberships!');
+
+  } catch (error: any) {
+    console.error('❌ Error linking group memberships:', error.message || error);
+    process.exit(1);
+  }
+}
+
+// Run the script
+linkGroupMemberships();
@@ -1,6 +1,7 @@
 import { useEffect } from 'react'
 import { BrowserRouter, Routes, Route } from 'react-router-dom'
 import { AuthProvider } from './contexts/AuthContext'
+import { MeetingSessionProvider } from './contexts/MeetingSessionContext'
 import { db } from './db/schema'
 import Layout from './components/Layout'
 import LandingPage from './pages/LandingPage'
@@ -15,6 +16,7 @@ import GroupPage from './pages/GroupPage'
 import GroupsIndex from './pages/GroupsIndex'
 import MeetingPage from './pages/MeetingPage'
 import ProfilePage from './pages/ProfilePage'
+import SearchPage from './pages/SearchPage'
 
 function App() {
   // Log InstantDB errors for debugging
@@ -105,25 +107,28 @@ function App() {
 
   return (
     <AuthProvider>
-      <BrowserRouter>
-        <Routes>
-          <Route path="/" element={<LandingPage />} />
-          <Route element={<Layout />}>
-            <Route path="/home" element={<HomePage />} />
-            <Route path="/profile" element={<ProfilePage />} />
-            <Route path="/songs" element={<SongsIndex />} />
-            <Route path="/songs/new" element={<SongSheet />} />
-            <Route path="/songs/:id/edit" element={<SongSheet />} />
-            <Route path="/songs/:id" element={<SongSheet />} />
-            <Route path="/songbooks" element={<SongbooksIndex />} />
-            <Route path="/songbooks/new" element={<SongbookEditor />} />
-            <Route path="/songbooks/:id" element={<SongbookIndex />} />
-            <Route path="/groups" element={<GroupsIndex />} />
-            <Route path="/groups/:id" element={<GroupPage />} />
-            <Route path="/meetings/:id" element={<MeetingPage />} />
-          </Route>
-        </Routes>
-      </BrowserRouter>
+      <MeetingSessionProvider>
+        <BrowserRouter>
+          <Routes>
+            <Route path="/" element={<LandingPage />} />
+            <Route element={<Layout />}>
+              <Route path="/home" element={<HomePage />} />
+              <Route path="/profile" element={<ProfilePage />} />
+              <Route path="/search" element={<SearchPage />} />
+              <Route path="/songs" element={<SongsIndex />} />
+              <Route path="/songs/new" element={<SongSheet />} />
+              <Route path="/songs/:id/edit" element={<SongSheet />} />
+              <Route path="/songs/:id" element={<SongSheet />} />
+              <Route path="/songbooks" element={<SongbooksIndex />} />
+              <Route path="/songbooks/new" element={<SongbookEditor />} />
+              <Route path="/songbooks/:id" element={<SongbookIndex />} />
+              <Route path="/groups" element={<GroupsIndex />} />
+              <Route path="/groups/:id" element={<GroupPage />} />
+              <Route path="/meetings/:id" element={<MeetingPage />} />
+            </Route>
+          </Routes>
+        </BrowserRouter>
+      </MeetingSessionProvider>
     </AuthProvider>
   )
 }
@@ -1,24 +1,4 @@
-/**
- * Get string labels for an instrument and tuning
- * @param {string} instrument - Instrument type (e.g., 'ukulele')
- * @param {string} tuning - Tuning identifier (e.g., 'ukulele_standard')
- * @returns {Array<string>} Array of string labels
- */
-function getStringLabels(instrument, tuning) {
-  const configs = {
-    'ukulele': {
-      'ukulele_standard': ['G', 'C', 'E', 'A'],
-      'ukulele_baritone': ['D', 'G', 'B', 'E'],
-      'ukulele_low_g': ['G', 'C', 'E', 'A'], // Same as standard, just different octave
-    },
-    // Add more instruments as needed
-    // 'guitar': {
-    //   'guitar_standard': ['E', 'A', 'D', 'G', 'B', 'E'],
-    // },
-  };
-  
-  return configs[instrument]?.[tuning] || ['G', 'C', 'E', 'A']; // Default to ukulele standard
-}
+import { getStringLabels } from '../utils/instruments';
 
 /**
  * ChordDiagram Component
@@ -0,0 +1,203 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { parseChordPro } from '../utils/chordpro';
+import { getStringCount } from '../utils/instruments';
+
+const CHORDPRO_EXTENSIONS = ['.cho', '.chopro', '.chordpro', '.crd', '.pro', '.txt'];
+const MAX_FILE_SIZE = 1024 * 1024; // 1MB
+
+/**
+ * ChordPro Import Modal Component
+ * Accepts a ChordPro file (or pasted ChordPro text) and returns parsed song data
+ */
+export default function ChordProImportModal({ isOpen, onClose, onImport, instrument = 'ukulele', tuning = 'ukulele_standard' }) {
+  const [isDragging, setIsDragging] = useState(false);
+  const [pastedText, setPastedText] = useState('');
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  // Reset state when the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setPastedText('');
+      setError(null);
+      setIsDragging(false);
+    }
+  }, [isOpen]);
+
+  const importText = useCallback((text) => {
+    const stringCount = getStringCount(instrument, tuning);
+    const parsedData = parseChordPro(text, { instrument, tuning, stringCount });
+
+    if (!parsedData.title && !parsedData.lyricsText) {
+      setError('Could not find a song in this ChordPro file.');
+      return;
+    }
+
+    onImport(parsedData);
+    onClose();
+  }, [instrument, tuning, onImport, onClose]);
+
+  const handleFile = useCallback(async (file) => {
+    if (!file) return;
+
+    const fileName = file.name.toLowerCase();
+    if (!CHORDPRO_EXTENSIONS.some(ext => fileName.endsWith(ext))) {
+      setError(`Please select a ChordPro file (${CHORDPRO_EXTENSIONS.join(', ')}).`);
+      return;
+    }
+
+    if (file.size > MAX_FILE_SIZE) {
+      setError('File is too large. Maximum size is 1MB.');
+      return;
+    }
+
+    setError(null);
+    try {
+      const text = await file.text();
+      importText(text);
+    } catch (err) {
+      console.error('Error reading ChordPro file:', err);
+      setError(err.message || 'Failed to read file. Please try again.');
+    }
+  }, [importText]);
+
+  const handleFileSelect = (e) => {
+    const file = e.target.files?.[0];
+    if (file) {
+      handleFile(file);
+    }
+    // Allow selecting the same file again
+    e.target.value = '';
+  };
+
+  const handleDrop = useCallback((e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDragging(false);
+
+    const file = e.dataTransfer.files?.[0];
+    if (file) {
+      handleFile(file);
+    }
+  }, [handleFile]);
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDragging(true);
+  };
+
+  const handleDragLeave = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDragging(false);
+  };
+
+  const handlePasteImport = () => {
+    if (!pastedText.trim()) {
+      setError('Please paste some ChordPro text.');
+      return;
+    }
+    setError(null);
+    importText(pastedText);
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={onClose}>
+      <div
+        className="bg-white rounded-lg p-6 max-w-md w-full mx-4 shadow-xl max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold">Import ChordPro</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 transition-colors"
+            aria-label="Close"
+          >
+            <svg
+              xmlns="http://www.w3.org/2000/svg"
+              className="h-6 w-6"
+              fill="none"
+              viewBox="0 0 24 24"
+              stroke="currentColor"
+            >
+              <path
+                strokeLinecap="round"
+                strokeLinejoin="round"
+                strokeWidth={2}
+                d="M6 18L18 6M6 6l12 12"
+              />
+            </svg>
+          </button>
+        </div>
+
+        <div className="mb-4">
+          <p className="text-sm text-gray-600">
+            Supported formats: {CHORDPRO_EXTENSIONS.join(', ')}
+          </p>
+        </div>
+
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={CHORDPRO_EXTENSIONS.join(',')}
+          onChange={handleFileSelect}
+          className="hidden"
+        />
+
+        <div
+          onClick={() => fileInputRef.current?.click()}
+          onDrop={handleDrop}
+          onDragOver={handleDragOver}
+          onDragLeave={handleDragLeave}
+          className={`
+            border-2 border-dashed rounded-lg p-6 text-center cursor-pointer transition-colors
+            ${isDragging
+              ? 'border-primary-500 bg-primary-50'
+              : 'border-gray-300 hover:border-primary-400 hover:bg-gray-50'
+            }
+          `}
+        >
+          <p className="text-gray-700 font-medium">
+            Drag and drop a ChordPro file here
+          </p>
+          <p className="text-gray-500 text-sm">
+            or click to select file
+          </p>
+        </div>
+
+        <div className="mt-4">
+          <label htmlFor="chordpro-text" className="block text-sm font-medium text-gray-700 mb-2">
+            Or paste ChordPro text
+          </label>
+          <textarea
+            id="chordpro-text"
+            value={pastedText}
+            onChange={(e) => setPastedText(e.target.value)}
+            rows={8}
+            placeholder={'{title: Song Title}\n{artist: Artist}\n\n{start_of_verse}\nAmazing [C]grace how [G]sweet the [Am]sound\n{end_of_verse}'}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          />
+          <div className="flex justify-end mt-2">
+            <button
+              onClick={handlePasteImport}
+              disabled={!pastedText.trim()}
+              className="btn btn-primary disabled:opacity-50"
+            >
+              Import Text
+            </button>
+          </div>
+        </div>
+
+        {error && (
+          <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded text-red-700 text-sm">
+            {error}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,14 @@
 import { useState, useEffect, useRef } from 'react';
 import ChordDiagram from './ChordDiagram';
 import { suggestChordNames } from '../utils/chord-detection';
+import { getStringLabels } from '../utils/instruments';
+
+// Fret input grid columns by string count (full class names so Tailwind keeps them)
+const FRET_GRID_CLASSES = {
+  4: 'grid-cols-4',
+  5: 'grid-cols-5',
+  6: 'grid-cols-6',
+};
 
 /**
  * Custom Chord Modal Component
@@ -14,7 +22,11 @@ export default function CustomChordModal({
   tuning = 'ukulele_standard',
   userId 
 }) {
-  const [fretInputs, setFretInputs] = useState(['0', '0', '0', '0']);
+  // Get string labels for the instrument/tuning
+  const stringLabels = getStringLabels(instrument, tuning);
+  const stringCount = stringLabels.length;
+
+  const [fretInputs, setFretInputs] = useState(() => Array(stringCount).fill('0'));
   const [suggestedNames, setSuggestedNames] = useState([]);
   const [chordName, setChordName] = useState('');
   const [errors, setErrors] = useState({});
@@ -22,17 +34,10 @@ export default function CustomChordModal({
   const firstInputRef = useRef(null);
   const nameInputRef = useRef(null);
 
-  // Get string labels for the instrument/tuning
-  const stringLabels = tuning === 'ukulele_standard' 
-    ? ['G', 'C', 'E', 'A'] 
-    : tuning === 'ukulele_baritone'
-    ? ['D', 'G', 'B', 'E']
-    : ['G', 'C', 'E', 'A'];
-
   // Reset state when modal opens/closes
   useEffect(() => {
     if (isOpen) {
-      setFretInputs(['0', '0', '0', '0']);
+      setFretInputs(Array(stringCount).fill('0'));
       setSuggestedNames([]);
       setChordName('');
       setErrors({});
@@ -41,7 +46,7 @@ export default function CustomChordModal({
         firstInputRef.current?.focus();
       }, 100);
     }
-  }, [isOpen]);
+  }, [isOpen, stringCount]);
 
   // Suggest chord names when frets change
   useEffect(() => {
@@ -50,7 +55,7 @@ export default function CustomChordModal({
     const fretsString = getFretsString();
     const isValid = validateFrets();
     
-    if (isValid && fretsString.length === 4) {
+    if (isValid && fretsString.length === stringCount) {
       const suggested = suggestChordNames(fretsString, instrument, tuning);
       setSuggestedNames(suggested);
       
@@ -65,7 +70,7 @@ export default function CustomChordModal({
     } else {
       setSuggestedNames([]);
     }
-  }, [fretInputs, instrument, tuning, isOpen]);
+  }, [fretInputs, instrument, tuning, isOpen, stringCount]);
 
   // Validate fret inputs
   const validateFrets = () => {
@@ -188,7 +193,7 @@ export default function CustomChordModal({
   const handleKeyDown = (e, index) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
-      if (index < 3) {
+      if (index < stringCount - 1) {
         // Move to next input
         const nextInput = document.querySelector(`input[data-fret-index="${index + 1}"]`);
         nextInput?.focus();
@@ -196,7 +201,7 @@ export default function CustomChordModal({
         // Last input, move to name input
         nameInputRef.current?.focus();
       }
-    } else if (e.key === 'ArrowDown' && index === 3) {
+    } else if (e.key === 'ArrowDown' && index === stringCount - 1) {
       // From last fret input, move to name input
       e.preventDefault();
       nameInputRef.current?.focus();
@@ -217,7 +222,7 @@ export default function CustomChordModal({
   if (!isOpen) return null;
 
   const fretsString = getFretsString();
-  const isValid = Object.keys(errors).length === 0 && fretsString.length === 4;
+  const isValid = Object.keys(errors).length === 0 && fretsString.length === stringCount;
   const canSave = isValid && 
     chordName.trim() &&
     !fretInputs.every(f => f.toLowerCase().trim() === 'x');
@@ -260,7 +265,7 @@ export default function CustomChordModal({
           <label className="block text-sm font-medium text-gray-700 mb-2">
             Fret Positions
           </label>
-          <div className="grid grid-cols-4 gap-3">
+          <div className={`grid ${FRET_GRID_CLASSES[stringCount] || 'grid-cols-4'} gap-3`}>
             {stringLabels.map((label, index) => (
               <div key={index}>
                 <label className="block text-xs font-medium text-gray-600 mb-1">
@@ -294,7 +299,7 @@ export default function CustomChordModal({
         </div>
 
         {/* Live Preview */}
-        {isValid && fretsString.length === 4 && (
+        {isValid && fretsString.length === stringCount && (
           <div className="mb-6 flex justify-center">
             <ChordDiagram
               frets={fretsString}
@@ -306,7 +311,7 @@ export default function CustomChordModal({
         )}
 
         {/* Chord Name Input */}
-        {isValid && fretsString.length === 4 && (
+        {isValid && fretsString.length === stringCount && (
           <div className="mb-6">
             <label className="block text-sm font-medium text-gray-700 mb-2">
               Chord Name *
@@ -0,0 +1,335 @@
+import { useState } from 'react';
+import { saveMeetingAttendance } from '../db/mutations';
+import { formatMeetingDate } from '../utils/meetings';
+import {
+  CSV_MIME_TYPE,
+  getAttendanceByMeeting,
+  getRecordableMeetings,
+  getMemberAttendanceStats,
+  getMeetingHeadcounts,
+  generateAttendanceCsv,
+} from '../utils/attendance-stats';
+import { downloadFile, toFileName } from '../utils/download';
+
+// Headcount chart layout (SVG user units; the chart scales to its container)
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 200;
+const CHART_PADDING = { top: 16, right: 8, bottom: 28, left: 32 };
+const MAX_X_LABELS = 8;
+
+/**
+ * Group Attendance Component
+ * Attendance history for a group: admins record who actually came to past
+ * meetings (pre-filled from "yes" RSVPs), and everyone sees a headcount chart
+ * and per-member attendance rates and streaks, exportable as CSV.
+ */
+export default function GroupAttendance({
+  groupName,
+  meetings = [],
+  members = [],
+  records = [],
+  isAdmin = false,
+  currentUserId = null,
+}) {
+  const recordableMeetings = getRecordableMeetings(meetings);
+  const attendanceByMeeting = getAttendanceByMeeting(records);
+  const memberStats = getMemberAttendanceStats(members, meetings, records);
+  const headcounts = getMeetingHeadcounts(meetings, records);
+
+  const handleExportCsv = () => {
+    const csv = generateAttendanceCsv(members, meetings, records);
+    downloadFile(csv, `${toFileName(groupName, 'group')} attendance.csv`, CSV_MIME_TYPE);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold">Attendance</h2>
+        {headcounts.length > 0 && (
+          <button onClick={handleExportCsv} className="btn btn-secondary">
+            Export CSV
+          </button>
+        )}
+      </div>
+
+      {isAdmin && (
+        <AttendanceRecorder
+          meetings={recordableMeetings}
+          members={members}
+          records={records}
+          attendanceByMeeting={attendanceByMeeting}
+          currentUserId={currentUserId}
+        />
+      )}
+
+      {headcounts.length === 0 ? (
+        <div className="card text-center py-8 text-gray-500">
+          <p>
+            {isAdmin
+              ? 'No attendance recorded yet. Record who came to a past meeting to start tracking.'
+              : 'No attendance has been recorded yet.'}
+          </p>
+        </div>
+      ) : (
+        <>
+          <div className="card">
+            <h3 className="font-semibold text-lg mb-4">Headcount</h3>
+            <HeadcountChart headcounts={headcounts} />
+          </div>
+
+          <div className="card">
+            <h3 className="font-semibold text-lg mb-4">Members</h3>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b border-gray-200">
+                    <th className="py-2 pr-4 font-medium">Member</th>
+                    <th className="py-2 pr-4 font-medium">Attended</th>
+                    <th className="py-2 pr-4 font-medium">Rate</th>
+                    <th className="py-2 pr-4 font-medium">Current Streak</th>
+                    <th className="py-2 font-medium">Longest Streak</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {memberStats.map(stat => (
+                    <tr key={stat.userId} className="border-b border-gray-100 last:border-0">
+                      <td className="py-2 pr-4">
+                        {stat.name}
+                        {stat.userId === currentUserId && <span className="text-gray-500"> (you)</span>}
+                      </td>
+                      <td className="py-2 pr-4">{stat.attended} of {stat.total}</td>
+                      <td className="py-2 pr-4">
+                        {stat.rate === null ? (
+                          <span className="text-gray-400">—</span>
+                        ) : (
+                          <div className="flex items-center gap-2">
+                            <div className="w-20 h-2 bg-gray-100 rounded">
+                              <div
+                                className="h-2 bg-primary-500 rounded"
+                                style={{ width: `${Math.round(stat.rate * 100)}%` }}
+                              />
+                            </div>
+                            <span>{Math.round(stat.rate * 100)}%</span>
+                          </div>
+                        )}
+                      </td>
+                      <td className="py-2 pr-4">{stat.currentStreak}</td>
+                      <td className="py-2">{stat.longestStreak}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Lets admins tick off who came to a past meeting
+ */
+function AttendanceRecorder({ meetings, members, records, attendanceByMeeting, currentUserId }) {
+  const [meetingId, setMeetingId] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [savedMeetingId, setSavedMeetingId] = useState(null);
+
+  // Default to the most recent meeting
+  const selectedMeeting = meetings.find(m => m.id === meetingId) || meetings[0] || null;
+  const selectedAttendance = selectedMeeting ? attendanceByMeeting.get(selectedMeeting.id) : null;
+
+  if (!selectedMeeting) {
+    return null;
+  }
+
+  const handleSave = async (attended) => {
+    setSaving(true);
+    setError(null);
+    setSavedMeetingId(null);
+
+    try {
+      await saveMeetingAttendance({
+        meeting: selectedMeeting,
+        attendedByUserId: attended,
+        existingRecords: records.filter(r => r.meetingId === selectedMeeting.id),
+        recordedBy: currentUserId,
+      });
+      setSavedMeetingId(selectedMeeting.id);
+    } catch (err) {
+      console.error('Error saving attendance:', err);
+      setError(err.message || 'Failed to save attendance. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h3 className="font-semibold text-lg mb-4">Record Attendance</h3>
+      <select
+        value={selectedMeeting.id}
+        onChange={(e) => {
+          setMeetingId(e.target.value);
+          setError(null);
+          setSavedMeetingId(null);
+        }}
+        className="input mb-4"
+        aria-label="Meeting"
+      >
+        {meetings.map(meeting => (
+          <option key={meeting.id} value={meeting.id}>
+            {`${meeting.title} — ${formatMeetingDate(meeting)}${attendanceByMeeting.has(meeting.id) ? ' (recorded)' : ''}`}
+          </option>
+        ))}
+      </select>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded text-red-700 text-sm">
+          {error}
+        </div>
+      )}
+
+      {/* Remount when the meeting changes or its first record arrives, to reset the ticks */}
+      <AttendanceChecklist
+        key={`${selectedMeeting.id}-${!!selectedAttendance}`}
+        meeting={selectedMeeting}
+        members={members}
+        attendance={selectedAttendance}
+        saving={saving}
+        saved={savedMeetingId === selectedMeeting.id}
+        onSave={handleSave}
+        onChange={() => setSavedMeetingId(null)}
+      />
+    </div>
+  );
+}
+
+/**
+ * Member checkboxes for one meeting
+ * Starts from the saved attendance, or from members who RSVPed "yes" if none is recorded
+ */
+function AttendanceChecklist({ meeting, members, attendance, saving, saved, onSave, onChange }) {
+  const [attended, setAttended] = useState(() => Object.fromEntries(
+    members.map(member => [
+      member.userId,
+      attendance
+        ? !!attendance.get(member.userId)
+        : (meeting.rsvps || []).some(r => r.userId === member.userId && r.response === 'yes'),
+    ])
+  ));
+  const presentCount = members.filter(member => attended[member.userId]).length;
+
+  return (
+    <>
+      {!attendance && (
+        <p className="text-sm text-gray-500 mb-3">
+          Not recorded yet. Members who RSVPed &quot;yes&quot; are ticked to start with.
+        </p>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2 mb-4">
+        {members.map(member => (
+          <label key={member.userId} className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={!!attended[member.userId]}
+              onChange={(e) => {
+                setAttended({ ...attended, [member.userId]: e.target.checked });
+                onChange();
+              }}
+              disabled={saving}
+            />
+            {member.name}
+          </label>
+        ))}
+      </div>
+
+      <div className="flex items-center gap-3">
+        <button
+          onClick={() => onSave(attended)}
+          disabled={saving}
+          className="btn btn-primary"
+        >
+          {saving ? 'Saving...' : attendance ? 'Update Attendance' : 'Save Attendance'}
+        </button>
+        <span className="text-sm text-gray-600">
+          {presentCount} of {members.length} present
+        </span>
+        {saved && <span className="text-sm text-green-600">Saved</span>}
+      </div>
+    </>
+  );
+}
+
+/**
+ * Bar chart of headcount per recorded meeting (oldest on the left)
+ */
+function HeadcountChart({ headcounts }) {
+  const plotWidth = CHART_WIDTH - CHART_PADDING.left - CHART_PADDING.right;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING.top - CHART_PADDING.bottom;
+  const maxCount = Math.max(1, ...headcounts.map(h => h.count));
+  const slotWidth = plotWidth / headcounts.length;
+  const barWidth = Math.max(2, Math.min(40, slotWidth * 0.7));
+  const labelEvery = Math.ceil(headcounts.length / MAX_X_LABELS);
+  const yFor = (count) => CHART_PADDING.top + plotHeight - (count / maxCount) * plotHeight;
+
+  return (
+    <svg
+      viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+      className="w-full h-auto"
+      role="img"
+      aria-label="Headcount per meeting"
+    >
+      {/* Axis lines and scale */}
+      <line
+        x1={CHART_PADDING.left}
+        y1={CHART_PADDING.top + plotHeight}
+        x2={CHART_WIDTH - CHART_PADDING.right}
+        y2={CHART_PADDING.top + plotHeight}
+        className="stroke-gray-300"
+      />
+      {[0, maxCount].map(value => (
+        <text
+          key={value}
+          x={CHART_PADDING.left - 6}
+          y={yFor(value) + 4}
+          textAnchor="end"
+          className="fill-gray-500 text-[10px]"
+        >
+          {value}
+        </text>
+      ))}
+
+      {headcounts.map(({ meeting, count }, index) => {
+        const x = CHART_PADDING.left + index * slotWidth + (slotWidth - barWidth) / 2;
+        const y = yFor(count);
+        return (
+          <g key={meeting.id}>
+            <rect
+              x={x}
+              y={y}
+              width={barWidth}
+              height={CHART_PADDING.top + plotHeight - y}
+              rx={2}
+              className="fill-primary-500"
+            >
+              <title>{`${meeting.title} (${formatMeetingDate(meeting)}): ${count}`}</title>
+            </rect>
+            {index % labelEvery === 0 && (
+              <text
+                x={x + barWidth / 2}
+                y={CHART_HEIGHT - 10}
+                textAnchor="middle"
+                className="fill-gray-500 text-[10px]"
+              >
+                {new Date(meeting.date).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
@@ -1,5 +1,6 @@
 import { Outlet, useNavigate } from 'react-router-dom';
 import Navigation from './Navigation';
+import MeetingSessionBar from './MeetingSessionBar';
 import { useAuth } from '../contexts/AuthContext';
 
 export default function Layout() {
@@ -25,6 +26,7 @@ export default function Layout() {
       <main className="w-full px-4 pb-8 pt-16 xl:container xl:mx-auto xl:pt-8 lg:pl-16">
         <Outlet />
       </main>
+      <MeetingSessionBar />
     </div>
   );
 }
@@ -0,0 +1,79 @@
+import { useState, useEffect } from 'react';
+import { SERIES_SCOPES, SERIES_SCOPE_OPTIONS } from '../utils/recurrence';
+
+/**
+ * Meeting Cancel Modal Component
+ * Asks which occurrences of a recurring meeting to cancel.
+ * onConfirm receives the chosen scope ('this', 'following' or 'all').
+ */
+export default function MeetingCancelModal({
+  isOpen,
+  onClose,
+  onConfirm,
+  meeting = null,
+  cancelling = false,
+}) {
+  const [scope, setScope] = useState(SERIES_SCOPES.THIS);
+
+  useEffect(() => {
+    if (isOpen) {
+      setScope(SERIES_SCOPES.THIS);
+    }
+  }, [isOpen]);
+
+  if (!isOpen || !meeting) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={cancelling ? undefined : onClose}>
+      <div
+        className="bg-white rounded-lg p-6 max-w-md w-full mx-4 shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="text-xl font-semibold mb-2">Cancel Recurring Meeting</h3>
+        <p className="text-gray-600 text-sm mb-4">
+          &quot;{meeting.title}&quot; is part of a series. Which meetings do you want to cancel?
+        </p>
+
+        <div className="space-y-1 mb-4">
+          {SERIES_SCOPE_OPTIONS.map(option => (
+            <label key={option.value} className="flex items-center gap-2 text-sm">
+              <input
+                type="radio"
+                name="cancel-scope"
+                value={option.value}
+                checked={scope === option.value}
+                onChange={() => setScope(option.value)}
+                disabled={cancelling}
+              />
+              {option.label}
+            </label>
+          ))}
+        </div>
+        {scope !== SERIES_SCOPES.THIS && (
+          <p className="text-sm text-red-600 mb-4">
+            These meetings and their RSVPs will be removed for all members.
+          </p>
+        )}
+
+        <div className="flex gap-3 justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={cancelling}
+            className="btn btn-secondary"
+          >
+            Keep Meetings
+          </button>
+          <button
+            type="button"
+            onClick={() => onConfirm(scope)}
+            disabled={cancelling}
+            className="btn btn-danger"
+          >
+            {cancelling ? 'Cancelling...' : 'Cancel Meetings'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,321 @@
+import { useState, useEffect } from 'react';
+import { toDateInputValue, fromDateInputValue } from '../utils/meetings';
+import {
+  RECURRENCE_FREQUENCIES,
+  RECURRENCE_OPTIONS,
+  SERIES_SCOPES,
+  SERIES_SCOPE_OPTIONS,
+  describeRecurrence,
+} from '../utils/recurrence';
+
+const EMPTY_FORM = {
+  title: '',
+  date: '',
+  time: '',
+  location: '',
+  description: '',
+  songbookId: '',
+  frequency: '',
+  interval: 1,
+  untilDate: '',
+};
+
+const MAX_INTERVAL = 12;
+
+/**
+ * Meeting Form Modal Component
+ * Schedules a new meeting or edits an existing one (title, date, time, location,
+ * description and an optional songbook). New meetings can repeat; when editing an
+ * occurrence of a series (`series` set) the admin picks which occurrences the
+ * change applies to. onSave(fields, scope) receives the meeting fields with `date`
+ * as a timestamp, plus frequency/interval/untilDate when a recurrence applies.
+ */
+export default function MeetingFormModal({
+  isOpen,
+  onClose,
+  onSave,
+  meeting = null,
+  series = null,
+  songbooks = [],
+  saving = false,
+  error = null,
+}) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [scope, setScope] = useState(SERIES_SCOPES.THIS);
+  const [validationError, setValidationError] = useState(null);
+
+  // Reset the form when the modal opens (prefilled when editing)
+  useEffect(() => {
+    if (isOpen) {
+      setForm(meeting
+        ? {
+            title: meeting.title || '',
+            date: toDateInputValue(meeting.date),
+            time: meeting.time || '',
+            location: meeting.location || '',
+            description: meeting.description || '',
+            songbookId: meeting.songbookId || '',
+            frequency: series?.frequency || '',
+            interval: series?.interval || 1,
+            untilDate: toDateInputValue(series?.untilDate),
+          }
+        : EMPTY_FORM);
+      setScope(SERIES_SCOPES.THIS);
+      setValidationError(null);
+    }
+  }, [isOpen, meeting, series]);
+
+  // Recurrence applies to new meetings and to series-wide edits
+  const showRecurrence = !meeting || (series && scope !== SERIES_SCOPES.THIS);
+  const recurrenceOptions = meeting
+    ? RECURRENCE_OPTIONS.filter(option => option.value)
+    : RECURRENCE_OPTIONS;
+  const recurrenceSummary = showRecurrence && form.frequency
+    ? describeRecurrence({
+        frequency: form.frequency,
+        interval: Number(form.interval),
+        startDate: fromDateInputValue(form.date),
+        untilDate: fromDateInputValue(form.untilDate),
+      })
+    : '';
+
+  const updateField = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const date = fromDateInputValue(form.date);
+    if (!form.title.trim()) {
+      setValidationError('Please enter a meeting title.');
+      return;
+    }
+    if (!date) {
+      setValidationError('Please choose a date.');
+      return;
+    }
+    if (!form.time.trim()) {
+      setValidationError('Please choose a start time.');
+      return;
+    }
+
+    const fields = {
+      title: form.title,
+      date,
+      time: form.time,
+      location: form.location,
+      description: form.description,
+      songbookId: form.songbookId || null,
+    };
+
+    if (showRecurrence && form.frequency) {
+      const interval = Number(form.interval);
+      const untilDate = fromDateInputValue(form.untilDate);
+      if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+        setValidationError(`Repeat interval must be a whole number from 1 to ${MAX_INTERVAL}.`);
+        return;
+      }
+      if (untilDate && untilDate < date) {
+        setValidationError('The end date must be on or after the meeting date.');
+        return;
+      }
+      fields.frequency = form.frequency;
+      fields.interval = interval;
+      fields.untilDate = untilDate;
+    }
+
+    setValidationError(null);
+    onSave(fields, series ? scope : null);
+  };
+
+  if (!isOpen) return null;
+
+  const shownError = validationError || error;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={saving ? undefined : onClose}>
+      <div
+        className="bg-white rounded-lg p-6 max-w-md w-full mx-4 shadow-xl max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="text-xl font-semibold mb-4">{meeting ? 'Edit Meeting' : 'Schedule Meeting'}</h3>
+
+        {shownError && (
+          <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded text-red-700 text-sm">
+            {shownError}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          {series && (
+            <fieldset>
+              <legend className="block text-sm font-medium mb-2">Apply changes to</legend>
+              <div className="space-y-1">
+                {SERIES_SCOPE_OPTIONS.map(option => (
+                  <label key={option.value} className="flex items-center gap-2 text-sm">
+                    <input
+                      type="radio"
+                      name="meeting-scope"
+                      value={option.value}
+                      checked={scope === option.value}
+                      onChange={() => setScope(option.value)}
+                      disabled={saving}
+                    />
+                    {option.label}
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+          )}
+          <div>
+            <label htmlFor="meeting-title" className="block text-sm font-medium mb-2">Title *</label>
+            <input
+              id="meeting-title"
+              type="text"
+              value={form.title}
+              onChange={(e) => updateField('title', e.target.value)}
+              required
+              className="input w-full"
+              placeholder="e.g., Weekly strum-along"
+              disabled={saving}
+            />
+          </div>
+          <div className="grid grid-cols-2 gap-3">
+            <div>
+              <label htmlFor="meeting-date" className="block text-sm font-medium mb-2">Date *</label>
+              <input
+                id="meeting-date"
+                type="date"
+                value={form.date}
+                onChange={(e) => updateField('date', e.target.value)}
+                required
+                className="input w-full"
+                disabled={saving}
+              />
+            </div>
+            <div>
+              <label htmlFor="meeting-time" className="block text-sm font-medium mb-2">Time *</label>
+              <input
+                id="meeting-time"
+                type="time"
+                value={form.time}
+                onChange={(e) => updateField('time', e.target.value)}
+                required
+                className="input w-full"
+                disabled={saving}
+              />
+            </div>
+          </div>
+          {showRecurrence && (
+            <div className="space-y-3">
+              <div>
+                <label htmlFor="meeting-frequency" className="block text-sm font-medium mb-2">Repeats</label>
+                <select
+                  id="meeting-frequency"
+                  value={form.frequency}
+                  onChange={(e) => updateField('frequency', e.target.value)}
+                  className="input w-full"
+                  disabled={saving}
+                >
+                  {recurrenceOptions.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+              {form.frequency && (
+                <div className="grid grid-cols-2 gap-3">
+                  <div>
+                    <label htmlFor="meeting-interval" className="block text-sm font-medium mb-2">
+                      Every ({form.frequency === RECURRENCE_FREQUENCIES.WEEKLY ? 'weeks' : 'months'})
+                    </label>
+                    <input
+                      id="meeting-interval"
+                      type="number"
+                      min={1}
+                      max={MAX_INTERVAL}
+                      value={form.interval}
+                      onChange={(e) => updateField('interval', e.target.value)}
+                      className="input w-full"
+                      disabled={saving}
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="meeting-until" className="block text-sm font-medium mb-2">Ends on</label>
+                    <input
+                      id="meeting-until"
+                      type="date"
+                      value={form.untilDate}
+                      onChange={(e) => updateField('untilDate', e.target.value)}
+                      className="input w-full"
+                      disabled={saving}
+                    />
+                  </div>
+                </div>
+              )}
+              {recurrenceSummary && (
+                <p className="text-sm text-gray-600">{recurrenceSummary}</p>
+              )}
+            </div>
+          )}
+          <div>
+            <label htmlFor="meeting-location" className="block text-sm font-medium mb-2">Location</label>
+            <input
+              id="meeting-location"
+              type="text"
+              value={form.location}
+              onChange={(e) => updateField('location', e.target.value)}
+              className="input w-full"
+              placeholder="Optional location"
+              disabled={saving}
+            />
+          </div>
+          <div>
+            <label htmlFor="meeting-description" className="block text-sm font-medium mb-2">Description</label>
+            <textarea
+              id="meeting-description"
+              value={form.description}
+              onChange={(e) => updateField('description', e.target.value)}
+              className="input w-full"
+              rows={3}
+              placeholder="Optional description"
+              disabled={saving}
+            />
+          </div>
+          <div>
+            <label htmlFor="meeting-songbook" className="block text-sm font-medium mb-2">Songbook</label>
+            <select
+              id="meeting-songbook"
+              value={form.songbookId}
+              onChange={(e) => updateField('songbookId', e.target.value)}
+              className="input w-full"
+              disabled={saving}
+            >
+              <option value="">No songbook</option>
+              {songbooks.map(songbook => (
+                <option key={songbook.id} value={songbook.id}>{songbook.title}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex gap-3 justify-end">
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={saving}
+              className="btn btn-secondary"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="btn btn-primary"
+            >
+              {saving ? 'Saving...' : meeting ? 'Save Changes' : 'Schedule'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
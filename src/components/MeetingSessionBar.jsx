@@ -0,0 +1,180 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate, useLocation, matchPath } from 'react-router-dom';
+import { useMeetingSession } from '../contexts/useMeetingSession';
+
+// Limit how often the leader broadcasts scroll position
+const SCROLL_PUBLISH_INTERVAL_MS = 250;
+
+function getScrollFraction() {
+  const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+  return maxScroll > 0 ? Math.min(1, Math.max(0, window.scrollY / maxScroll)) : 0;
+}
+
+function getCurrentSongId(pathname) {
+  const match = matchPath('/songs/:id', pathname);
+  return match && match.params.id !== 'new' ? match.params.id : null;
+}
+
+function isEditingSong(pathname) {
+  return pathname === '/songs/new' || !!matchPath('/songs/:id/edit', pathname);
+}
+
+/**
+ * Meeting Session Bar Component
+ * Shown while in a live meeting session. The leader's current song and scroll
+ * position are broadcast; members who are following are taken to the same song
+ * and scrolled along. Members can break away to browse on their own, and the
+ * leader can hand the lead to someone else.
+ */
+export default function MeetingSessionBar() {
+  const session = useMeetingSession();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [showParticipants, setShowParticipants] = useState(false);
+  const lastScrollPublishRef = useRef(0);
+  const scrollTimeoutRef = useRef(null);
+
+  const {
+    active,
+    meetingId,
+    leader,
+    isLeader,
+    following,
+    participants,
+    publishPosition,
+  } = session;
+  const currentSongId = getCurrentSongId(location.pathname);
+  // Never pull a follower away from unsaved edits
+  const isFollowing = active && !isLeader && following && !!leader && !isEditingSong(location.pathname);
+
+  // Leader: broadcast the current song (scroll restarts at the top)
+  useEffect(() => {
+    if (active && isLeader) {
+      publishPosition({ songId: currentSongId, scroll: 0 });
+    }
+  }, [active, isLeader, currentSongId, publishPosition]);
+
+  // Leader: broadcast scroll position (throttled, with a trailing update)
+  useEffect(() => {
+    if (!active || !isLeader || !currentSongId) return undefined;
+
+    const handleScroll = () => {
+      const elapsed = Date.now() - lastScrollPublishRef.current;
+      clearTimeout(scrollTimeoutRef.current);
+      if (elapsed >= SCROLL_PUBLISH_INTERVAL_MS) {
+        lastScrollPublishRef.current = Date.now();
+        publishPosition({ songId: currentSongId, scroll: getScrollFraction() });
+      } else {
+        scrollTimeoutRef.current = setTimeout(handleScroll, SCROLL_PUBLISH_INTERVAL_MS - elapsed);
+      }
+    };
+
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    return () => {
+      window.removeEventListener('scroll', handleScroll);
+      clearTimeout(scrollTimeoutRef.current);
+    };
+  }, [active, isLeader, currentSongId, publishPosition]);
+
+  // Follower: go to the leader's song
+  useEffect(() => {
+    if (isFollowing && leader.songId && leader.songId !== currentSongId) {
+      navigate(`/songs/${leader.songId}?meeting=${meetingId}`, {
+        state: { referrer: `/meetings/${meetingId}` },
+      });
+    }
+  }, [isFollowing, leader?.songId, currentSongId, meetingId, navigate]);
+
+  // Follower: scroll along with the leader
+  useEffect(() => {
+    if (!isFollowing || !leader.songId || leader.songId !== currentSongId) return;
+    const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+    window.scrollTo({ top: (leader.scroll || 0) * maxScroll, behavior: 'smooth' });
+  }, [isFollowing, leader?.songId, leader?.scroll, currentSongId]);
+
+  if (!active) return null;
+
+  const others = participants.filter(p => p.peerId !== session.me?.peerId);
+  const followerCount = participants.filter(p => !p.isLeader && p.following).length;
+
+  return (
+    <div className="fixed bottom-4 left-1/2 -translate-x-1/2 z-40 w-[calc(100%-2rem)] max-w-2xl">
+      <div className="bg-white border border-primary-200 shadow-lg rounded-lg px-4 py-3">
+        <div className="flex flex-wrap items-center gap-3">
+          <span className="flex items-center gap-2 text-sm font-semibold text-primary-700">
+            <span className="h-2 w-2 rounded-full bg-green-500" aria-hidden="true"></span>
+            Live{session.title ? `: ${session.title}` : ''}
+          </span>
+          <span className="text-sm text-gray-600">
+            {session.isLoading
+              ? 'Connecting...'
+              : isLeader
+                ? 'You are leading'
+                : leader
+                  ? `Led by ${leader.name}`
+                  : 'No leader'}
+          </span>
+
+          <div className="flex items-center gap-2 ml-auto">
+            {!isLeader && leader && (
+              <button
+                onClick={() => session.setFollowing(!following)}
+                className={`btn text-sm ${following ? 'btn-secondary' : 'btn-primary'}`}
+              >
+                {following ? 'Break Away' : 'Follow Leader'}
+              </button>
+            )}
+            {!leader && !session.isLoading && (
+              <button onClick={session.takeLead} className="btn btn-primary text-sm">
+                Take Lead
+              </button>
+            )}
+            <button
+              onClick={() => setShowParticipants(!showParticipants)}
+              className="btn btn-secondary text-sm"
+              aria-expanded={showParticipants}
+            >
+              {participants.length} here · {followerCount} following
+            </button>
+            <button onClick={session.leaveSession} className="btn btn-secondary text-sm">
+              Leave
+            </button>
+          </div>
+        </div>
+
+        {showParticipants && (
+          <ul className="mt-3 pt-3 border-t border-gray-200 space-y-1 max-h-48 overflow-y-auto">
+            {participants.map(participant => {
+              const isMe = participant.peerId === session.me?.peerId;
+              const isParticipantLeader = participant.peerId === leader?.peerId;
+              return (
+                <li key={participant.peerId} className="flex items-center justify-between gap-2 text-sm">
+                  <span>
+                    {participant.name}
+                    {isMe && <span className="text-gray-500"> (you)</span>}
+                  </span>
+                  <span className="flex items-center gap-2">
+                    <span className={isParticipantLeader ? 'text-primary-700 font-medium' : participant.following ? 'text-green-600' : 'text-gray-500'}>
+                      {isParticipantLeader ? 'Leading' : participant.following ? 'Following' : 'Browsing'}
+                    </span>
+                    {isLeader && !isMe && (
+                      <button
+                        onClick={() => session.handOff(participant.peerId)}
+                        className="text-primary-600 hover:underline"
+                      >
+                        Hand lead
+                      </button>
+                    )}
+                  </span>
+                </li>
+              );
+            })}
+            {others.length === 0 && (
+              <li className="text-sm text-gray-500">Nobody else has joined yet.</li>
+            )}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
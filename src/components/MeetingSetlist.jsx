@@ -0,0 +1,288 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  addSongsToMeetingSetlist,
+  removeSongFromMeetingSetlist,
+  reorderMeetingSetlist,
+  setMeetingSongPlayed,
+} from '../db/mutations';
+
+/**
+ * Meeting Setlist Component
+ * Ordered list of songs for a meeting. Members can open the setlist as a
+ * sequential song viewer; admins (canEdit) can add songs from the attached
+ * songbook or the group library, drag to reorder and mark songs as played
+ * (which logs a play in the group's song play history).
+ */
+export default function MeetingSetlist({
+  meeting,
+  currentUserId = null,
+  plays = [],
+  setlist = [],
+  songbookSongs = [],
+  groupSongs = [],
+  canEdit = false,
+}) {
+  const navigate = useNavigate();
+  const meetingId = meeting.id;
+  const [showAddSongs, setShowAddSongs] = useState(false);
+  const [source, setSource] = useState('songbook');
+  const [searchQuery, setSearchQuery] = useState('');
+  const [draggedIndex, setDraggedIndex] = useState(null);
+  const [dragOverIndex, setDragOverIndex] = useState(null);
+  const [error, setError] = useState(null);
+
+  const setlistSongIds = new Set(setlist.map(ms => ms.songId));
+  // Fall back to group songs when the meeting has no songbook (or it is empty)
+  const effectiveSource = songbookSongs.length > 0 ? source : 'group';
+  const sourceSongs = effectiveSource === 'songbook' ? songbookSongs : groupSongs;
+  const query = searchQuery.trim().toLowerCase();
+  const availableSongs = sourceSongs.filter(song =>
+    !setlistSongIds.has(song.id)
+    && (!query
+      || song.title?.toLowerCase().includes(query)
+      || song.artist?.toLowerCase().includes(query))
+  );
+  const playedCount = setlist.filter(ms => ms.played).length;
+  const getPlayIds = (meetingSong) => plays
+    .filter(play => play.meetingSongId === meetingSong.id)
+    .map(play => play.id);
+
+  const openSong = (songId) => {
+    navigate(`/songs/${songId}?meeting=${meetingId}`, {
+      state: { referrer: `/meetings/${meetingId}` },
+    });
+  };
+
+  const handleAddSongs = async (songIds) => {
+    if (songIds.length === 0) return;
+    setError(null);
+
+    const nextOrder = setlist.length > 0
+      ? Math.max(...setlist.map(ms => ms.order || 0)) + 1
+      : 0;
+    try {
+      await addSongsToMeetingSetlist(meetingId, songIds, nextOrder);
+    } catch (err) {
+      console.error('Error adding songs to setlist:', err);
+      setError('Failed to add songs to the setlist. Please try again.');
+    }
+  };
+
+  const handleRemove = async (meetingSong) => {
+    setError(null);
+    try {
+      await removeSongFromMeetingSetlist(meetingSong.id, getPlayIds(meetingSong));
+      await reorderMeetingSetlist(setlist.filter(ms => ms.id !== meetingSong.id));
+    } catch (err) {
+      console.error('Error removing song from setlist:', err);
+      setError('Failed to remove song from the setlist. Please try again.');
+    }
+  };
+
+  const handleTogglePlayed = async (meetingSong) => {
+    setError(null);
+    try {
+      await setMeetingSongPlayed({
+        meetingSong,
+        meeting,
+        played: !meetingSong.played,
+        userId: currentUserId,
+        playIds: getPlayIds(meetingSong),
+      });
+    } catch (err) {
+      console.error('Error updating setlist song:', err);
+      setError('Failed to update the song. Please try again.');
+    }
+  };
+
+  // Handle drag and drop reordering
+  const handleDragStart = (e, index) => {
+    setDraggedIndex(index);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/html', e.target);
+  };
+
+  const handleDragOver = (e, index) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    setDragOverIndex(index);
+  };
+
+  const handleDragLeave = () => {
+    setDragOverIndex(null);
+  };
+
+  const handleDrop = async (e, dropIndex) => {
+    e.preventDefault();
+    setDragOverIndex(null);
+
+    if (draggedIndex === null || draggedIndex === dropIndex) {
+      setDraggedIndex(null);
+      return;
+    }
+
+    const newSetlist = [...setlist];
+    const [draggedSong] = newSetlist.splice(draggedIndex, 1);
+    newSetlist.splice(dropIndex, 0, draggedSong);
+
+    try {
+      await reorderMeetingSetlist(newSetlist);
+    } catch (err) {
+      console.error('Error reordering setlist:', err);
+      setError('Failed to reorder the setlist. Please try again.');
+    } finally {
+      setDraggedIndex(null);
+    }
+  };
+
+  return (
+    <div className="card mb-6">
+      <div className="flex items-center justify-between mb-4 gap-2">
+        <h2 className="font-semibold text-lg">
+          Setlist
+          {setlist.length > 0 && (
+            <span className="ml-2 text-sm font-normal text-gray-500">
+              {playedCount}/{setlist.length} played
+            </span>
+          )}
+        </h2>
+        <div className="flex gap-2">
+          {setlist.length > 0 && (
+            <button
+              onClick={() => openSong(setlist[0].songId)}
+              className="btn btn-primary text-sm"
+            >
+              Play Setlist
+            </button>
+          )}
+          {canEdit && (
+            <button
+              onClick={() => setShowAddSongs(!showAddSongs)}
+              className="btn btn-secondary text-sm"
+            >
+              {showAddSongs ? 'Done' : 'Add Songs'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 border border-red-200 rounded text-red-700 text-sm">
+          {error}
+        </div>
+      )}
+
+      {setlist.length === 0 ? (
+        <p className="text-gray-500 text-sm">
+          {canEdit ? 'No songs yet. Add songs to build the setlist.' : 'No setlist yet.'}
+        </p>
+      ) : (
+        <ol className="space-y-2">
+          {setlist.map((meetingSong, index) => (
+            <li
+              key={meetingSong.id}
+              draggable={canEdit}
+              onDragStart={canEdit ? (e) => handleDragStart(e, index) : undefined}
+              onDragOver={canEdit ? (e) => handleDragOver(e, index) : undefined}
+              onDragLeave={canEdit ? handleDragLeave : undefined}
+              onDrop={canEdit ? (e) => handleDrop(e, index) : undefined}
+              className={`flex items-center gap-3 p-3 border rounded transition-colors ${
+                draggedIndex === index ? 'opacity-50' : ''
+              } ${
+                dragOverIndex === index ? 'border-primary-500 bg-primary-50' : 'border-gray-200'
+              } ${canEdit ? 'cursor-move' : ''}`}
+            >
+              <span className="text-gray-400 w-6 text-right">{index + 1}.</span>
+              <button
+                onClick={() => openSong(meetingSong.songId)}
+                className={`flex-1 min-w-0 text-left hover:text-primary-600 ${
+                  meetingSong.played ? 'text-gray-500 line-through' : ''
+                }`}
+              >
+                <span className="font-medium">{meetingSong.song?.title || 'Unknown song'}</span>
+                {meetingSong.song?.artist && (
+                  <span className="text-sm text-gray-500 ml-2">{meetingSong.song.artist}</span>
+                )}
+              </button>
+              {canEdit ? (
+                <>
+                  <label className="flex items-center gap-1 text-sm text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={!!meetingSong.played}
+                      onChange={() => handleTogglePlayed(meetingSong)}
+                    />
+                    Played
+                  </label>
+                  <button
+                    onClick={() => handleRemove(meetingSong)}
+                    className="text-red-600 hover:text-red-700 text-sm"
+                    aria-label={`Remove ${meetingSong.song?.title || 'song'} from setlist`}
+                  >
+                    Remove
+                  </button>
+                </>
+              ) : (
+                meetingSong.played && (
+                  <span className="text-sm text-green-600">Played</span>
+                )
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {canEdit && showAddSongs && (
+        <div className="mt-4 pt-4 border-t border-gray-200 space-y-3">
+          <div className="flex flex-wrap gap-2 items-center">
+            <select
+              value={effectiveSource}
+              onChange={(e) => setSource(e.target.value)}
+              className="input"
+              aria-label="Song source"
+            >
+              <option value="songbook" disabled={songbookSongs.length === 0}>
+                Meeting songbook
+              </option>
+              <option value="group">Group songs</option>
+            </select>
+            <input
+              type="text"
+              value={searchQuery}
+              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder="Search songs..."
+              className="input flex-1 min-w-[12rem]"
+            />
+            {availableSongs.length > 1 && (
+              <button
+                onClick={() => handleAddSongs(availableSongs.map(song => song.id))}
+                className="btn btn-secondary text-sm"
+              >
+                Add All ({availableSongs.length})
+              </button>
+            )}
+          </div>
+          {availableSongs.length === 0 ? (
+            <p className="text-sm text-gray-500">No more songs to add.</p>
+          ) : (
+            <div className="max-h-64 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded">
+              {availableSongs.map(song => (
+                <button
+                  key={song.id}
+                  onClick={() => handleAddSongs([song.id])}
+                  className="w-full text-left px-3 py-2 hover:bg-gray-50"
+                >
+                  <span className="font-medium">{song.title}</span>
+                  {song.artist && (
+                    <span className="text-sm text-gray-500 ml-2">{song.artist}</span>
+                  )}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
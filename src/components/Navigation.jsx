@@ -1,9 +1,11 @@
 import { useState } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import NotificationMenu from './NotificationMenu';
 
 export default function Navigation() {
   const [isOpen, setIsOpen] = useState(false);
+  const [searchText, setSearchText] = useState('');
   const { user, signOut } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
@@ -18,6 +20,16 @@ export default function Navigation() {
     setIsOpen(false);
   };
 
+  // Search lyrics, titles and artists across all songs the user can open
+  const handleSearch = (e) => {
+    e.preventDefault();
+    const query = searchText.trim();
+    if (!query) return;
+    navigate(`/search?q=${encodeURIComponent(query)}`);
+    setSearchText('');
+    setIsOpen(false);
+  };
+
   const isActive = (path) => {
     if (path === '/home') {
       return location.pathname === '/home';
@@ -48,6 +60,9 @@ export default function Navigation() {
         <MenuIcon className="h-6 w-6 text-gray-700" />
       </button>
 
+      {/* Notifications */}
+      <NotificationMenu />
+
       {/* Backdrop */}
       {isOpen && (
         <div
@@ -81,6 +96,21 @@ export default function Navigation() {
             </button>
           </div>
 
+          {/* Global song search */}
+          <form onSubmit={handleSearch} role="search" className="px-4 pt-4">
+            <div className="relative">
+              <SearchIcon className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+              <input
+                type="search"
+                value={searchText}
+                onChange={(e) => setSearchText(e.target.value)}
+                placeholder="Search lyrics & songs"
+                aria-label="Search lyrics and songs"
+                className="w-full pl-9 pr-3 py-2 text-sm border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              />
+            </div>
+          </form>
+
           {/* Navigation Items - Top Section */}
           <nav className="flex-1 overflow-y-auto py-4">
             <div className="px-2">
@@ -163,6 +193,25 @@ function MenuIcon({ className }) {
   );
 }
 
+function SearchIcon({ className }) {
+  return (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      className={className}
+      fill="none"
+      viewBox="0 0 24 24"
+      stroke="currentColor"
+    >
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        strokeWidth={2}
+        d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z"
+      />
+    </svg>
+  );
+}
+
 function XIcon({ className }) {
   return (
     <svg
@@ -0,0 +1,187 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import {
+  useNotifications,
+  useMyGroups,
+  useMeetingsForGroups,
+  useMeetingReminderNotifications,
+  useUserRSVPs,
+  useUserProfile,
+} from '../db/queries';
+import {
+  NOTIFICATION_TYPES,
+  getNotificationPreferences,
+  getDueMeetingReminders,
+  createMeetingReminders,
+  getDismissedReminders,
+  markNotificationRead,
+  markAllNotificationsRead,
+} from '../utils/notifications';
+
+/**
+ * Notification Menu Component
+ * Bell button with the user's unread notifications. Also sends the user their
+ * own meeting reminders: when a meeting in one of their groups comes within
+ * their reminder window, a reminder notification is created once.
+ */
+export default function NotificationMenu() {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [isOpen, setIsOpen] = useState(false);
+  // Meetings reminded this session, and whether a reminder write is in flight
+  const remindingRef = useRef(new Set());
+  const sendingRemindersRef = useRef(false);
+
+  const { data: notificationsData } = useNotifications(user?.id);
+  const { data: profileData } = useUserProfile(user?.id);
+  const { data: groupsData } = useMyGroups(user?.id);
+  const groupIds = (groupsData?.groupMembers || []).map(m => m.groupId);
+  const { data: meetingsData, isLoading: meetingsLoading } = useMeetingsForGroups(groupIds);
+  const { data: remindersData, isLoading: remindersLoading } = useMeetingReminderNotifications(user?.id);
+  const { data: rsvpData, isLoading: rsvpsLoading } = useUserRSVPs(user?.id);
+
+  const notifications = notificationsData?.notifications || [];
+  const profile = profileData?.$users?.[0];
+
+  // Send reminders for meetings coming up within the user's reminder window
+  useEffect(() => {
+    if (!user?.id || !profile || meetingsLoading || remindersLoading || rsvpsLoading) return;
+    if (sendingRemindersRef.current) return;
+
+    const preferences = getNotificationPreferences(profile);
+    if (!preferences[NOTIFICATION_TYPES.MEETING_REMINDER]) return;
+
+    const remindedMeetingIds = new Set([
+      ...(remindersData?.notifications || []).map(n => n.meetingId),
+      ...getDismissedReminders(profile),
+      ...remindingRef.current,
+    ]);
+    const responses = Object.fromEntries(
+      (rsvpData?.meetingRSVPs || []).map(rsvp => [rsvp.meetingId, rsvp.response])
+    );
+    const dueMeetings = getDueMeetingReminders(meetingsData?.meetings || [], {
+      reminderDays: preferences.reminderDays,
+      responses,
+      remindedMeetingIds,
+    });
+    if (dueMeetings.length === 0) return;
+
+    // Only count meetings as reminded once the write succeeds, so failures are retried
+    sendingRemindersRef.current = true;
+    createMeetingReminders(user.id, dueMeetings)
+      .then(() => {
+        dueMeetings.forEach(meeting => remindingRef.current.add(meeting.id));
+      })
+      .catch(err => {
+        console.error('Error creating meeting reminders:', err);
+      })
+      .finally(() => {
+        sendingRemindersRef.current = false;
+      });
+  }, [user?.id, profile, meetingsData, remindersData, rsvpData, meetingsLoading, remindersLoading, rsvpsLoading]);
+
+  const handleOpenNotification = async (notification) => {
+    setIsOpen(false);
+    try {
+      await markNotificationRead(notification.id);
+    } catch (err) {
+      console.error('Error marking notification as read:', err);
+    }
+
+    if (notification.type === NOTIFICATION_TYPES.MEETING_CANCELLED && notification.groupId) {
+      navigate(`/groups/${notification.groupId}`);
+    } else if (notification.meetingId) {
+      navigate(`/meetings/${notification.meetingId}`);
+    } else if (notification.groupId) {
+      navigate(`/groups/${notification.groupId}`);
+    } else if (notification.songbookId) {
+      navigate(`/songbooks/${notification.songbookId}`);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await markAllNotificationsRead(user.id, notifications.map(n => n.id));
+    } catch (err) {
+      console.error('Error marking notifications as read:', err);
+    }
+  };
+
+  if (!user) return null;
+
+  return (
+    <div className="fixed top-4 right-4 lg:right-auto lg:left-4 lg:top-16 z-40">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="relative p-2 rounded-lg hover:bg-gray-200 transition-colors"
+        aria-label={notifications.length > 0 ? `Notifications (${notifications.length} unread)` : 'Notifications'}
+        aria-expanded={isOpen}
+      >
+        <BellIcon className="h-6 w-6 text-gray-700" />
+        {notifications.length > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-600 text-white text-xs font-semibold flex items-center justify-center">
+            {notifications.length > 9 ? '9+' : notifications.length}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <>
+          <div className="fixed inset-0" onClick={() => setIsOpen(false)} />
+          <div className="absolute right-0 lg:right-auto lg:left-0 mt-2 w-80 max-w-[calc(100vw-2rem)] bg-white rounded-lg shadow-xl border border-gray-200">
+            <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+              <h2 className="font-semibold">Notifications</h2>
+              {notifications.length > 0 && (
+                <button
+                  onClick={handleMarkAllRead}
+                  className="text-sm text-primary-600 hover:underline"
+                >
+                  Mark all read
+                </button>
+              )}
+            </div>
+            {notifications.length === 0 ? (
+              <p className="px-4 py-6 text-sm text-gray-500 text-center">You&apos;re all caught up.</p>
+            ) : (
+              <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+                {notifications.map(notification => (
+                  <li key={notification.id}>
+                    <button
+                      onClick={() => handleOpenNotification(notification)}
+                      className="w-full text-left px-4 py-3 hover:bg-gray-50"
+                    >
+                      <p className="text-sm text-gray-800">{notification.message}</p>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {new Date(notification.createdAt).toLocaleString()}
+                      </p>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function BellIcon({ className }) {
+  return (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      className={className}
+      fill="none"
+      viewBox="0 0 24 24"
+      stroke="currentColor"
+    >
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        strokeWidth={2}
+        d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9"
+      />
+    </svg>
+  );
+}
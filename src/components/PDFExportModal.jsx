@@ -0,0 +1,147 @@
+import { useState, useEffect } from 'react';
+import { PAPER_SIZES, FONT_SIZES, DEFAULT_PDF_OPTIONS } from '../utils/song-pdf';
+
+/**
+ * PDF Export Modal Component
+ * Lets the user choose paper size, font size and chord layout before exporting a PDF
+ * (and, for songbooks, whether to add a chord appendix)
+ */
+export default function PDFExportModal({
+  isOpen,
+  onClose,
+  onExport,
+  title = 'Export PDF',
+  defaultChordMode = DEFAULT_PDF_OPTIONS.chordMode,
+  exporting = false,
+  error = null,
+  showAppendixOption = false,
+}) {
+  const [options, setOptions] = useState({ ...DEFAULT_PDF_OPTIONS, chordMode: defaultChordMode });
+
+  // Reset options when the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setOptions({ ...DEFAULT_PDF_OPTIONS, chordMode: defaultChordMode });
+    }
+  }, [isOpen, defaultChordMode]);
+
+  const updateOption = (field, value) => {
+    setOptions(prev => ({ ...prev, [field]: value }));
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={exporting ? undefined : onClose}>
+      <div
+        className="bg-white rounded-lg p-6 max-w-md w-full mx-4 shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h2 className="text-xl font-bold mb-4">{title}</h2>
+
+        <div className="space-y-4">
+          <div>
+            <label htmlFor="pdf-paper-size" className="block text-sm font-medium text-gray-700 mb-1">
+              Paper size
+            </label>
+            <select
+              id="pdf-paper-size"
+              value={options.paperSize}
+              onChange={(e) => updateOption('paperSize', e.target.value)}
+              className="input"
+            >
+              {PAPER_SIZES.map(size => (
+                <option key={size.id} value={size.id}>{size.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="pdf-font-size" className="block text-sm font-medium text-gray-700 mb-1">
+              Font size
+            </label>
+            <select
+              id="pdf-font-size"
+              value={options.fontSize}
+              onChange={(e) => updateOption('fontSize', parseInt(e.target.value, 10))}
+              className="input"
+            >
+              {FONT_SIZES.map(size => (
+                <option key={size} value={size}>{size} pt</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <span className="block text-sm font-medium text-gray-700 mb-1">Chords</span>
+            <div className="flex gap-4">
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="radio"
+                  name="pdf-chord-mode"
+                  value="above"
+                  checked={options.chordMode === 'above'}
+                  onChange={() => updateOption('chordMode', 'above')}
+                />
+                Above lyrics
+              </label>
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="radio"
+                  name="pdf-chord-mode"
+                  value="inline"
+                  checked={options.chordMode === 'inline'}
+                  onChange={() => updateOption('chordMode', 'inline')}
+                />
+                Inline
+              </label>
+            </div>
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={options.showDiagrams}
+              onChange={(e) => updateOption('showDiagrams', e.target.checked)}
+            />
+            Include chord diagrams
+          </label>
+
+          {showAppendixOption && (
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={!!options.includeChordAppendix}
+                onChange={(e) => updateOption('includeChordAppendix', e.target.checked)}
+              />
+              Add an appendix of every chord used
+            </label>
+          )}
+        </div>
+
+        {error && (
+          <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded text-red-700 text-sm">
+            {error}
+          </div>
+        )}
+
+        <div className="flex gap-3 justify-end mt-6">
+          <button
+            onClick={onClose}
+            disabled={exporting}
+            className="btn btn-secondary"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={() => onExport(options)}
+            disabled={exporting}
+            className="btn btn-primary"
+          >
+            {exporting ? 'Exporting...' : 'Export PDF'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
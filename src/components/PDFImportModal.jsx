@@ -39,10 +39,14 @@ export default function PDFImportModal({ isOpen, onClose, onImport }) {
       const textBased = await isTextBasedPDF(file);
       
       let extractedText;
+      let lineGeometry = null;
       
       if (textBased) {
         setProgress({ status: 'extracting', message: 'Extracting text from PDF...' });
-        extractedText = await extractTextFromPDF(file);
+        // Keep text positions so chords can be aligned over the right syllable
+        const extracted = await extractTextFromPDF(file, { withGeometry: true });
+        extractedText = extracted.text;
+        lineGeometry = extracted.lines;
       } else {
         setProgress({ status: 'ocr', message: 'PDF appears to be scanned. Performing OCR (this may take a while)...' });
         extractedText = await extractTextFromScannedPDF(file, (progressData) => {
@@ -69,7 +73,7 @@ export default function PDFImportModal({ isOpen, onClose, onImport }) {
       setProgress({ status: 'parsing', message: 'Parsing song data...' });
       
       // Parse the extracted text
-      const parsedData = parseSongFromText(extractedText);
+      const parsedData = parseSongFromText(extractedText, { lineGeometry });
       
       if (!parsedData.title && !parsedData.lyricsText) {
         throw new Error('Could not extract song data from PDF. Please ensure the PDF contains lyrics and chords.');
@@ -0,0 +1,283 @@
+import { useEffect, useRef, useState } from 'react';
+import {
+  MIN_SCROLL_SPEED,
+  MAX_SCROLL_SPEED,
+  SCROLL_SPEED_STEP,
+  MIN_TEXT_SCALE,
+  MAX_TEXT_SCALE,
+  TEXT_SCALE_STEP,
+  clampStep,
+  formatDuration,
+  getPerformanceDuration,
+  getScrollPixelsPerSecond,
+} from '../utils/performance';
+
+// Pause before scrolling starts on a new song, and at the end before moving on
+const LEAD_IN_MS = 3000;
+const ADVANCE_DELAY_MS = 4000;
+// Share of the screen a page turner press scrolls by
+const PAGE_FRACTION = 0.8;
+
+/**
+ * Performance Mode Component
+ * Full-screen song view for playing along: large text that auto-scrolls at a
+ * speed based on the song's duration or tempo, tap to pause, page turner and
+ * keyboard support, and automatic advance to the next song in the sequence.
+ * Settings ({ playing, speed, textScale }) are owned by the caller so they
+ * carry over from song to song.
+ */
+export default function PerformanceMode({
+  song,
+  settings,
+  onSettingsChange,
+  onExit,
+  onPrevious = null,
+  onNext = null,
+  nextSongTitle = null,
+  position = null,
+  children,
+}) {
+  const scrollRef = useRef(null);
+  const scrollPositionRef = useRef(0);
+  const [atEnd, setAtEnd] = useState(false);
+  const [leadIn, setLeadIn] = useState(true);
+  const { playing, speed, textScale } = settings;
+  const { seconds: durationSeconds, source: durationSource } = getPerformanceDuration(song);
+
+  // Start each song at the top, with a short lead-in before scrolling
+  useEffect(() => {
+    if (scrollRef.current) {
+      scrollRef.current.scrollTop = 0;
+    }
+    scrollPositionRef.current = 0;
+    setAtEnd(false);
+    setLeadIn(true);
+    const timer = setTimeout(() => setLeadIn(false), LEAD_IN_MS);
+    return () => clearTimeout(timer);
+  }, [song.id]);
+
+  // Go full screen and keep the screen awake while performing (where supported)
+  useEffect(() => {
+    let wakeLock = null;
+    document.documentElement.requestFullscreen?.().catch(() => {});
+    navigator.wakeLock?.request('screen')
+      .then(lock => {
+        wakeLock = lock;
+      })
+      .catch(() => {});
+
+    return () => {
+      if (document.fullscreenElement) {
+        document.exitFullscreen?.().catch(() => {});
+      }
+      wakeLock?.release().catch(() => {});
+    };
+  }, []);
+
+  // Auto-scroll
+  useEffect(() => {
+    const container = scrollRef.current;
+    if (!playing || leadIn || atEnd || !container) return;
+
+    let frameId = null;
+    let lastTime = null;
+    scrollPositionRef.current = container.scrollTop;
+
+    const step = (time) => {
+      const distance = container.scrollHeight - container.clientHeight;
+      if (lastTime !== null) {
+        const pixelsPerSecond = getScrollPixelsPerSecond(distance, song, speed);
+        scrollPositionRef.current += (pixelsPerSecond * (time - lastTime)) / 1000;
+        container.scrollTop = scrollPositionRef.current;
+      }
+      lastTime = time;
+
+      if (scrollPositionRef.current >= distance) {
+        setAtEnd(true);
+        return;
+      }
+      frameId = requestAnimationFrame(step);
+    };
+
+    frameId = requestAnimationFrame(step);
+    return () => cancelAnimationFrame(frameId);
+  }, [playing, leadIn, atEnd, song, speed]);
+
+  // Move on to the next song after reaching the end
+  // (via a ref, so the caller re-rendering doesn't restart the countdown)
+  const onNextRef = useRef(onNext);
+  onNextRef.current = onNext;
+  const hasNext = !!onNext;
+  useEffect(() => {
+    if (!playing || !atEnd || !hasNext) return;
+    const timer = setTimeout(() => onNextRef.current?.(), ADVANCE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [playing, atEnd, hasNext]);
+
+  const togglePlaying = () => {
+    setLeadIn(false);
+    onSettingsChange({ playing: !playing });
+  };
+
+  const nudgeSpeed = (delta) => {
+    onSettingsChange({ speed: clampStep(speed + delta, MIN_SCROLL_SPEED, MAX_SCROLL_SPEED) });
+  };
+
+  const nudgeTextScale = (delta) => {
+    onSettingsChange({ textScale: clampStep(textScale + delta, MIN_TEXT_SCALE, MAX_TEXT_SCALE) });
+  };
+
+  // Page turners send PageUp/PageDown or arrow keys; past either end, change song
+  const turnPage = (direction) => {
+    const container = scrollRef.current;
+    if (!container) return;
+    const distance = container.scrollHeight - container.clientHeight;
+
+    if (direction > 0 && container.scrollTop >= distance - 1) {
+      onNext?.();
+      return;
+    }
+    if (direction < 0 && container.scrollTop <= 0) {
+      onPrevious?.();
+      return;
+    }
+
+    const target = Math.min(distance, Math.max(0, container.scrollTop + direction * container.clientHeight * PAGE_FRACTION));
+    container.scrollTop = target;
+    scrollPositionRef.current = target;
+    setAtEnd(false);
+  };
+
+  // Keyboard and page turner controls (latest handlers via ref, so the listener is added once)
+  const keyHandlerRef = useRef(null);
+  keyHandlerRef.current = (event) => {
+    switch (event.key) {
+      case 'PageDown':
+      case 'ArrowDown':
+      case 'ArrowRight':
+        turnPage(1);
+        break;
+      case 'PageUp':
+      case 'ArrowUp':
+      case 'ArrowLeft':
+        turnPage(-1);
+        break;
+      case ' ':
+        togglePlaying();
+        break;
+      case '+':
+      case '=':
+        nudgeSpeed(SCROLL_SPEED_STEP);
+        break;
+      case '-':
+        nudgeSpeed(-SCROLL_SPEED_STEP);
+        break;
+      case 'Escape':
+        onExit();
+        break;
+      default:
+        return;
+    }
+    event.preventDefault();
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (event) => keyHandlerRef.current(event);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-white flex flex-col">
+      <div className="flex items-center justify-between gap-4 px-4 py-2 border-b border-gray-200">
+        <div className="min-w-0">
+          <h1 className="text-lg font-bold truncate">{song.title}</h1>
+          <p className="text-sm text-gray-500 truncate">
+            {[song.artist, position].filter(Boolean).join(' · ')}
+          </p>
+        </div>
+        <button onClick={onExit} className="btn btn-secondary flex-shrink-0">
+          Exit
+        </button>
+      </div>
+
+      <div
+        ref={scrollRef}
+        onClick={togglePlaying}
+        className="flex-1 overflow-auto px-4 py-6 cursor-pointer"
+      >
+        <div style={{ zoom: textScale }}>
+          {children}
+        </div>
+        {atEnd && (
+          <p className="text-center text-gray-500 py-8">
+            {nextSongTitle
+              ? playing ? `Up next: ${nextSongTitle}` : `Next: ${nextSongTitle} (press Next or a page turner to continue)`
+              : 'End of song'}
+          </p>
+        )}
+      </div>
+
+      <div className="flex flex-wrap items-center justify-center gap-2 px-4 py-3 border-t border-gray-200 bg-gray-50 text-sm">
+        {onPrevious && (
+          <button onClick={onPrevious} className="btn btn-secondary" aria-label="Previous song">
+            ← Prev
+          </button>
+        )}
+        <button onClick={togglePlaying} className="btn btn-primary w-24">
+          {playing ? 'Pause' : 'Play'}
+        </button>
+        <div className="flex items-center gap-1">
+          <button
+            onClick={() => nudgeSpeed(-SCROLL_SPEED_STEP)}
+            disabled={speed <= MIN_SCROLL_SPEED}
+            className="px-3 py-2 border border-gray-300 rounded bg-white hover:bg-gray-100 disabled:opacity-50"
+            aria-label="Scroll slower"
+          >
+            Slower
+          </button>
+          <span className="w-12 text-center font-medium" title="Scroll speed">
+            {Math.round(speed * 100)}%
+          </span>
+          <button
+            onClick={() => nudgeSpeed(SCROLL_SPEED_STEP)}
+            disabled={speed >= MAX_SCROLL_SPEED}
+            className="px-3 py-2 border border-gray-300 rounded bg-white hover:bg-gray-100 disabled:opacity-50"
+            aria-label="Scroll faster"
+          >
+            Faster
+          </button>
+        </div>
+        <div className="flex items-center gap-1">
+          <button
+            onClick={() => nudgeTextScale(-TEXT_SCALE_STEP)}
+            disabled={textScale <= MIN_TEXT_SCALE}
+            className="px-3 py-2 border border-gray-300 rounded bg-white hover:bg-gray-100 disabled:opacity-50"
+            aria-label="Smaller text"
+          >
+            A−
+          </button>
+          <button
+            onClick={() => nudgeTextScale(TEXT_SCALE_STEP)}
+            disabled={textScale >= MAX_TEXT_SCALE}
+            className="px-3 py-2 border border-gray-300 rounded bg-white hover:bg-gray-100 disabled:opacity-50 text-base"
+            aria-label="Larger text"
+          >
+            A+
+          </button>
+        </div>
+        {onNext && (
+          <button onClick={onNext} className="btn btn-secondary" aria-label="Next song">
+            Next →
+          </button>
+        )}
+        <span className="w-full text-center text-xs text-gray-500">
+          {durationSource === 'duration' && `Scrolling over ${formatDuration(durationSeconds)}`}
+          {durationSource === 'tempo' && `Scrolling at ${song.tempo} BPM (about ${formatDuration(durationSeconds)})`}
+          {durationSource === 'estimate' && `Scrolling over about ${formatDuration(durationSeconds)} — set a tempo or duration on the song to fine-tune`}
+          {' · '}Tap the song to pause
+        </span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+import { Link } from 'react-router-dom';
+import { PLAYABLE_FILTER_OPTIONS } from '../utils/known-chords';
+
+/**
+ * Playable Filter Component
+ * Limits a song list to songs the member can play with the chords they know
+ * (set on their profile), or songs needing at most one new chord.
+ */
+export default function PlayableFilter({ value, onChange, knownChords = [] }) {
+  const hasKnownChords = knownChords.length > 0;
+
+  return (
+    <div className="flex items-center gap-2 flex-wrap">
+      <label htmlFor="playable-filter" className="text-sm text-gray-600 whitespace-nowrap">
+        Chords I know:
+      </label>
+      <select
+        id="playable-filter"
+        value={hasKnownChords ? value : PLAYABLE_FILTER_OPTIONS[0].value}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={!hasKnownChords}
+        className="px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-primary-500 focus:border-primary-500 disabled:bg-gray-100"
+      >
+        {PLAYABLE_FILTER_OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+      {!hasKnownChords && (
+        <Link to="/profile" className="text-xs text-primary-600 hover:underline">
+          Add the chords you know on your profile
+        </Link>
+      )}
+    </div>
+  );
+}
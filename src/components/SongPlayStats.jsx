@@ -0,0 +1,147 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  NEGLECTED_MONTHS_OPTIONS,
+  PLAY_SORT_OPTIONS,
+  getSongPlayStats,
+  getMostPlayed,
+  getNeglectedSongs,
+  sortSongPlayStats,
+} from '../utils/song-play-stats';
+
+function formatPlayedDate(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleDateString() : 'Never';
+}
+
+/**
+ * Song Play Stats Component
+ * Shows which songs a group plays most, which haven't been played for a while,
+ * and when each song was first and last played.
+ * songQuery is appended to song links (e.g., "songbook=123") to keep the viewer's context.
+ */
+export default function SongPlayStats({ songs = [], plays = [], songQuery = '' }) {
+  const [neglectedMonths, setNeglectedMonths] = useState(NEGLECTED_MONTHS_OPTIONS[1].value);
+  const [sortBy, setSortBy] = useState('most');
+
+  const stats = getSongPlayStats(songs, plays);
+  const mostPlayed = getMostPlayed(stats);
+  const neglected = getNeglectedSongs(stats, neglectedMonths);
+  const sortedStats = sortSongPlayStats(stats, sortBy);
+  const songLink = (song) => `/songs/${song.id}${songQuery ? `?${songQuery}` : ''}`;
+
+  if (songs.length === 0) {
+    return (
+      <div className="card text-center py-8 text-gray-500">
+        <p>No songs to report on yet.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="card">
+          <h3 className="font-semibold text-lg mb-4">Most Played</h3>
+          {mostPlayed.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              No plays yet. Plays are logged when songs are ticked off at meetings or opened from a group songbook.
+            </p>
+          ) : (
+            <ol className="space-y-2">
+              {mostPlayed.map((stat, index) => (
+                <li key={stat.song.id} className="flex items-center gap-3 text-sm">
+                  <span className="text-gray-400 w-5 text-right">{index + 1}.</span>
+                  <Link to={songLink(stat.song)} className="flex-1 min-w-0 truncate hover:text-primary-600">
+                    {stat.song.title}
+                  </Link>
+                  <span className="text-gray-600">
+                    {stat.playCount} {stat.playCount === 1 ? 'play' : 'plays'}
+                  </span>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+
+        <div className="card">
+          <div className="flex items-center justify-between gap-2 mb-4">
+            <h3 className="font-semibold text-lg">Not Played In</h3>
+            <select
+              value={neglectedMonths}
+              onChange={(e) => setNeglectedMonths(Number(e.target.value))}
+              className="input w-auto"
+              aria-label="Months without a play"
+            >
+              {NEGLECTED_MONTHS_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          {neglected.length === 0 ? (
+            <p className="text-sm text-gray-500">Every song has been played recently.</p>
+          ) : (
+            <ul className="space-y-2 max-h-64 overflow-y-auto">
+              {neglected.map(stat => (
+                <li key={stat.song.id} className="flex items-center justify-between gap-3 text-sm">
+                  <Link to={songLink(stat.song)} className="min-w-0 truncate hover:text-primary-600">
+                    {stat.song.title}
+                  </Link>
+                  <span className="text-gray-500 flex-shrink-0">
+                    {stat.lastPlayedAt ? `Last ${formatPlayedDate(stat.lastPlayedAt)}` : 'Never played'}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="flex items-center justify-between gap-2 mb-4">
+          <h3 className="font-semibold text-lg">Play History</h3>
+          <select
+            value={sortBy}
+            onChange={(e) => setSortBy(e.target.value)}
+            className="input w-auto"
+            aria-label="Sort songs"
+          >
+            {PLAY_SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b border-gray-200">
+                <th className="py-2 pr-4 font-medium">Song</th>
+                <th className="py-2 pr-4 font-medium">Plays</th>
+                <th className="py-2 pr-4 font-medium">At Meetings</th>
+                <th className="py-2 pr-4 font-medium">First Played</th>
+                <th className="py-2 font-medium">Last Played</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sortedStats.map(stat => (
+                <tr key={stat.song.id} className="border-b border-gray-100 last:border-0">
+                  <td className="py-2 pr-4">
+                    <Link to={songLink(stat.song)} className="hover:text-primary-600">
+                      {stat.song.title}
+                    </Link>
+                    {stat.song.artist && (
+                      <span className="text-gray-500 ml-2">{stat.song.artist}</span>
+                    )}
+                  </td>
+                  <td className="py-2 pr-4">{stat.playCount}</td>
+                  <td className="py-2 pr-4">{stat.meetingCount}</td>
+                  <td className="py-2 pr-4">{formatPlayedDate(stat.firstPlayedAt)}</td>
+                  <td className="py-2">{formatPlayedDate(stat.lastPlayedAt)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
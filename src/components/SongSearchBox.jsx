@@ -0,0 +1,53 @@
+import { useState } from 'react';
+import { SEARCH_SYNTAX_HELP } from '../utils/song-search';
+
+/**
+ * Song Search Box Component
+ * Search field for the song lists, with a toggle listing the query syntax
+ * (facets like artist:, chord: and created:, see utils/song-search.js).
+ */
+export default function SongSearchBox({ id = 'search-songs', value, onChange, placeholder = 'Search songs, e.g. artist:beatles chord:Bb -chord:E' }) {
+  const [showHelp, setShowHelp] = useState(false);
+
+  return (
+    <div className="flex-1">
+      <div className="flex items-center gap-2">
+        <input
+          id={id}
+          type="search"
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={placeholder}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+        />
+        <button
+          type="button"
+          onClick={() => setShowHelp(!showHelp)}
+          className="text-sm text-primary-600 hover:underline whitespace-nowrap"
+          aria-expanded={showHelp}
+        >
+          Search tips
+        </button>
+      </div>
+      {showHelp && (
+        <dl className="mt-2 grid grid-cols-1 sm:grid-cols-[auto_1fr] gap-x-4 gap-y-1 p-3 text-sm bg-gray-50 border border-gray-200 rounded">
+          {SEARCH_SYNTAX_HELP.map(({ example, description }) => (
+            <div key={example} className="contents">
+              <dt>
+                <button
+                  type="button"
+                  onClick={() => onChange(value.trim() ? `${value.trim()} ${example}` : example)}
+                  className="font-mono text-primary-700 hover:underline"
+                  title="Add to search"
+                >
+                  {example}
+                </button>
+              </dt>
+              <dd className="text-gray-600">{description}</dd>
+            </div>
+          ))}
+        </dl>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,465 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { extractPagesFromPDF, isTextBasedPDF } from '../utils/pdf-parser';
+import { extractPagesFromScannedPDF } from '../utils/ocr-service';
+import { splitSongbookPages, mergeSongSegments, splitSongSegment, segmentToSongData } from '../utils/songbook-splitter';
+import { parseLyricsWithChords } from '../utils/lyrics-helpers';
+import { createSongs, createSongbook, addSongsToSongbook } from '../db/mutations';
+
+const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50MB
+
+/**
+ * Songbook PDF Import Modal Component
+ * Splits a multi-song PDF into separate songs, lets the user review them
+ * (merge, split, rename, skip) and bulk-creates the songs, optionally in a new songbook
+ */
+export default function SongbookPDFImportModal({ isOpen, onClose, onComplete, userId }) {
+  const [isDragging, setIsDragging] = useState(false);
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [segments, setSegments] = useState(null);
+  const [splittingId, setSplittingId] = useState(null);
+  const [addToSongbook, setAddToSongbook] = useState(true);
+  const [songbookTitle, setSongbookTitle] = useState('');
+  const [importing, setImporting] = useState(false);
+  const fileInputRef = useRef(null);
+
+  // Reset state when the modal opens
+  useEffect(() => {
+    if (isOpen) {
+      setIsDragging(false);
+      setIsProcessing(false);
+      setProgress(null);
+      setError(null);
+      setSegments(null);
+      setSplittingId(null);
+      setAddToSongbook(true);
+      setSongbookTitle('');
+      setImporting(false);
+    }
+  }, [isOpen]);
+
+  const handleFile = useCallback(async (file) => {
+    if (!file) return;
+
+    if (file.type !== 'application/pdf' && !file.name.toLowerCase().endsWith('.pdf')) {
+      setError('Please select a PDF file.');
+      return;
+    }
+
+    if (file.size > MAX_FILE_SIZE) {
+      setError(`File is too large. Maximum size is ${MAX_FILE_SIZE / (1024 * 1024)}MB.`);
+      return;
+    }
+
+    setIsProcessing(true);
+    setError(null);
+    setProgress({ status: 'analyzing', message: 'Analyzing PDF...' });
+
+    try {
+      const textBased = await isTextBasedPDF(file);
+
+      let pages;
+      if (textBased) {
+        setProgress({ status: 'extracting', message: 'Extracting text from PDF...' });
+        pages = await extractPagesFromPDF(file);
+      } else {
+        setProgress({ status: 'ocr', message: 'PDF appears to be scanned. Performing OCR (this may take a while)...' });
+        pages = await extractPagesFromScannedPDF(file, (progressData) => {
+          setProgress({
+            status: progressData.status,
+            message: progressData.status === 'ocr'
+              ? `Processing page ${progressData.page} of ${progressData.totalPages}...`
+              : `Converting page ${progressData.page} of ${progressData.totalPages}...`,
+            progress: progressData.progress,
+          });
+        });
+      }
+
+      setProgress({ status: 'splitting', message: 'Finding songs...' });
+      const detected = splitSongbookPages(pages);
+
+      if (detected.length === 0) {
+        throw new Error('No songs could be found in this PDF.');
+      }
+
+      setSegments(detected);
+      setSongbookTitle(file.name.replace(/\.pdf$/i, ''));
+      setProgress(null);
+    } catch (err) {
+      console.error('Error splitting songbook PDF:', err);
+      setError(err.message || 'Failed to read PDF. Please try again.');
+      setProgress(null);
+    } finally {
+      setIsProcessing(false);
+    }
+  }, []);
+
+  const handleFileSelect = (e) => {
+    const file = e.target.files?.[0];
+    if (file) {
+      handleFile(file);
+    }
+    // Allow selecting the same file again
+    e.target.value = '';
+  };
+
+  const handleDrop = useCallback((e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDragging(false);
+
+    const file = e.dataTransfer.files?.[0];
+    if (file) {
+      handleFile(file);
+    }
+  }, [handleFile]);
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDragging(true);
+  };
+
+  const handleDragLeave = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setIsDragging(false);
+  };
+
+  const updateSegment = (segmentId, field, value) => {
+    setSegments(prev => prev.map(segment =>
+      segment.id === segmentId ? { ...segment, [field]: value } : segment
+    ));
+  };
+
+  const handleMerge = (index) => {
+    setSegments(prev => mergeSongSegments(prev, index));
+    setSplittingId(null);
+  };
+
+  const handleSplit = (index, lineIndex) => {
+    setSegments(prev => splitSongSegment(prev, index, lineIndex));
+    setSplittingId(null);
+  };
+
+  const selectedSegments = segments?.filter(segment => segment.include) || [];
+
+  const handleImport = async () => {
+    if (!userId) {
+      setError('You must be logged in to import songs.');
+      return;
+    }
+    if (selectedSegments.length === 0) {
+      setError('Please select at least one song to import.');
+      return;
+    }
+    if (addToSongbook && !songbookTitle.trim()) {
+      setError('Please enter a songbook title.');
+      return;
+    }
+
+    setImporting(true);
+    setError(null);
+
+    try {
+      setProgress({
+        status: 'importing',
+        message: `Creating ${selectedSegments.length} song${selectedSegments.length !== 1 ? 's' : ''}...`,
+        progress: 0,
+      });
+      const songIds = await createSongs(selectedSegments.map(segment => {
+        const { lyricsText, ...details } = segmentToSongData(segment);
+        const { lyrics, chords } = parseLyricsWithChords(lyricsText);
+        return {
+          ...details,
+          lyrics,
+          chords: chords && chords.length > 0 ? JSON.stringify(chords) : '[]',
+          createdBy: userId,
+        };
+      }));
+
+      let songbookId = null;
+      if (addToSongbook) {
+        setProgress({ status: 'importing', message: 'Creating songbook...', progress: 1 });
+        songbookId = await createSongbook({
+          title: songbookTitle,
+          type: 'private',
+          createdBy: userId,
+        });
+        await addSongsToSongbook(songbookId, songIds);
+      }
+
+      setProgress(null);
+      onComplete({ songIds, songbookId });
+    } catch (err) {
+      console.error('Error importing songs:', err);
+      setError(err.message || 'Failed to import songs. Please try again.');
+      setProgress(null);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  const busy = isProcessing || importing;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50" onClick={busy ? undefined : onClose}>
+      <div
+        className={`bg-white rounded-lg p-6 w-full mx-4 shadow-xl max-h-[90vh] flex flex-col ${segments ? 'max-w-3xl' : 'max-w-md'}`}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-bold">
+            {segments ? `Review Songs (${segments.length} found)` : 'Import Songbook PDF'}
+          </h2>
+          {!busy && (
+            <button
+              onClick={onClose}
+              className="text-gray-500 hover:text-gray-700 transition-colors"
+              aria-label="Close"
+            >
+              <svg
+                xmlns="http://www.w3.org/2000/svg"
+                className="h-6 w-6"
+                fill="none"
+                viewBox="0 0 24 24"
+                stroke="currentColor"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M6 18L18 6M6 6l12 12"
+                />
+              </svg>
+            </button>
+          )}
+        </div>
+
+        {!segments ? (
+          <>
+            <div className="mb-4">
+              <p className="text-sm text-gray-600">
+                Upload a PDF containing several songs. Each song will be detected and imported separately.
+              </p>
+              <p className="text-xs text-gray-500 mt-1">
+                Maximum file size: {MAX_FILE_SIZE / (1024 * 1024)}MB
+              </p>
+            </div>
+
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".pdf,application/pdf"
+              onChange={handleFileSelect}
+              className="hidden"
+              disabled={isProcessing}
+            />
+
+            <div
+              onClick={() => !isProcessing && fileInputRef.current?.click()}
+              onDrop={handleDrop}
+              onDragOver={handleDragOver}
+              onDragLeave={handleDragLeave}
+              className={`
+                border-2 border-dashed rounded-lg p-8 text-center cursor-pointer transition-colors
+                ${isDragging
+                  ? 'border-primary-500 bg-primary-50'
+                  : isProcessing
+                    ? 'border-gray-300 bg-gray-50 cursor-not-allowed'
+                    : 'border-gray-300 hover:border-primary-400 hover:bg-gray-50'
+                }
+              `}
+            >
+              {isProcessing ? (
+                <ProgressIndicator progress={progress} />
+              ) : (
+                <div className="space-y-2">
+                  <p className="text-gray-700 font-medium">
+                    Drag and drop PDF here
+                  </p>
+                  <p className="text-gray-500 text-sm">
+                    or click to select file
+                  </p>
+                </div>
+              )}
+            </div>
+          </>
+        ) : (
+          <>
+            <p className="text-sm text-gray-600 mb-3">
+              Check the detected songs below. Rename them, merge songs that were split by mistake,
+              or split a song where a new one starts.
+            </p>
+
+            <div className="flex-1 overflow-y-auto border border-gray-200 rounded divide-y divide-gray-200">
+              {segments.map((segment, index) => (
+                <div key={segment.id} className={`p-3 ${segment.include ? '' : 'bg-gray-50'}`}>
+                  <div className="flex items-start gap-3">
+                    <input
+                      type="checkbox"
+                      checked={segment.include}
+                      onChange={(e) => updateSegment(segment.id, 'include', e.target.checked)}
+                      disabled={importing}
+                      className="mt-3 rounded"
+                      aria-label={`Import ${segment.title || 'song'}`}
+                    />
+                    <div className="flex-1 grid grid-cols-1 sm:grid-cols-2 gap-2">
+                      <input
+                        type="text"
+                        value={segment.title}
+                        onChange={(e) => updateSegment(segment.id, 'title', e.target.value)}
+                        placeholder="Title"
+                        disabled={importing}
+                        className="input"
+                      />
+                      <input
+                        type="text"
+                        value={segment.artist}
+                        onChange={(e) => updateSegment(segment.id, 'artist', e.target.value)}
+                        placeholder="Artist"
+                        disabled={importing}
+                        className="input"
+                      />
+                    </div>
+                  </div>
+
+                  <div className="flex items-center justify-between mt-2 ml-7 text-xs text-gray-500">
+                    <span>
+                      {segment.startPage === segment.endPage
+                        ? `Page ${segment.startPage}`
+                        : `Pages ${segment.startPage}–${segment.endPage}`}
+                      {' · '}
+                      {segment.lines.length - segment.bodyStart} line{segment.lines.length - segment.bodyStart !== 1 ? 's' : ''}
+                    </span>
+                    <div className="flex gap-3">
+                      <button
+                        type="button"
+                        onClick={() => setSplittingId(splittingId === segment.id ? null : segment.id)}
+                        disabled={importing || segment.lines.length < 2}
+                        className="text-primary-600 hover:text-primary-700 disabled:opacity-50"
+                      >
+                        {splittingId === segment.id ? 'Cancel split' : 'Split...'}
+                      </button>
+                      {index < segments.length - 1 && (
+                        <button
+                          type="button"
+                          onClick={() => handleMerge(index)}
+                          disabled={importing}
+                          className="text-primary-600 hover:text-primary-700 disabled:opacity-50"
+                        >
+                          Merge with next
+                        </button>
+                      )}
+                    </div>
+                  </div>
+
+                  {splittingId === segment.id && (
+                    <div className="mt-2 ml-7 border border-gray-200 rounded max-h-48 overflow-y-auto">
+                      <p className="px-2 py-1 text-xs text-gray-500 bg-gray-50 border-b border-gray-200">
+                        Click the line where the next song starts
+                      </p>
+                      {segment.lines.map((line, lineIndex) => (
+                        <button
+                          key={lineIndex}
+                          type="button"
+                          onClick={() => handleSplit(index, lineIndex)}
+                          disabled={lineIndex === 0}
+                          className="w-full text-left px-2 py-0.5 text-xs font-mono truncate hover:bg-primary-50 disabled:text-gray-400 disabled:hover:bg-transparent"
+                        >
+                          {line}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            <div className="mt-4 space-y-2">
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={addToSongbook}
+                  onChange={(e) => setAddToSongbook(e.target.checked)}
+                  disabled={importing}
+                  className="rounded"
+                />
+                Add these songs to a new songbook
+              </label>
+              {addToSongbook && (
+                <input
+                  type="text"
+                  value={songbookTitle}
+                  onChange={(e) => setSongbookTitle(e.target.value)}
+                  placeholder="Songbook title"
+                  disabled={importing}
+                  className="input"
+                />
+              )}
+            </div>
+
+            {importing && (
+              <div className="mt-4">
+                <ProgressIndicator progress={progress} />
+              </div>
+            )}
+
+            <div className="flex gap-3 justify-end mt-4">
+              <button
+                onClick={() => {
+                  setSegments(null);
+                  setError(null);
+                }}
+                disabled={importing}
+                className="btn btn-secondary"
+              >
+                Back
+              </button>
+              <button
+                onClick={handleImport}
+                disabled={importing || selectedSegments.length === 0}
+                className="btn btn-primary"
+              >
+                {importing
+                  ? 'Importing...'
+                  : `Import ${selectedSegments.length} Song${selectedSegments.length !== 1 ? 's' : ''}`}
+              </button>
+            </div>
+          </>
+        )}
+
+        {error && (
+          <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded text-red-700 text-sm">
+            {error}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Spinner with a progress message and optional progress bar
+function ProgressIndicator({ progress }) {
+  return (
+    <div className="space-y-4">
+      <div className="flex justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+      <div>
+        <p className="text-sm font-medium text-gray-700 text-center">{progress?.message || 'Processing...'}</p>
+        {progress?.progress !== undefined && (
+          <div className="mt-2 w-full bg-gray-200 rounded-full h-2">
+            <div
+              className="bg-primary-600 h-2 rounded-full transition-all duration-300"
+              style={{ width: `${progress.progress * 100}%` }}
+            ></div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -4,6 +4,10 @@ import { useAllDatabaseChords } from '../db/queries';
 import CustomChordModal from './CustomChordModal';
 import { createPersonalChord } from '../db/mutations';
 import ChordDiagram from './ChordDiagram';
+import { generateVoicings } from '../utils/chord-voicings';
+
+// Generated voicings offered for the typed chord name
+const MORE_VOICINGS_LIMIT = 6;
 
 /**
  * Extract unique chords from lyrics text that are in [ChordName] format
@@ -256,6 +260,17 @@ export default function StyledChordEditor({
     });
   }, [libraryFilteredNames, getVariationsForName, instrument, tuning, dbChords]);
 
+  // Generated voicings for the typed chord name that the libraries don't already have
+  const moreVoicings = useMemo(() => {
+    const normalized = normalizeQuery(query);
+    if (!normalized) return [];
+    const chordName = normalized.charAt(0).toUpperCase() + normalized.slice(1);
+    const knownFrets = new Set(getVariationsForName(chordName).map(c => c.frets));
+    return generateVoicings(chordName, instrument, tuning, { limit: MORE_VOICINGS_LIMIT + knownFrets.size })
+      .filter(voicing => !knownFrets.has(voicing.frets))
+      .slice(0, MORE_VOICINGS_LIMIT);
+  }, [query, getVariationsForName, instrument, tuning]);
+
   // Elements (headings and instructions) - always available
   const elements = [
     { type: 'heading', label: 'Heading', icon: '📝' },
@@ -272,10 +287,13 @@ export default function StyledChordEditor({
     );
   }, [query]);
 
+  // Dropdown index of the "Create custom chord" option (always last)
+  const createCustomIndex = filteredElements.length + usedFiltered.length + libraryFiltered.length + moreVoicings.length;
+
   // Reset selected index when filtered chords change
   useEffect(() => {
     setSelectedIndex(0);
-  }, [usedFiltered.length, libraryFiltered.length, filteredElements.length]);
+  }, [usedFiltered.length, libraryFiltered.length, filteredElements.length, moreVoicings.length]);
 
   // Close dropdown when clicking outside
   useEffect(() => {
@@ -640,7 +658,7 @@ export default function StyledChordEditor({
 
   const handleKeyDown = (e) => {
     if (showDropdown) {
-      const totalItems = filteredElements.length + usedFiltered.length + libraryFiltered.length + 1; // +1 for "Create custom chord"
+      const totalItems = createCustomIndex + 1; // +1 for "Create custom chord"
       
       if (e.key === 'ArrowDown') {
         e.preventDefault();
@@ -660,6 +678,12 @@ export default function StyledChordEditor({
           // Element selected - use insertPositionRef.current directly, just like chords do
           const element = filteredElements[selectedIndex];
           insertElement(element.type);
+        } else if (selectedIndex >= createCustomIndex - moreVoicings.length) {
+          // Generated voicing selected
+          const voicing = moreVoicings[selectedIndex - (createCustomIndex - moreVoicings.length)];
+          if (voicing) {
+            insertVoicing(voicing);
+          }
         } else {
           // Chord selected
           const chordIndex = selectedIndex - filteredElements.length;
@@ -903,6 +927,21 @@ export default function StyledChordEditor({
     }
   };
 
+  // Insert a generated voicing. The easiest one is what the chord name resolves to anyway;
+  // any other shape is saved to the personal library so the song keeps it
+  const insertVoicing = (voicing) => {
+    if (getChordData(voicing.name)?.frets === voicing.frets) {
+      insertChord(voicing.name);
+      return;
+    }
+    handleCustomChordSave({
+      name: voicing.name,
+      frets: voicing.frets,
+      instrument,
+      tuning,
+    });
+  };
+
   // Calculate dropdown position
   useEffect(() => {
     if (!showDropdown || !editorRef.current) return;
@@ -989,7 +1028,7 @@ export default function StyledChordEditor({
                 )}
               </div>
             )}
-            {filteredElements.length === 0 && usedFiltered.length === 0 && libraryFiltered.length === 0 ? (
+            {filteredElements.length === 0 && usedFiltered.length === 0 && libraryFiltered.length === 0 && moreVoicings.length === 0 ? (
               <div className="px-4 py-2 text-gray-500 text-sm">
                 No results found
               </div>
@@ -1135,6 +1174,52 @@ export default function StyledChordEditor({
                     })}
                   </>
                 )}
+
+                {moreVoicings.length > 0 && (
+                  <>
+                    {(filteredElements.length > 0 || usedFiltered.length > 0 || libraryFiltered.length > 0) && (
+                      <div className="border-t border-gray-200"></div>
+                    )}
+                    <div className="px-4 py-2 text-xs font-semibold text-gray-500 bg-gray-50 border-b border-gray-200">
+                      More voicings
+                    </div>
+                    {moreVoicings.map((voicing, index) => {
+                      const globalIndex = createCustomIndex - moreVoicings.length + index;
+                      const isSelected = globalIndex === selectedIndex;
+
+                      return (
+                        <button
+                          key={`voicing-${voicing.name}-${voicing.frets}`}
+                          type="button"
+                          data-selected={isSelected}
+                          onClick={(e) => {
+                            e.preventDefault();
+                            e.stopPropagation();
+                            insertVoicing(voicing);
+                          }}
+                          className={`w-full text-left px-3 py-2 text-sm hover:bg-gray-100 transition-colors flex items-center gap-3 ${
+                            isSelected ? 'bg-primary-50 text-primary-700 font-medium' : ''
+                          }`}
+                        >
+                          <div className="flex-shrink-0">
+                            <ChordDiagram
+                              frets={voicing.frets}
+                              chordName=""
+                              instrument={instrument}
+                              tuning={tuning}
+                            />
+                          </div>
+                          <div className="flex-1 flex items-center gap-2 min-w-0">
+                            <span className="font-medium">{voicing.name}</span>
+                            <span className="text-xs text-gray-400 flex-shrink-0" title="Generated voicing">
+                              ✨
+                            </span>
+                          </div>
+                        </button>
+                      );
+                    })}
+                  </>
+                )}
               </>
             )}
           </div>
@@ -1143,7 +1228,7 @@ export default function StyledChordEditor({
           <div className="border-t border-gray-200 bg-white sticky bottom-0">
             <button
               type="button"
-              data-selected={selectedIndex === filteredElements.length + usedFiltered.length + libraryFiltered.length}
+              data-selected={selectedIndex === createCustomIndex}
               onClick={(e) => {
                 e.preventDefault();
                 e.stopPropagation();
@@ -1152,13 +1237,13 @@ export default function StyledChordEditor({
               }}
               className="w-full text-left px-4 py-2 text-sm hover:bg-gray-100 transition-colors"
               style={{
-                backgroundColor: selectedIndex === filteredElements.length + usedFiltered.length + libraryFiltered.length 
+                backgroundColor: selectedIndex === createCustomIndex
                   ? '#eff6ff' 
                   : 'transparent',
-                color: selectedIndex === filteredElements.length + usedFiltered.length + libraryFiltered.length 
+                color: selectedIndex === createCustomIndex
                   ? '#1e40af' 
                   : '#111827',
-                fontWeight: selectedIndex === filteredElements.length + usedFiltered.length + libraryFiltered.length 
+                fontWeight: selectedIndex === createCustomIndex
                   ? '500' 
                   : '400',
               }}
@@ -0,0 +1,189 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { db } from '../db/schema';
+import { useAuth } from './AuthContext';
+import { useUserProfile } from '../db/queries';
+import { MeetingSessionContext } from './useMeetingSession';
+
+// The joined session survives reloads within the tab
+const STORAGE_KEY = 'meeting_session';
+const EMPTY_PRESENCE = { me: null, peers: {}, isLoading: true };
+
+function readStoredSession() {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || null;
+  } catch {
+    return null;
+  }
+}
+
+function getDisplayName(profile, user) {
+  const name = `${profile?.firstName || ''} ${profile?.lastName || ''}`.trim();
+  return name || profile?.email || user?.email || 'Member';
+}
+
+/**
+ * Work out who leads the session from everyone's presence.
+ * A leader handing off keeps the lead (with handoffTo set) until the new leader has
+ * claimed it, so the session is never left without one. If two members briefly both
+ * claim the lead, whoever claimed it first wins.
+ */
+function getSessionLeader(participants) {
+  const hasClaimed = (peerId) => participants.some(p => p.peerId === peerId && p.isLeader);
+  return participants
+    .filter(p => p.isLeader && !(p.handoffTo && hasClaimed(p.handoffTo)))
+    .sort((a, b) => (a.leaderSince || 0) - (b.leaderSince || 0))[0] || null;
+}
+
+/**
+ * Joins the InstantDB presence room for a meeting session.
+ * Renders nothing: presence is reported to the provider through onPresence and the
+ * publish function is exposed through handlesRef (its identity can change per render).
+ */
+function MeetingSessionRoom({ meetingId, initialPresence, onPresence, onLeadChange, handlesRef }) {
+  const room = db.room('meetingSession', meetingId);
+  const { user: me, peers, isLoading, publishPresence } = db.rooms.usePresence(room, {
+    initialPresence,
+  });
+
+  handlesRef.current = { publishPresence };
+
+  // Lead handoff, driven by presence (see getSessionLeader)
+  useEffect(() => {
+    if (!me?.peerId) return;
+    const others = Object.values(peers || {});
+
+    // Claim the lead when the current leader hands it to us
+    if (!me.isLeader && others.some(p => p.isLeader && p.handoffTo === me.peerId)) {
+      publishPresence({ isLeader: true, leaderSince: Date.now(), handoffTo: null, following: true });
+      onLeadChange(true);
+      return;
+    }
+
+    // Step down once the new leader has claimed the lead, or keep it if they left first
+    if (me.isLeader && me.handoffTo) {
+      const target = others.find(p => p.peerId === me.handoffTo);
+      if (!target) {
+        publishPresence({ handoffTo: null });
+      } else if (target.isLeader) {
+        publishPresence({ isLeader: false, leaderSince: null, handoffTo: null });
+        onLeadChange(false);
+      }
+    }
+  }, [me, peers, publishPresence, onLeadChange]);
+
+  useEffect(() => {
+    onPresence({ me: me || null, peers: peers || {}, isLoading });
+  }, [me, peers, isLoading, onPresence]);
+
+  return null;
+}
+
+export function MeetingSessionProvider({ children }) {
+  const { user } = useAuth();
+  const { data: profileData } = useUserProfile(user?.id);
+  const [session, setSession] = useState(readStoredSession);
+  const [presence, setPresence] = useState(EMPTY_PRESENCE);
+  const handlesRef = useRef(null);
+
+  useEffect(() => {
+    if (session) {
+      sessionStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+    } else {
+      sessionStorage.removeItem(STORAGE_KEY);
+    }
+  }, [session]);
+
+  const joinSession = useCallback((meetingId, { title = '', lead = false } = {}) => {
+    setPresence(EMPTY_PRESENCE);
+    setSession({ meetingId, title, lead, joinedAt: Date.now() });
+  }, []);
+
+  const leaveSession = useCallback(() => {
+    setSession(null);
+    setPresence(EMPTY_PRESENCE);
+  }, []);
+
+  const publish = useCallback((data) => {
+    handlesRef.current?.publishPresence(data);
+  }, []);
+
+  const setFollowing = useCallback((following) => {
+    publish({ following });
+  }, [publish]);
+
+  const publishPosition = useCallback(({ songId, scroll }) => {
+    publish({ songId: songId || null, scroll: scroll || 0 });
+  }, [publish]);
+
+  const takeLead = useCallback(() => {
+    publish({ isLeader: true, leaderSince: Date.now(), handoffTo: null, following: true });
+    setSession(current => current && { ...current, lead: true });
+  }, [publish]);
+
+  // One presence update: we keep leading until the new leader claims it
+  const handOff = useCallback((peerId) => {
+    publish({ handoffTo: peerId });
+  }, [publish]);
+
+  const handleLeadChange = useCallback((lead) => {
+    setSession(current => current && { ...current, lead });
+  }, []);
+
+  const value = useMemo(() => {
+    const { me, peers } = presence;
+    const participants = [me, ...Object.values(peers)].filter(Boolean);
+    const leader = getSessionLeader(participants);
+
+    return {
+      active: !!session,
+      meetingId: session?.meetingId || null,
+      title: session?.title || '',
+      isLoading: !!session && presence.isLoading,
+      me,
+      participants,
+      leader,
+      isLeader: !!me && leader?.peerId === me.peerId,
+      following: me?.following ?? true,
+      joinSession,
+      leaveSession,
+      setFollowing,
+      publishPosition,
+      takeLead,
+      handOff,
+    };
+  }, [session, presence, joinSession, leaveSession, setFollowing, publishPosition, takeLead, handOff]);
+
+  const name = getDisplayName(profileData?.$users?.[0], user);
+
+  // The profile can load after joining, so keep the shared name up to date
+  useEffect(() => {
+    if (session) {
+      publish({ name });
+    }
+  }, [session, name, publish]);
+
+  return (
+    <MeetingSessionContext.Provider value={value}>
+      {session && user && (
+        <MeetingSessionRoom
+          key={`${session.meetingId}-${session.joinedAt}`}
+          meetingId={session.meetingId}
+          initialPresence={{
+            userId: user.id,
+            name,
+            isLeader: !!session.lead,
+            leaderSince: session.lead ? session.joinedAt : null,
+            handoffTo: null,
+            following: true,
+            songId: null,
+            scroll: 0,
+          }}
+          onPresence={setPresence}
+          onLeadChange={handleLeadChange}
+          handlesRef={handlesRef}
+        />
+      )}
+      {children}
+    </MeetingSessionContext.Provider>
+  );
+}
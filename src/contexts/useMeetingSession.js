@@ -0,0 +1,12 @@
+import { createContext, useContext } from 'react';
+
+// Kept apart from MeetingSessionProvider so that file only exports components (fast refresh)
+export const MeetingSessionContext = createContext(null);
+
+export function useMeetingSession() {
+  const context = useContext(MeetingSessionContext);
+  if (!context) {
+    throw new Error('useMeetingSession must be used within MeetingSessionProvider');
+  }
+  return context;
+}
@@ -144,5 +144,171 @@ export const CHORD_SEED_DATA = [
   
   // Test chord requiring fret number (maxFret > 4)
   { name: 'Bm5', frets: '5775', instrument: 'ukulele', tuning: 'ukulele_standard', variation: 'standard' },
+  
+  // Guitar Chords (standard EADGBE, low E first)
+  { name: 'C', frets: 'x32010', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'D', frets: 'xx0232', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'E', frets: '022100', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'F', frets: '133211', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'G', frets: '320003', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'A', frets: 'x02220', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'B', frets: 'x24442', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'C#', frets: 'x46664', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Db', frets: 'x46664', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'D#', frets: 'x65343', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Eb', frets: 'x65343', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'F#', frets: '244322', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Gb', frets: '244322', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'G#', frets: '466544', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Ab', frets: '466544', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'A#', frets: 'x13331', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Bb', frets: 'x13331', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Am', frets: 'x02210', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Bm', frets: 'x24432', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Cm', frets: 'x35543', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Dm', frets: 'xx0231', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Em', frets: '022000', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Fm', frets: '133111', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Gm', frets: '355333', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'C#m', frets: 'x46654', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'F#m', frets: '244222', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'G#m', frets: '466444', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'A#m', frets: 'x13321', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Bbm', frets: 'x13321', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'D#m', frets: 'xx4342', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Ebm', frets: 'xx4342', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'C7', frets: 'x32310', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'D7', frets: 'xx0212', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'E7', frets: '020100', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'F7', frets: '131211', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'G7', frets: '320001', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'A7', frets: 'x02020', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'B7', frets: 'x21202', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Bb7', frets: 'x13131', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'F#7', frets: '242322', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Cmaj7', frets: 'x32000', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Dmaj7', frets: 'xx0222', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Emaj7', frets: '021100', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Fmaj7', frets: 'xx3210', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Gmaj7', frets: '320002', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Amaj7', frets: 'x02120', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Am7', frets: 'x02010', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Bm7', frets: 'x20202', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Cm7', frets: 'x35343', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Dm7', frets: 'xx0211', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Em7', frets: '020000', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'F#m7', frets: '242222', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Gm7', frets: '353333', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Csus4', frets: 'x33010', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Dsus4', frets: 'xx0233', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Esus4', frets: '022200', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Gsus4', frets: '330013', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Asus4', frets: 'x02230', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Dsus2', frets: 'xx0230', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Asus2', frets: 'x02200', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Cadd9', frets: 'x32030', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Cdim', frets: 'x3424x', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+  { name: 'Caug', frets: 'x32110', instrument: 'guitar', tuning: 'guitar_standard', variation: 'standard' },
+
+  
+  // Baritone Ukulele Chords (DGBE)
+  { name: 'C', frets: '2010', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'D', frets: '0232', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'E', frets: '2100', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'F', frets: '3211', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'G', frets: '0003', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'A', frets: '2220', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'B', frets: '4442', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'C#', frets: '3121', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'Db', frets: '3121', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'Eb', frets: '1343', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'D#', frets: '1343', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'F#', frets: '4322', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'Gb', frets: '4322', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'Ab', frets: '1114', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'G#', frets: '1114', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'Bb', frets: '3331', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'A#', frets: '3331', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'Am', frets: '2210', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'Bm', frets: '4432', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'Cm', frets: '5543', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'Dm', frets: '0231', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'Em', frets: '2000', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'Fm', frets: '3111', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'Gm', frets: '0333', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'C#m', frets: '6654', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'F#m', frets: '4222', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'C7', frets: '2310', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'D7', frets: '0212', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'E7', frets: '2130', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'F7', frets: '3241', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'G7', frets: '0001', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'A7', frets: '2223', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'B7', frets: '1202', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'Am7', frets: '2213', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'Dm7', frets: '0211', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'Em7', frets: '2030', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'Dmaj7', frets: '0222', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'Fmaj7', frets: '3210', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'Gmaj7', frets: '0002', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'Dsus4', frets: '0233', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'Dsus2', frets: '0230', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'Asus4', frets: '2230', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+  { name: 'Asus2', frets: '2200', instrument: 'ukulele', tuning: 'ukulele_baritone', variation: 'standard' },
+
+  
+  // Mandolin Chords (GDAE)
+  { name: 'C', frets: '0230', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'D', frets: '2002', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'E', frets: '1224', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'F', frets: '5301', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'G', frets: '0023', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'A', frets: '2245', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'B', frets: '4456', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'Bb', frets: '3011', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'A#', frets: '3011', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'Eb', frets: '0116', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'D#', frets: '0116', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'F#', frets: '3446', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'Gb', frets: '3446', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'Am', frets: '2235', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'Bm', frets: '4452', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'Cm', frets: '0133', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'Dm', frets: '2001', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'Em', frets: '0220', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'F#m', frets: '6445', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'Gm', frets: '0013', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'C7', frets: '3230', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'D7', frets: '2032', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'E7', frets: '1020', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'G7', frets: '0021', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'A7', frets: '2243', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'Am7', frets: '2233', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'Em7', frets: '0020', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'Dmaj7', frets: '2042', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'Gmaj7', frets: '0022', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'Dsus4', frets: '2003', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+  { name: 'Asus4', frets: '2255', instrument: 'mandolin', tuning: 'mandolin_standard', variation: 'standard' },
+
+  
+  // Banjo Chords (5-string, open G gDGBD - short 5th string first)
+  { name: 'C', frets: '02012', instrument: 'banjo', tuning: 'banjo_open_g', variation: 'standard' },
+  { name: 'D', frets: '00234', instrument: 'banjo', tuning: 'banjo_open_g', variation: 'standard' },
+  { name: 'E', frets: '02102', instrument: 'banjo', tuning: 'banjo_open_g', variation: 'standard' },
+  { name: 'F', frets: '03213', instrument: 'banjo', tuning: 'banjo_open_g', variation: 'standard' },
+  { name: 'G', frets: '00000', instrument: 'banjo', tuning: 'banjo_open_g', variation: 'standard' },
+  { name: 'A', frets: '02222', instrument: 'banjo', tuning: 'banjo_open_g', variation: 'standard' },
+  { name: 'Bb', frets: '03333', instrument: 'banjo', tuning: 'banjo_open_g', variation: 'standard' },
+  { name: 'A#', frets: '03333', instrument: 'banjo', tuning: 'banjo_open_g', variation: 'standard' },
+  { name: 'Am', frets: '02212', instrument: 'banjo', tuning: 'banjo_open_g', variation: 'standard' },
+  { name: 'Bm', frets: '04434', instrument: 'banjo', tuning: 'banjo_open_g', variation: 'standard' },
+  { name: 'Dm', frets: '00233', instrument: 'banjo', tuning: 'banjo_open_g', variation: 'standard' },
+  { name: 'Em', frets: '02000', instrument: 'banjo', tuning: 'banjo_open_g', variation: 'standard' },
+  { name: 'Gm', frets: '00330', instrument: 'banjo', tuning: 'banjo_open_g', variation: 'standard' },
+  { name: 'C7', frets: '02312', instrument: 'banjo', tuning: 'banjo_open_g', variation: 'standard' },
+  { name: 'D7', frets: '00210', instrument: 'banjo', tuning: 'banjo_open_g', variation: 'standard' },
+  { name: 'E7', frets: '02100', instrument: 'banjo', tuning: 'banjo_open_g', variation: 'standard' },
+  { name: 'G7', frets: '00003', instrument: 'banjo', tuning: 'banjo_open_g', variation: 'standard' },
+  { name: 'A7', frets: '02022', instrument: 'banjo', tuning: 'banjo_open_g', variation: 'standard' },
 ];
 
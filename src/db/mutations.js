@@ -7,17 +7,45 @@
 
 import { db } from './schema';
 import { id } from '@instantdb/react';
+import { detectKeyFromChordsJson } from '../utils/key-detection';
+import {
+  SERIES_SCOPES,
+  addDays,
+  startOfDay,
+  getOccurrenceDates,
+  getRollingWindowEnd,
+} from '../utils/recurrence';
+import { getMeetingStart } from '../utils/meetings';
+
+// Optional song metadata fields (key is handled separately as the manual key override)
+const SONG_METADATA_FIELDS = ['tempo', 'duration', 'timeSignature', 'capo', 'difficulty', 'year', 'tags'];
 
 /**
- * Create a new song
- * @param {Object} songData - Song data (title, artist, lyrics, chords, createdBy, parentSongId)
- * @returns {Promise<string>} Promise that resolves with the new song ID
+ * Pick the song metadata fields present in an object, storing blank values as null
+ * @param {Object} data - Song data or updates
+ * @returns {Object} Metadata fields to write
  */
-export async function createSong(songData) {
-  const { title, artist, lyrics, chords, createdBy, parentSongId, embeddedChords } = songData;
-  
-  // Generate song ID first so we can return it
-  const songId = id();
+function getSongMetadataFields(data) {
+  const fields = {};
+  SONG_METADATA_FIELDS.forEach(field => {
+    if (data[field] === undefined) return;
+    const value = data[field];
+    fields[field] = Array.isArray(value)
+      ? (value.length > 0 ? value : null)
+      : (value || null);
+  });
+  return fields;
+}
+
+/**
+ * Build the transaction that creates a song
+ * The detected key is derived from the chords; `key` is an optional manual override.
+ * @param {string} songId - New song ID
+ * @param {Object} songData - Song data (see createSong)
+ * @returns {Object} Transaction chunk
+ */
+function createSongTx(songId, songData) {
+  const { title, artist, lyrics, chords, createdBy, parentSongId, embeddedChords, key } = songData;
   
   // Always explicitly set chords - use empty JSON array if not provided
   // InstantDB may require a non-null value, so use "[]" as default
@@ -25,23 +53,52 @@ export async function createSong(songData) {
     ? chords 
     : '[]';
   
-  await db.transact(
-    db.tx.songs[songId].update({
-      title: title.trim(),
-      lyrics: lyrics, // Don't trim - preserve line breaks and formatting
-      artist: artist?.trim() || null,
-      chords: chordsValue,
-      embeddedChords: embeddedChords || null,
-      createdBy,
-      parentSongId: parentSongId || null,
-      createdAt: Date.now(),
-      updatedAt: Date.now(),
-    })
-  );
+  return db.tx.songs[songId].update({
+    title: title.trim(),
+    lyrics: lyrics, // Don't trim - preserve line breaks and formatting
+    artist: artist?.trim() || null,
+    chords: chordsValue,
+    embeddedChords: embeddedChords || null,
+    key: key || null,
+    detectedKey: detectKeyFromChordsJson(chordsValue),
+    ...getSongMetadataFields(songData),
+    createdBy,
+    parentSongId: parentSongId || null,
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+  });
+}
+
+/**
+ * Create a new song
+ * The detected key is derived from the chords; `key` is an optional manual override.
+ * @param {Object} songData - Song data (title, artist, lyrics, chords, createdBy, parentSongId, embeddedChords,
+ *   plus optional metadata: key, tempo, duration, timeSignature, capo, difficulty, year, tags)
+ * @returns {Promise<string>} Promise that resolves with the new song ID
+ */
+export async function createSong(songData) {
+  // Generate song ID first so we can return it
+  const songId = id();
+  
+  await db.transact(createSongTx(songId, songData));
   
   return songId;
 }
 
+/**
+ * Create several songs in one transaction (e.g., a songbook import), so either all
+ * of them are saved or none are
+ * @param {Array<Object>} songsData - Song data for each song (see createSong)
+ * @returns {Promise<Array<string>>} Promise that resolves with the new song IDs, in order
+ */
+export async function createSongs(songsData) {
+  const songIds = songsData.map(() => id());
+  
+  await db.transact(songsData.map((songData, index) => createSongTx(songIds[index], songData)));
+  
+  return songIds;
+}
+
 /**
  * Copy a song (creates a new song owned by the user, based on an original)
  * @param {Object} originalSong - The original song object
@@ -54,6 +111,14 @@ export async function copySong(originalSong, userId) {
     artist: originalSong.artist || null,
     lyrics: originalSong.lyrics,
     chords: originalSong.chords || '[]',
+    key: originalSong.key || null,
+    tempo: originalSong.tempo,
+    duration: originalSong.duration,
+    timeSignature: originalSong.timeSignature,
+    capo: originalSong.capo,
+    difficulty: originalSong.difficulty,
+    year: originalSong.year,
+    tags: originalSong.tags,
     createdBy: userId,
     parentSongId: originalSong.id, // Track that this is a copy
   });
@@ -79,6 +144,7 @@ export async function updateSong(songId, updates) {
     lyrics: updates.lyrics, // Don't trim - preserve line breaks and formatting
     artist: updates.artist?.trim() || null,
     chords: chordsValue,
+    detectedKey: detectKeyFromChordsJson(chordsValue),
     updatedAt: Date.now(),
   };
   
@@ -86,12 +152,35 @@ export async function updateSong(songId, updates) {
   if (updates.embeddedChords !== undefined) {
     updateData.embeddedChords = updates.embeddedChords || null;
   }
+
+  // Include manual key override if provided
+  if (updates.key !== undefined) {
+    updateData.key = updates.key || null;
+  }
+
+  // Include song metadata (tempo, duration, time signature, etc.) if provided
+  Object.assign(updateData, getSongMetadataFields(updates));
   
   return db.transact(
     db.tx.songs[songId].update(updateData)
   );
 }
 
+/**
+ * Set or clear the manual key override of a song
+ * @param {string} songId - Song ID
+ * @param {string|null} key - Key name (e.g., "G", "Em"), or null to use the detected key
+ * @returns {Promise} Transaction promise
+ */
+export async function updateSongKey(songId, key) {
+  return db.transact(
+    db.tx.songs[songId].update({
+      key: key || null,
+      updatedAt: Date.now(),
+    })
+  );
+}
+
 /**
  * Delete a song
  * @param {string} songId - Song ID
@@ -112,12 +201,14 @@ export async function createRSVP(rsvpData) {
   const { meetingId, userId, response } = rsvpData;
   
   return db.transact(
-    db.tx.meetingRSVPs[id()].update({
-      meetingId,
-      userId,
-      response,
-      respondedAt: Date.now(),
-    })
+    db.tx.meetingRSVPs[id()]
+      .update({
+        meetingId,
+        userId,
+        response,
+        respondedAt: Date.now(),
+      })
+      .link({ meeting: meetingId })
   );
 }
 
@@ -128,13 +219,12 @@ export async function createRSVP(rsvpData) {
  * @returns {Promise} Transaction promise
  */
 export async function updateRSVP(rsvpId, response) {
-  return db.transact({
-    meetingRSVPs: {
-      id: rsvpId,
+  return db.transact(
+    db.tx.meetingRSVPs[rsvpId].update({
       response,
       respondedAt: Date.now(),
-    },
-  });
+    })
+  );
 }
 
 /**
@@ -170,13 +260,15 @@ export async function createGroup(groupData) {
       createdBy,
       createdAt: now,
     }),
-    db.tx.groupMembers[membershipId].update({
-      groupId,
-      userId: createdBy,
-      role: 'admin',
-      status: 'approved',
-      joinedAt: now,
-    }),
+    db.tx.groupMembers[membershipId]
+      .update({
+        groupId,
+        userId: createdBy,
+        role: 'admin',
+        status: 'approved',
+        joinedAt: now,
+      })
+      .link({ group: groupId, approvedGroup: groupId }),
   ];
   
   await db.transact(transactions);
@@ -198,7 +290,7 @@ export async function createGroupWithAdmin(groupData) {
 /**
  * Create a new songbook
  * @param {Object} songbookData - Songbook data
- * @returns {Promise} Transaction promise
+ * @returns {Promise<string>} Promise that resolves to the new songbook ID
  */
 export async function createSongbook(songbookData) {
   const { title, description, type, groupId, createdBy } = songbookData;
@@ -216,9 +308,12 @@ export async function createSongbook(songbookData) {
     updatedAt: Date.now(),
   };
   
-  return db.transact(
-    db.tx.songbooks[id()].update(updateData)
+  const songbookId = id();
+  await db.transact(
+    db.tx.songbooks[songbookId].update(updateData)
   );
+
+  return songbookId;
 }
 
 /**
@@ -331,6 +426,26 @@ export async function addSongToSongbook(songbookId, songId, order, options = {})
   );
 }
 
+/**
+ * Add several songs to a songbook in one transaction
+ * @param {string} songbookId - Songbook ID
+ * @param {Array<string>} songIds - Song IDs in the order they should appear
+ * @param {number} startOrder - Order position for the first song (default 0)
+ * @returns {Promise} Transaction promise
+ */
+export async function addSongsToSongbook(songbookId, songIds, startOrder = 0) {
+  return db.transact(
+    songIds.map((songId, index) =>
+      db.tx.songbookSongs[id()].update({
+        songbookId,
+        songId,
+        order: startOrder + index,
+        addedAt: Date.now(),
+      })
+    )
+  );
+}
+
 /**
  * Remove a song from a songbook
  * @param {string} songbookSongId - SongbookSong ID
@@ -472,8 +587,9 @@ export async function createMainLibraryChord(chordData) {
 
 /**
  * Create a new meeting
- * @param {Object} meetingData - Meeting data
- * @returns {Promise} Transaction promise
+ * Links the meeting to its group (required by the meeting permissions) and songbook
+ * @param {Object} meetingData - Meeting data (groupId, title, description, date, time, location, createdBy, songbookId)
+ * @returns {Promise<string>} Promise that resolves to the new meeting ID
  */
 export async function createMeeting(meetingData) {
   const {
@@ -486,9 +602,10 @@ export async function createMeeting(meetingData) {
     createdBy,
     songbookId,
   } = meetingData;
+  const meetingId = id();
   
-  return db.transact(
-    db.tx.meetings[id()].update({
+  let transaction = db.tx.meetings[meetingId]
+    .update({
       groupId,
       title: title.trim(),
       description: description?.trim() || null,
@@ -499,7 +616,547 @@ export async function createMeeting(meetingData) {
       songbookId: songbookId || null,
       createdAt: Date.now(),
     })
+    .link({ group: groupId });
+  if (songbookId) {
+    transaction = transaction.link({ songbook: songbookId });
+  }
+  
+  await db.transact(transaction);
+  return meetingId;
+}
+
+/**
+ * Normalize editable meeting details, keeping only the fields present in updates
+ * @param {Object} updates - Fields to update (title, description, date, time, location, songbookId)
+ * @returns {Object} Trimmed fields ready to store
+ */
+function normalizeMeetingDetails(updates) {
+  const details = {};
+  
+  if (updates.title !== undefined) {
+    details.title = updates.title.trim();
+  }
+  if (updates.description !== undefined) {
+    details.description = updates.description?.trim() || null;
+  }
+  if (updates.date !== undefined) {
+    details.date = updates.date;
+  }
+  if (updates.time !== undefined) {
+    details.time = updates.time.trim();
+  }
+  if (updates.location !== undefined) {
+    details.location = updates.location?.trim() || null;
+  }
+  if (updates.songbookId !== undefined) {
+    details.songbookId = updates.songbookId || null;
+  }
+  
+  return details;
+}
+
+/**
+ * Move a meeting transaction's songbook link when the songbook changes
+ * @param {Object} transaction - Meeting transaction chunk
+ * @param {string} previousSongbookId - Currently attached songbook ID
+ * @param {string|null|undefined} songbookId - New songbook ID (undefined = unchanged)
+ * @returns {Object} Transaction chunk
+ */
+function relinkMeetingSongbook(transaction, previousSongbookId, songbookId) {
+  if (songbookId === undefined || songbookId === (previousSongbookId || null)) {
+    return transaction;
+  }
+  if (previousSongbookId) {
+    transaction = transaction.unlink({ songbook: previousSongbookId });
+  }
+  if (songbookId) {
+    transaction = transaction.link({ songbook: songbookId });
+  }
+  return transaction;
+}
+
+/**
+ * Update a meeting
+ * For a meeting in a series this edits just this occurrence (see updateMeetingSeries)
+ * @param {string} meetingId - Meeting ID
+ * @param {Object} updates - Fields to update (title, description, date, time, location, songbookId)
+ * @param {string} previousSongbookId - Currently attached songbook ID (unlinked if the songbook changes)
+ * @returns {Promise} Transaction promise
+ */
+export async function updateMeeting(meetingId, updates, previousSongbookId = null) {
+  const updateData = normalizeMeetingDetails(updates);
+  
+  return db.transact(
+    relinkMeetingSongbook(
+      db.tx.meetings[meetingId].update(updateData),
+      previousSongbookId,
+      updateData.songbookId
+    )
+  );
+}
+
+// Records that belong to a single meeting (by meetingId) and go when it is deleted
+const MEETING_CHILD_ENTITIES = ['meetingRSVPs', 'meetingSongs', 'meetingAttendance', 'songPlays'];
+
+/**
+ * Build the delete transactions for meetings and everything recorded against them
+ * (RSVPs, setlist songs, attendance and song plays), so nothing is left orphaned
+ * @param {Array<string>} meetingIds - Meeting IDs to delete
+ * @returns {Promise<Array>} Transaction chunks
+ */
+async function meetingDeleteTxs(meetingIds) {
+  if (meetingIds.length === 0) {
+    return [];
+  }
+  
+  const where = { meetingId: { $in: meetingIds } };
+  const { data } = await db.queryOnce(
+    Object.fromEntries(MEETING_CHILD_ENTITIES.map(entity => [entity, { $: { where } }]))
+  );
+  
+  return [
+    ...MEETING_CHILD_ENTITIES.flatMap(entity =>
+      (data[entity] || []).map(record => db.tx[entity][record.id].delete())
+    ),
+    ...meetingIds.map(meetingId => db.tx.meetings[meetingId].delete()),
+  ];
+}
+
+/**
+ * Delete (cancel) a meeting along with its RSVPs, setlist, attendance and song plays
+ * @param {string} meetingId - Meeting ID
+ * @returns {Promise} Transaction promise
+ */
+export async function deleteMeeting(meetingId) {
+  return db.transact(await meetingDeleteTxs([meetingId]));
+}
+
+/**
+ * Build the transaction for one generated occurrence of a meeting series
+ * @param {string} seriesId - Series ID
+ * @param {Object} series - Series fields (groupId, title, description, time, location, createdBy, songbookId)
+ * @param {number} date - Occurrence date timestamp
+ * @returns {Object} Transaction chunk
+ */
+function meetingOccurrenceTx(seriesId, series, date) {
+  let transaction = db.tx.meetings[id()]
+    .update({
+      groupId: series.groupId,
+      title: series.title,
+      description: series.description || null,
+      date,
+      originalDate: date,
+      time: series.time,
+      location: series.location || null,
+      createdBy: series.createdBy,
+      songbookId: series.songbookId || null,
+      seriesId,
+      status: 'scheduled',
+      createdAt: Date.now(),
+    })
+    .link({ group: series.groupId, series: seriesId });
+  if (series.songbookId) {
+    transaction = transaction.link({ songbook: series.songbookId });
+  }
+  return transaction;
+}
+
+/**
+ * Create a recurring meeting series
+ * Occurrences are generated as meetings for the rolling window ahead of today
+ * (see extendMeetingSeries for topping the window up)
+ * @param {Object} seriesData - Meeting data (groupId, title, description, date, time, location, createdBy, songbookId)
+ *   plus the recurrence rule (frequency, interval, untilDate); date is the first occurrence
+ * @returns {Promise<string>} Promise that resolves to the new series ID
+ */
+export async function createMeetingSeries(seriesData) {
+  const { groupId, createdBy, date, frequency, interval, untilDate } = seriesData;
+  const seriesId = id();
+  const windowEnd = getRollingWindowEnd();
+  const details = normalizeMeetingDetails({ ...seriesData, date: undefined });
+  const series = {
+    ...details,
+    groupId,
+    createdBy,
+    frequency,
+    interval: interval || 1,
+    startDate: date,
+    untilDate: untilDate || null,
+    generatedUntil: windowEnd,
+    createdAt: Date.now(),
+  };
+  
+  const occurrenceDates = getOccurrenceDates(series, startOfDay(Date.now()), windowEnd);
+  await db.transact([
+    db.tx.meetingSeries[seriesId].update(series).link({ group: groupId }),
+    ...occurrenceDates.map(occurrenceDate => meetingOccurrenceTx(seriesId, series, occurrenceDate)),
+  ]);
+  return seriesId;
+}
+
+/**
+ * Generate a series' occurrences up to the end of the rolling window
+ * Dates that already have an occurrence (including cancelled ones) are skipped
+ * @param {Object} series - meetingSeries record with its meetings
+ * @returns {Promise} Transaction promise
+ */
+export async function extendMeetingSeries(series) {
+  const windowEnd = getRollingWindowEnd();
+  const from = Math.max(addDays(series.generatedUntil || 0, 1), startOfDay(Date.now()));
+  const existingDates = new Set((series.meetings || []).map(m => m.originalDate));
+  const occurrenceDates = getOccurrenceDates(series, from, windowEnd)
+    .filter(occurrenceDate => !existingDates.has(occurrenceDate));
+  
+  return db.transact([
+    ...occurrenceDates.map(occurrenceDate => meetingOccurrenceTx(series.id, series, occurrenceDate)),
+    db.tx.meetingSeries[series.id].update({ generatedUntil: windowEnd }),
+  ]);
+}
+
+/**
+ * Check whether a "this and following" change starts mid-series
+ * (i.e. earlier occurrences exist and must stay on the original series)
+ * @param {Object} series - meetingSeries record with its meetings
+ * @param {Object} meeting - Occurrence the change starts from
+ * @returns {boolean} True if the series has to be split
+ */
+function isMidSeries(series, meeting) {
+  return (series.meetings || []).some(m => m.originalDate < meeting.originalDate);
+}
+
+/**
+ * Update a recurring meeting series
+ * - 'this': only this occurrence (same as updateMeeting)
+ * - 'following': this and later occurrences; earlier ones stay on the original series,
+ *   which ends the day before and a new series takes over
+ * - 'all': every occurrence in the series
+ * Detail changes only overwrite fields that differ from the series, so per-occurrence
+ * edits survive unrelated series edits. Schedule changes (rule, end date or moving this
+ * occurrence's date) regenerate upcoming occurrences: ones still on the new schedule are
+ * kept (with their RSVPs), the rest are removed along with their RSVPs, setlists,
+ * attendance and song plays, and missing dates are created.
+ * @param {Object} params
+ * @param {Object} params.series - meetingSeries record with its meetings
+ * @param {Object} params.meeting - Occurrence being edited
+ * @param {Object} params.updates - Meeting fields plus optional rule fields (frequency, interval, untilDate)
+ * @param {string} params.scope - 'this', 'following' or 'all'
+ * @returns {Promise} Transaction promise
+ */
+export async function updateMeetingSeries({ series, meeting, updates, scope }) {
+  if (scope === SERIES_SCOPES.THIS) {
+    return updateMeeting(meeting.id, updates, meeting.songbookId || null);
+  }
+  
+  const occurrences = series.meetings || [];
+  const pivotDate = meeting.originalDate;
+  const splitSeries = scope === SERIES_SCOPES.FOLLOWING && isMidSeries(series, meeting);
+  const details = normalizeMeetingDetails({ ...updates, date: undefined });
+  const changedDetails = Object.fromEntries(
+    Object.entries(details).filter(([field, value]) => value !== (series[field] ?? null))
   );
+  
+  // Moving this occurrence's date moves the schedule (and upcoming occurrences) by the same number of days
+  const shiftDays = updates.date !== undefined
+    ? Math.round((startOfDay(updates.date) - startOfDay(meeting.date)) / (24 * 60 * 60 * 1000))
+    : 0;
+  const rule = {
+    frequency: updates.frequency ?? series.frequency,
+    interval: updates.interval ?? series.interval,
+    untilDate: updates.untilDate !== undefined ? updates.untilDate || null : series.untilDate ?? null,
+    startDate: addDays(scope === SERIES_SCOPES.ALL ? series.startDate : pivotDate, shiftDays),
+  };
+  const scheduleChanged = rule.frequency !== series.frequency
+    || rule.interval !== series.interval
+    || rule.untilDate !== (series.untilDate ?? null)
+    || shiftDays !== 0;
+  
+  const windowEnd = getRollingWindowEnd();
+  const targetSeriesId = splitSeries ? id() : series.id;
+  const targetSeries = {
+    ...series,
+    ...details,
+    ...(scheduleChanged ? rule : {}),
+    generatedUntil: Math.max(series.generatedUntil || 0, windowEnd),
+  };
+  const transactions = [];
+  
+  if (splitSeries) {
+    transactions.push(
+      db.tx.meetingSeries[series.id].update({ untilDate: addDays(pivotDate, -1) }),
+      db.tx.meetingSeries[targetSeriesId]
+        .update({
+          groupId: series.groupId,
+          createdBy: series.createdBy,
+          createdAt: Date.now(),
+          title: targetSeries.title,
+          description: targetSeries.description || null,
+          time: targetSeries.time,
+          location: targetSeries.location || null,
+          songbookId: targetSeries.songbookId || null,
+          frequency: targetSeries.frequency,
+          interval: targetSeries.interval,
+          startDate: scheduleChanged ? rule.startDate : pivotDate,
+          untilDate: targetSeries.untilDate || null,
+          generatedUntil: targetSeries.generatedUntil,
+        })
+        .link({ group: series.groupId })
+    );
+  } else {
+    transactions.push(
+      db.tx.meetingSeries[series.id].update({
+        ...details,
+        ...(scheduleChanged ? rule : {}),
+        generatedUntil: targetSeries.generatedUntil,
+      })
+    );
+  }
+  
+  // Past occurrences are history: schedule changes only reshape upcoming ones
+  const regenerateFrom = scheduleChanged
+    ? Math.max(startOfDay(Date.now()), scope === SERIES_SCOPES.ALL ? 0 : pivotDate)
+    : Infinity;
+  const scheduleDates = scheduleChanged
+    ? new Set(getOccurrenceDates(rule, regenerateFrom, windowEnd))
+    : new Set();
+  const keptDates = new Set();
+  const removedMeetingIds = [];
+  
+  occurrences
+    .filter(occurrence => scope === SERIES_SCOPES.ALL || occurrence.originalDate >= pivotDate)
+    .forEach(occurrence => {
+      const isPivot = occurrence.id === meeting.id;
+      const reshaped = isPivot || occurrence.originalDate >= regenerateFrom;
+      const scheduleDate = reshaped
+        ? addDays(occurrence.originalDate, shiftDays)
+        : occurrence.originalDate;
+      if (scheduleDate >= regenerateFrom && !scheduleDates.has(scheduleDate)) {
+        removedMeetingIds.push(occurrence.id);
+        return;
+      }
+      keptDates.add(scheduleDate);
+      
+      const fields = isPivot ? { ...details } : { ...changedDetails };
+      if (reshaped && shiftDays !== 0) {
+        fields.date = addDays(occurrence.date, shiftDays);
+        fields.originalDate = scheduleDate;
+      }
+      if (splitSeries) {
+        fields.seriesId = targetSeriesId;
+      }
+      let transaction = db.tx.meetings[occurrence.id].update(fields);
+      if (splitSeries) {
+        transaction = transaction.unlink({ series: series.id }).link({ series: targetSeriesId });
+      }
+      transactions.push(relinkMeetingSongbook(transaction, occurrence.songbookId, fields.songbookId));
+    });
+  
+  [...scheduleDates]
+    .filter(occurrenceDate => !keptDates.has(occurrenceDate))
+    .forEach(occurrenceDate => {
+      transactions.push(meetingOccurrenceTx(targetSeriesId, targetSeries, occurrenceDate));
+    });
+  transactions.push(...await meetingDeleteTxs(removedMeetingIds));
+  
+  return db.transact(transactions);
+}
+
+/**
+ * Cancel meetings in a recurring series
+ * - 'this': marks this occurrence as cancelled (it stays visible, and can be restored)
+ * - 'following': ends the series the day before and removes this and later occurrences
+ * - 'all': deletes the series and all of its occurrences
+ * Removed occurrences take their RSVPs, setlists, attendance and song plays with them.
+ * @param {Object} params
+ * @param {Object} params.series - meetingSeries record with its meetings
+ * @param {Object} params.meeting - Occurrence being cancelled
+ * @param {string} params.scope - 'this', 'following' or 'all'
+ * @returns {Promise} Transaction promise
+ */
+export async function cancelMeetingSeries({ series, meeting, scope }) {
+  if (scope === SERIES_SCOPES.THIS) {
+    return db.transact(
+      db.tx.meetings[meeting.id].update({ status: 'cancelled' })
+    );
+  }
+  
+  const occurrences = series.meetings || [];
+  if (scope === SERIES_SCOPES.FOLLOWING && isMidSeries(series, meeting)) {
+    const removedMeetingIds = occurrences
+      .filter(occurrence => occurrence.originalDate >= meeting.originalDate)
+      .map(occurrence => occurrence.id);
+    return db.transact([
+      db.tx.meetingSeries[series.id].update({ untilDate: addDays(meeting.originalDate, -1) }),
+      ...await meetingDeleteTxs(removedMeetingIds),
+    ]);
+  }
+  
+  return db.transact([
+    ...await meetingDeleteTxs(occurrences.map(occurrence => occurrence.id)),
+    db.tx.meetingSeries[series.id].delete(),
+  ]);
+}
+
+/**
+ * Restore a cancelled occurrence of a recurring meeting
+ * @param {string} meetingId - Meeting ID
+ * @returns {Promise} Transaction promise
+ */
+export async function restoreMeetingOccurrence(meetingId) {
+  return db.transact(
+    db.tx.meetings[meetingId].update({ status: 'scheduled' })
+  );
+}
+
+/**
+ * Add songs to the end of a meeting's setlist
+ * @param {string} meetingId - Meeting ID
+ * @param {Array<string>} songIds - Song IDs in the order they should appear
+ * @param {number} startOrder - Order position for the first song (default 0)
+ * @returns {Promise} Transaction promise
+ */
+export async function addSongsToMeetingSetlist(meetingId, songIds, startOrder = 0) {
+  return db.transact(
+    songIds.map((songId, index) =>
+      db.tx.meetingSongs[id()]
+        .update({
+          meetingId,
+          songId,
+          order: startOrder + index,
+          played: false,
+        })
+        .link({ meeting: meetingId, song: songId })
+    )
+  );
+}
+
+/**
+ * Remove a song from a meeting's setlist
+ * @param {string} meetingSongId - MeetingSong ID
+ * @param {Array<string>} playIds - songPlays recorded for the setlist song (removed with it)
+ * @returns {Promise} Transaction promise
+ */
+export async function removeSongFromMeetingSetlist(meetingSongId, playIds = []) {
+  return db.transact([
+    db.tx.meetingSongs[meetingSongId].delete(),
+    ...playIds.map(playId => db.tx.songPlays[playId].delete()),
+  ]);
+}
+
+/**
+ * Save a new setlist order
+ * @param {Array<Object>} meetingSongs - MeetingSong objects in their new order
+ * @returns {Promise} Transaction promise
+ */
+export async function reorderMeetingSetlist(meetingSongs) {
+  const transactions = meetingSongs
+    .map((meetingSong, index) => ({ meetingSong, index }))
+    .filter(({ meetingSong, index }) => meetingSong.order !== index)
+    .map(({ meetingSong, index }) =>
+      db.tx.meetingSongs[meetingSong.id].update({ order: index })
+    );
+  
+  if (transactions.length === 0) {
+    return;
+  }
+  return db.transact(transactions);
+}
+
+/**
+ * Mark a setlist song as played (or not played)
+ * Playing it logs a song play for the group at the meeting's start time; unmarking removes it
+ * @param {Object} params
+ * @param {Object} params.meetingSong - MeetingSong object (id, songId)
+ * @param {Object} params.meeting - Meeting object (id, groupId, date, time)
+ * @param {boolean} params.played - Whether the song was played
+ * @param {string} params.userId - User logging the play
+ * @param {Array<string>} params.playIds - songPlays already recorded for the setlist song
+ * @returns {Promise} Transaction promise
+ */
+export async function setMeetingSongPlayed({ meetingSong, meeting, played, userId, playIds = [] }) {
+  const transactions = [db.tx.meetingSongs[meetingSong.id].update({ played })];
+  if (played && playIds.length === 0) {
+    transactions.push(songPlayTx({
+      songId: meetingSong.songId,
+      groupId: meeting.groupId,
+      userId,
+      source: 'meeting',
+      meetingId: meeting.id,
+      meetingSongId: meetingSong.id,
+      playedAt: getMeetingStart(meeting).getTime(),
+    }));
+  } else if (!played) {
+    playIds.forEach(playId => transactions.push(db.tx.songPlays[playId].delete()));
+  }
+  return db.transact(transactions);
+}
+
+/**
+ * Build the transaction for a song play
+ * @param {Object} playData - { songId, groupId, userId, source, playedAt, meetingId?, meetingSongId?, songbookId? }
+ * @returns {Object} Transaction chunk
+ */
+function songPlayTx({ songId, groupId, userId, source, playedAt, meetingId, meetingSongId, songbookId }) {
+  return db.tx.songPlays[id()]
+    .update({
+      songId,
+      groupId,
+      userId,
+      source,
+      playedAt: playedAt || Date.now(),
+      meetingId: meetingId || null,
+      meetingSongId: meetingSongId || null,
+      songbookId: songbookId || null,
+    })
+    .link({ song: songId, group: groupId });
+}
+
+/**
+ * Record a song being opened from a group songbook as a play for the group
+ * @param {Object} playData - { songId, groupId, songbookId, userId }
+ * @returns {Promise} Transaction promise
+ */
+export async function recordSongbookPlay({ songId, groupId, songbookId, userId }) {
+  return db.transact(
+    songPlayTx({ songId, groupId, songbookId, userId, source: 'songbook' })
+  );
+}
+
+/**
+ * Record who actually came to a meeting
+ * Existing records are updated in place; members without one get a new record
+ * @param {Object} params
+ * @param {Object} params.meeting - Meeting object (id, groupId)
+ * @param {Object} params.attendedByUserId - { [userId]: boolean } for each member being recorded
+ * @param {Array} params.existingRecords - The meeting's current meetingAttendance records
+ * @param {string} params.recordedBy - User ID of the admin recording attendance
+ * @returns {Promise} Transaction promise
+ */
+export async function saveMeetingAttendance({ meeting, attendedByUserId, existingRecords = [], recordedBy }) {
+  const recordsByUserId = new Map(existingRecords.map(record => [record.userId, record]));
+  const recordedAt = Date.now();
+
+  const transactions = Object.entries(attendedByUserId).map(([userId, attended]) => {
+    const existing = recordsByUserId.get(userId);
+    if (existing) {
+      return db.tx.meetingAttendance[existing.id].update({ attended: !!attended, recordedAt, recordedBy });
+    }
+    return db.tx.meetingAttendance[id()]
+      .update({
+        meetingId: meeting.id,
+        groupId: meeting.groupId,
+        userId,
+        attended: !!attended,
+        recordedAt,
+        recordedBy,
+      })
+      .link({ meeting: meeting.id });
+  });
+
+  if (transactions.length === 0) {
+    return Promise.resolve();
+  }
+
+  return db.transact(transactions);
 }
 
 /**
@@ -511,13 +1168,15 @@ export async function createGroupMembership(membershipData) {
   const { groupId, userId, role } = membershipData;
   
   return db.transact(
-    db.tx.groupMembers[id()].update({
-      groupId,
-      userId,
-      role: role || 'member',
-      status: 'pending',
-      joinedAt: Date.now(),
-    })
+    db.tx.groupMembers[id()]
+      .update({
+        groupId,
+        userId,
+        role: role || 'member',
+        status: 'pending',
+        joinedAt: Date.now(),
+      })
+      .link({ group: groupId })
   );
 }
 
@@ -579,11 +1238,17 @@ export async function updateGroup(groupId, updates) {
 
 /**
  * Approve a pending membership request
+ * Also links the membership as approved, which member-only permission rules check
  * @param {string} membershipId - Membership ID
+ * @param {string} groupId - Group ID
  * @returns {Promise} Transaction promise
  */
-export async function approveMembership(membershipId) {
-  return updateGroupMembershipStatus(membershipId, 'approved');
+export async function approveMembership(membershipId, groupId) {
+  return db.transact(
+    db.tx.groupMembers[membershipId]
+      .update({ status: 'approved' })
+      .link({ group: groupId, approvedGroup: groupId })
+  );
 }
 
 /**
@@ -629,7 +1294,7 @@ export async function shareSongsWithGroups(songIds, groupIds, userId) {
     return Promise.resolve();
   }
 
-  return db.transact(...transactions);
+  return db.transact(transactions);
 }
 
 /**
@@ -693,7 +1358,7 @@ export async function addPrivateSongToGroup(songId, groupId, userId) {
 /**
  * Update user profile information
  * @param {string} userId - User ID
- * @param {Object} updates - Fields to update (firstName, lastName)
+ * @param {Object} updates - Fields to update (firstName, lastName, defaultInstrument, defaultTuning, knownChords, notificationPreferences)
  * @returns {Promise} Transaction promise
  */
 export async function updateUser(userId, updates) {
@@ -705,6 +1370,18 @@ export async function updateUser(userId, updates) {
   if (updates.lastName !== undefined) {
     updateData.lastName = updates.lastName?.trim() || null;
   }
+  if (updates.defaultInstrument !== undefined) {
+    updateData.defaultInstrument = updates.defaultInstrument || null;
+  }
+  if (updates.defaultTuning !== undefined) {
+    updateData.defaultTuning = updates.defaultTuning || null;
+  }
+  if (updates.knownChords !== undefined) {
+    updateData.knownChords = updates.knownChords || [];
+  }
+  if (updates.notificationPreferences !== undefined) {
+    updateData.notificationPreferences = updates.notificationPreferences || null;
+  }
   
   if (Object.keys(updateData).length === 0) {
     return Promise.resolve();
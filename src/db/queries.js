@@ -133,7 +133,7 @@ export function useSharedSongs(userId) {
   };
 }
 
-// Get all accessible songs (own + shared)
+// Get all accessible songs (own + shared), plus the group shares they came from
 export function useAccessibleSongs(userId) {
   const mySongs = useMySongs(userId);
   const sharedSongs = useSharedSongs(userId);
@@ -159,7 +159,9 @@ export function useAccessibleSongs(userId) {
     new Map(allSongs.map(song => [song.id, song])).values()
   );
 
-  return { data: { songs: uniqueSongs } };
+  const songShares = Array.isArray(sharedSongs.data?.songShares) ? sharedSongs.data.songShares : [];
+
+  return { data: { songs: uniqueSongs, songShares } };
 }
 
 // Get group's songs
@@ -328,6 +330,7 @@ export function useGroupMeetings(groupId) {
       },
       songbook: {},
       rsvps: {},
+      series: {},
     },
   });
 
@@ -360,13 +363,142 @@ export function useMeeting(meetingId) {
           song: {},
         },
       },
-      meetingSongs: {
-        $: {
-          order: { order: 'asc' },
-        },
-        song: {},
-      },
       rsvps: {},
+      series: {},
+    },
+  });
+}
+
+// Get recorded attendance for all of a group's meetings
+export function useGroupAttendance(groupId) {
+  return db.useQuery({
+    meetingAttendance: {
+      $: {
+        where: groupId
+          ? { groupId }
+          : { groupId: '' }, // Impossible condition when no groupId
+      },
+    },
+  });
+}
+
+// Get the song plays logged at a meeting (from its setlist)
+export function useMeetingSongPlays(meetingId) {
+  return db.useQuery({
+    songPlays: {
+      $: {
+        where: meetingId
+          ? { meetingId }
+          : { meetingId: '' }, // Impossible condition when no meetingId
+      },
+    },
+  });
+}
+
+// Get a group's song play history
+export function useGroupSongPlays(groupId) {
+  return db.useQuery({
+    songPlays: {
+      $: {
+        where: groupId
+          ? { groupId }
+          : { groupId: '' }, // Impossible condition when no groupId
+      },
+    },
+  });
+}
+
+// Get play history for a set of songs within some groups (e.g., a songbook's songs)
+export function useSongPlays(songIds, groupIds) {
+  return db.useQuery({
+    songPlays: {
+      $: {
+        where: songIds?.length && groupIds?.length
+          ? { songId: { $in: songIds }, groupId: { $in: groupIds } }
+          : { songId: '' }, // Impossible condition when no songs or groups
+      },
+    },
+  });
+}
+
+// Get a meeting's setlist (meetingSongs with their songs)
+export function useMeetingSongs(meetingId) {
+  // Always call hooks unconditionally to satisfy React's rules of hooks
+  const { data, error } = db.useQuery({
+    meetingSongs: {
+      $: {
+        where: meetingId
+          ? { meetingId }
+          : { meetingId: '' }, // Impossible condition when no meetingId
+      },
+      song: {},
+    },
+  });
+
+  // Sort by order in JavaScript since order is not indexed
+  if (data?.meetingSongs) {
+    return {
+      data: {
+        ...data,
+        meetingSongs: [...data.meetingSongs].sort((a, b) => (a.order || 0) - (b.order || 0)),
+      },
+      error,
+    };
+  }
+
+  return { data, error };
+}
+
+// Get RSVPs for a meeting
+// Queried by meetingId rather than the meeting link so older, unlinked RSVPs are included
+export function useMeetingRSVPs(meetingId) {
+  return db.useQuery({
+    meetingRSVPs: {
+      $: {
+        where: meetingId
+          ? { meetingId }
+          : { meetingId: '' }, // Impossible condition when no meetingId
+      },
+    },
+  });
+}
+
+// Get a user's own RSVPs (e.g., for calendar export)
+export function useUserRSVPs(userId) {
+  return db.useQuery({
+    meetingRSVPs: {
+      $: {
+        where: userId
+          ? { userId }
+          : { userId: '' }, // Impossible condition when no userId
+      },
+    },
+  });
+}
+
+// Get meetings across several groups (e.g., for a member's meeting reminders)
+export function useMeetingsForGroups(groupIds) {
+  return db.useQuery({
+    meetings: {
+      $: {
+        where: groupIds?.length
+          ? { groupId: { $in: groupIds } }
+          : { id: '' }, // Impossible condition when no groups
+      },
+    },
+  });
+}
+
+// Get recurring meeting series for a group, with their generated occurrences
+export function useGroupMeetingSeries(groupId) {
+  return db.useQuery({
+    meetingSeries: {
+      $: {
+        where: groupId
+          ? { groupId }
+          : { id: '' }, // Impossible condition when no groupId
+      },
+      meetings: {},
     },
   });
 }
@@ -502,6 +634,45 @@ export function useSong(songId) {
   return { data, error };
 }
 
+// Get a user's profile (names, default instrument)
+export function useUserProfile(userId) {
+  const { data, error } = db.useQuery({
+    $users: {
+      $: {
+        where: userId
+          ? { id: userId }
+          : { id: '' }, // Impossible condition when no userId
+      },
+    },
+  });
+
+  if (!userId) {
+    return { data: { $users: [] }, error: null };
+  }
+
+  return { data, error };
+}
+
+// Get the profiles of several users (e.g., the creators of a list of songs)
+export function useUserProfiles(userIds) {
+  const ids = [...new Set((userIds || []).filter(Boolean))];
+  const { data, error } = db.useQuery({
+    $users: {
+      $: {
+        where: ids.length > 0
+          ? { id: { $in: ids } }
+          : { id: '' }, // Impossible condition when no userIds
+      },
+    },
+  });
+
+  if (ids.length === 0) {
+    return { data: { $users: [] }, error: null };
+  }
+
+  return { data, error };
+}
+
 // Check if a song is in any songbooks
 export function useSongInSongbooks(songId) {
   // Always call hooks unconditionally to satisfy React's rules of hooks
@@ -567,6 +738,19 @@ export function useNotifications(userId) {
   return { data, error };
 }
 
+// Get the meeting reminders a user has been sent (read or not), to avoid repeats
+export function useMeetingReminderNotifications(userId) {
+  return db.useQuery({
+    notifications: {
+      $: {
+        where: userId
+          ? { userId, type: 'meeting_reminder' }
+          : { userId: '' }, // Impossible condition when no userId
+      },
+    },
+  });
+}
+
 // Get a single group with members
 export function useGroup(groupId) {
   if (!groupId) {
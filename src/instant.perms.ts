@@ -11,6 +11,30 @@ const rules = {
       update: "auth.id == data.group.createdBy",
     },
   },
+  meetingSeries: {
+    allow: {
+      view: "auth.id != null",
+      create: "auth.id == data.group.createdBy",
+      delete: "auth.id == data.group.createdBy",
+      update: "auth.id == data.group.createdBy",
+    },
+  },
+  meetingAttendance: {
+    allow: {
+      view: "auth.id in data.ref('meeting.group.approvedMembers.userId') || auth.id in data.ref('meeting.group.createdBy')",
+      create: "auth.id in data.ref('meeting.group.createdBy')",
+      delete: "auth.id in data.ref('meeting.group.createdBy')",
+      update: "auth.id in data.ref('meeting.group.createdBy')",
+    },
+  },
+  meetingSongs: {
+    allow: {
+      view: "auth.id != null",
+      create: "auth.id in data.ref('meeting.group.createdBy')",
+      delete: "auth.id in data.ref('meeting.group.createdBy')",
+      update: "auth.id in data.ref('meeting.group.createdBy')",
+    },
+  },
   songbookSongs: {
     allow: {
       view: "auth.id != null",
@@ -31,7 +55,15 @@ const rules = {
     allow: {
       view: "auth.id != null",
       create: "auth.id != null",
-      delete: "auth.id == data.userId",
+      delete: "auth.id == data.userId || auth.id in data.ref('meeting.group.createdBy')",
+      update: "auth.id == data.userId",
+    },
+  },
+  songPlays: {
+    allow: {
+      view: "auth.id in data.ref('group.approvedMembers.userId') || auth.id in data.ref('group.createdBy')",
+      create: "auth.id == data.userId && (auth.id in data.ref('group.approvedMembers.userId') || auth.id in data.ref('group.createdBy'))",
+      delete: "auth.id == data.userId || auth.id in data.ref('group.createdBy')",
       update: "auth.id == data.userId",
     },
   },
@@ -14,6 +14,11 @@ const _schema = i.schema({
       type: i.string().optional(),
       firstName: i.string().optional(),
       lastName: i.string().optional(),
+      defaultInstrument: i.string().optional(),
+      defaultTuning: i.string().optional(),
+      knownChords: i.json().optional(),
+      notificationPreferences: i.json().optional(),
+      dismissedReminders: i.json().optional(),
     }),
     chords: i.entity({
       frets: i.string(),
@@ -37,6 +42,14 @@ const _schema = i.schema({
       description: i.string().optional(),
       name: i.string(),
     }),
+    meetingAttendance: i.entity({
+      attended: i.boolean(),
+      groupId: i.string(),
+      meetingId: i.string(),
+      recordedAt: i.number(),
+      recordedBy: i.string(),
+      userId: i.string(),
+    }),
     meetingRSVPs: i.entity({
       meetingId: i.string(),
       respondedAt: i.number(),
@@ -47,16 +60,35 @@ const _schema = i.schema({
       createdAt: i.number(),
       createdBy: i.string(),
       date: i.number(),
-      description: i.string(),
+      description: i.string().optional(),
       groupId: i.string(),
-      location: i.string(),
-      songbookId: i.string(),
+      location: i.string().optional(),
+      originalDate: i.number().optional(),
+      seriesId: i.string().optional(),
+      songbookId: i.string().optional(),
+      status: i.string().optional(),
       time: i.string(),
       title: i.string(),
     }),
+    meetingSeries: i.entity({
+      createdAt: i.number(),
+      createdBy: i.string(),
+      description: i.string().optional(),
+      frequency: i.string(),
+      generatedUntil: i.number(),
+      groupId: i.string(),
+      interval: i.number(),
+      location: i.string().optional(),
+      songbookId: i.string().optional(),
+      startDate: i.number(),
+      time: i.string(),
+      title: i.string(),
+      untilDate: i.number().optional(),
+    }),
     meetingSongs: i.entity({
       meetingId: i.string(),
       order: i.number(),
+      played: i.boolean().optional(),
       songId: i.string(),
     }),
     notifications: i.entity({
@@ -67,6 +99,8 @@ const _schema = i.schema({
       createdAt: i.number(),
       songbookId: i.string().optional(),
       count: i.number().optional(),
+      meetingId: i.string().optional(),
+      groupId: i.string().optional(),
     }),
     songbooks: i.entity({
       createdAt: i.number(),
@@ -93,6 +127,25 @@ const _schema = i.schema({
       title: i.string(),
       updatedAt: i.number(),
       embeddedChords: i.string().optional(),
+      key: i.string().optional(),
+      detectedKey: i.string().optional(),
+      tempo: i.number().optional(),
+      duration: i.number().optional(),
+      timeSignature: i.string().optional(),
+      capo: i.number().optional(),
+      difficulty: i.string().optional(),
+      year: i.number().optional(),
+      tags: i.json().optional(),
+    }),
+    songPlays: i.entity({
+      groupId: i.string(),
+      meetingId: i.string().optional(),
+      meetingSongId: i.string().optional(),
+      playedAt: i.number(),
+      songbookId: i.string().optional(),
+      songId: i.string(),
+      source: i.string(),
+      userId: i.string(),
     }),
     songShares: i.entity({
       groupId: i.string(),
@@ -132,6 +185,19 @@ const _schema = i.schema({
         label: "members",
       },
     },
+    // Set only while the membership is approved, for rules that are limited to members
+    groupMembersApprovedGroup: {
+      forward: {
+        on: "groupMembers",
+        has: "many",
+        label: "approvedGroup",
+      },
+      reverse: {
+        on: "groups",
+        has: "many",
+        label: "approvedMembers",
+      },
+    },
     groupMembersUser: {
       forward: {
         on: "groupMembers",
@@ -144,6 +210,18 @@ const _schema = i.schema({
         label: "groupMemberships",
       },
     },
+    meetingAttendanceMeeting: {
+      forward: {
+        on: "meetingAttendance",
+        has: "many",
+        label: "meeting",
+      },
+      reverse: {
+        on: "meetings",
+        has: "many",
+        label: "attendance",
+      },
+    },
     meetingRSVPsMeeting: {
       forward: {
         on: "meetingRSVPs",
@@ -180,6 +258,30 @@ const _schema = i.schema({
         label: "meetings",
       },
     },
+    meetingsSeries: {
+      forward: {
+        on: "meetings",
+        has: "many",
+        label: "series",
+      },
+      reverse: {
+        on: "meetingSeries",
+        has: "many",
+        label: "meetings",
+      },
+    },
+    meetingSeriesGroup: {
+      forward: {
+        on: "meetingSeries",
+        has: "many",
+        label: "group",
+      },
+      reverse: {
+        on: "groups",
+        has: "many",
+        label: "meetingSeries",
+      },
+    },
     meetingSongsMeeting: {
       forward: {
         on: "meetingSongs",
@@ -240,6 +342,30 @@ const _schema = i.schema({
         label: "songbookSongs",
       },
     },
+    songPlaysGroup: {
+      forward: {
+        on: "songPlays",
+        has: "many",
+        label: "group",
+      },
+      reverse: {
+        on: "groups",
+        has: "many",
+        label: "songPlays",
+      },
+    },
+    songPlaysSong: {
+      forward: {
+        on: "songPlays",
+        has: "many",
+        label: "song",
+      },
+      reverse: {
+        on: "songs",
+        has: "many",
+        label: "plays",
+      },
+    },
     songSharesGroup: {
       forward: {
         on: "songShares",
@@ -265,7 +391,22 @@ const _schema = i.schema({
       },
     },
   },
-  rooms: {},
+  rooms: {
+    // Live "follow the leader" session for a meeting (room ID = meeting ID)
+    meetingSession: {
+      presence: i.entity({
+        userId: i.string(),
+        name: i.string(),
+        isLeader: i.boolean(),
+        leaderSince: i.number().optional(),
+        following: i.boolean(),
+        songId: i.string().optional(),
+        scroll: i.number().optional(),
+        // Peer the leader is handing the lead to (cleared once they claim it)
+        handoffTo: i.string().optional(),
+      }),
+    },
+  },
 });
 
 // This helps Typescript display nicer intellisense
@@ -1,17 +1,25 @@
 import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
-import { useState, useMemo, useEffect } from 'react';
+import { useState, useMemo, useEffect, useRef } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { getChordNames, searchChordNames } from '../utils/chord-library';
+import { getSongKey } from '../utils/key-detection';
+import { compareSongs, getDifficultyLabel, getSongTags } from '../utils/song-metadata';
 import {
   useGroup,
   useGroupSongs,
   useGroupMeetings,
+  useGroupMeetingSeries,
+  useUserRSVPs,
+  useUserProfile,
+  useGroupAttendance,
+  useGroupSongPlays,
   useGroupMembers,
   usePendingMemberships,
   useGroupSongbooks,
   useMyGroups,
   useMySongs,
   useAccessibleSongs,
+  useUserProfiles,
 } from '../db/queries';
 import {
   shareSongWithGroup,
@@ -24,9 +32,30 @@ import {
   addPrivateSongToGroup,
   shareSongsWithGroups,
   addSongToSongbook,
+  createMeeting,
+  updateMeeting,
+  deleteMeeting,
+  createMeetingSeries,
+  extendMeetingSeries,
+  updateMeetingSeries,
+  cancelMeetingSeries,
+  restoreMeetingOccurrence,
 } from '../db/mutations';
 import { db } from '../db/schema';
 import { id } from '@instantdb/react';
+import MeetingFormModal from '../components/MeetingFormModal';
+import MeetingCancelModal from '../components/MeetingCancelModal';
+import GroupAttendance from '../components/GroupAttendance';
+import SongPlayStats from '../components/SongPlayStats';
+import { splitMeetings, formatMeetingDate } from '../utils/meetings';
+import { describeRecurrence, needsExtension, SERIES_SCOPES } from '../utils/recurrence';
+import { generateICalendar, getCalendarAttendee, ICS_MIME_TYPE } from '../utils/icalendar';
+import { downloadFile, toFileName } from '../utils/download';
+import { NOTIFICATION_TYPES, createMeetingNotifications } from '../utils/notifications';
+import { PLAYABLE_FILTERS, getKnownChords, getMissingChords, matchesPlayableFilter } from '../utils/known-chords';
+import PlayableFilter from '../components/PlayableFilter';
+import SongSearchBox from '../components/SongSearchBox';
+import { buildSongSearchIndex, searchSongs, getSongGroupNames, getCreatorNames } from '../utils/song-search';
 
 // Helper function to extract unique chords from song chords data
 function getUniqueChords(song) {
@@ -40,24 +69,38 @@ function getUniqueChords(song) {
   }
 }
 
-// Component to render chords as labels
-function ChordLabels({ chords }) {
+// Component to render chords as labels (chords the member doesn't know yet are highlighted first)
+function ChordLabels({ chords, missingChords = [] }) {
   if (chords.length === 0) {
     return <span className="text-gray-400">No chords</span>;
   }
 
-  const displayChords = chords.slice(0, 3);
+  const orderedChords = [
+    ...missingChords,
+    ...chords.filter(chord => !missingChords.includes(chord)),
+  ];
+  const displayChords = orderedChords.slice(0, 3);
   const remainingCount = chords.length - 3;
 
   return (
     <div className="flex flex-wrap items-center gap-2">
       {displayChords.map((chord, index) => (
-        <span
-          key={index}
-          className="inline-block px-2 py-1 bg-primary-100 text-primary-700 rounded text-sm font-medium"
-        >
-          {chord}
-        </span>
+        missingChords.includes(chord) ? (
+          <span
+            key={index}
+            className="inline-block px-2 py-1 bg-amber-100 text-amber-800 ring-1 ring-amber-400 rounded text-sm font-medium"
+            title="You don't know this chord yet"
+          >
+            {chord}
+          </span>
+        ) : (
+          <span
+            key={index}
+            className="inline-block px-2 py-1 bg-primary-100 text-primary-700 rounded text-sm font-medium"
+          >
+            {chord}
+          </span>
+        )
       ))}
       {remainingCount > 0 && (
         <span className="text-gray-500 text-sm">
@@ -68,6 +111,23 @@ function ChordLabels({ chords }) {
   );
 }
 
+// Song table column header that sorts by its field (click again to reverse)
+function SortableHeader({ field, label, sortField, sortDirection, onSort, className = '' }) {
+  return (
+    <th className={`px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider ${className}`}>
+      <button
+        onClick={() => onSort(field)}
+        className="flex items-center gap-1 hover:text-gray-700"
+      >
+        {label}
+        {sortField === field && (
+          <span>{sortDirection === 'asc' ? '↑' : '↓'}</span>
+        )}
+      </button>
+    </th>
+  );
+}
+
 // Compact chord filter component
 function ChordFilter({ selectedChords, onChordsChange }) {
   const [chordQuery, setChordQuery] = useState('');
@@ -156,6 +216,75 @@ function ChordFilter({ selectedChords, onChordsChange }) {
   );
 }
 
+// Meeting summary card for the Meetings tab
+function MeetingCard({ meeting, songbookTitle, isAdmin, isPast, cancelling, onEdit, onCancel, onRestore }) {
+  const isCancelled = meeting.status === 'cancelled';
+  const recurrence = describeRecurrence(meeting.series?.[0]);
+
+  return (
+    <div className={`card ${isPast || isCancelled ? 'opacity-75' : ''}`}>
+      <div className="flex items-start justify-between gap-4">
+        <div className="min-w-0">
+          <div className="flex items-center gap-2">
+            <a
+              href={`/meetings/${meeting.id}`}
+              className={`text-lg font-semibold hover:text-primary-600 ${isCancelled ? 'line-through' : ''}`}
+            >
+              {meeting.title}
+            </a>
+            {isCancelled && (
+              <span className="px-2 py-0.5 text-xs font-medium bg-red-100 text-red-700 rounded">
+                Cancelled
+              </span>
+            )}
+          </div>
+          <p className="text-gray-600 text-sm">{formatMeetingDate(meeting)}</p>
+          {recurrence && (
+            <p className="text-gray-500 text-sm">{recurrence}</p>
+          )}
+          {meeting.location && (
+            <p className="text-gray-600 text-sm">{meeting.location}</p>
+          )}
+          {songbookTitle && (
+            <p className="text-gray-500 text-sm">Songbook: {songbookTitle}</p>
+          )}
+          {meeting.description && (
+            <p className="text-gray-700 text-sm mt-2">{meeting.description}</p>
+          )}
+        </div>
+        {isAdmin && (
+          <div className="flex gap-2 flex-shrink-0">
+            <button
+              onClick={() => onEdit(meeting)}
+              disabled={cancelling}
+              className="btn btn-secondary text-sm"
+            >
+              Edit
+            </button>
+            {isCancelled ? (
+              <button
+                onClick={() => onRestore(meeting)}
+                disabled={cancelling}
+                className="btn btn-secondary text-sm"
+              >
+                Restore
+              </button>
+            ) : (
+              <button
+                onClick={() => onCancel(meeting)}
+                disabled={cancelling}
+                className="btn btn-secondary text-sm text-red-600"
+              >
+                {cancelling ? 'Cancelling...' : 'Cancel'}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
 // Helper function to format user display name from profile data
 // Uses firstName and lastName from user profile, falls back to email, then to "User {userId}"
 function formatUserName(user, fallbackUserId, fallbackEmail = null) {
@@ -216,11 +345,19 @@ export default function GroupPage() {
   const [savingGroup, setSavingGroup] = useState(false);
   const [removingMemberId, setRemovingMemberId] = useState(null);
   const [selectedSongsForSongbook, setSelectedSongsForSongbook] = useState(new Set());
+  const [showMeetingModal, setShowMeetingModal] = useState(false);
+  const [editingMeeting, setEditingMeeting] = useState(null);
+  const [savingMeeting, setSavingMeeting] = useState(false);
+  const [meetingError, setMeetingError] = useState(null);
+  const [cancellingMeetingId, setCancellingMeetingId] = useState(null);
+  const [cancelScopeMeeting, setCancelScopeMeeting] = useState(null);
+  const extendedSeriesIds = useRef(new Set());
   
   // Search, sort, and filter state for songs tab
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedChords, setSelectedChords] = useState([]);
-  const [sortField, setSortField] = useState('title'); // 'title', 'artist', 'createdAt'
+  const [playableFilter, setPlayableFilter] = useState(PLAYABLE_FILTERS.ALL);
+  const [sortField, setSortField] = useState('title'); // See compareSongs for the fields
   const [sortDirection, setSortDirection] = useState('asc'); // 'asc', 'desc'
 
   // Queries
@@ -228,6 +365,11 @@ export default function GroupPage() {
   const group = groupData?.groups?.[0];
   const { data: songsData } = useGroupSongs(groupId);
   const { data: meetingsData } = useGroupMeetings(groupId);
+  const { data: meetingSeriesData } = useGroupMeetingSeries(groupId);
+  const { data: userRsvpData } = useUserRSVPs(user?.id);
+  const { data: attendanceData } = useGroupAttendance(groupId);
+  const { data: songPlaysData } = useGroupSongPlays(groupId);
+  const { data: profileData } = useUserProfile(user?.id);
   const { data: membersData } = useGroupMembers(groupId);
   const { data: pendingData } = usePendingMemberships(groupId);
   const { data: songbooksData } = useGroupSongbooks(groupId);
@@ -250,43 +392,61 @@ export default function GroupPage() {
 
   // Get songs from songShares, ensuring uniqueness and valid IDs
   // Use a Map to ensure uniqueness by song ID (in case of duplicates)
-  const songsMap = new Map();
-  
-  // First, try to get songs from the relation
-  songShares.forEach(ss => {
-    if (ss.song && ss.song.id) {
-      songsMap.set(ss.song.id, ss.song);
-    }
-  });
-  
-  // Also add songs from direct query (in case relation isn't populated)
-  if (directSongsData?.songs) {
-    directSongsData.songs.forEach(song => {
-      if (song && song.id) {
-        // Only add if not already in map (relation takes precedence)
-        if (!songsMap.has(song.id)) {
-          songsMap.set(song.id, song);
-        }
+  const allSongs = useMemo(() => {
+    const songsMap = new Map();
+
+    // First, try to get songs from the relation
+    (songsData?.songShares || []).forEach(ss => {
+      if (ss.song && ss.song.id) {
+        songsMap.set(ss.song.id, ss.song);
       }
     });
-  }
-  
-  const allSongs = Array.from(songsMap.values());
-  
-  // Filter and sort songs
-  const filteredAndSortedSongs = useMemo(() => {
-    let filtered = [...allSongs];
 
-    // Filter by search query (title or artist)
-    if (searchQuery.trim()) {
-      const query = searchQuery.toLowerCase().trim();
-      filtered = filtered.filter(song => {
-        const title = (song.title || '').toLowerCase();
-        const artist = (song.artist || '').toLowerCase();
-        return title.includes(query) || artist.includes(query);
+    // Also add songs from direct query (in case relation isn't populated)
+    if (directSongsData?.songs) {
+      directSongsData.songs.forEach(song => {
+        if (song && song.id) {
+          // Only add if not already in map (relation takes precedence)
+          if (!songsMap.has(song.id)) {
+            songsMap.set(song.id, song);
+          }
+        }
       });
     }
 
+    return Array.from(songsMap.values());
+  }, [songsData, directSongsData]);
+
+  // Creator names for the creator: search facet
+  const { data: creatorsData } = useUserProfiles(allSongs.map(song => song.createdBy));
+  
+  const knownChords = getKnownChords(profileData?.$users?.[0]);
+  const isPlayableFiltered = playableFilter !== PLAYABLE_FILTERS.ALL && knownChords.length > 0;
+
+  const handleSort = (field) => {
+    if (sortField === field) {
+      setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortField(field);
+      setSortDirection('asc');
+    }
+  };
+
+  // Search titles, artists, lyrics and chords, with facets (see utils/song-search.js);
+  // the index only changes with the songs, not with each keystroke
+  const searchIndex = useMemo(() => buildSongSearchIndex(allSongs, {
+    groupNamesBySongId: getSongGroupNames(
+      [...(songsData?.songShares || []), ...(accessibleSongsData?.songShares || [])],
+      [group, ...(groupsData?.groupMembers || []).map(gm => gm.group)]
+    ),
+    creatorNamesById: getCreatorNames(creatorsData?.$users),
+    currentUserId: user?.id,
+  }), [allSongs, songsData, accessibleSongsData, group, groupsData, creatorsData, user?.id]);
+
+  // Filter and sort songs
+  const filteredAndSortedSongs = useMemo(() => {
+    let filtered = searchSongs(searchIndex, searchQuery);
+
     // Filter by chords - only show songs that use ONLY the selected chords
     if (selectedChords.length > 0) {
       filtered = filtered.filter(song => {
@@ -303,35 +463,18 @@ export default function GroupPage() {
       });
     }
 
+    // Filter by the chords the member knows
+    if (isPlayableFiltered) {
+      filtered = filtered.filter(song =>
+        matchesPlayableFilter(getUniqueChords(song), knownChords, playableFilter)
+      );
+    }
+
     // Sort songs
-    filtered.sort((a, b) => {
-      let aValue, bValue;
-      
-      switch (sortField) {
-        case 'title':
-          aValue = (a.title || '').toLowerCase();
-          bValue = (b.title || '').toLowerCase();
-          break;
-        case 'artist':
-          aValue = (a.artist || '').toLowerCase();
-          bValue = (b.artist || '').toLowerCase();
-          break;
-        case 'createdAt':
-          aValue = a.createdAt || 0;
-          bValue = b.createdAt || 0;
-          break;
-        default:
-          aValue = (a.title || '').toLowerCase();
-          bValue = (b.title || '').toLowerCase();
-      }
-      
-      if (aValue < bValue) return sortDirection === 'asc' ? -1 : 1;
-      if (aValue > bValue) return sortDirection === 'asc' ? 1 : -1;
-      return 0;
-    });
+    filtered.sort((a, b) => compareSongs(a, b, sortField, sortDirection));
 
     return filtered;
-  }, [allSongs, searchQuery, selectedChords, sortField, sortDirection]);
+  }, [searchIndex, searchQuery, selectedChords, isPlayableFiltered, knownChords, playableFilter, sortField, sortDirection]);
   
   // Debug logging (only when there's an issue)
   if (allSongs.length === 0 && songShares.length > 0) {
@@ -342,9 +485,14 @@ export default function GroupPage() {
     console.log('GroupPage - final songs:', allSongs);
   }
   const meetings = meetingsData?.meetings || [];
+  const { upcoming: upcomingMeetings, past: pastMeetings } = splitMeetings(meetings);
   const members = membersData?.groupMembers?.filter(m => m.status === 'approved') || [];
   const pendingMembers = pendingData?.groupMembers || [];
   const songbooks = songbooksData?.songbooks || [];
+  const meetingSeries = meetingSeriesData?.meetingSeries || [];
+  const editingSeries = editingMeeting?.seriesId
+    ? meetingSeries.find(series => series.id === editingMeeting.seriesId) || null
+    : null;
 
   // Check if user is admin or member
   const userMembership = groupsData?.groupMembers?.find(
@@ -352,6 +500,22 @@ export default function GroupPage() {
   );
   const isAdmin = group && user?.id && (group.createdBy === user?.id || userMembership?.role === 'admin');
   const isMember = !!userMembership;
+  // Meeting records are writable only by the group creator (instant.perms.ts),
+  // so promoted admins don't get meeting controls the server would reject
+  const canManageMeetings = !!group && !!user?.id && group.createdBy === user.id;
+
+  // Keep recurring meetings generated for the rolling window (group creator only, per perms)
+  useEffect(() => {
+    if (!canManageMeetings) return;
+    (meetingSeriesData?.meetingSeries || [])
+      .filter(series => needsExtension(series) && !extendedSeriesIds.current.has(series.id))
+      .forEach(series => {
+        extendedSeriesIds.current.add(series.id);
+        extendMeetingSeries(series).catch(err => {
+          console.error('Error generating meetings for series:', err);
+        });
+      });
+  }, [canManageMeetings, meetingSeriesData]);
 
   // Get user's songs that aren't already shared with the group
   const groupSongIds = new Set(songShares.map(ss => ss.songId).filter(Boolean));
@@ -368,6 +532,8 @@ export default function GroupPage() {
     { id: 'songs', label: 'Songs' },
     { id: 'songbooks', label: 'Songbooks' },
     { id: 'meetings', label: 'Meetings' },
+    { id: 'attendance', label: 'Attendance' },
+    { id: 'stats', label: 'Song Stats' },
     ...(isAdmin ? [{ id: 'settings', label: 'Settings' }] : []),
   ];
 
@@ -567,17 +733,11 @@ export default function GroupPage() {
           {/* Search field - above table */}
           {allSongs.length > 0 && (
             <div className="flex items-center gap-4">
-              <div className="flex-1">
-                <input
-                  id="search-songs"
-                  type="text"
-                  value={searchQuery}
-                  onChange={(e) => setSearchQuery(e.target.value)}
-                  placeholder="Search by title or artist..."
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-                />
-              </div>
-              {(searchQuery || selectedChords.length > 0) && (
+              <SongSearchBox
+                value={searchQuery}
+                onChange={setSearchQuery}
+              />
+              {(searchQuery || selectedChords.length > 0 || isPlayableFiltered) && (
                 <div className="text-sm text-gray-600 whitespace-nowrap">
                   {filteredAndSortedSongs.length} of {allSongs.length} songs
                 </div>
@@ -601,6 +761,14 @@ export default function GroupPage() {
             </div>
           )}
 
+          {allSongs.length > 0 && (
+            <PlayableFilter
+              value={playableFilter}
+              onChange={setPlayableFilter}
+              knownChords={knownChords}
+            />
+          )}
+
           {allSongs.length === 0 ? (
             <div className="card text-center py-8 text-gray-500">
               <p>No songs shared with this group yet.</p>
@@ -616,11 +784,12 @@ export default function GroupPage() {
           ) : filteredAndSortedSongs.length === 0 ? (
             <div className="card text-center py-12 text-gray-500">
               <p className="text-lg mb-2">No songs match your filters.</p>
-              {(searchQuery || selectedChords.length > 0) && (
+              {(searchQuery || selectedChords.length > 0 || isPlayableFiltered) && (
                 <button
                   onClick={() => {
                     setSearchQuery('');
                     setSelectedChords([]);
+                    setPlayableFilter(PLAYABLE_FILTERS.ALL);
                   }}
                   className="text-primary-600 hover:underline"
                 >
@@ -633,42 +802,14 @@ export default function GroupPage() {
               <table className="w-full">
                 <thead className="bg-gray-50 border-b border-gray-200">
                   <tr>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      <button
-                        onClick={() => {
-                          if (sortField === 'title') {
-                            setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc');
-                          } else {
-                            setSortField('title');
-                            setSortDirection('asc');
-                          }
-                        }}
-                        className="flex items-center gap-1 hover:text-gray-700"
-                      >
-                        Title
-                        {sortField === 'title' && (
-                          <span>{sortDirection === 'asc' ? '↑' : '↓'}</span>
-                        )}
-                      </button>
-                    </th>
-                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                      <button
-                        onClick={() => {
-                          if (sortField === 'artist') {
-                            setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc');
-                          } else {
-                            setSortField('artist');
-                            setSortDirection('asc');
-                          }
-                        }}
-                        className="flex items-center gap-1 hover:text-gray-700"
-                      >
-                        Artist
-                        {sortField === 'artist' && (
-                          <span>{sortDirection === 'asc' ? '↑' : '↓'}</span>
-                        )}
-                      </button>
-                    </th>
+                    <SortableHeader field="title" label="Title" sortField={sortField} sortDirection={sortDirection} onSort={handleSort} />
+                    <SortableHeader field="artist" label="Artist" sortField={sortField} sortDirection={sortDirection} onSort={handleSort} />
+                    <SortableHeader field="key" label="Key" sortField={sortField} sortDirection={sortDirection} onSort={handleSort} />
+                    <SortableHeader field="tempo" label="BPM" sortField={sortField} sortDirection={sortDirection} onSort={handleSort} />
+                    <SortableHeader field="timeSignature" label="Time" sortField={sortField} sortDirection={sortDirection} onSort={handleSort} className="hidden lg:table-cell" />
+                    <SortableHeader field="capo" label="Capo" sortField={sortField} sortDirection={sortDirection} onSort={handleSort} className="hidden lg:table-cell" />
+                    <SortableHeader field="difficulty" label="Level" sortField={sortField} sortDirection={sortDirection} onSort={handleSort} />
+                    <SortableHeader field="year" label="Year" sortField={sortField} sortDirection={sortDirection} onSort={handleSort} className="hidden lg:table-cell" />
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Chords
                     </th>
@@ -683,6 +824,7 @@ export default function GroupPage() {
                   {filteredAndSortedSongs.map((song) => {
                     const uniqueChords = getUniqueChords(song);
                     const share = songShares.find(ss => ss.song?.id === song.id);
+                    const tags = getSongTags(song);
                     return (
                       <tr
                         key={song.id}
@@ -697,12 +839,42 @@ export default function GroupPage() {
                           <span className="text-gray-900 font-medium">
                             {song.title}
                           </span>
+                          {tags.length > 0 && (
+                            <div className="flex flex-wrap gap-1 mt-1">
+                              {tags.map(tag => (
+                                <span key={tag} className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-600">
+                                  {tag}
+                                </span>
+                              ))}
+                            </div>
+                          )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-gray-600">
                           {song.artist || <span className="text-gray-400">—</span>}
                         </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-gray-600">
+                          {getSongKey(song) || <span className="text-gray-400">—</span>}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-gray-600">
+                          {song.tempo || <span className="text-gray-400">—</span>}
+                        </td>
+                        <td className="hidden lg:table-cell px-6 py-4 whitespace-nowrap text-gray-600">
+                          {song.timeSignature || <span className="text-gray-400">—</span>}
+                        </td>
+                        <td className="hidden lg:table-cell px-6 py-4 whitespace-nowrap text-gray-600">
+                          {song.capo || <span className="text-gray-400">—</span>}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-gray-600">
+                          {getDifficultyLabel(song.difficulty) || <span className="text-gray-400">—</span>}
+                        </td>
+                        <td className="hidden lg:table-cell px-6 py-4 whitespace-nowrap text-gray-600">
+                          {song.year || <span className="text-gray-400">—</span>}
+                        </td>
                         <td className="px-6 py-4">
-                          <ChordLabels chords={uniqueChords} />
+                          <ChordLabels
+                            chords={uniqueChords}
+                            missingChords={isPlayableFiltered ? getMissingChords(uniqueChords, knownChords) : []}
+                          />
                         </td>
                         {isAdmin && (
                           <td className="px-6 py-4 whitespace-nowrap">
@@ -931,37 +1103,121 @@ export default function GroupPage() {
 
       {activeTab === 'meetings' && (
         <div className="space-y-4">
-          {isAdmin && (
-            <div className="flex justify-end mb-4">
-              <button
-                onClick={() => navigate(`/meetings/new?groupId=${groupId}`)}
-                className="btn btn-primary"
-              >
-                Schedule Meeting
-              </button>
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-semibold">Meetings</h2>
+            <div className="flex gap-2">
+              {meetings.length > 0 && (
+                <button
+                  onClick={handleExportCalendar}
+                  className="btn btn-secondary"
+                >
+                  Export Calendar
+                </button>
+              )}
+              {canManageMeetings && (
+                <button
+                  onClick={() => openMeetingModal(null)}
+                  className="btn btn-primary"
+                >
+                  Schedule Meeting
+                </button>
+              )}
             </div>
-          )}
+          </div>
           {meetings.length === 0 ? (
             <div className="card text-center py-8 text-gray-500">
               <p>No meetings scheduled yet.</p>
             </div>
           ) : (
-            <div className="space-y-2">
-              {meetings.map((meeting) => (
-                <div key={meeting.id} className="card">
-                  <a
-                    href={`/meetings/${meeting.id}`}
-                    className="text-lg font-semibold hover:text-primary-600"
-                  >
-                    {meeting.title}
-                  </a>
-                  <p className="text-gray-600 text-sm">
-                    {new Date(meeting.date).toLocaleDateString()} at {meeting.time}
-                  </p>
+            <>
+              <div className="space-y-2">
+                <h3 className="font-semibold text-gray-700">Upcoming</h3>
+                {upcomingMeetings.length === 0 ? (
+                  <p className="text-sm text-gray-500">No upcoming meetings.</p>
+                ) : (
+                  upcomingMeetings.map((meeting) => (
+                    <MeetingCard
+                      key={meeting.id}
+                      meeting={meeting}
+                      songbookTitle={getMeetingSongbookTitle(meeting)}
+                      isAdmin={canManageMeetings}
+                      cancelling={cancellingMeetingId === meeting.id}
+                      onEdit={openMeetingModal}
+                      onCancel={handleCancelMeeting}
+                      onRestore={handleRestoreMeeting}
+                    />
+                  ))
+                )}
+              </div>
+              {pastMeetings.length > 0 && (
+                <div className="space-y-2 pt-4">
+                  <h3 className="font-semibold text-gray-700">Past</h3>
+                  {pastMeetings.map((meeting) => (
+                    <MeetingCard
+                      key={meeting.id}
+                      meeting={meeting}
+                      songbookTitle={getMeetingSongbookTitle(meeting)}
+                      isAdmin={canManageMeetings}
+                      isPast
+                      cancelling={cancellingMeetingId === meeting.id}
+                      onEdit={openMeetingModal}
+                      onCancel={handleCancelMeeting}
+                      onRestore={handleRestoreMeeting}
+                    />
+                  ))}
                 </div>
-              ))}
-            </div>
+              )}
+            </>
           )}
+
+          <MeetingFormModal
+            isOpen={showMeetingModal}
+            onClose={() => setShowMeetingModal(false)}
+            onSave={handleSaveMeeting}
+            meeting={editingMeeting}
+            series={editingSeries}
+            songbooks={songbooks}
+            saving={savingMeeting}
+            error={meetingError}
+          />
+
+          <MeetingCancelModal
+            isOpen={!!cancelScopeMeeting}
+            onClose={() => setCancelScopeMeeting(null)}
+            onConfirm={handleCancelMeetingSeries}
+            meeting={cancelScopeMeeting}
+            cancelling={!!cancellingMeetingId}
+          />
+        </div>
+      )}
+
+      {activeTab === 'attendance' && (
+        <GroupAttendance
+          groupName={group.name}
+          meetings={meetings}
+          members={members.map(member => ({
+            userId: member.userId,
+            joinedAt: member.joinedAt,
+            name: formatUserName(
+              member.user,
+              member.userId,
+              member.userId === user?.id ? user?.email : null
+            ),
+          }))}
+          records={attendanceData?.meetingAttendance || []}
+          isAdmin={canManageMeetings}
+          currentUserId={user?.id}
+        />
+      )}
+
+      {activeTab === 'stats' && (
+        <div className="space-y-4">
+          <h2 className="text-xl font-semibold mb-4">Song Stats</h2>
+          <SongPlayStats
+            songs={groupSongs}
+            plays={songPlaysData?.songPlays || []}
+            songQuery={`group=${groupId}`}
+          />
         </div>
       )}
 
@@ -1123,7 +1379,7 @@ export default function GroupPage() {
     }
 
     try {
-      await approveMembership(membershipId);
+      await approveMembership(membershipId, groupId);
     } catch (err) {
       console.error('Error approving membership:', err);
       setError(err.message || 'Failed to approve membership. Please try again.');
@@ -1167,6 +1423,176 @@ export default function GroupPage() {
     }
   }
 
+  function getMeetingSongbookTitle(meeting) {
+    if (!meeting.songbookId) return null;
+    const songbook = meeting.songbook?.[0] || songbooks.find(sb => sb.id === meeting.songbookId);
+    return songbook?.title || null;
+  }
+
+  function handleExportCalendar() {
+    const responses = Object.fromEntries(
+      (userRsvpData?.meetingRSVPs || []).map(rsvp => [rsvp.meetingId, rsvp.response])
+    );
+    const ics = generateICalendar(meetings, {
+      calendarName: group.name,
+      origin: window.location.origin,
+      attendee: getCalendarAttendee(profileData?.$users?.[0] || user),
+      responses,
+    });
+    downloadFile(ics, `${toFileName(group.name, 'group')} meetings.ics`, ICS_MIME_TYPE);
+  }
+
+  // Tell members about a meeting change; a failed notification doesn't undo the change
+  async function notifyMembers(type, meeting, series = null) {
+    try {
+      await createMeetingNotifications(
+        type,
+        { ...meeting, groupId },
+        members.map(member => ({ userId: member.userId, user: member.user?.[0] })),
+        { senderId: user.id, groupName: group.name, series }
+      );
+    } catch (err) {
+      console.error('Error sending meeting notifications:', err);
+    }
+  }
+
+  function openMeetingModal(meeting) {
+    setEditingMeeting(meeting);
+    setMeetingError(null);
+    setShowMeetingModal(true);
+  }
+
+  async function handleSaveMeeting(meetingFields, scope) {
+    if (!canManageMeetings) {
+      setMeetingError('Only the group creator can schedule meetings.');
+      return;
+    }
+
+    setSavingMeeting(true);
+    setMeetingError(null);
+
+    try {
+      if (editingMeeting && editingSeries) {
+        await updateMeetingSeries({
+          series: editingSeries,
+          meeting: editingMeeting,
+          updates: meetingFields,
+          scope,
+        });
+        await notifyMembers(
+          NOTIFICATION_TYPES.MEETING_UPDATED,
+          { ...editingMeeting, ...meetingFields },
+          scope === SERIES_SCOPES.THIS ? null : { ...editingSeries, ...meetingFields, startDate: meetingFields.date }
+        );
+      } else if (editingMeeting) {
+        await updateMeeting(editingMeeting.id, meetingFields, editingMeeting.songbookId || null);
+        await notifyMembers(NOTIFICATION_TYPES.MEETING_UPDATED, { ...editingMeeting, ...meetingFields });
+      } else if (meetingFields.frequency) {
+        await createMeetingSeries({
+          ...meetingFields,
+          groupId,
+          createdBy: user.id,
+        });
+        await notifyMembers(
+          NOTIFICATION_TYPES.MEETING_SCHEDULED,
+          meetingFields,
+          { ...meetingFields, startDate: meetingFields.date }
+        );
+      } else {
+        const meetingId = await createMeeting({
+          ...meetingFields,
+          groupId,
+          createdBy: user.id,
+        });
+        await notifyMembers(NOTIFICATION_TYPES.MEETING_SCHEDULED, { ...meetingFields, id: meetingId });
+      }
+      setShowMeetingModal(false);
+      setEditingMeeting(null);
+    } catch (err) {
+      console.error('Error saving meeting:', err);
+      setMeetingError(err.message || 'Failed to save meeting. Please try again.');
+    } finally {
+      setSavingMeeting(false);
+    }
+  }
+
+  async function handleCancelMeeting(meeting) {
+    if (!canManageMeetings) {
+      setError('Only the group creator can cancel meetings.');
+      return;
+    }
+
+    if (meeting.seriesId) {
+      setCancelScopeMeeting(meeting);
+      return;
+    }
+
+    if (!confirm(`Cancel "${meeting.title}"? The meeting will be removed for all members.`)) {
+      return;
+    }
+
+    setCancellingMeetingId(meeting.id);
+    setError(null);
+
+    try {
+      await deleteMeeting(meeting.id);
+      await notifyMembers(NOTIFICATION_TYPES.MEETING_CANCELLED, { ...meeting, id: null });
+    } catch (err) {
+      console.error('Error cancelling meeting:', err);
+      setError(err.message || 'Failed to cancel meeting. Please try again.');
+    } finally {
+      setCancellingMeetingId(null);
+    }
+  }
+
+  async function handleCancelMeetingSeries(scope) {
+    const meeting = cancelScopeMeeting;
+    const series = meetingSeries.find(s => s.id === meeting?.seriesId);
+    if (!canManageMeetings || !meeting || !series) {
+      setCancelScopeMeeting(null);
+      return;
+    }
+
+    setCancellingMeetingId(meeting.id);
+    setError(null);
+
+    try {
+      await cancelMeetingSeries({ series, meeting, scope });
+      await notifyMembers(
+        NOTIFICATION_TYPES.MEETING_CANCELLED,
+        meeting,
+        scope === SERIES_SCOPES.THIS ? null : { ...series, startDate: meeting.date }
+      );
+      setCancelScopeMeeting(null);
+    } catch (err) {
+      console.error('Error cancelling meetings:', err);
+      setError(err.message || 'Failed to cancel meetings. Please try again.');
+      setCancelScopeMeeting(null);
+    } finally {
+      setCancellingMeetingId(null);
+    }
+  }
+
+  async function handleRestoreMeeting(meeting) {
+    if (!canManageMeetings) {
+      setError('Only the group creator can restore meetings.');
+      return;
+    }
+
+    setCancellingMeetingId(meeting.id);
+    setError(null);
+
+    try {
+      await restoreMeetingOccurrence(meeting.id);
+      await notifyMembers(NOTIFICATION_TYPES.MEETING_UPDATED, meeting);
+    } catch (err) {
+      console.error('Error restoring meeting:', err);
+      setError(err.message || 'Failed to restore meeting. Please try again.');
+    } finally {
+      setCancellingMeetingId(null);
+    }
+  }
+
   async function handleLeaveGroup() {
     if (!user?.id || !groupId) {
       setError('You must be logged in to leave a group.');
@@ -1268,7 +1694,7 @@ function AddSongsToGroupSongbookModal({ songbookId, groupId, groupSongs, myPriva
         );
       }
 
-      await db.transact(...transactions);
+      await db.transact(transactions);
       onSuccess();
     } catch (err) {
       console.error('Error adding songs to songbook:', err);
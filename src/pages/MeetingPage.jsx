@@ -1,18 +1,135 @@
 import { useParams } from 'react-router-dom';
-import { useMeeting } from '../db/queries';
+import { useMeeting, useMeetingSongs, useMeetingSongPlays, useMeetingRSVPs, useUserProfile } from '../db/queries';
 import { useAuth } from '../contexts/AuthContext';
+import { useMeetingSession } from '../contexts/useMeetingSession';
 import { upsertRSVP } from '../db/mutations';
+import { db } from '../db/schema';
 import { useState } from 'react';
+import { describeRecurrence } from '../utils/recurrence';
+import { isMeetingPast } from '../utils/meetings';
+import { NOTIFICATION_TYPES, createMeetingNotifications } from '../utils/notifications';
+import MeetingSetlist from '../components/MeetingSetlist';
+import { generateICalendar, getCalendarAttendee, ICS_MIME_TYPE } from '../utils/icalendar';
+import { downloadFile, toFileName } from '../utils/download';
 
 export default function MeetingPage() {
   const { id } = useParams();
   const { user } = useAuth();
+  const session = useMeetingSession();
   const { data } = useMeeting(id);
   const [rsvpLoading, setRsvpLoading] = useState(false);
+  const [nudging, setNudging] = useState(false);
 
   const meeting = data?.meetings?.[0];
-  const rsvps = meeting?.meetingRSVPs || [];
+  const { data: rsvpData } = useMeetingRSVPs(id);
+  const { data: profileData } = useUserProfile(user?.id);
+  const rsvps = rsvpData?.meetingRSVPs || [];
   const userRsvp = rsvps.find(r => r.userId === user?.id);
+  const isCancelled = meeting?.status === 'cancelled';
+  const recurrence = describeRecurrence(meeting?.series?.[0]);
+
+  // Group (for admin rights), the group library and the attached songbook's songs
+  const groupId = meeting?.groupId;
+  const songbookId = meeting?.songbookId;
+  const { data: contextData } = db.useQuery({
+    groups: {
+      $: {
+        where: groupId ? { id: groupId } : { id: '' },
+      },
+    },
+    groupMembers: {
+      $: {
+        where: groupId && user?.id
+          ? { groupId, userId: user.id, status: 'approved' }
+          : { groupId: '' }, // Impossible condition when no groupId
+      },
+    },
+    songShares: {
+      $: {
+        where: groupId ? { groupId } : { groupId: '' },
+      },
+    },
+    songbookSongs: {
+      $: {
+        where: songbookId ? { songbookId } : { songbookId: '' },
+      },
+    },
+  });
+  const { data: setlistData } = useMeetingSongs(id);
+  // Approved members, so admins can nudge those who haven't replied
+  const { data: membersData } = db.useQuery({
+    groupMembers: {
+      $: {
+        where: groupId
+          ? { groupId, status: 'approved' }
+          : { groupId: '' }, // Impossible condition when no groupId
+      },
+      user: {},
+    },
+  });
+  const meetingSongs = setlistData?.meetingSongs || [];
+  const { data: playsData } = useMeetingSongPlays(id);
+
+  const group = contextData?.groups?.[0];
+  const isAdmin = !!group && !!user?.id
+    && (group.createdBy === user.id || contextData?.groupMembers?.[0]?.role === 'admin');
+  // Setlist records are writable only by the group creator (instant.perms.ts)
+  const canEditSetlist = !!group && !!user?.id && group.createdBy === user.id;
+
+  // Load the songs behind the setlist, songbook and group library in one query
+  const songbookSongIds = [...(contextData?.songbookSongs || [])]
+    .sort((a, b) => (a.order || 0) - (b.order || 0))
+    .map(ss => ss.songId);
+  const groupSongIds = (contextData?.songShares || []).map(ss => ss.songId);
+  const songIds = [...new Set([
+    ...meetingSongs.map(ms => ms.songId),
+    ...songbookSongIds,
+    ...groupSongIds,
+  ].filter(Boolean))];
+  const { data: songsData } = db.useQuery({
+    songs: {
+      $: {
+        where: songIds.length > 0 ? { id: { $in: songIds } } : { id: '' },
+      },
+    },
+  });
+  const songsById = new Map((songsData?.songs || []).map(song => [song.id, song]));
+  const toSongs = (ids) => [...new Set(ids)].map(songId => songsById.get(songId)).filter(Boolean);
+  const setlist = meetingSongs.map(ms => ({
+    ...ms,
+    song: ms.song?.[0] || songsById.get(ms.songId) || null,
+  }));
+
+  const handleAddToCalendar = () => {
+    const ics = generateICalendar([meeting], {
+      origin: window.location.origin,
+      attendee: getCalendarAttendee(profileData?.$users?.[0] || user),
+      responses: { [meeting.id]: userRsvp?.response },
+    });
+    downloadFile(ics, `${toFileName(meeting.title, 'meeting')}.ics`, ICS_MIME_TYPE);
+  };
+
+  const handleNudge = async () => {
+    if (!confirm(`Send an RSVP reminder to ${awaitingReply.length} member${awaitingReply.length === 1 ? '' : 's'} who haven't replied?`)) {
+      return;
+    }
+
+    setNudging(true);
+    try {
+      await createMeetingNotifications(
+        NOTIFICATION_TYPES.RSVP_NUDGE,
+        meeting,
+        awaitingReply.map(member => ({ userId: member.userId, user: member.user?.[0] })),
+        { senderId: user.id }
+      );
+      alert('RSVP reminders sent.');
+    } catch (error) {
+      console.error('Error sending RSVP reminders:', error);
+      alert('Error sending RSVP reminders. Please try again.');
+    } finally {
+      setNudging(false);
+    }
+  };
 
   const handleRSVP = async (response) => {
     setRsvpLoading(true);
@@ -44,11 +161,58 @@ export default function MeetingPage() {
     no: rsvps.filter(r => r.response === 'no'),
     maybe: rsvps.filter(r => r.response === 'maybe'),
   };
+  const respondedUserIds = new Set(rsvps.map(r => r.userId));
+  const awaitingReply = (membersData?.groupMembers || [])
+    .filter(member => !respondedUserIds.has(member.userId) && member.userId !== user?.id);
+  const canNudge = isAdmin && !isCancelled && !isMeetingPast(meeting) && awaitingReply.length > 0;
 
   return (
     <div className="max-w-4xl mx-auto">
+      {isCancelled && (
+        <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded text-red-700">
+          <p className="font-semibold">This meeting has been cancelled.</p>
+          {recurrence && (
+            <p className="text-sm">Other meetings in the series are still going ahead.</p>
+          )}
+        </div>
+      )}
+
       <div className="mb-6">
-        <h1 className="text-3xl font-bold mb-2">{meeting.title}</h1>
+        <div className="flex items-start justify-between gap-4 mb-2">
+          <h1 className={`text-3xl font-bold ${isCancelled ? 'line-through text-gray-500' : ''}`}>
+            {meeting.title}
+          </h1>
+          <div className="flex flex-wrap justify-end gap-2 flex-shrink-0">
+            {session.active && session.meetingId === id ? (
+              <button onClick={session.leaveSession} className="btn btn-secondary text-sm">
+                Leave Live Session
+              </button>
+            ) : !isCancelled && (
+              <>
+                {isAdmin && (
+                  <button
+                    onClick={() => session.joinSession(id, { title: meeting.title, lead: true })}
+                    className="btn btn-primary text-sm"
+                  >
+                    Lead Live Session
+                  </button>
+                )}
+                <button
+                  onClick={() => session.joinSession(id, { title: meeting.title })}
+                  className={`btn text-sm ${isAdmin ? 'btn-secondary' : 'btn-primary'}`}
+                >
+                  Join Live Session
+                </button>
+              </>
+            )}
+            <button
+              onClick={handleAddToCalendar}
+              className="btn btn-secondary text-sm"
+            >
+              Add to Calendar
+            </button>
+          </div>
+        </div>
         {meeting.description && (
           <p className="text-gray-600 mb-4">{meeting.description}</p>
         )}
@@ -59,6 +223,11 @@ export default function MeetingPage() {
           <p>
             <strong>Time:</strong> {meeting.time}
           </p>
+          {recurrence && (
+            <p>
+              <strong>Repeats:</strong> {recurrence}
+            </p>
+          )}
           {meeting.location && (
             <p>
               <strong>Location:</strong> {meeting.location}
@@ -73,7 +242,7 @@ export default function MeetingPage() {
         <div className="flex gap-4">
           <button
             onClick={() => handleRSVP('yes')}
-            disabled={rsvpLoading}
+            disabled={rsvpLoading || isCancelled}
             className={`btn ${
               userRsvp?.response === 'yes' ? 'btn-primary' : 'btn-secondary'
             }`}
@@ -82,7 +251,7 @@ export default function MeetingPage() {
           </button>
           <button
             onClick={() => handleRSVP('maybe')}
-            disabled={rsvpLoading}
+            disabled={rsvpLoading || isCancelled}
             className={`btn ${
               userRsvp?.response === 'maybe' ? 'btn-primary' : 'btn-secondary'
             }`}
@@ -91,7 +260,7 @@ export default function MeetingPage() {
           </button>
           <button
             onClick={() => handleRSVP('no')}
-            disabled={rsvpLoading}
+            disabled={rsvpLoading || isCancelled}
             className={`btn ${
               userRsvp?.response === 'no' ? 'btn-primary' : 'btn-secondary'
             }`}
@@ -103,7 +272,18 @@ export default function MeetingPage() {
 
       {/* Attendees */}
       <div className="card mb-6">
-        <h2 className="font-semibold text-lg mb-4">Attendees</h2>
+        <div className="flex items-center justify-between gap-2 mb-4">
+          <h2 className="font-semibold text-lg">Attendees</h2>
+          {canNudge && (
+            <button
+              onClick={handleNudge}
+              disabled={nudging}
+              className="btn btn-secondary text-sm"
+            >
+              {nudging ? 'Sending...' : `Nudge ${awaitingReply.length} Awaiting Reply`}
+            </button>
+          )}
+        </div>
         <div className="space-y-4">
           {rsvpGroups.yes.length > 0 && (
             <div>
@@ -150,6 +330,16 @@ export default function MeetingPage() {
         </div>
       </div>
 
+      <MeetingSetlist
+        meeting={meeting}
+        currentUserId={user?.id}
+        plays={playsData?.songPlays || []}
+        setlist={setlist}
+        songbookSongs={toSongs(songbookSongIds)}
+        groupSongs={toSongs(groupSongIds).sort((a, b) => (a.title || '').localeCompare(b.title || ''))}
+        canEdit={canEditSetlist}
+      />
+
       {/* Songbook */}
       {meeting.songbook && (
         <div className="card">
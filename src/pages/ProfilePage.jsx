@@ -1,7 +1,96 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { updateUser } from '../db/mutations';
 import { db } from '../db/schema';
+import { INSTRUMENT_OPTIONS, getUserInstrument, parseInstrumentValue } from '../utils/instruments';
+import { getChordNames, searchChordNames } from '../utils/chord-library';
+import { getKnownChords } from '../utils/known-chords';
+import {
+  MEETING_NOTIFICATION_OPTIONS,
+  REMINDER_DAYS_OPTIONS,
+  NOTIFICATION_TYPES,
+  getNotificationPreferences,
+} from '../utils/notifications';
+
+// Picker for the chords a member knows (used by the "songs I can play" filters)
+function KnownChordsPicker({ knownChords, onChange, instrument, tuning }) {
+  const [chordQuery, setChordQuery] = useState('');
+  const [showDropdown, setShowDropdown] = useState(false);
+  const allChords = useMemo(() => getChordNames(instrument, tuning), [instrument, tuning]);
+  const suggestions = (chordQuery ? searchChordNames(chordQuery, instrument, tuning, 15) : allChords.slice(0, 15))
+    .filter(chord => !knownChords.includes(chord));
+
+  const handleAddChord = (chord) => {
+    const name = chord.trim();
+    if (name && !knownChords.includes(name)) {
+      onChange([...knownChords, name]);
+    }
+    setChordQuery('');
+    setShowDropdown(false);
+  };
+
+  return (
+    <div className="space-y-2">
+      {knownChords.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {knownChords.map(chord => (
+            <span
+              key={chord}
+              className="inline-flex items-center gap-1 px-2 py-1 bg-primary-100 text-primary-700 rounded text-sm font-medium"
+            >
+              {chord}
+              <button
+                type="button"
+                onClick={() => onChange(knownChords.filter(c => c !== chord))}
+                className="hover:text-primary-900 focus:outline-none leading-none"
+                aria-label={`Remove ${chord}`}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      <div className="relative">
+        <input
+          type="text"
+          value={chordQuery}
+          onChange={(e) => {
+            setChordQuery(e.target.value);
+            setShowDropdown(true);
+          }}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              handleAddChord(suggestions[0] || chordQuery);
+            }
+          }}
+          onFocus={() => setShowDropdown(true)}
+          onBlur={() => {
+            // Delay to allow click on dropdown item
+            setTimeout(() => setShowDropdown(false), 200);
+          }}
+          placeholder="Add a chord you know (e.g., C, Am, G7)..."
+          className="input"
+        />
+        {showDropdown && suggestions.length > 0 && (
+          <div className="absolute z-10 w-full mt-1 bg-white border border-gray-300 rounded-md shadow-lg max-h-48 overflow-y-auto">
+            {suggestions.map(chord => (
+              <button
+                key={chord}
+                type="button"
+                onClick={() => handleAddChord(chord)}
+                className="w-full text-left px-3 py-1.5 text-sm hover:bg-gray-100 transition-colors"
+              >
+                {chord}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
 
 export default function ProfilePage() {
   const { user: authUser } = useAuth();
@@ -19,6 +108,9 @@ export default function ProfilePage() {
   
   const [firstName, setFirstName] = useState('');
   const [lastName, setLastName] = useState('');
+  const [instrumentValue, setInstrumentValue] = useState('');
+  const [knownChords, setKnownChords] = useState([]);
+  const [notificationPreferences, setNotificationPreferences] = useState(() => getNotificationPreferences(null));
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('');
 
@@ -29,6 +121,10 @@ export default function ProfilePage() {
       console.log('User firstName:', user.firstName, 'lastName:', user.lastName);
       setFirstName(user.firstName || '');
       setLastName(user.lastName || '');
+      const { instrument, tuning } = getUserInstrument(user);
+      setInstrumentValue(`${instrument}:${tuning}`);
+      setKnownChords(getKnownChords(user));
+      setNotificationPreferences(getNotificationPreferences(user));
     }
   }, [user]);
 
@@ -44,13 +140,16 @@ export default function ProfilePage() {
         return;
       }
 
-      console.log('Submitting profile update with:', { firstName, lastName });
+      const { instrument, tuning } = parseInstrumentValue(instrumentValue);
       await updateUser(authUser.id, {
         firstName: firstName.trim() || null,
         lastName: lastName.trim() || null,
+        defaultInstrument: instrument,
+        defaultTuning: tuning,
+        knownChords,
+        notificationPreferences,
       });
 
-      console.log('Update completed');
       setMessage('Profile updated successfully!');
       // Clear message after 3 seconds
       setTimeout(() => setMessage(''), 3000);
@@ -101,6 +200,86 @@ export default function ProfilePage() {
             />
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Default Instrument
+            </label>
+            <select
+              value={instrumentValue}
+              onChange={(e) => setInstrumentValue(e.target.value)}
+              className="input"
+            >
+              {INSTRUMENT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <p className="mt-1 text-xs text-gray-500">
+              Chord diagrams use this instrument unless you switch it on a song.
+            </p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Chords I Know
+            </label>
+            <KnownChordsPicker
+              knownChords={knownChords}
+              onChange={setKnownChords}
+              {...parseInstrumentValue(instrumentValue)}
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              Song lists can show only the songs you can play with these chords.
+            </p>
+          </div>
+
+          <fieldset>
+            <legend className="block text-sm font-medium text-gray-700 mb-1">
+              Meeting Notifications
+            </legend>
+            <div className="space-y-2">
+              {MEETING_NOTIFICATION_OPTIONS.map(option => (
+                <label key={option.type} className="flex items-start gap-2">
+                  <input
+                    type="checkbox"
+                    checked={notificationPreferences[option.type]}
+                    onChange={(e) => setNotificationPreferences({
+                      ...notificationPreferences,
+                      [option.type]: e.target.checked,
+                    })}
+                    className="mt-1"
+                  />
+                  <span>
+                    <span className="block text-gray-900">{option.label}</span>
+                    <span className="block text-xs text-gray-500">{option.description}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+            <div className="mt-3">
+              <label className="block text-sm text-gray-700 mb-1" htmlFor="reminder-days">
+                Send reminders
+              </label>
+              <select
+                id="reminder-days"
+                value={notificationPreferences.reminderDays}
+                onChange={(e) => setNotificationPreferences({
+                  ...notificationPreferences,
+                  reminderDays: Number(e.target.value),
+                })}
+                disabled={!notificationPreferences[NOTIFICATION_TYPES.MEETING_REMINDER]}
+                className="input"
+              >
+                {REMINDER_DAYS_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </fieldset>
+
           {message && (
             <p className={`text-sm ${message.includes('Error') ? 'text-red-600' : 'text-green-600'}`}>
               {message}
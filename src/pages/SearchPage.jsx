@@ -0,0 +1,142 @@
+import { useMemo } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { useAccessibleSongs } from '../db/queries';
+import {
+  buildSongSearchIndex,
+  buildLyricSearchIndex,
+  searchSongs,
+  searchLyrics,
+  splitSearchFilters,
+} from '../utils/song-search';
+
+// Most results listed in each section
+const MAX_RESULTS = 50;
+
+// Lyric snippet with the matched words highlighted
+function LyricSnippet({ snippet }) {
+  return (
+    <span className="block text-sm text-gray-600">
+      {snippet.before}
+      <mark className="bg-yellow-200 text-gray-900 rounded px-0.5">{snippet.match}</mark>
+      {snippet.after}
+    </span>
+  );
+}
+
+export default function SearchPage() {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = searchParams.get('q') || '';
+  const { data: songsData } = useAccessibleSongs(user?.id);
+
+  // Indexes only change with the songs, not with each keystroke
+  const searchIndex = useMemo(
+    () => buildSongSearchIndex(songsData?.songs || [], { currentUserId: user?.id }),
+    [songsData, user?.id]
+  );
+  const lyricIndex = useMemo(() => buildLyricSearchIndex(songsData?.songs || []), [songsData]);
+
+  // Songs with the line in their lyrics (narrowed by any facets, e.g., artist:dylan),
+  // then other songs matching by title, artist or chords
+  const { lyricResults, otherSongs } = useMemo(() => {
+    if (!query.trim()) {
+      return { lyricResults: [], otherSongs: [] };
+    }
+    const { text, filters } = splitSearchFilters(query);
+    const filteredSongIds = filters
+      ? new Set(searchSongs(searchIndex, filters).map(song => song.id))
+      : null;
+    const lyricMatches = searchLyrics(lyricIndex, text)
+      .filter(result => !filteredSongIds || filteredSongIds.has(result.song.id));
+    const lyricSongIds = new Set(lyricMatches.map(result => result.song.id));
+    return {
+      lyricResults: lyricMatches,
+      otherSongs: searchSongs(searchIndex, query).filter(song => !lyricSongIds.has(song.id)),
+    };
+  }, [searchIndex, lyricIndex, query]);
+
+  const handleQueryChange = (value) => {
+    setSearchParams(value ? { q: value } : {}, { replace: true });
+  };
+
+  const openSong = (songId) => {
+    navigate(`/songs/${songId}`, { state: { referrer: `/search?q=${encodeURIComponent(query)}` } });
+  };
+
+  return (
+    <div className="space-y-8">
+      <h1 className="text-3xl font-bold">Search</h1>
+
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => handleQueryChange(e.target.value)}
+        placeholder='Search lyrics, titles and artists, e.g. "the answer my friend"'
+        className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+        autoFocus
+      />
+
+      {!query.trim() ? (
+        <p className="text-gray-500">
+          Remember a line but not the title? Type it here to find it in the lyrics of every song you can open.
+        </p>
+      ) : lyricResults.length === 0 && otherSongs.length === 0 ? (
+        <p className="text-center py-8 text-gray-500">No songs match &ldquo;{query.trim()}&rdquo;.</p>
+      ) : (
+        <>
+          {lyricResults.length > 0 && (
+            <div className="card">
+              <h2 className="text-xl font-semibold mb-4">In the lyrics</h2>
+              <ul className="divide-y divide-gray-200">
+                {lyricResults.slice(0, MAX_RESULTS).map(({ song, hitCount, snippets }) => (
+                  <li key={song.id}>
+                    <button
+                      onClick={() => openSong(song.id)}
+                      className="w-full text-left py-3 px-2 -mx-2 rounded hover:bg-gray-50 transition-colors"
+                    >
+                      <span className="flex items-baseline justify-between gap-4">
+                        <span className="font-medium text-gray-900">
+                          {song.title}
+                          {song.artist && <span className="font-normal text-gray-500"> — {song.artist}</span>}
+                        </span>
+                        {hitCount > snippets.length && (
+                          <span className="text-xs text-gray-500 whitespace-nowrap">{hitCount} matches</span>
+                        )}
+                      </span>
+                      <span className="block mt-1 space-y-1">
+                        {snippets.map((snippet, index) => (
+                          <LyricSnippet key={index} snippet={snippet} />
+                        ))}
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {otherSongs.length > 0 && (
+            <div className="card">
+              <h2 className="text-xl font-semibold mb-4">Other matching songs</h2>
+              <ul className="divide-y divide-gray-200">
+                {otherSongs.slice(0, MAX_RESULTS).map(song => (
+                  <li key={song.id}>
+                    <button
+                      onClick={() => openSong(song.id)}
+                      className="w-full text-left py-3 px-2 -mx-2 rounded hover:bg-gray-50 transition-colors"
+                    >
+                      <span className="font-medium text-gray-900">{song.title}</span>
+                      {song.artist && <span className="text-gray-500"> — {song.artist}</span>}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
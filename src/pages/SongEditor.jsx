@@ -3,9 +3,10 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { parseLyricsWithChords, lyricsWithChordsToText, extractCustomChords, buildEmbeddedChordsData } from '../utils/lyrics-helpers';
 import { createSong, updateSong } from '../db/mutations';
-import { useSong, usePersonalChords, useMainLibraryChords } from '../db/queries';
+import { useSong, usePersonalChords, useMainLibraryChords, useUserProfile } from '../db/queries';
 import ChordAutocomplete from '../components/ChordAutocomplete';
 import { importSongFromPDF } from '../utils/pdf-parser';
+import { getUserInstrument } from '../utils/instruments';
 
 export default function SongEditor() {
   const { id } = useParams();
@@ -21,9 +22,9 @@ export default function SongEditor() {
 
   const isEditing = !!id;
 
-  // Instrument and tuning settings
-  const instrument = 'ukulele';
-  const tuning = 'ukulele_standard';
+  // Instrument and tuning settings (user's profile default)
+  const { data: profileData } = useUserProfile(user?.id);
+  const { instrument, tuning } = getUserInstrument(profileData?.$users?.[0]);
 
   // Load song data when editing
   const { data: songData, error: songError } = useSong(isEditing ? id : null);
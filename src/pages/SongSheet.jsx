@@ -1,16 +1,40 @@
 import { useParams, useNavigate, useLocation, useSearchParams } from 'react-router-dom';
-import { useSong, useSongInSongbooks, useAccessibleSongs, useMyGroups, useAllDatabaseChords } from '../db/queries';
+import { useSong, useSongInSongbooks, useAccessibleSongs, useMyGroups, useAllDatabaseChords, useUserProfile, useMeetingSongs } from '../db/queries';
 import { db } from '../db/schema';
 import { renderInlineChords, renderAboveChords, parseLyricsWithChords, lyricsWithChordsToText, extractElements } from '../utils/lyrics-helpers';
 import { useState, useRef, useEffect, useMemo } from 'react';
 import { useAuth } from '../contexts/AuthContext';
-import { deleteSong, createSong, updateSong, shareSongsWithGroups } from '../db/mutations';
+import { deleteSong, createSong, copySong, updateSong, updateSongKey, shareSongsWithGroups, recordSongbookPlay } from '../db/mutations';
 import { AppError, ERROR_CODES } from '../utils/error-handling';
 import ChordAutocomplete from '../components/ChordAutocomplete';
 import StyledChordEditor from '../components/StyledChordEditor';
 import ChordDiagram from '../components/ChordDiagram';
 import { findChord } from '../utils/chord-library';
 import PDFImportModal from '../components/PDFImportModal';
+import ChordProImportModal from '../components/ChordProImportModal';
+import { songToChordPro } from '../utils/chordpro';
+import { downloadFile, toFileName } from '../utils/download';
+import PDFExportModal from '../components/PDFExportModal';
+import { exportSongPDF } from '../utils/song-pdf';
+import { transposeChords, transposeKey } from '../utils/transpose';
+import { detectKeyFromChordsJson, ALL_KEYS } from '../utils/key-detection';
+import { applyCapo, suggestBestCapo, MAX_CAPO_FRET } from '../utils/capo';
+import { simplifyChords, suggestSimplifiedCapo } from '../utils/chord-simplify';
+import { INSTRUMENT_OPTIONS, getUserInstrument, parseInstrumentValue } from '../utils/instruments';
+import { toDateInputValue } from '../utils/meetings';
+import { getOfflineSong, getOfflineSongbook, getOfflineChords } from '../utils/offline-store';
+import PerformanceMode from '../components/PerformanceMode';
+import { DEFAULT_TEXT_SCALE, MIN_TEMPO, MAX_TEMPO, formatDuration, parseDuration } from '../utils/performance';
+import {
+  DIFFICULTY_OPTIONS,
+  TIME_SIGNATURE_OPTIONS,
+  MAX_CAPO,
+  getDifficultyLabel,
+  normalizeTimeSignature,
+  isValidYear,
+  parseTags,
+  getSongTags,
+} from '../utils/song-metadata';
 
 export default function SongSheet() {
   // All hooks must be called in the same order on every render
@@ -29,25 +53,51 @@ export default function SongSheet() {
   const [sharing, setSharing] = useState(false);
   const [shareError, setShareError] = useState(null);
   const [showImportModal, setShowImportModal] = useState(false);
+  const [showChordProImportModal, setShowChordProImportModal] = useState(false);
+  const [showPDFExportModal, setShowPDFExportModal] = useState(false);
+  const [exportingPDF, setExportingPDF] = useState(false);
+  const [pdfExportError, setPdfExportError] = useState(null);
+  const [transposeSteps, setTransposeSteps] = useState(0);
+  const [savingTransposed, setSavingTransposed] = useState(false);
+  const [capoFret, setCapoFret] = useState(0);
+  const [capoSuggestion, setCapoSuggestion] = useState(null);
+  const [beginnerView, setBeginnerView] = useState(false);
+  const [savingSimplified, setSavingSimplified] = useState(false);
+  // Performance mode settings ({ playing, speed, textScale }), or null when not performing
+  const [performanceSettings, setPerformanceSettings] = useState(null);
   const menuRef = useRef(null);
   const songSelectorRef = useRef(null);
   // Track the original referrer when song is first opened in view mode
   const originalReferrerRef = useRef(null);
   
-  // Instrument and tuning settings (can be made configurable later)
-  const instrument = 'ukulele';
-  const tuning = 'ukulele_standard';
+  // Instrument and tuning: the user's profile default, unless switched for this view
+  const { data: profileData } = useUserProfile(user?.id);
+  const [instrumentOverride, setInstrumentOverride] = useState(null);
+  const { instrument, tuning } = instrumentOverride || getUserInstrument(profileData?.$users?.[0]);
 
   // Edit/create mode state - must be declared before conditional hooks
   const [title, setTitle] = useState('');
   const [artist, setArtist] = useState('');
   const [lyricsText, setLyricsText] = useState('');
+  const [tempoText, setTempoText] = useState('');
+  const [durationText, setDurationText] = useState('');
+  // Key override ('' = detect from chords) and the other song details
+  const [songKey, setSongKey] = useState('');
+  const [timeSignatureText, setTimeSignatureText] = useState('');
+  const [songCapo, setSongCapo] = useState(0);
+  const [difficulty, setDifficulty] = useState('');
+  const [yearText, setYearText] = useState('');
+  const [tagsText, setTagsText] = useState('');
   const [saving, setSaving] = useState(false);
+  // Extra fields carried over from a ChordPro import (create mode only)
+  const [importedEmbeddedChords, setImportedEmbeddedChords] = useState([]);
+  // Copies saved with "Make available offline", used when InstantDB can't connect
+  const [offlineCopy, setOfflineCopy] = useState({ song: null, songbook: null, chords: [] });
 
   // Always call these hooks in the same order
   // Use id directly (will be undefined for /songs/new, which is handled by the hooks)
   const { data, error } = useSong(id);
-  const song = data?.songs?.[0];
+  const song = data ? data.songs?.[0] : (offlineCopy.song?.id === id ? offlineCopy.song : undefined);
   const { data: songbookData } = useSongInSongbooks(id);
   const { data: groupsData } = useMyGroups(user?.id);
   
@@ -64,22 +114,38 @@ export default function SongSheet() {
     },
   });
   
-  // Get songbook ID and group ID from query parameters
+  // Get songbook ID, meeting ID and group ID from query parameters
   const songbookId = searchParams.get('songbook');
+
+  // Load any offline copies of the song, its songbook and the chord library
+  useEffect(() => {
+    if (!id) return;
+    let cancelled = false;
+    Promise.all([getOfflineSong(id), getOfflineSongbook(songbookId), getOfflineChords(instrument, tuning)])
+      .then(([offlineSong, offlineSongbook, offlineChords]) => {
+        if (!cancelled) {
+          setOfflineCopy({ song: offlineSong, songbook: offlineSongbook, chords: offlineChords });
+        }
+      })
+      .catch(err => console.error('Error loading offline copy:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [id, songbookId, instrument, tuning]);
+  const meetingId = searchParams.get('meeting');
   const groupId = searchParams.get('group');
+  // Query string for stepping through the songbook or meeting setlist
+  const sequenceQuery = songbookId
+    ? `songbook=${songbookId}`
+    : meetingId ? `meeting=${meetingId}` : null;
   
   // Get accessible songs to enrich songbookSongs
   // Use null instead of undefined to ensure consistent hook calls
   const accessibleSongsQuery = useAccessibleSongs(user?.id ?? null);
-  // Ensure we always have an array, even if data is undefined
-  const allSongs = (accessibleSongsQuery?.data?.songs && Array.isArray(accessibleSongsQuery.data.songs)) 
-    ? accessibleSongsQuery.data.songs 
-    : [];
-  const accessibleSongsMap = new Map(
-    allSongs.map(song => [song.id, song])
-  );
+  const accessibleSongsData = accessibleSongsQuery?.data;
   
   // Query songbookSongs directly when in songbook context (similar to SongbookIndex)
+  // The songbook itself tells us whether opening a song counts as a group play
   const { data: songbookSongsData } = db.useQuery({
     songbookSongs: {
       $: {
@@ -87,8 +153,30 @@ export default function SongSheet() {
         order: { order: 'asc' },
       },
     },
+    songbooks: {
+      $: {
+        where: songbookId ? { id: songbookId } : { id: '' },
+      },
+    },
   });
-  const rawSongbookSongs = songbookSongsData?.songbookSongs || [];
+  const contextSongbook = songbookSongsData?.songbooks?.[0];
+  const playGroupId = contextSongbook?.type === 'group' ? contextSongbook.groupId : null;
+  // A meeting setlist is stepped through the same way as a songbook
+  const { data: meetingSongsData } = useMeetingSongs(songbookId ? null : meetingId);
+  // Offline, step through the saved copy of the songbook instead
+  const offlineSongbookSongs = !songbookSongsData ? offlineCopy.songbook?.songbookSongs : null;
+  // Songs by ID, with the saved songbook copies taking over when offline
+  const accessibleSongsMap = useMemo(() => {
+    // Ensure we always have an array, even if data is undefined
+    const allSongs = Array.isArray(accessibleSongsData?.songs) ? accessibleSongsData.songs : [];
+    return new Map([
+      ...allSongs.map(song => [song.id, song]),
+      ...(offlineSongbookSongs || []).map(ss => [ss.songId, ss.song]),
+    ]);
+  }, [accessibleSongsData, offlineSongbookSongs]);
+  const rawSongbookSongs = (songbookId
+    ? songbookSongsData?.songbookSongs || offlineSongbookSongs
+    : meetingSongsData?.meetingSongs) || [];
   
   // Enrich songbookSongs with song data from accessible songs
   // Also include the current song even if not in accessibleSongs (user is viewing it)
@@ -148,6 +236,8 @@ export default function SongSheet() {
         referrer = `/groups/${groupId}?tab=songs`;
       } else if (songbookId) {
         referrer = `/songbooks/${songbookId}`;
+      } else if (meetingId) {
+        referrer = `/meetings/${meetingId}`;
       } else {
         // Try to detect from document.referrer
         const docReferrer = document.referrer;
@@ -179,7 +269,24 @@ export default function SongSheet() {
       sessionStorage.setItem(storageKey, referrer);
       console.log('[SongSheet] Inferred and stored referrer:', referrer);
     }
-  }, [isViewMode, id, location.state, groupId, songbookId]);
+  }, [isViewMode, id, location.state, groupId, songbookId, meetingId]);
+
+  // Opening a song from a group songbook counts as a play for the group (once a day per tab)
+  const songLoaded = !!song;
+  useEffect(() => {
+    if (!isViewMode || !id || !songLoaded || !user?.id || !playGroupId) return;
+
+    const storageKey = `song_play_${songbookId}_${id}`;
+    const today = toDateInputValue(Date.now());
+    if (sessionStorage.getItem(storageKey) === today) return;
+
+    sessionStorage.setItem(storageKey, today);
+    recordSongbookPlay({ songId: id, groupId: playGroupId, songbookId, userId: user.id })
+      .catch(err => {
+        console.error('Error recording song play:', err);
+        sessionStorage.removeItem(storageKey);
+      });
+  }, [isViewMode, id, songLoaded, user?.id, playGroupId, songbookId]);
 
   // Check if user has editing rights (user created the song)
   const canEdit = user && song && song.createdBy === user.id;
@@ -190,6 +297,14 @@ export default function SongSheet() {
     if (isEditMode && song) {
       setTitle(song.title || '');
       setArtist(song.artist || '');
+      setTempoText(song.tempo ? String(song.tempo) : '');
+      setDurationText(formatDuration(song.duration));
+      setSongKey(song.key || '');
+      setTimeSignatureText(song.timeSignature || '');
+      setSongCapo(song.capo || 0);
+      setDifficulty(song.difficulty || '');
+      setYearText(song.year ? String(song.year) : '');
+      setTagsText(getSongTags(song).join(', '));
       
       // Convert lyrics and chords back to editable text format
       let chords = [];
@@ -209,6 +324,14 @@ export default function SongSheet() {
       setTitle('');
       setArtist('');
       setLyricsText('');
+      setTempoText('');
+      setDurationText('');
+      setSongKey('');
+      setTimeSignatureText('');
+      setSongCapo(0);
+      setDifficulty('');
+      setYearText('');
+      setTagsText('');
     }
   }, [isEditMode, isCreateMode, song]);
 
@@ -243,12 +366,51 @@ export default function SongSheet() {
       return [];
     }
   }, [song?.chords]);
+
+  // Reset transposition and capo when switching songs
+  useEffect(() => {
+    setTransposeSteps(0);
+    setCapoFret(0);
+    setCapoSuggestion(null);
+  }, [id]);
+
+  // Key detected from the chords (stored on save; detected on the fly for older songs)
+  const autoKey = useMemo(() => {
+    return song?.detectedKey || detectKeyFromChordsJson(song?.chords);
+  }, [song?.detectedKey, song?.chords]);
+
+  // Original key of the song: manual override first, then the detected key
+  const originalKey = song?.key || autoKey;
+  // Tempo, time signature, etc. for the line under the key
+  const songDetails = song ? [
+    song.tempo && `${song.tempo} BPM`,
+    song.timeSignature,
+    formatDuration(song.duration),
+    song.capo && `Capo ${song.capo}`,
+    getDifficultyLabel(song.difficulty),
+    song.year,
+  ].filter(Boolean) : [];
+  const songTags = song ? getSongTags(song) : [];
+  const transposedKey = originalKey ? transposeKey(originalKey, transposeSteps) : null;
+
+  // Chords as they sound, after applying the current transposition
+  const soundingChords = useMemo(() => {
+    return transposeChords(chords, transposeSteps, { key: originalKey });
+  }, [chords, transposeSteps, originalKey]);
+
+  // Chords as displayed: the shapes actually fingered with the capo on,
+  // swapped for easier substitutes in beginner view
+  const displayChords = useMemo(() => {
+    const shapes = applyCapo(soundingChords, capoFret, { key: transposedKey });
+    return beginnerView ? simplifyChords(shapes, { instrument, tuning }) : shapes;
+  }, [soundingChords, capoFret, transposedKey, beginnerView, instrument, tuning]);
+  const shapeKey = transposedKey && capoFret ? transposeKey(transposedKey, -capoFret) : null;
   
   // Extract unique chord names from the song (must be before early returns)
   const uniqueChordNames = useMemo(() => {
-    if (!chords || chords.length === 0) return [];
+    if (!displayChords || displayChords.length === 0) return [];
     const chordNames = new Set();
-    chords.forEach(chord => {
+    displayChords.forEach(chord => {
       if (chord.chord) {
         // Trim and normalize chord name to ensure proper matching
         const normalizedChord = chord.chord.trim();
@@ -258,7 +420,7 @@ export default function SongSheet() {
       }
     });
     return Array.from(chordNames);
-  }, [chords]);
+  }, [displayChords]);
 
   // Parse embedded chords from song data
   const embeddedChords = useMemo(() => {
@@ -274,7 +436,7 @@ export default function SongSheet() {
 
   // Get database chords for lookup
   const { data: dbChordsData } = useAllDatabaseChords(user?.id, instrument, tuning);
-  const dbChords = dbChordsData?.chords || [];
+  const dbChords = dbChordsData?.chords?.length ? dbChordsData.chords : offlineCopy.chords;
 
   // Get chord diagrams data for unique chords (must be before early returns)
   const chordDiagrams = useMemo(() => {
@@ -513,7 +675,7 @@ export default function SongSheet() {
 
   // Find current song position in songbook and calculate navigation
   const songbookNavigation = useMemo(() => {
-    if (!songbookId || !contextSongbookSongs.length || !id) {
+    if (!sequenceQuery || !contextSongbookSongs.length || !id) {
       return null;
     }
 
@@ -540,24 +702,24 @@ export default function SongSheet() {
         position: idx + 1,
       })),
     };
-  }, [songbookId, contextSongbookSongs, id]);
+  }, [sequenceQuery, contextSongbookSongs, id]);
 
   // Navigation handlers
   const handlePreviousSong = () => {
-    if (songbookNavigation?.previousSongId && songbookId) {
-      navigate(`/songs/${songbookNavigation.previousSongId}?songbook=${songbookId}`);
+    if (songbookNavigation?.previousSongId && sequenceQuery) {
+      navigate(`/songs/${songbookNavigation.previousSongId}?${sequenceQuery}`);
     }
   };
 
   const handleNextSong = () => {
-    if (songbookNavigation?.nextSongId && songbookId) {
-      navigate(`/songs/${songbookNavigation.nextSongId}?songbook=${songbookId}`);
+    if (songbookNavigation?.nextSongId && sequenceQuery) {
+      navigate(`/songs/${songbookNavigation.nextSongId}?${sequenceQuery}`);
     }
   };
 
   const handleJumpToSong = (songId) => {
-    if (songId && songbookId) {
-      navigate(`/songs/${songId}?songbook=${songbookId}`);
+    if (songId && sequenceQuery) {
+      navigate(`/songs/${songId}?${sequenceQuery}`);
       setSongSelectorOpen(false);
     }
   };
@@ -578,6 +740,41 @@ export default function SongSheet() {
       return;
     }
 
+    const tempo = tempoText.trim() ? Number(tempoText) : null;
+    if (tempo !== null && (!Number.isInteger(tempo) || tempo < MIN_TEMPO || tempo > MAX_TEMPO)) {
+      alert(`Please enter a tempo between ${MIN_TEMPO} and ${MAX_TEMPO} BPM.`);
+      return;
+    }
+
+    const duration = parseDuration(durationText);
+    if (durationText.trim() && duration === null) {
+      alert('Please enter the duration as minutes and seconds (e.g., 3:05).');
+      return;
+    }
+
+    const timeSignature = normalizeTimeSignature(timeSignatureText);
+    if (timeSignatureText.trim() && timeSignature === null) {
+      alert('Please enter the time signature as beats over note value (e.g., 3/4).');
+      return;
+    }
+
+    const year = yearText.trim() ? Number(yearText) : null;
+    if (year !== null && !isValidYear(year)) {
+      alert('Please enter a valid year (e.g., 1971).');
+      return;
+    }
+
+    const metadata = {
+      key: songKey || null,
+      tempo,
+      duration,
+      timeSignature,
+      capo: songCapo,
+      difficulty,
+      year,
+      tags: parseTags(tagsText),
+    };
+
     setSaving(true);
 
     try {
@@ -590,11 +787,13 @@ export default function SongSheet() {
           lyrics,
           artist,
           chords: chordsJson,
+          ...metadata,
         });
         // Preserve query parameters when navigating back to view mode
         // Also preserve the referrer from location.state or our ref
         const params = new URLSearchParams();
         if (songbookId) params.set('songbook', songbookId);
+        if (meetingId) params.set('meeting', meetingId);
         if (groupId) params.set('group', groupId);
         const queryString = params.toString();
         
@@ -616,6 +815,8 @@ export default function SongSheet() {
             referrer = `/groups/${groupId}?tab=songs`;
           } else if (songbookId) {
             referrer = `/songbooks/${songbookId}`;
+          } else if (meetingId) {
+            referrer = `/meetings/${meetingId}`;
           } else {
             referrer = '/songs';
           }
@@ -639,7 +840,9 @@ export default function SongSheet() {
           lyrics,
           artist,
           chords: chordsJson,
+          ...metadata,
           createdBy: user.id,
+          embeddedChords: importedEmbeddedChords.length > 0 ? JSON.stringify(importedEmbeddedChords) : null,
         });
         // Wait a bit longer to ensure InstantDB has synced the new song
         // This prevents hook order issues when the component tries to load before data is ready
@@ -667,6 +870,7 @@ export default function SongSheet() {
       // Also preserve the referrer from location.state
       const params = new URLSearchParams();
       if (songbookId) params.set('songbook', songbookId);
+      if (meetingId) params.set('meeting', meetingId);
       if (groupId) params.set('group', groupId);
       const queryString = params.toString();
       
@@ -682,6 +886,8 @@ export default function SongSheet() {
           referrer = `/groups/${groupId}?tab=songs`;
         } else if (songbookId) {
           referrer = `/songbooks/${songbookId}`;
+        } else if (meetingId) {
+          referrer = `/meetings/${meetingId}`;
         } else {
           referrer = '/songs';
         }
@@ -759,6 +965,7 @@ export default function SongSheet() {
         // Store the referrer from before edit mode in location.state
         const params = new URLSearchParams();
         if (songbookId) params.set('songbook', songbookId);
+        if (meetingId) params.set('meeting', meetingId);
         if (groupId) params.set('group', groupId);
         const queryString = params.toString();
         
@@ -770,6 +977,8 @@ export default function SongSheet() {
             referrer = `/groups/${groupId}?tab=songs`;
           } else if (songbookId) {
             referrer = `/songbooks/${songbookId}`;
+          } else if (meetingId) {
+            referrer = `/meetings/${meetingId}`;
           } else {
             referrer = '/songs';
           }
@@ -802,6 +1011,20 @@ export default function SongSheet() {
       if (importedData.lyricsText) {
         setLyricsText(importedData.lyricsText);
       }
+      setSongKey(importedData.key || '');
+      if (importedData.tempo) {
+        setTempoText(String(importedData.tempo));
+      }
+      if (importedData.timeSignature) {
+        setTimeSignatureText(importedData.timeSignature);
+      }
+      if (importedData.capo) {
+        setSongCapo(importedData.capo);
+      }
+      if (importedData.year) {
+        setYearText(String(importedData.year));
+      }
+      setImportedEmbeddedChords(importedData.embeddedChords || []);
     };
 
     return (
@@ -849,6 +1072,16 @@ export default function SongSheet() {
               Import
             </button>
           )}
+          {isCreateMode && (
+            <button
+              type="button"
+              onClick={() => setShowChordProImportModal(true)}
+              disabled={saving}
+              className="btn btn-secondary"
+            >
+              Import ChordPro
+            </button>
+          )}
           <button
             onClick={handleCancel}
             disabled={saving}
@@ -865,6 +1098,15 @@ export default function SongSheet() {
           onImport={handleImport}
         />
 
+        {/* ChordPro Import Modal */}
+        <ChordProImportModal
+          isOpen={showChordProImportModal}
+          onClose={() => setShowChordProImportModal(false)}
+          onImport={handleImport}
+          instrument={instrument}
+          tuning={tuning}
+        />
+
         {/* Editable Title */}
         <div className="mb-6">
           <input
@@ -883,6 +1125,107 @@ export default function SongSheet() {
             placeholder={isCreateMode ? "Artist Name" : ""}
             className="text-xl text-gray-600 w-full bg-transparent border-b-2 border-transparent focus:border-gray-300 outline-none p-0 transition-colors placeholder:text-gray-500"
           />
+
+          {/* Song details (tempo and duration also set the auto-scroll speed in performance mode) */}
+          <div className="flex flex-wrap items-center gap-4 mt-3 text-sm text-gray-600">
+            <label className="flex items-center gap-2">
+              Key
+              <select
+                value={songKey}
+                onChange={(e) => setSongKey(e.target.value)}
+                className="px-2 py-0.5 border border-gray-300 rounded bg-white"
+              >
+                <option value="">Auto</option>
+                {ALL_KEYS.map(key => (
+                  <option key={key} value={key}>{key}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              Tempo
+              <input
+                type="number"
+                min={MIN_TEMPO}
+                max={MAX_TEMPO}
+                value={tempoText}
+                onChange={(e) => setTempoText(e.target.value)}
+                placeholder="BPM"
+                className="w-20 px-2 py-0.5 border border-gray-300 rounded bg-white"
+              />
+            </label>
+            <label className="flex items-center gap-2">
+              Duration
+              <input
+                type="text"
+                value={durationText}
+                onChange={(e) => setDurationText(e.target.value)}
+                placeholder="m:ss"
+                className="w-20 px-2 py-0.5 border border-gray-300 rounded bg-white"
+              />
+            </label>
+            <label className="flex items-center gap-2">
+              Time
+              <input
+                type="text"
+                list="time-signature-options"
+                value={timeSignatureText}
+                onChange={(e) => setTimeSignatureText(e.target.value)}
+                placeholder="4/4"
+                className="w-20 px-2 py-0.5 border border-gray-300 rounded bg-white"
+              />
+              <datalist id="time-signature-options">
+                {TIME_SIGNATURE_OPTIONS.map(option => (
+                  <option key={option} value={option} />
+                ))}
+              </datalist>
+            </label>
+            <label className="flex items-center gap-2">
+              Capo
+              <select
+                value={songCapo}
+                onChange={(e) => setSongCapo(parseInt(e.target.value, 10))}
+                className="px-2 py-0.5 border border-gray-300 rounded bg-white"
+              >
+                <option value={0}>None</option>
+                {Array.from({ length: MAX_CAPO }, (_, i) => i + 1).map(fret => (
+                  <option key={fret} value={fret}>Fret {fret}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              Difficulty
+              <select
+                value={difficulty}
+                onChange={(e) => setDifficulty(e.target.value)}
+                className="px-2 py-0.5 border border-gray-300 rounded bg-white"
+              >
+                <option value="">Not set</option>
+                {DIFFICULTY_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              Year
+              <input
+                type="number"
+                value={yearText}
+                onChange={(e) => setYearText(e.target.value)}
+                placeholder="e.g., 1971"
+                className="w-24 px-2 py-0.5 border border-gray-300 rounded bg-white"
+              />
+            </label>
+            <label className="flex items-center gap-2 flex-1 min-w-[16rem]">
+              Tags
+              <input
+                type="text"
+                value={tagsText}
+                onChange={(e) => setTagsText(e.target.value)}
+                placeholder="e.g., sea shanty, singalong"
+                className="flex-1 px-2 py-0.5 border border-gray-300 rounded bg-white"
+              />
+            </label>
+          </div>
         </div>
 
         {/* Editable Lyrics */}
@@ -912,12 +1255,98 @@ export default function SongSheet() {
   }
   
   const renderedLyrics = chordMode === 'inline'
-    ? renderInlineChords(song.lyrics, chords)
-    : renderAboveChords(song.lyrics, chords);
+    ? renderInlineChords(song.lyrics, displayChords)
+    : renderAboveChords(song.lyrics, displayChords);
   
   // Parse elements for styling
   const { headings, instructions } = extractElements(song.lyrics);
 
+  // Lyrics with chords, shown on the page and in performance mode
+  const lyricsContent = chordMode === 'inline' ? (
+    <div className="space-y-2 font-mono">
+      {renderedLyrics.map((line, i) => {
+        // Check if this line is a heading
+        const headingMatch = line.match(/\{heading:([^}]+)\}/);
+        if (headingMatch) {
+          return (
+            <p key={i} className="text-lg font-bold text-gray-800 mt-4 mb-2 first:mt-0">
+              {headingMatch[1].trim()}
+            </p>
+          );
+        }
+        
+        // Check if this line is an instruction
+        const instructionMatch = line.match(/\{instruction:([^}]+)\}/);
+        if (instructionMatch) {
+          return (
+            <p key={i} className="text-sm italic text-gray-600 my-2 border-l-2 border-gray-300 pl-3">
+              {instructionMatch[1].trim()}
+            </p>
+          );
+        }
+        
+        // Regular lyric line
+        return (
+          <p key={i} className="text-base leading-relaxed">
+            {line === '' ? '\u00A0' : line.split(/\[([^\]]+)\]/).map((part, j) => {
+              if (j % 2 === 1) {
+                return <span key={j} className="inline-block px-2 py-1 bg-primary-100 text-primary-700 rounded text-sm font-medium">{part}</span>;
+              }
+              return <span key={j}>{part}</span>;
+            })}
+          </p>
+        );
+      })}
+    </div>
+  ) : (
+    <div className="space-y-2 font-mono">
+      {renderedLyrics.map((lineData, i) => {
+        // Handle headings and instructions
+        if (lineData.type === 'heading') {
+          return (
+            <p key={i} className="text-lg font-bold text-gray-800 mt-4 mb-2 first:mt-0">
+              {lineData.text}
+            </p>
+          );
+        }
+        
+        if (lineData.type === 'instruction') {
+          return (
+            <p key={i} className="text-sm italic text-gray-600 my-2 border-l-2 border-gray-300 pl-3">
+              {lineData.text}
+            </p>
+          );
+        }
+        
+        // Regular line with chords
+        const { chordSegments, lyricLine } = lineData;
+        return (
+          <div key={i} className="leading-relaxed">
+            {chordSegments && chordSegments.length > 0 && (
+              <p className="mb-1 whitespace-pre text-lg font-mono">
+                {chordSegments.map((segment, idx) => {
+                  if (segment.type === 'space') {
+                    return <span key={idx}>{segment.content}</span>;
+                  } else {
+                    return (
+                      <span
+                        key={idx}
+                        className="inline-block px-2 py-1 bg-primary-100 text-primary-700 rounded text-sm font-medium -mx-2"
+                      >
+                        {segment.content}
+                      </span>
+                    );
+                  }
+                })}
+              </p>
+            )}
+            <p className="text-base whitespace-pre">{lyricLine === '' ? '\u00A0' : lyricLine}</p>
+          </div>
+        );
+      })}
+    </div>
+  );
+
   const handleBack = () => {
     // Priority 1: Check sessionStorage first (most reliable, persists across navigation)
     let referrer = null;
@@ -963,12 +1392,194 @@ export default function SongSheet() {
       navigate(`/songbooks/${songbookId}`);
       return;
     }
+    // If we're in a meeting context, go back to the meeting
+    if (meetingId) {
+      navigate(`/meetings/${meetingId}`);
+      return;
+    }
     // Fallback: go to songs list
     navigate('/songs');
   };
 
+  const handleTranspose = (delta) => {
+    setTransposeSteps(prev => Math.max(-11, Math.min(11, prev + delta)));
+  };
+
+  const handleExportChordPro = () => {
+    const chordPro = songToChordPro(song, {
+      chords: soundingChords,
+      key: transposedKey,
+    });
+    downloadFile(chordPro, `${toFileName(song.title, 'song')}.cho`, 'application/x-chordpro;charset=utf-8');
+  };
+
+  const handleExportPDF = async (pdfOptions) => {
+    setExportingPDF(true);
+    setPdfExportError(null);
+    try {
+      await exportSongPDF(song, {
+        ...pdfOptions,
+        chords: displayChords,
+        chordDiagrams,
+        key: transposedKey,
+        subtitle: capoFret > 0 ? `Capo ${capoFret}` : null,
+      });
+      setShowPDFExportModal(false);
+    } catch (error) {
+      console.error('Error exporting PDF:', error);
+      setPdfExportError(error?.message || 'Failed to export PDF. Please try again.');
+    } finally {
+      setExportingPDF(false);
+    }
+  };
+
+  const handleKeyOverride = async (key) => {
+    try {
+      await updateSongKey(song.id, key || null);
+    } catch (error) {
+      console.error('Error updating song key:', error);
+      alert(error?.message ? `Error: ${error.message}` : 'Error updating key. Please try again.');
+    }
+  };
+
+  const handleInstrumentChange = (value) => {
+    setInstrumentOverride(parseInstrumentValue(value));
+    setCapoSuggestion(null);
+  };
+
+  const handleCapoChange = (fret) => {
+    setCapoFret(fret);
+    setCapoSuggestion(null);
+  };
+
+  const handleSuggestCapo = () => {
+    const soundingChordNames = Array.from(new Set(
+      soundingChords.map(c => c.chord?.trim()).filter(Boolean)
+    ));
+    const suggestion = suggestBestCapo(soundingChordNames, {
+      key: transposedKey,
+      instrument,
+      tuning,
+    });
+    if (!suggestion) return;
+    setCapoFret(suggestion.capo);
+    setCapoSuggestion(suggestion);
+  };
+
+  const handleBeginnerViewChange = (enabled) => {
+    setBeginnerView(enabled);
+    setCapoSuggestion(null);
+    if (!enabled || capoFret !== 0) return;
+
+    // Put a capo on if that moves the simplified chords onto easier shapes
+    const soundingChordNames = Array.from(new Set(
+      soundingChords.map(c => c.chord?.trim()).filter(Boolean)
+    ));
+    const suggestion = suggestSimplifiedCapo(soundingChordNames, {
+      key: transposedKey,
+      instrument,
+      tuning,
+    });
+    if (suggestion && suggestion.capo > 0) {
+      setCapoFret(suggestion.capo);
+      setCapoSuggestion(suggestion);
+    }
+  };
+
+  const handleStartPerformance = () => {
+    setMenuOpen(false);
+    setPerformanceSettings({ playing: true, speed: 1, textScale: DEFAULT_TEXT_SCALE });
+  };
+
+  const nextSongTitle = songbookNavigation?.nextSongId
+    ? songbookNavigation.songs[songbookNavigation.currentIndex + 1]?.title
+    : null;
+
+  const handleSaveSimplifiedCopy = async () => {
+    if (!user || !user.id) {
+      alert('You must be logged in to save a song.');
+      return;
+    }
+
+    setSavingSimplified(true);
+    try {
+      // The copy stores the simplified shapes as fingered with the current capo on,
+      // so it is played with that capo (saved as the copy's capo)
+      const newSongId = await copySong({
+        ...song,
+        title: capoFret > 0 ? `${song.title} (Simplified, capo ${capoFret})` : `${song.title} (Simplified)`,
+        chords: JSON.stringify(displayChords),
+        key: null,
+        capo: capoFret > 0 ? capoFret : null,
+      }, user.id);
+      // Wait for InstantDB to sync the new song before navigating to it
+      await new Promise(resolve => setTimeout(resolve, 300));
+      navigate(`/songs/${newSongId}`);
+    } catch (error) {
+      console.error('Error saving simplified copy:', error);
+      alert(error?.message ? `Error: ${error.message}` : 'Error saving simplified copy. Please try again.');
+    } finally {
+      setSavingSimplified(false);
+    }
+  };
+
+  const handleSaveTransposedCopy = async () => {
+    if (!user || !user.id) {
+      alert('You must be logged in to save a song.');
+      return;
+    }
+
+    setSavingTransposed(true);
+    try {
+      // A key override moves with the chords; without one the copy's key is detected again.
+      // The capo is kept, since the copy's chords are played with it just like the original's
+      const newSongId = await createSong({
+        title: transposedKey ? `${song.title} (${transposedKey})` : song.title,
+        lyrics: song.lyrics,
+        artist: song.artist || '',
+        chords: JSON.stringify(soundingChords),
+        key: song.key ? transposedKey : null,
+        capo: song.capo,
+        tempo: song.tempo,
+        duration: song.duration,
+        timeSignature: song.timeSignature,
+        difficulty: song.difficulty,
+        year: song.year,
+        tags: song.tags,
+        createdBy: user.id,
+        parentSongId: song.id,
+      });
+      // Wait for InstantDB to sync the new song before navigating to it
+      await new Promise(resolve => setTimeout(resolve, 300));
+      navigate(`/songs/${newSongId}`);
+    } catch (error) {
+      console.error('Error saving transposed copy:', error);
+      alert(error?.message ? `Error: ${error.message}` : 'Error saving transposed copy. Please try again.');
+    } finally {
+      setSavingTransposed(false);
+    }
+  };
+
   return (
     <div>
+      {/* Performance Mode */}
+      {performanceSettings && (
+        <PerformanceMode
+          song={song}
+          settings={performanceSettings}
+          onSettingsChange={(updates) => setPerformanceSettings(prev => ({ ...prev, ...updates }))}
+          onExit={() => setPerformanceSettings(null)}
+          onPrevious={songbookNavigation?.previousSongId ? handlePreviousSong : null}
+          onNext={songbookNavigation?.nextSongId ? handleNextSong : null}
+          nextSongTitle={nextSongTitle}
+          position={songbookNavigation
+            ? `${songbookNavigation.currentIndex + 1} of ${songbookNavigation.totalSongs}`
+            : null}
+        >
+          {lyricsContent}
+        </PerformanceMode>
+      )}
+
       {/* Delete Confirmation Modal */}
       {showDeleteModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -1082,8 +1693,151 @@ export default function SongSheet() {
             {song.artist && (
               <p className="text-xl text-gray-600">{song.artist}</p>
             )}
+            {(originalKey || canEdit) && (
+              <div className="flex items-center gap-2 mt-2 text-sm text-gray-600">
+                <label htmlFor="song-key-select">Key</label>
+                {canEdit ? (
+                  <select
+                    id="song-key-select"
+                    value={song.key || ''}
+                    onChange={(e) => handleKeyOverride(e.target.value)}
+                    className="px-2 py-0.5 border border-gray-300 rounded bg-white"
+                  >
+                    <option value="">{autoKey ? `Auto (${autoKey})` : 'Auto'}</option>
+                    {ALL_KEYS.map(key => (
+                      <option key={key} value={key}>{key}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <span className="font-medium text-gray-900">{originalKey}</span>
+                )}
+                {!song.key && autoKey && !canEdit && (
+                  <span className="text-gray-400">(detected)</span>
+                )}
+              </div>
+            )}
+            {songDetails.length > 0 && (
+              <p className="mt-1 text-sm text-gray-600">
+                {songDetails.join(' · ')}
+              </p>
+            )}
+            {songTags.length > 0 && (
+              <div className="flex flex-wrap gap-1 mt-2">
+                {songTags.map(tag => (
+                  <span key={tag} className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-700">
+                    {tag}
+                  </span>
+                ))}
+              </div>
+            )}
+            {chords.length > 0 && (
+              <div className="flex items-center gap-2 mt-3 text-sm text-gray-600">
+                <span>Transpose</span>
+                <button
+                  onClick={() => handleTranspose(-1)}
+                  disabled={transposeSteps <= -11}
+                  className="px-2 py-0.5 border border-gray-300 rounded hover:bg-gray-100 transition-colors disabled:opacity-50"
+                  aria-label="Transpose down a semitone"
+                >
+                  −
+                </button>
+                <span className="w-8 text-center font-medium text-gray-900">
+                  {transposeSteps > 0 ? `+${transposeSteps}` : transposeSteps}
+                </span>
+                <button
+                  onClick={() => handleTranspose(1)}
+                  disabled={transposeSteps >= 11}
+                  className="px-2 py-0.5 border border-gray-300 rounded hover:bg-gray-100 transition-colors disabled:opacity-50"
+                  aria-label="Transpose up a semitone"
+                >
+                  +
+                </button>
+                {transposedKey && transposeSteps !== 0 && (
+                  <span>
+                    Now in <span className="font-medium text-gray-900">{transposedKey}</span>
+                  </span>
+                )}
+                {transposeSteps !== 0 && (
+                  <button
+                    onClick={() => setTransposeSteps(0)}
+                    className="text-primary-600 hover:text-primary-700"
+                  >
+                    Reset
+                  </button>
+                )}
+                <span className="text-gray-300">|</span>
+                <label htmlFor="capo-select">Capo</label>
+                <select
+                  id="capo-select"
+                  value={capoFret}
+                  onChange={(e) => handleCapoChange(parseInt(e.target.value, 10))}
+                  className="px-2 py-0.5 border border-gray-300 rounded bg-white"
+                >
+                  {Array.from({ length: MAX_CAPO_FRET + 1 }, (_, fret) => (
+                    <option key={fret} value={fret}>
+                      {fret === 0 ? 'None' : fret}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={handleSuggestCapo}
+                  className="text-primary-600 hover:text-primary-700"
+                >
+                  Suggest
+                </button>
+                <span className="text-gray-300">|</span>
+                <label className="flex items-center gap-1 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={beginnerView}
+                    onChange={(e) => handleBeginnerViewChange(e.target.checked)}
+                  />
+                  Beginner view
+                </label>
+                <span className="text-gray-300">|</span>
+                <label htmlFor="instrument-select">Instrument</label>
+                <select
+                  id="instrument-select"
+                  value={`${instrument}:${tuning}`}
+                  onChange={(e) => handleInstrumentChange(e.target.value)}
+                  className="px-2 py-0.5 border border-gray-300 rounded bg-white"
+                >
+                  {INSTRUMENT_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {capoFret > 0 && (
+              <p className="mt-2 text-sm text-gray-700 bg-primary-50 border border-primary-100 rounded px-3 py-2">
+                Capo on fret {capoFret}
+                {shapeKey && ` — play ${shapeKey} shapes, sounds in ${transposedKey}`}
+                {capoSuggestion && capoSuggestion.capo === capoFret && (
+                  <span className="text-gray-500">
+                    {' '}({capoSuggestion.easyCount} of {capoSuggestion.total} chords on easy open shapes)
+                  </span>
+                )}
+              </p>
+            )}
+            {beginnerView && (
+              <p className="mt-2 text-sm text-gray-500">
+                Beginner view — showing simpler chords. The song itself is unchanged.
+              </p>
+            )}
+            {capoFret === 0 && capoSuggestion && (
+              <p className="mt-2 text-sm text-gray-500">
+                No capo needed — this is already the easiest position.
+              </p>
+            )}
           </div>
           <div className="flex items-center gap-2">
+            {song.lyrics && (
+              <button onClick={handleStartPerformance} className="btn btn-secondary">
+                Perform
+              </button>
+            )}
             {/* Previous/Next Navigation Buttons */}
             {isViewMode && songbookNavigation && (
               <div className="flex items-center gap-1">
@@ -1188,6 +1942,56 @@ export default function SongSheet() {
                   >
                     Chords Above
                   </button>
+                  <div className="border-t border-gray-200 my-1"></div>
+                  <button
+                    onClick={() => {
+                      handleExportChordPro();
+                      setMenuOpen(false);
+                    }}
+                    className="w-full text-left px-4 py-2 text-sm hover:bg-gray-100"
+                  >
+                    Export as ChordPro
+                  </button>
+                  <button
+                    onClick={() => {
+                      setPdfExportError(null);
+                      setShowPDFExportModal(true);
+                      setMenuOpen(false);
+                    }}
+                    className="w-full text-left px-4 py-2 text-sm hover:bg-gray-100"
+                  >
+                    Export as PDF
+                  </button>
+                  {user && transposeSteps !== 0 && (
+                    <>
+                      <div className="border-t border-gray-200 my-1"></div>
+                      <button
+                        onClick={() => {
+                          setMenuOpen(false);
+                          handleSaveTransposedCopy();
+                        }}
+                        disabled={savingTransposed}
+                        className="w-full text-left px-4 py-2 text-sm hover:bg-gray-100 disabled:opacity-50"
+                      >
+                        {savingTransposed ? 'Saving...' : 'Save as Transposed Copy'}
+                      </button>
+                    </>
+                  )}
+                  {user && beginnerView && (
+                    <>
+                      <div className="border-t border-gray-200 my-1"></div>
+                      <button
+                        onClick={() => {
+                          setMenuOpen(false);
+                          handleSaveSimplifiedCopy();
+                        }}
+                        disabled={savingSimplified}
+                        className="w-full text-left px-4 py-2 text-sm hover:bg-gray-100 disabled:opacity-50"
+                      >
+                        {savingSimplified ? 'Saving...' : 'Save Simplified Version'}
+                      </button>
+                    </>
+                  )}
                   {isCreator && (
                     <>
                       <div className="border-t border-gray-200 my-1"></div>
@@ -1211,6 +2015,7 @@ export default function SongSheet() {
                           // Also store the referrer so we can go back to the original page
                           const params = new URLSearchParams();
                           if (songbookId) params.set('songbook', songbookId);
+                          if (meetingId) params.set('meeting', meetingId);
                           if (groupId) params.set('group', groupId);
                           const queryString = params.toString();
                           
@@ -1233,6 +2038,8 @@ export default function SongSheet() {
                               referrer = `/groups/${groupId}?tab=songs`;
                             } else if (songbookId) {
                               referrer = `/songbooks/${songbookId}`;
+                            } else if (meetingId) {
+                              referrer = `/meetings/${meetingId}`;
                             } else {
                               // No context, so go back to songs list
                               referrer = '/songs';
@@ -1282,90 +2089,7 @@ export default function SongSheet() {
       <div ref={containerRef} className="flex flex-col md:flex-row md:gap-6">
         {/* Lyrics Section */}
         <div className="flex-1 order-2 md:order-1">
-          {chordMode === 'inline' ? (
-            <div className="space-y-2 font-mono">
-              {renderedLyrics.map((line, i) => {
-                // Check if this line is a heading
-                const headingMatch = line.match(/\{heading:([^}]+)\}/);
-                if (headingMatch) {
-                  return (
-                    <p key={i} className="text-lg font-bold text-gray-800 mt-4 mb-2 first:mt-0">
-                      {headingMatch[1].trim()}
-                    </p>
-                  );
-                }
-                
-                // Check if this line is an instruction
-                const instructionMatch = line.match(/\{instruction:([^}]+)\}/);
-                if (instructionMatch) {
-                  return (
-                    <p key={i} className="text-sm italic text-gray-600 my-2 border-l-2 border-gray-300 pl-3">
-                      {instructionMatch[1].trim()}
-                    </p>
-                  );
-                }
-                
-                // Regular lyric line
-                return (
-                  <p key={i} className="text-base leading-relaxed">
-                    {line === '' ? '\u00A0' : line.split(/\[([^\]]+)\]/).map((part, j) => {
-                      if (j % 2 === 1) {
-                        return <span key={j} className="inline-block px-2 py-1 bg-primary-100 text-primary-700 rounded text-sm font-medium">{part}</span>;
-                      }
-                      return <span key={j}>{part}</span>;
-                    })}
-                  </p>
-                );
-              })}
-            </div>
-          ) : (
-            <div className="space-y-2 font-mono">
-              {renderedLyrics.map((lineData, i) => {
-                // Handle headings and instructions
-                if (lineData.type === 'heading') {
-                  return (
-                    <p key={i} className="text-lg font-bold text-gray-800 mt-4 mb-2 first:mt-0">
-                      {lineData.text}
-                    </p>
-                  );
-                }
-                
-                if (lineData.type === 'instruction') {
-                  return (
-                    <p key={i} className="text-sm italic text-gray-600 my-2 border-l-2 border-gray-300 pl-3">
-                      {lineData.text}
-                    </p>
-                  );
-                }
-                
-                // Regular line with chords
-                const { chordSegments, lyricLine } = lineData;
-                return (
-                  <div key={i} className="leading-relaxed">
-                    {chordSegments && chordSegments.length > 0 && (
-                      <p className="mb-1 whitespace-pre text-lg font-mono">
-                        {chordSegments.map((segment, idx) => {
-                          if (segment.type === 'space') {
-                            return <span key={idx}>{segment.content}</span>;
-                          } else {
-                            return (
-                              <span
-                                key={idx}
-                                className="inline-block px-2 py-1 bg-primary-100 text-primary-700 rounded text-sm font-medium -mx-2"
-                              >
-                                {segment.content}
-                              </span>
-                            );
-                          }
-                        })}
-                      </p>
-                    )}
-                    <p className="text-base whitespace-pre">{lyricLine === '' ? '\u00A0' : lyricLine}</p>
-                  </div>
-                );
-              })}
-            </div>
-          )}
+          {lyricsContent}
         </div>
 
         {/* Chord Charts Section */}
@@ -1415,6 +2139,17 @@ export default function SongSheet() {
         ) : null}
       </div>
 
+      {/* PDF Export Modal */}
+      <PDFExportModal
+        isOpen={showPDFExportModal}
+        onClose={() => setShowPDFExportModal(false)}
+        onExport={handleExportPDF}
+        title="Export Song as PDF"
+        defaultChordMode={chordMode}
+        exporting={exportingPDF}
+        error={pdfExportError}
+      />
+
       {/* Share with Groups Modal */}
       {showShareModal && song && (
         <ShareWithGroupsModal
@@ -2,8 +2,12 @@ import { useState, useMemo, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { createSongbook, updateSongbook, addSongToSongbook, removeSongFromSongbook, updateSongbookSongOrder } from '../db/mutations';
-import { useAccessibleSongs, useSongbook, useMySongbooks } from '../db/queries';
+import { useAccessibleSongs, useSongbook, useMySongbooks, useUserProfile, useMyGroups, useUserProfiles } from '../db/queries';
 import { getChordNames, searchChordNames } from '../utils/chord-library';
+import { PLAYABLE_FILTERS, getKnownChords, getMissingChords, matchesPlayableFilter } from '../utils/known-chords';
+import PlayableFilter from '../components/PlayableFilter';
+import SongSearchBox from '../components/SongSearchBox';
+import { buildSongSearchIndex, searchSongs, getSongGroupNames, getCreatorNames } from '../utils/song-search';
 import { db } from '../db/schema';
 
 // Helper function to extract unique chords from song chords data
@@ -18,24 +22,38 @@ function getUniqueChords(song) {
   }
 }
 
-// Component to render chords as labels
-function ChordLabels({ chords }) {
+// Component to render chords as labels (chords the member doesn't know yet are highlighted first)
+function ChordLabels({ chords, missingChords = [] }) {
   if (chords.length === 0) {
     return <span className="text-gray-400">No chords</span>;
   }
 
-  const displayChords = chords.slice(0, 3);
+  const orderedChords = [
+    ...missingChords,
+    ...chords.filter(chord => !missingChords.includes(chord)),
+  ];
+  const displayChords = orderedChords.slice(0, 3);
   const remainingCount = chords.length - 3;
 
   return (
     <div className="flex flex-wrap items-center gap-2">
       {displayChords.map((chord, index) => (
-        <span
-          key={index}
-          className="inline-block px-2 py-1 bg-primary-100 text-primary-700 rounded text-sm font-medium"
-        >
-          {chord}
-        </span>
+        missingChords.includes(chord) ? (
+          <span
+            key={index}
+            className="inline-block px-2 py-1 bg-amber-100 text-amber-800 ring-1 ring-amber-400 rounded text-sm font-medium"
+            title="You don't know this chord yet"
+          >
+            {chord}
+          </span>
+        ) : (
+          <span
+            key={index}
+            className="inline-block px-2 py-1 bg-primary-100 text-primary-700 rounded text-sm font-medium"
+          >
+            {chord}
+          </span>
+        )
       ))}
       {remainingCount > 0 && (
         <span className="text-gray-500 text-sm">
@@ -137,6 +155,7 @@ export default function SongbookEditor() {
   const [error, setError] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedChords, setSelectedChords] = useState([]);
+  const [playableFilter, setPlayableFilter] = useState(PLAYABLE_FILTERS.ALL);
   const [draggedIndex, setDraggedIndex] = useState(null);
   const [dragOverIndex, setDragOverIndex] = useState(null);
   const [justCreated, setJustCreated] = useState(false);
@@ -152,6 +171,15 @@ export default function SongbookEditor() {
   const accessibleSongsQuery = useAccessibleSongs(userId);
   const allSongs = accessibleSongsQuery.data?.songs || [];
 
+  // Group and creator names for the group: and creator: search facets
+  const { data: groupsData } = useMyGroups(userId);
+  const { data: creatorsData } = useUserProfiles(allSongs.map(song => song.createdBy));
+
+  // Chords the user knows, for the "songs I can play" filter
+  const { data: profileData } = useUserProfile(userId);
+  const knownChords = getKnownChords(profileData?.$users?.[0]);
+  const isPlayableFiltered = playableFilter !== PLAYABLE_FILTERS.ALL && knownChords.length > 0;
+
   // Get songbook data if it exists (only query when we have an ID)
   const { data: songbookData } = useSongbook(songbookId, userId);
   const songbook = songbookData?.songbooks?.[0];
@@ -303,19 +331,22 @@ export default function SongbookEditor() {
     }
   }, [mySongbooks, songbookId, title, userId, justCreated]);
 
+  // Search titles, artists, lyrics and chords, with facets (see utils/song-search.js);
+  // the index only changes with the songs, not with each keystroke
+  const accessibleSongsData = accessibleSongsQuery.data;
+  const searchIndex = useMemo(() => buildSongSearchIndex(accessibleSongsData?.songs || [], {
+    groupNamesBySongId: getSongGroupNames(
+      accessibleSongsData?.songShares,
+      (groupsData?.groupMembers || []).map(gm => gm.group)
+    ),
+    creatorNamesById: getCreatorNames(creatorsData?.$users),
+    currentUserId: userId,
+  }), [accessibleSongsData, groupsData, creatorsData, userId]);
+
   // Filter available songs (exclude already selected, apply search/filter)
   const filteredSongs = useMemo(() => {
-    let filtered = allSongs.filter(song => !selectedSongIds.has(song.id));
-
-    // Filter by search query (title or artist)
-    if (searchQuery.trim()) {
-      const query = searchQuery.toLowerCase().trim();
-      filtered = filtered.filter(song => {
-        const title = (song.title || '').toLowerCase();
-        const artist = (song.artist || '').toLowerCase();
-        return title.includes(query) || artist.includes(query);
-      });
-    }
+    let filtered = searchSongs(searchIndex, searchQuery)
+      .filter(song => !selectedSongIds.has(song.id));
 
     // Filter by chords - only show songs that use ONLY the selected chords
     if (selectedChords.length > 0) {
@@ -328,8 +359,15 @@ export default function SongbookEditor() {
       });
     }
 
+    // Filter by the chords the user knows
+    if (isPlayableFiltered) {
+      filtered = filtered.filter(song =>
+        matchesPlayableFilter(getUniqueChords(song), knownChords, playableFilter)
+      );
+    }
+
     return filtered;
-  }, [allSongs, selectedSongIds, searchQuery, selectedChords]);
+  }, [searchIndex, selectedSongIds, searchQuery, selectedChords, isPlayableFiltered, knownChords, playableFilter]);
 
   // Handle saving songbook metadata
   const handleSaveSongbook = async (e) => {
@@ -859,13 +897,10 @@ export default function SongbookEditor() {
               <label htmlFor="search" className="block text-sm font-medium text-gray-700 mb-2">
                 Search Songs
               </label>
-              <input
+              <SongSearchBox
                 id="search"
-                type="text"
                 value={searchQuery}
-                onChange={(e) => setSearchQuery(e.target.value)}
-                placeholder="Search by title or artist..."
-                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                onChange={setSearchQuery}
               />
             </div>
             
@@ -891,8 +926,14 @@ export default function SongbookEditor() {
               )}
             </div>
 
+            <PlayableFilter
+              value={playableFilter}
+              onChange={setPlayableFilter}
+              knownChords={knownChords}
+            />
+
             {/* Results count */}
-            {(searchQuery || selectedChords.length > 0) && (
+            {(searchQuery || selectedChords.length > 0 || isPlayableFiltered) && (
               <div className="text-sm text-gray-600 pt-2 border-t border-gray-200">
                 Showing {filteredSongs.length} of {allSongs.length - selectedSongIds.size} available songs
               </div>
@@ -903,11 +944,12 @@ export default function SongbookEditor() {
           {filteredSongs.length === 0 ? (
             <div className="text-center py-8 text-gray-500">
               <p>No songs match your filters.</p>
-              {(searchQuery || selectedChords.length > 0) && (
+              {(searchQuery || selectedChords.length > 0 || isPlayableFiltered) && (
                 <button
                   onClick={() => {
                     setSearchQuery('');
                     setSelectedChords([]);
+                    setPlayableFilter(PLAYABLE_FILTERS.ALL);
                   }}
                   className="mt-2 text-primary-600 hover:underline"
                 >
@@ -948,7 +990,10 @@ export default function SongbookEditor() {
                           {song.artist || <span className="text-gray-400">—</span>}
                         </td>
                         <td className="px-6 py-4">
-                          <ChordLabels chords={uniqueChords} />
+                          <ChordLabels
+                            chords={uniqueChords}
+                            missingChords={isPlayableFiltered ? getMissingChords(uniqueChords, knownChords) : []}
+                          />
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <button
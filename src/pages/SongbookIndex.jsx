@@ -1,10 +1,15 @@
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { useSongbook, useAccessibleSongs, useMyGroups } from '../db/queries';
+import { useSongbook, useAccessibleSongs, useMyGroups, useAllDatabaseChords, useUserProfile, useSongPlays } from '../db/queries';
 import { db } from '../db/schema';
 import { useEffect, useState, useRef } from 'react';
 import { copySong, removeSongFromSongbook, shareSongsWithGroups } from '../db/mutations';
 import { createPortal } from 'react-dom';
+import PDFExportModal from '../components/PDFExportModal';
+import SongPlayStats from '../components/SongPlayStats';
+import { exportSongbookPDF } from '../utils/songbook-pdf';
+import { getUserInstrument } from '../utils/instruments';
+import { saveOfflineSongbook, getOfflineSongbook, removeOfflineSongbook } from '../utils/offline-store';
 
 export default function SongbookIndex() {
   const { id } = useParams();
@@ -14,19 +19,32 @@ export default function SongbookIndex() {
   const [openMenuId, setOpenMenuId] = useState(null);
   const [menuPosition, setMenuPosition] = useState(null);
   const [showShareModal, setShowShareModal] = useState(false);
+  const [showPDFExportModal, setShowPDFExportModal] = useState(false);
+  const [exportingPDF, setExportingPDF] = useState(false);
+  const [pdfExportError, setPdfExportError] = useState(null);
+  const [showPlayStats, setShowPlayStats] = useState(false);
+  const [offlineCopy, setOfflineCopy] = useState(null);
+  const [savingOffline, setSavingOffline] = useState(false);
   const menuRefs = useRef({});
   const buttonRefs = useRef({});
   const menuPortalRef = useRef(null);
   
   // Get songbook metadata
   const { data: songbookData } = useSongbook(id, userId);
-  const songbook = songbookData?.songbooks?.[0];
+  const liveSongbook = songbookData?.songbooks?.[0];
+  // Fall back to the saved offline copy when the songbook can't be loaded
+  const isOfflineView = !liveSongbook && !!offlineCopy;
+  const songbook = liveSongbook || offlineCopy?.songbook;
 
   // Get accessible songs to enrich songbookSongs
   const accessibleSongsQuery = useAccessibleSongs(userId);
   const allSongs = accessibleSongsQuery.data?.songs || [];
   const accessibleSongIds = new Set(allSongs.map(s => s.id));
   const { data: groupsData } = useMyGroups(userId);
+  const { data: profileData } = useUserProfile(userId);
+  const { instrument, tuning } = getUserInstrument(profileData?.$users?.[0]);
+  const { data: dbChordsData } = useAllDatabaseChords(userId, instrument, tuning);
+  const dbChords = dbChordsData?.chords || [];
 
   // Create accessible songs map
   const accessibleSongsMap = new Map(
@@ -70,6 +88,20 @@ export default function SongbookIndex() {
   // Relationship query from songbook (fallback)
   const relationshipSongbookSongs = songbook?.songbookSongs || [];
 
+  // Load the offline copy of this songbook, if it has been made available offline
+  useEffect(() => {
+    let cancelled = false;
+    setOfflineCopy(null);
+    getOfflineSongbook(id)
+      .then(copy => {
+        if (!cancelled) setOfflineCopy(copy);
+      })
+      .catch(err => console.error('Error loading offline songbook:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
   // Handle click outside to close menus
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -154,9 +186,12 @@ export default function SongbookIndex() {
   }, [id, songbook, directSongbookSongs, relationshipSongbookSongs, allSongs.length, accessibleSongIds]);
 
   // Use direct query as primary source, fall back to relationship query
-  const rawSongbookSongs = directSongbookSongs.length > 0 
-    ? directSongbookSongs 
-    : relationshipSongbookSongs;
+  // (or to the offline copy when offline)
+  const rawSongbookSongs = isOfflineView
+    ? offlineCopy.songbookSongs
+    : directSongbookSongs.length > 0 
+      ? directSongbookSongs 
+      : relationshipSongbookSongs;
 
   // Check if user owns the songbook
   const userOwnsSongbook = songbook && userId && songbook.createdBy === userId;
@@ -193,6 +228,63 @@ export default function SongbookIndex() {
     setOpenMenuId(null);
   };
 
+  // Handle songbook PDF export
+  const handleExportPDF = async (pdfOptions) => {
+    const songs = songbookSongs.map(ss => ss.song).filter(Boolean);
+    if (songs.length === 0) {
+      setPdfExportError('This songbook has no songs to export.');
+      return;
+    }
+
+    setExportingPDF(true);
+    setPdfExportError(null);
+    try {
+      await exportSongbookPDF(songbook, songs, {
+        ...pdfOptions,
+        databaseChords: dbChords,
+        instrument,
+        tuning,
+      });
+      setShowPDFExportModal(false);
+    } catch (err) {
+      console.error('Error exporting songbook PDF:', err);
+      setPdfExportError(err?.message || 'Failed to export PDF. Please try again.');
+    } finally {
+      setExportingPDF(false);
+    }
+  };
+
+  // Handle saving the songbook, its songs and chords for offline use
+  const handleMakeAvailableOffline = async () => {
+    setSavingOffline(true);
+    try {
+      await saveOfflineSongbook({
+        songbook,
+        songbookSongs,
+        chords: dbChords,
+        instrument,
+        tuning,
+      });
+      setOfflineCopy(await getOfflineSongbook(id));
+    } catch (err) {
+      console.error('Error saving songbook for offline use:', err);
+      alert(err?.message ? `Error: ${err.message}` : 'Failed to save songbook for offline use. Please try again.');
+    } finally {
+      setSavingOffline(false);
+    }
+  };
+
+  // Handle removing the offline copy
+  const handleRemoveOffline = async () => {
+    try {
+      await removeOfflineSongbook(id);
+      setOfflineCopy(null);
+    } catch (err) {
+      console.error('Error removing offline songbook:', err);
+      alert('Failed to remove the offline copy. Please try again.');
+    }
+  };
+
   // Handle edit song
   const handleEdit = (songId) => {
     navigate(`/songs/${songId}/edit`);
@@ -248,6 +340,15 @@ export default function SongbookIndex() {
       return hasAccess;
     });
 
+  // Play history for the songbook's songs: within its group, or across the user's groups for a private songbook
+  const playGroupIds = songbook?.type === 'group'
+    ? [songbook.groupId]
+    : (groupsData?.groupMembers || []).map(gm => gm.groupId);
+  const { data: songPlaysData } = useSongPlays(
+    songbookSongs.map(ss => ss.songId).filter(Boolean),
+    playGroupIds.filter(Boolean)
+  );
+
   if (!songbook) {
     return (
       <div className="max-w-4xl mx-auto">
@@ -300,15 +401,60 @@ export default function SongbookIndex() {
             {songbook.description && (
               <p className="text-gray-600">{songbook.description}</p>
             )}
+            {offlineCopy && (
+              <p className="text-sm text-gray-500 mt-1">
+                {isOfflineView ? "You're offline — showing" : 'Available offline —'} the copy saved{' '}
+                {new Date(offlineCopy.savedAt).toLocaleString()}.
+                {!isOfflineView && (
+                  <>
+                    {' '}
+                    <button onClick={handleRemoveOffline} className="text-primary-600 hover:underline">
+                      Remove offline copy
+                    </button>
+                  </>
+                )}
+              </p>
+            )}
+          </div>
+          <div className="flex items-center gap-2">
+            {songbookSongs.length > 0 && !isOfflineView && (
+              <button
+                onClick={handleMakeAvailableOffline}
+                disabled={savingOffline}
+                className="btn btn-secondary disabled:opacity-50"
+              >
+                {savingOffline ? 'Saving...' : offlineCopy ? 'Update Offline Copy' : 'Make Available Offline'}
+              </button>
+            )}
+            {songbookSongs.length > 0 && (
+              <button
+                onClick={() => setShowPlayStats(!showPlayStats)}
+                className="btn btn-secondary"
+                aria-expanded={showPlayStats}
+              >
+                {showPlayStats ? 'Hide Play Stats' : 'Play Stats'}
+              </button>
+            )}
+            {songbookSongs.length > 0 && (
+              <button
+                onClick={() => {
+                  setPdfExportError(null);
+                  setShowPDFExportModal(true);
+                }}
+                className="btn btn-secondary"
+              >
+                Export PDF
+              </button>
+            )}
+            {canShare && (
+              <button
+                onClick={() => setShowShareModal(true)}
+                className="btn btn-primary"
+              >
+                Share with Group
+              </button>
+            )}
           </div>
-          {canShare && (
-            <button
-              onClick={() => setShowShareModal(true)}
-              className="btn btn-primary"
-            >
-              Share with Group
-            </button>
-          )}
         </div>
       </div>
 
@@ -455,6 +601,17 @@ export default function SongbookIndex() {
         </div>
       )}
 
+      {showPlayStats && songbookSongs.length > 0 && (
+        <div className="mt-6">
+          <h2 className="text-xl font-semibold mb-4">Play Stats</h2>
+          <SongPlayStats
+            songs={songbookSongs.map(ss => ss.song).filter(Boolean)}
+            plays={songPlaysData?.songPlays || []}
+            songQuery={`songbook=${id}`}
+          />
+        </div>
+      )}
+
       {/* Portal menu - rendered outside table DOM */}
       {menuPosition && openMenuId === menuPosition.songbookSongId && (() => {
         const songbookSong = songbookSongs.find(ss => ss.id === menuPosition.songbookSongId);
@@ -514,6 +671,17 @@ export default function SongbookIndex() {
         );
       })()}
 
+      {/* Songbook PDF Export Modal */}
+      <PDFExportModal
+        isOpen={showPDFExportModal}
+        onClose={() => setShowPDFExportModal(false)}
+        onExport={handleExportPDF}
+        title="Export Songbook as PDF"
+        exporting={exportingPDF}
+        error={pdfExportError}
+        showAppendixOption
+      />
+
       {/* Share Songbook with Groups Modal */}
       {showShareModal && songbook && (
         <ShareSongbookWithGroupsModal
@@ -1,6 +1,14 @@
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { useMySongs } from '../db/queries';
+import { useMySongs, useUserProfile, useSharedSongs, useMyGroups } from '../db/queries';
+import { getSongKey } from '../utils/key-detection';
+import { PLAYABLE_FILTERS, getKnownChords, getMissingChords, matchesPlayableFilter } from '../utils/known-chords';
+import { compareSongs, getDifficultyLabel, getSongTags } from '../utils/song-metadata';
+import { useMemo, useState } from 'react';
+import SongbookPDFImportModal from '../components/SongbookPDFImportModal';
+import PlayableFilter from '../components/PlayableFilter';
+import SongSearchBox from '../components/SongSearchBox';
+import { buildSongSearchIndex, searchSongs, getSongGroupNames, getCreatorNames } from '../utils/song-search';
 
 // Helper function to extract unique chords from song chords data
 function getUniqueChords(song) {
@@ -14,24 +22,38 @@ function getUniqueChords(song) {
   }
 }
 
-// Component to render chords as labels
-function ChordLabels({ chords }) {
+// Component to render chords as labels (chords the member doesn't know yet are highlighted first)
+function ChordLabels({ chords, missingChords = [] }) {
   if (chords.length === 0) {
     return <span className="text-gray-400">No chords</span>;
   }
 
-  const displayChords = chords.slice(0, 3);
+  const orderedChords = [
+    ...missingChords,
+    ...chords.filter(chord => !missingChords.includes(chord)),
+  ];
+  const displayChords = orderedChords.slice(0, 3);
   const remainingCount = chords.length - 3;
 
   return (
     <div className="flex flex-wrap items-center gap-2">
       {displayChords.map((chord, index) => (
-        <span
-          key={index}
-          className="inline-block px-2 py-1 bg-primary-100 text-primary-700 rounded text-sm font-medium"
-        >
-          {chord}
-        </span>
+        missingChords.includes(chord) ? (
+          <span
+            key={index}
+            className="inline-block px-2 py-1 bg-amber-100 text-amber-800 ring-1 ring-amber-400 rounded text-sm font-medium"
+            title="You don't know this chord yet"
+          >
+            {chord}
+          </span>
+        ) : (
+          <span
+            key={index}
+            className="inline-block px-2 py-1 bg-primary-100 text-primary-700 rounded text-sm font-medium"
+          >
+            {chord}
+          </span>
+        )
       ))}
       {remainingCount > 0 && (
         <span className="text-gray-500 text-sm">
@@ -42,23 +64,92 @@ function ChordLabels({ chords }) {
   );
 }
 
+// Song table column header that sorts by its field (click again to reverse)
+function SortableHeader({ field, label, sortField, sortDirection, onSort, className = '' }) {
+  return (
+    <th className={`text-left px-6 py-3 text-sm font-semibold text-gray-700 ${className}`}>
+      <button
+        onClick={() => onSort(field)}
+        className="flex items-center gap-1 hover:text-gray-900"
+      >
+        {label}
+        {sortField === field && (
+          <span>{sortDirection === 'asc' ? '↑' : '↓'}</span>
+        )}
+      </button>
+    </th>
+  );
+}
+
 export default function SongsIndex() {
   const { user } = useAuth();
   const navigate = useNavigate();
   const songsQuery = useMySongs(user?.id);
+  const { data: profileData } = useUserProfile(user?.id);
+  // Group shares, for the group: search facet
+  const { data: sharedSongsData } = useSharedSongs(user?.id);
+  const { data: groupsData } = useMyGroups(user?.id);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [showSongbookImportModal, setShowSongbookImportModal] = useState(false);
+  const [playableFilter, setPlayableFilter] = useState(PLAYABLE_FILTERS.ALL);
+  const [sortField, setSortField] = useState('title'); // See compareSongs for the fields
+  const [sortDirection, setSortDirection] = useState('asc'); // 'asc', 'desc'
   
-  const songs = songsQuery.data?.songs || [];
+  const songsData = songsQuery.data;
+  const songs = songsData?.songs || [];
+  const knownChords = getKnownChords(profileData?.$users?.[0]);
+  const isPlayableFiltered = playableFilter !== PLAYABLE_FILTERS.ALL && knownChords.length > 0;
+  // Rebuilt only when the songs or their groups change, not on each keystroke
+  const searchIndex = useMemo(() => buildSongSearchIndex(songsData?.songs || [], {
+    groupNamesBySongId: getSongGroupNames(
+      sharedSongsData?.songShares,
+      (groupsData?.groupMembers || []).map(gm => gm.group)
+    ),
+    creatorNamesById: getCreatorNames(profileData?.$users),
+    currentUserId: user?.id,
+  }), [songsData, sharedSongsData, groupsData, profileData, user?.id]);
+  const searchedSongs = searchSongs(searchIndex, searchQuery);
+  const filteredSongs = (isPlayableFiltered
+    ? searchedSongs.filter(song => matchesPlayableFilter(getUniqueChords(song), knownChords, playableFilter))
+    : searchedSongs
+  ).sort((a, b) => compareSongs(a, b, sortField, sortDirection));
+
+  const handleSort = (field) => {
+    if (sortField === field) {
+      setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortField(field);
+      setSortDirection('asc');
+    }
+  };
+
+  const handleSongbookImportComplete = ({ songIds, songbookId }) => {
+    setShowSongbookImportModal(false);
+    if (songbookId) {
+      navigate(`/songbooks/${songbookId}`);
+    } else {
+      alert(`Imported ${songIds.length} song${songIds.length !== 1 ? 's' : ''}.`);
+    }
+  };
 
   return (
     <div className="space-y-8">
       <div className="flex items-center justify-between">
         <h1 className="text-3xl font-bold">My Songs</h1>
-        <button
-          onClick={() => navigate('/songs/new')}
-          className="btn btn-primary"
-        >
-          + New Song
-        </button>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setShowSongbookImportModal(true)}
+            className="btn btn-secondary"
+          >
+            Import Songbook PDF
+          </button>
+          <button
+            onClick={() => navigate('/songs/new')}
+            className="btn btn-primary"
+          >
+            + New Song
+          </button>
+        </div>
       </div>
 
       {songs.length === 0 ? (
@@ -73,45 +164,134 @@ export default function SongsIndex() {
         </div>
       ) : (
         <div className="card">
-          <div className="overflow-x-auto">
-            <table className="w-full">
-              <thead>
-                <tr className="border-b border-gray-200">
-                  <th className="text-left px-6 py-3 text-sm font-semibold text-gray-700">Title</th>
-                  <th className="text-left px-6 py-3 text-sm font-semibold text-gray-700">Artist</th>
-                  <th className="text-left px-6 py-3 text-sm font-semibold text-gray-700">Chords</th>
-                </tr>
-              </thead>
-              <tbody>
-                {songs.map((song) => {
-                  const uniqueChords = getUniqueChords(song);
-                  return (
-                    <tr
-                      key={song.id}
-                      onClick={() => navigate(`/songs/${song.id}`, { state: { referrer: '/songs' } })}
-                      className="hover:bg-gray-50 transition-colors cursor-pointer"
-                    >
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <span className="text-gray-900 font-medium">
-                          {song.title}
-                        </span>
-                      </td>
-                      <td className="px-6 py-4 whitespace-nowrap">
-                        <span className="text-gray-600">
-                          {song.artist || '-'}
-                        </span>
-                      </td>
-                      <td className="px-6 py-4">
-                        <ChordLabels chords={uniqueChords} />
-                      </td>
-                    </tr>
-                  );
-                })}
-              </tbody>
-            </table>
+          <div className="mb-4 space-y-4">
+            <div className="flex items-center gap-4">
+              <SongSearchBox
+                value={searchQuery}
+                onChange={setSearchQuery}
+              />
+              {(searchQuery || isPlayableFiltered) && (
+                <div className="text-sm text-gray-600 whitespace-nowrap">
+                  {filteredSongs.length} of {songs.length} songs
+                </div>
+              )}
+            </div>
+            <PlayableFilter
+              value={playableFilter}
+              onChange={setPlayableFilter}
+              knownChords={knownChords}
+            />
           </div>
+          {filteredSongs.length === 0 ? (
+            <div className="text-center py-8 text-gray-500">
+              <p>No songs match your search or filters.</p>
+              <button
+                onClick={() => {
+                  setSearchQuery('');
+                  setPlayableFilter(PLAYABLE_FILTERS.ALL);
+                }}
+                className="mt-2 text-primary-600 hover:underline"
+              >
+                Clear all filters
+              </button>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead>
+                  <tr className="border-b border-gray-200">
+                    <SortableHeader field="title" label="Title" sortField={sortField} sortDirection={sortDirection} onSort={handleSort} />
+                    <SortableHeader field="artist" label="Artist" sortField={sortField} sortDirection={sortDirection} onSort={handleSort} />
+                    <SortableHeader field="key" label="Key" sortField={sortField} sortDirection={sortDirection} onSort={handleSort} />
+                    <SortableHeader field="tempo" label="BPM" sortField={sortField} sortDirection={sortDirection} onSort={handleSort} />
+                    <SortableHeader field="timeSignature" label="Time" sortField={sortField} sortDirection={sortDirection} onSort={handleSort} className="hidden lg:table-cell" />
+                    <SortableHeader field="capo" label="Capo" sortField={sortField} sortDirection={sortDirection} onSort={handleSort} className="hidden lg:table-cell" />
+                    <SortableHeader field="difficulty" label="Level" sortField={sortField} sortDirection={sortDirection} onSort={handleSort} />
+                    <SortableHeader field="year" label="Year" sortField={sortField} sortDirection={sortDirection} onSort={handleSort} className="hidden lg:table-cell" />
+                    <th className="text-left px-6 py-3 text-sm font-semibold text-gray-700">Chords</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {filteredSongs.map((song) => {
+                    const uniqueChords = getUniqueChords(song);
+                    const tags = getSongTags(song);
+                    return (
+                      <tr
+                        key={song.id}
+                        onClick={() => navigate(`/songs/${song.id}`, { state: { referrer: '/songs' } })}
+                        className="hover:bg-gray-50 transition-colors cursor-pointer"
+                      >
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className="text-gray-900 font-medium">
+                            {song.title}
+                          </span>
+                          {tags.length > 0 && (
+                            <div className="flex flex-wrap gap-1 mt-1">
+                              {tags.map(tag => (
+                                <span key={tag} className="px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-600">
+                                  {tag}
+                                </span>
+                              ))}
+                            </div>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className="text-gray-600">
+                            {song.artist || '-'}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className="text-gray-600">
+                            {getSongKey(song) || '-'}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className="text-gray-600">
+                            {song.tempo || '-'}
+                          </span>
+                        </td>
+                        <td className="hidden lg:table-cell px-6 py-4 whitespace-nowrap">
+                          <span className="text-gray-600">
+                            {song.timeSignature || '-'}
+                          </span>
+                        </td>
+                        <td className="hidden lg:table-cell px-6 py-4 whitespace-nowrap">
+                          <span className="text-gray-600">
+                            {song.capo || '-'}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className="text-gray-600">
+                            {getDifficultyLabel(song.difficulty) || '-'}
+                          </span>
+                        </td>
+                        <td className="hidden lg:table-cell px-6 py-4 whitespace-nowrap">
+                          <span className="text-gray-600">
+                            {song.year || '-'}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4">
+                          <ChordLabels
+                            chords={uniqueChords}
+                            missingChords={isPlayableFiltered ? getMissingChords(uniqueChords, knownChords) : []}
+                          />
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
         </div>
       )}
+
+      <SongbookPDFImportModal
+        isOpen={showSongbookImportModal}
+        onClose={() => setShowSongbookImportModal(false)}
+        onComplete={handleSongbookImportComplete}
+        userId={user?.id}
+      />
     </div>
   );
 }
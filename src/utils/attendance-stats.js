@@ -0,0 +1,190 @@
+/**
+ * Attendance Statistics Utility
+ *
+ * Turns the attendance admins record after meetings (meetingAttendance) into
+ * per-member attendance rates and streaks, a headcount series for charting,
+ * and a CSV report.
+ */
+
+import { getMeetingStart, isMeetingPast, toDateInputValue } from './meetings';
+import { startOfDay } from './recurrence';
+
+export const CSV_MIME_TYPE = 'text/csv;charset=utf-8';
+
+/**
+ * Group attendance records by meeting
+ * @param {Array} records - meetingAttendance records
+ * @returns {Map} meetingId -> Map(userId -> attended)
+ */
+export function getAttendanceByMeeting(records) {
+  const byMeeting = new Map();
+  (records || []).forEach(record => {
+    if (!byMeeting.has(record.meetingId)) {
+      byMeeting.set(record.meetingId, new Map());
+    }
+    byMeeting.get(record.meetingId).set(record.userId, !!record.attended);
+  });
+  return byMeeting;
+}
+
+/**
+ * Get the past meetings attendance can be recorded for (most recent first)
+ * @param {Array} meetings - Group meetings
+ * @param {number} now - Current timestamp (default: Date.now())
+ * @returns {Array} Past, non-cancelled meetings
+ */
+export function getRecordableMeetings(meetings, now = Date.now()) {
+  return (meetings || [])
+    .filter(meeting => meeting.status !== 'cancelled' && isMeetingPast(meeting, now))
+    .sort((a, b) => getMeetingStart(b) - getMeetingStart(a));
+}
+
+/**
+ * Get the meetings that have attendance recorded (oldest first)
+ * @param {Array} meetings - Group meetings
+ * @param {Array} records - meetingAttendance records
+ * @returns {Array} Meetings with at least one attendance record
+ */
+export function getRecordedMeetings(meetings, records) {
+  const byMeeting = getAttendanceByMeeting(records);
+  return (meetings || [])
+    .filter(meeting => meeting.status !== 'cancelled' && byMeeting.has(meeting.id))
+    .sort((a, b) => getMeetingStart(a) - getMeetingStart(b));
+}
+
+/**
+ * Check whether a meeting counts towards a member's attendance
+ * It does if they have a record for it, or had already joined the group by then
+ * @param {Object} member - { userId, joinedAt }
+ * @param {Object} meeting - Meeting object
+ * @param {Map} attendance - userId -> attended for the meeting
+ * @returns {boolean} True if the meeting counts for the member
+ */
+function isMeetingEligible(member, meeting, attendance) {
+  if (attendance.has(member.userId)) return true;
+  return !member.joinedAt || startOfDay(member.joinedAt) <= meeting.date;
+}
+
+/**
+ * Work out each member's attendance rate and streaks over the recorded meetings
+ * A member without a record for a meeting they were eligible for counts as absent
+ * @param {Array} members - Array of { userId, name, joinedAt }
+ * @param {Array} meetings - Group meetings
+ * @param {Array} records - meetingAttendance records
+ * @returns {Array} Array of { userId, name, attended, total, rate, currentStreak, longestStreak },
+ *   best attendance first (rate is 0-1, or null if no meetings count for the member)
+ */
+export function getMemberAttendanceStats(members, meetings, records) {
+  const byMeeting = getAttendanceByMeeting(records);
+  const recordedMeetings = getRecordedMeetings(meetings, records);
+
+  const stats = (members || []).map(member => {
+    let attended = 0;
+    let total = 0;
+    let run = 0;
+    let longestStreak = 0;
+
+    recordedMeetings.forEach(meeting => {
+      const attendance = byMeeting.get(meeting.id);
+      if (!isMeetingEligible(member, meeting, attendance)) return;
+
+      total += 1;
+      if (attendance.get(member.userId)) {
+        attended += 1;
+        run += 1;
+        longestStreak = Math.max(longestStreak, run);
+      } else {
+        run = 0;
+      }
+    });
+
+    return {
+      userId: member.userId,
+      name: member.name,
+      attended,
+      total,
+      rate: total > 0 ? attended / total : null,
+      currentStreak: run,
+      longestStreak,
+    };
+  });
+
+  return stats.sort((a, b) =>
+    (b.rate ?? -1) - (a.rate ?? -1)
+    || b.attended - a.attended
+    || (a.name || '').localeCompare(b.name || '')
+  );
+}
+
+/**
+ * Get the headcount for each recorded meeting (oldest first), for charting
+ * @param {Array} meetings - Group meetings
+ * @param {Array} records - meetingAttendance records
+ * @returns {Array} Array of { meeting, count }
+ */
+export function getMeetingHeadcounts(meetings, records) {
+  const byMeeting = getAttendanceByMeeting(records);
+  return getRecordedMeetings(meetings, records).map(meeting => ({
+    meeting,
+    count: [...byMeeting.get(meeting.id).values()].filter(Boolean).length,
+  }));
+}
+
+/**
+ * Escape a CSV field
+ * Quotes fields containing separators, and stops spreadsheet apps treating text as a formula
+ * @param {*} value - Field value
+ * @returns {string} CSV-safe field
+ */
+function escapeCsvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Generate a CSV attendance report
+ * One row per member with their totals, then a Yes/No column per recorded meeting
+ * (blank where the meeting doesn't count for the member)
+ * @param {Array} members - Array of { userId, name, joinedAt }
+ * @param {Array} meetings - Group meetings
+ * @param {Array} records - meetingAttendance records
+ * @returns {string} CSV text (CRLF line endings)
+ */
+export function generateAttendanceCsv(members, meetings, records) {
+  const byMeeting = getAttendanceByMeeting(records);
+  const recordedMeetings = getRecordedMeetings(meetings, records);
+  const membersById = new Map((members || []).map(member => [member.userId, member]));
+
+  const header = [
+    'Member',
+    'Attended',
+    'Meetings',
+    'Attendance Rate',
+    'Current Streak',
+    'Longest Streak',
+    ...recordedMeetings.map(meeting => `${toDateInputValue(meeting.date)} ${meeting.title}`),
+  ];
+  const rows = getMemberAttendanceStats(members, meetings, records).map(stat => {
+    const member = membersById.get(stat.userId);
+    return [
+      stat.name,
+      stat.attended,
+      stat.total,
+      stat.rate === null ? '' : `${Math.round(stat.rate * 100)}%`,
+      stat.currentStreak,
+      stat.longestStreak,
+      ...recordedMeetings.map(meeting => {
+        const attendance = byMeeting.get(meeting.id);
+        if (!isMeetingEligible(member, meeting, attendance)) return '';
+        return attendance.get(stat.userId) ? 'Yes' : 'No';
+      }),
+    ];
+  });
+
+  return [header, ...rows]
+    .map(row => row.map(escapeCsvField).join(','))
+    .join('\r\n') + '\r\n';
+}
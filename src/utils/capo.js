@@ -0,0 +1,136 @@
+/**
+ * Capo Utility
+ *
+ * Converts the chords of a song into the shapes a player fingers with a capo,
+ * and suggests the capo position that puts the most chords on easy open shapes.
+ */
+
+import { CHORD_SEED_DATA } from '../data/chord-seed';
+import { transposeChords, transposeChordName, transposeKey, keyPrefersFlats, parseChordName, noteToSemitone } from './transpose';
+
+// Highest capo position considered when suggesting a capo
+export const MAX_CAPO_FRET = 7;
+
+/**
+ * Rewrite a song's chords as the shapes fingered with a capo on the given fret
+ * (e.g., a song in Eb with capo 3 is played with C shapes)
+ * @param {Array} chords - Array of chord objects { id, lineIndex, position, chord }
+ * @param {number} capoFret - Fret the capo is placed on (0 = no capo)
+ * @param {Object} options - Additional options
+ * @param {string} options.key - Sounding key of the song (used to spell the shapes)
+ * @returns {Array} New array of chord objects with shape names
+ */
+export function applyCapo(chords = [], capoFret = 0, options = {}) {
+  if (!capoFret) return chords;
+  return transposeChords(chords, -capoFret, options);
+}
+
+/**
+ * Check whether a fret pattern is an easy open shape:
+ * at least one open string and nothing above the third fret. Muted strings
+ * are ignored, so guitar shapes like C (x32010) still count
+ * @param {string} frets - Fret positions (e.g., "0003")
+ * @returns {boolean} True if the shape is an easy open shape
+ */
+export function isEasyOpenShape(frets) {
+  if (!frets) return false;
+  const values = frets.split('').filter(f => f.toLowerCase() !== 'x');
+  if (values.length === 0) return false;
+  const numbers = values.map(f => parseInt(f, 10));
+  if (numbers.some(isNaN)) return false;
+  return numbers.includes(0) && Math.max(...numbers) <= 3;
+}
+
+/**
+ * Find the standard seed chord for a name, accepting enharmonic spellings
+ * (e.g., "A#" matches the "Bb" entry)
+ * @param {string} chordName - Chord name
+ * @param {string} instrument - Instrument type
+ * @param {string} tuning - Tuning identifier
+ * @returns {Object|null} Seed chord or null if not in the seed library
+ */
+export function findSeedChord(chordName, instrument, tuning) {
+  const candidates = CHORD_SEED_DATA.filter(c =>
+    c.instrument === instrument &&
+    c.tuning === tuning &&
+    c.variation === 'standard'
+  );
+
+  const exact = candidates.find(c => c.name === chordName);
+  if (exact) return exact;
+
+  const parsed = parseChordName(chordName);
+  if (!parsed || parsed.bass) return null;
+  const rootSemitone = noteToSemitone(parsed.root);
+
+  return candidates.find(c => {
+    const candidate = parseChordName(c.name);
+    return candidate &&
+      !candidate.bass &&
+      candidate.quality === parsed.quality &&
+      noteToSemitone(candidate.root) === rootSemitone;
+  }) || null;
+}
+
+/**
+ * Score a single capo position for a set of chords
+ * @param {Array<string>} chordNames - Unique sounding chord names in the song
+ * @param {number} capoFret - Fret the capo is placed on
+ * @param {Object} options - Additional options
+ * @param {string} options.key - Sounding key of the song
+ * @param {string} options.instrument - Instrument type (default "ukulele")
+ * @param {string} options.tuning - Tuning identifier (default "ukulele_standard")
+ * @returns {Object} { capo, easyCount, total, shapes: [{ chord, shape, frets, easy }] }
+ */
+export function scoreCapoPosition(chordNames = [], capoFret = 0, options = {}) {
+  const { key = null, instrument = 'ukulele', tuning = 'ukulele_standard' } = options;
+  const shapeKey = key ? transposeKey(key, -capoFret) : null;
+  const preferFlats = shapeKey ? keyPrefersFlats(shapeKey) : false;
+
+  const shapes = chordNames.map(chord => {
+    const shape = transposeChordName(chord, -capoFret, { preferFlats });
+    const seedChord = findSeedChord(shape, instrument, tuning);
+    return {
+      chord,
+      shape,
+      frets: seedChord?.frets || null,
+      easy: isEasyOpenShape(seedChord?.frets),
+    };
+  });
+
+  return {
+    capo: capoFret,
+    easyCount: shapes.filter(s => s.easy).length,
+    total: chordNames.length,
+    shapes,
+  };
+}
+
+/**
+ * Suggest the capo position that puts the most chords on easy open shapes
+ * Ties go to the lower capo position (capo 0 = no capo).
+ * @param {Array<string>} chordNames - Unique sounding chord names in the song
+ * @param {Object} options - Same options as scoreCapoPosition, plus:
+ * @param {number} options.maxCapo - Highest capo fret to consider (default MAX_CAPO_FRET)
+ * @returns {Object|null} { capo, easyCount, total, ranking } or null if there are no chords
+ */
+export function suggestBestCapo(chordNames = [], options = {}) {
+  if (!chordNames || chordNames.length === 0) return null;
+  const { maxCapo = MAX_CAPO_FRET } = options;
+
+  const ranking = [];
+  for (let capo = 0; capo <= maxCapo; capo++) {
+    ranking.push(scoreCapoPosition(chordNames, capo, options));
+  }
+
+  const best = ranking.reduce((bestSoFar, position) =>
+    position.easyCount > bestSoFar.easyCount ? position : bestSoFar
+  );
+
+  return {
+    capo: best.capo,
+    easyCount: best.easyCount,
+    total: best.total,
+    ranking,
+  };
+}
@@ -6,10 +6,12 @@
  */
 
 import { CHORD_SEED_DATA } from '../data/chord-seed';
+import { generateVoicings } from './chord-voicings';
 
 /**
  * Find a chord by name, instrument, and tuning
- * Checks multiple sources in order: embedded chords, personal library, main library, static seed
+ * Checks multiple sources in order: embedded chords, personal library, main library, static seed,
+ * then falls back to a generated voicing for chords no library has a shape for
  * This prioritizes custom/user chords over standard library chords
  * @param {string} chordName - Chord name (e.g., "C", "Am", "G7")
  * @param {string} instrument - Instrument type (e.g., "ukulele")
@@ -118,6 +120,11 @@ export function findChord(
     }
   }
   
+  // 5. Generate the easiest voicing (e.g., "C7b9", "F#m7b5")
+  if (!chord) {
+    chord = generateVoicings(chordName, instrument, tuning, { limit: 1 })[0];
+  }
+  
   return chord || null;
 }
 
@@ -292,3 +299,48 @@ export function getAllAvailableChords(instrument = 'ukulele', tuning = 'ukulele_
 }
 
 
+
+/**
+ * Get diagram data for every unique chord in a song, in order of first appearance
+ * Chords without a known fingering are left out.
+ * @param {Object} song - Song object (chords and embeddedChords as JSON strings)
+ * @param {string} instrument - Instrument type
+ * @param {string} tuning - Tuning identifier
+ * @param {Object} options - Additional options
+ * @param {Array} options.databaseChords - Array of database chord objects (main + personal)
+ * @param {Array} options.chords - Chord objects to use instead of song.chords (e.g., transposed)
+ * @returns {Array} Array of { name, frets, instrument, tuning }
+ */
+export function getSongChordDiagrams(song, instrument = 'ukulele', tuning = 'ukulele_standard', options = {}) {
+  const { databaseChords = [] } = options;
+
+  const parseJsonArray = (value) => {
+    if (!value) return [];
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+      return [];
+    }
+  };
+
+  const chords = options.chords || parseJsonArray(song?.chords);
+  const embeddedChords = parseJsonArray(song?.embeddedChords);
+  const chordNames = [...new Set(chords.map(c => c.chord?.trim()).filter(Boolean))];
+
+  return chordNames
+    .map(chordName => {
+      const chordData = findChord(chordName, instrument, tuning, 'standard', {
+        databaseChords,
+        embeddedChords,
+      });
+      if (!chordData || !chordData.frets) return null;
+      return {
+        name: chordName,
+        frets: chordData.frets,
+        instrument: chordData.instrument || instrument,
+        tuning: chordData.tuning || tuning,
+      };
+    })
+    .filter(Boolean);
+}
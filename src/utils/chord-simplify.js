@@ -0,0 +1,112 @@
+/**
+ * Chord Simplification Utility
+ *
+ * Rewrites chords into easier substitutes for beginners: extensions, suspensions
+ * and bass notes are dropped (Cmaj7 -> C, Dsus4 -> D, G/B -> G), and a chord
+ * whose plain shape is hard is swapped for its 7th when that is an easy open
+ * shape (E -> E7 on ukulele). A capo can then move the whole song onto easier
+ * shapes. The stored song is never changed.
+ */
+
+import { MAX_CAPO_FRET, findSeedChord, isEasyOpenShape } from './capo';
+import { isMinorQuality, keyPrefersFlats, parseChordName, transposeChordName, transposeKey } from './transpose';
+
+// 7th chord to try when a major or minor triad is hard to finger
+const SEVENTH_QUALITIES = { '': '7', m: 'm7' };
+
+/**
+ * Reduce a chord quality to its basic triad
+ * @param {string} quality - Chord quality as returned by parseChordName
+ * @returns {string} '' (major), 'm', 'dim' or 'aug'
+ */
+function getTriadQuality(quality) {
+  if (/^(dim|°)/.test(quality)) return 'dim';
+  if (/^(aug|\+)/.test(quality)) return 'aug';
+  return isMinorQuality(quality) ? 'm' : '';
+}
+
+/**
+ * Check whether a chord is an easy open shape on an instrument
+ * @param {string} chordName - Chord name
+ * @param {string} instrument - Instrument type
+ * @param {string} tuning - Tuning identifier
+ * @returns {boolean} True if the chord's standard shape is easy
+ */
+function isEasyChord(chordName, instrument, tuning) {
+  return isEasyOpenShape(findSeedChord(chordName, instrument, tuning)?.frets);
+}
+
+/**
+ * Simplify a single chord name
+ * Unrecognised chord names (e.g., "N.C.") are returned unchanged.
+ * @param {string} chordName - Chord name (e.g., "F#m7", "Bbmaj7", "D/F#")
+ * @param {Object} options - Additional options
+ * @param {string} options.instrument - Instrument type (default "ukulele")
+ * @param {string} options.tuning - Tuning identifier (default "ukulele_standard")
+ * @returns {string} Simplified chord name
+ */
+export function simplifyChordName(chordName, options = {}) {
+  const parsed = parseChordName(chordName);
+  if (!parsed) return chordName;
+
+  const { instrument = 'ukulele', tuning = 'ukulele_standard' } = options;
+  const triadQuality = getTriadQuality(parsed.quality);
+  const triad = `${parsed.root}${triadQuality}`;
+  if (isEasyChord(triad, instrument, tuning)) return triad;
+
+  // Major and minor chords fall back to their 7th if that shape is easier
+  const seventh = SEVENTH_QUALITIES[triadQuality] !== undefined
+    ? `${parsed.root}${SEVENTH_QUALITIES[triadQuality]}`
+    : null;
+  if (seventh && isEasyChord(seventh, instrument, tuning)) {
+    return seventh;
+  }
+  return triad;
+}
+
+/**
+ * Simplify every chord in a song's chord array
+ * @param {Array} chords - Array of chord objects { id, lineIndex, position, chord }
+ * @param {Object} options - Same options as simplifyChordName
+ * @returns {Array} New array of chord objects with simplified chord names
+ */
+export function simplifyChords(chords = [], options = {}) {
+  if (!Array.isArray(chords)) return chords;
+  return chords.map(chord => ({
+    ...chord,
+    chord: simplifyChordName(chord.chord, options),
+  }));
+}
+
+/**
+ * Suggest the capo position whose simplified shapes are easiest
+ * Like suggestBestCapo, but scores the shapes after simplification.
+ * Ties go to the lower capo position (capo 0 = no capo).
+ * @param {Array<string>} chordNames - Unique sounding chord names in the song
+ * @param {Object} options - Additional options
+ * @param {string} options.key - Sounding key of the song (used to spell the shapes)
+ * @param {string} options.instrument - Instrument type (default "ukulele")
+ * @param {string} options.tuning - Tuning identifier (default "ukulele_standard")
+ * @returns {Object|null} { capo, easyCount, total } or null if there are no chords
+ */
+export function suggestSimplifiedCapo(chordNames = [], options = {}) {
+  if (!chordNames || chordNames.length === 0) return null;
+  const { key = null, instrument = 'ukulele', tuning = 'ukulele_standard' } = options;
+
+  let best = null;
+  for (let capo = 0; capo <= MAX_CAPO_FRET; capo++) {
+    const shapeKey = key ? transposeKey(key, -capo) : null;
+    const preferFlats = shapeKey ? keyPrefersFlats(shapeKey) : false;
+    const shapes = new Set(chordNames.map(chord =>
+      simplifyChordName(transposeChordName(chord, -capo, { preferFlats }), { instrument, tuning })
+    ));
+    const easyCount = [...shapes].filter(shape => isEasyChord(shape, instrument, tuning)).length;
+    const position = { capo, easyCount, total: shapes.size };
+
+    // Rank by the share of easy shapes, since simplifying can merge chords
+    if (!best || position.easyCount * best.total > best.easyCount * position.total) {
+      best = position;
+    }
+  }
+  return best;
+}
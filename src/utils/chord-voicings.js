@@ -0,0 +1,377 @@
+/**
+ * Chord Voicing Generator
+ *
+ * Builds playable fingerings for any chord name on any configured tuning.
+ * The chord name is turned into a set of required and optional pitch classes,
+ * then fret positions are searched string by string (within a hand span) and
+ * the results are ranked from easiest to hardest. Used when a chord has no
+ * hand-entered shape in the seed data or the database libraries.
+ */
+
+import { parseChordName, noteToSemitone } from './transpose';
+import { getTuningConfig } from './instruments';
+
+// Highest fret a voicing may use (fret strings hold one character per string)
+const MAX_FRET = 9;
+
+// Largest distance between the lowest and highest fretted notes
+const MAX_SPAN = 3;
+
+// Fewest strings that must sound (fewer on instruments with fewer strings)
+const MIN_SOUNDING_STRINGS = 3;
+
+// Fingers available for fretting (a barre counts as one finger)
+const MAX_FINGERS = 4;
+
+// Voicings kept per chord/tuning in the cache
+const MAX_CACHED_VOICINGS = 24;
+
+const voicingCache = new Map();
+
+// Difficulty score weights (see scoreVoicing)
+const DIFFICULTY_WEIGHTS = {
+  finger: 1,
+  stretch: 1.5,
+  barre: 1.5,
+  position: 0.5,
+  bassMute: 1.5,
+  outerMute: 3,
+  innerMute: 4,
+  rootBass: 1.5,
+  slashBass: 4,
+  missingRoot: 1.5,
+  missingOptional: 0.5,
+};
+
+// Intervals (semitones above the root) for "add" and altered extensions
+const EXTENSION_INTERVALS = { 2: 2, 4: 5, 5: 7, 6: 9, 9: 2, 11: 5, 13: 9 };
+
+/**
+ * Apply a sharp/flat modifier to an interval
+ * @param {number} interval - Interval in semitones
+ * @param {string} accidental - '#', '+', 'b', '-' or ''
+ * @returns {number} Adjusted interval (0-11)
+ */
+function alterInterval(interval, accidental) {
+  if (accidental === '#' || accidental === '+') return (interval + 1) % 12;
+  if (accidental === 'b' || accidental === '-') return (interval + 11) % 12;
+  return interval;
+}
+
+/**
+ * Parse a chord quality into intervals above the root
+ * @param {string} quality - Quality part of a chord name (e.g., "m7b5", "7#9", "sus4")
+ * @returns {Object|null} { required, optional } interval arrays, or null if the quality is not recognised
+ */
+function parseQualityIntervals(quality) {
+  let third = 4;
+  let fifth = 7;
+  let seventh = null;
+  let power = false;
+  let omitFifth = false;
+  const extensions = [];
+  const optional = [];
+
+  const normalized = quality
+    .replace(/♯/g, '#')
+    .replace(/♭/g, 'b')
+    .replace(/[()\s,]/g, '');
+  let rest = normalized;
+  let match;
+
+  while (rest) {
+    if ((match = rest.match(/^(maj|Maj|MA|M|Δ)(7|9|11|13)?/))) {
+      if (match[2]) {
+        seventh = 11;
+        if (match[2] === '9') extensions.push(2);
+        if (match[2] === '11') { extensions.push(5); optional.push(2); }
+        if (match[2] === '13') { extensions.push(9); optional.push(2); }
+      } else if (match[1] === 'Δ') {
+        seventh = 11;
+      }
+    } else if ((match = rest.match(/^(m7b5|ø7?)/))) {
+      third = 3;
+      fifth = 6;
+      seventh = 10;
+    } else if ((match = rest.match(/^(dim|°|o)(7)?/))) {
+      third = 3;
+      fifth = 6;
+      if (match[2]) seventh = 9;
+    } else if (rest === normalized && (match = rest.match(/^(min|mi|m|-)/))) {
+      // Minor only at the start, so "-" later on means a flattened note
+      third = 3;
+    } else if ((match = rest.match(/^([#b+-])(5|9|11|13)/))) {
+      const interval = alterInterval(EXTENSION_INTERVALS[match[2]], match[1]);
+      if (match[2] === '5') {
+        fifth = interval;
+      } else {
+        extensions.push(interval);
+      }
+    } else if ((match = rest.match(/^(aug|\+)/))) {
+      fifth = 8;
+    } else if ((match = rest.match(/^sus(2|4)?/))) {
+      third = null;
+      extensions.push(match[1] === '2' ? 2 : 5);
+    } else if ((match = rest.match(/^(6\/9|69)/))) {
+      extensions.push(9, 2);
+    } else if ((match = rest.match(/^add([#b]?)(2|4|6|9|11|13)/))) {
+      extensions.push(alterInterval(EXTENSION_INTERVALS[match[2]], match[1]));
+    } else if ((match = rest.match(/^(7|9|11|13)/))) {
+      if (seventh === null) seventh = 10;
+      if (match[1] === '9') extensions.push(2);
+      if (match[1] === '11') { extensions.push(5); optional.push(2); }
+      if (match[1] === '13') { extensions.push(9); optional.push(2); }
+    } else if ((match = rest.match(/^6/))) {
+      extensions.push(9);
+    } else if ((match = rest.match(/^5/))) {
+      power = true;
+    } else if ((match = rest.match(/^(no|omit)(3|5)/))) {
+      if (match[2] === '3') third = null;
+      else omitFifth = true;
+    } else {
+      return null;
+    }
+    rest = rest.slice(match[0].length);
+  }
+
+  if (power) {
+    return { required: [0, 7], optional: [] };
+  }
+
+  const required = [0];
+  if (third !== null) required.push(third);
+  if (seventh !== null) required.push(seventh);
+  required.push(...extensions);
+
+  // An unaltered fifth adds little and is the first note dropped on small instruments
+  if (fifth !== 7) {
+    required.push(fifth);
+  } else if (!omitFifth) {
+    optional.push(7);
+  }
+
+  const requiredSet = [...new Set(required)];
+  return {
+    required: requiredSet,
+    optional: [...new Set(optional)].filter(interval => !requiredSet.includes(interval)),
+  };
+}
+
+/**
+ * Get the notes of a chord as pitch classes
+ * @param {string} chordName - Chord name (e.g., "C7b9", "F#m7b5", "D/F#")
+ * @returns {Object|null} { root, bass, required, optional } as pitch classes (0-11),
+ *   bass is null for non-slash chords; null if the name cannot be parsed
+ */
+export function getChordNotes(chordName) {
+  const parsed = parseChordName(chordName);
+  if (!parsed) return null;
+
+  const intervals = parseQualityIntervals(parsed.quality);
+  if (!intervals) return null;
+
+  const root = noteToSemitone(parsed.root);
+  const toPitchClass = interval => (root + interval) % 12;
+
+  return {
+    root,
+    bass: parsed.bass ? noteToSemitone(parsed.bass) : null,
+    required: intervals.required.map(toPitchClass),
+    optional: intervals.optional.map(toPitchClass),
+  };
+}
+
+/**
+ * Score how hard a voicing is to play (lower is easier)
+ * @param {Array<number|null>} frets - Fret per string, null for muted
+ * @param {Object} context - { pitches, chordNotes, barre }
+ * @returns {number} Difficulty score
+ */
+function scoreVoicing(frets, { pitches, chordNotes, barre }) {
+  const w = DIFFICULTY_WEIGHTS;
+  const fretted = frets.filter(f => f !== null && f > 0);
+  const minFret = fretted.length > 0 ? Math.min(...fretted) : 0;
+  const maxFret = fretted.length > 0 ? Math.max(...fretted) : 0;
+
+  // Fingers used: a barre holds every note on the lowest fret with one finger
+  const fingers = barre
+    ? fretted.filter(f => f > minFret).length + 1
+    : fretted.length;
+  let score = fingers * w.finger + Math.max(0, maxFret - minFret - 1) * w.stretch;
+  if (barre) score += w.barre;
+
+  // Higher positions are harder to find and reach
+  if (minFret > 3) score += (minFret - 3) * w.position;
+
+  // Muted strings: the bass side of a low-to-high tuning (guitar) is easy to skip,
+  // other outer strings less so, and inner strings need damping
+  const sounding = frets.map((f, i) => (f !== null ? i : -1)).filter(i => i >= 0);
+  const firstSounding = sounding[0];
+  const lastSounding = sounding[sounding.length - 1];
+  const bassSideFirst = pitches[0] === Math.min(...pitches);
+  frets.forEach((fret, index) => {
+    if (fret !== null) return;
+    if (index > firstSounding && index < lastSounding) {
+      score += w.innerMute;
+    } else {
+      score += index < firstSounding && bassSideFirst ? w.bassMute : w.outerMute;
+    }
+  });
+
+  // Prefer the root (or the slash bass note) as the lowest sounding note
+  let lowestPitch = Infinity;
+  let lowestPitchClass = null;
+  frets.forEach((fret, index) => {
+    if (fret === null) return;
+    const pitch = pitches[index] + fret;
+    if (pitch < lowestPitch) {
+      lowestPitch = pitch;
+      lowestPitchClass = pitch % 12;
+    }
+  });
+  if (chordNotes.bass !== null) {
+    if (lowestPitchClass !== chordNotes.bass) score += w.slashBass;
+  } else if (lowestPitchClass !== chordNotes.root) {
+    score += w.rootBass;
+  }
+
+  // Penalties for leaving out the root (rootless voicings) or optional notes
+  const soundingClasses = new Set(sounding.map(index => (pitches[index] + frets[index]) % 12));
+  if (!soundingClasses.has(chordNotes.root)) score += w.missingRoot;
+  chordNotes.optional.forEach(pc => {
+    if (!soundingClasses.has(pc)) score += w.missingOptional;
+  });
+
+  return score;
+}
+
+/**
+ * Check a complete fret pattern and work out whether it needs a barre
+ * @param {Array<number|null>} frets - Fret per string, null for muted
+ * @param {Array<number>} pitches - Open-string MIDI pitches
+ * @param {Array<number>} required - Pitch classes that must sound
+ * @returns {Object|null} { barre } if playable, null otherwise
+ */
+function checkVoicing(frets, pitches, required) {
+  const soundingCount = frets.filter(f => f !== null).length;
+  if (soundingCount < Math.min(MIN_SOUNDING_STRINGS, frets.length)) return null;
+
+  const soundingClasses = new Set();
+  frets.forEach((fret, index) => {
+    if (fret !== null) soundingClasses.add((pitches[index] + fret) % 12);
+  });
+  if (!required.every(pc => soundingClasses.has(pc))) return null;
+
+  const fretted = frets.filter(f => f !== null && f > 0);
+  if (fretted.length <= MAX_FINGERS) return { barre: false };
+
+  // Too many fretted notes for separate fingers: try a barre across the lowest fret.
+  // A barre stops every string, so open strings are not possible.
+  if (frets.some(f => f === 0)) return null;
+  const minFret = Math.min(...fretted);
+  const fingers = fretted.filter(f => f > minFret).length + 1;
+  return fingers <= MAX_FINGERS ? { barre: true } : null;
+}
+
+/**
+ * Generate playable voicings for a chord, easiest first
+ * @param {string} chordName - Chord name (e.g., "C7b9")
+ * @param {string} instrument - Instrument type (default: 'ukulele')
+ * @param {string} tuning - Tuning identifier (default: 'ukulele_standard')
+ * @param {Object} options - Options
+ * @param {number} options.limit - Maximum voicings to return (default 8)
+ * @returns {Array} Chord objects { name, frets, instrument, tuning, variation, generated, difficulty }
+ */
+export function generateVoicings(chordName, instrument = 'ukulele', tuning = 'ukulele_standard', options = {}) {
+  const { limit = 8 } = options;
+  if (!chordName) return [];
+
+  const cacheKey = `${chordName}|${instrument}|${tuning}`;
+  if (voicingCache.has(cacheKey)) {
+    return voicingCache.get(cacheKey).slice(0, limit);
+  }
+
+  const tuningConfig = getTuningConfig(instrument, tuning);
+  const chordNotes = getChordNotes(chordName);
+  if (!tuningConfig?.pitches || !chordNotes) {
+    voicingCache.set(cacheKey, []);
+    return [];
+  }
+
+  const { pitches, droneStrings = [] } = tuningConfig;
+  const stringCount = pitches.length;
+
+  // Too many notes for the strings available: drop the root (rootless voicing)
+  let required = [...chordNotes.required];
+  if (chordNotes.bass !== null && !required.includes(chordNotes.bass)) {
+    required.push(chordNotes.bass);
+  }
+  if (required.length > stringCount) {
+    required = required.filter(pc => pc !== chordNotes.root);
+  }
+  if (required.length > stringCount) {
+    voicingCache.set(cacheKey, []);
+    return [];
+  }
+
+  const allowed = new Set([...required, ...chordNotes.optional, chordNotes.root]);
+  const maxMuted = Math.max(0, stringCount - MIN_SOUNDING_STRINGS);
+
+  // Fret choices per string: muted, or any fret that sounds a chord note
+  const choices = pitches.map((openPitch, index) => {
+    const stringChoices = [null];
+    const highestFret = droneStrings.includes(index) ? 0 : MAX_FRET;
+    for (let fret = 0; fret <= highestFret; fret++) {
+      if (allowed.has((openPitch + fret) % 12)) {
+        stringChoices.push(fret);
+      }
+    }
+    return stringChoices;
+  });
+
+  const found = [];
+  const frets = [];
+  const search = (stringIndex, minFret, maxFret, mutedCount) => {
+    if (stringIndex === stringCount) {
+      const check = checkVoicing(frets, pitches, required);
+      if (check) {
+        found.push({
+          frets: [...frets],
+          difficulty: scoreVoicing(frets, { pitches, chordNotes, barre: check.barre }),
+        });
+      }
+      return;
+    }
+
+    for (const fret of choices[stringIndex]) {
+      if (fret === null && mutedCount >= maxMuted) continue;
+      let nextMin = minFret;
+      let nextMax = maxFret;
+      if (fret !== null && fret > 0) {
+        nextMin = Math.min(minFret, fret);
+        nextMax = Math.max(maxFret, fret);
+        if (nextMax - nextMin > MAX_SPAN) continue;
+      }
+      frets.push(fret);
+      search(stringIndex + 1, nextMin, nextMax, mutedCount + (fret === null ? 1 : 0));
+      frets.pop();
+    }
+  };
+  search(0, Infinity, -Infinity, 0);
+
+  const voicings = found
+    .sort((a, b) => a.difficulty - b.difficulty)
+    .slice(0, MAX_CACHED_VOICINGS)
+    .map(voicing => ({
+      name: chordName,
+      frets: voicing.frets.map(f => (f === null ? 'x' : String(f))).join(''),
+      instrument,
+      tuning,
+      variation: 'standard',
+      generated: true,
+      difficulty: Math.round(voicing.difficulty * 10) / 10,
+    }));
+
+  voicingCache.set(cacheKey, voicings);
+  return voicings.slice(0, limit);
+}
@@ -0,0 +1,293 @@
+/**
+ * ChordPro Import/Export Utility
+ *
+ * Converts between ChordPro files (.cho/.chopro) and Strumkey songs.
+ * ChordPro already uses inline [C] chords, so lyric lines pass through as-is;
+ * directives are mapped onto song fields, {heading:}/{instruction:} markers
+ * and embedded chords.
+ */
+
+import { lyricsWithChordsToText } from './lyrics-helpers';
+import { normalizeKey } from './key-detection';
+import { MIN_TEMPO, MAX_TEMPO } from './performance';
+import { normalizeTimeSignature, isValidYear } from './song-metadata';
+
+// Directive aliases defined by the ChordPro spec
+const DIRECTIVE_ALIASES = {
+  t: 'title',
+  st: 'subtitle',
+  c: 'comment',
+  ci: 'comment_italic',
+  cb: 'comment_box',
+  soc: 'start_of_chorus',
+  eoc: 'end_of_chorus',
+  sov: 'start_of_verse',
+  eov: 'end_of_verse',
+  sob: 'start_of_bridge',
+  eob: 'end_of_bridge',
+  sot: 'start_of_tab',
+  eot: 'end_of_tab',
+};
+
+const COMMENT_DIRECTIVES = ['comment', 'comment_italic', 'comment_box', 'highlight'];
+
+/**
+ * Parse a single directive line
+ * @param {string} line - Trimmed line (e.g., "{title: Hey Jude}")
+ * @returns {Object|null} { name, value } or null if the line is not a directive
+ */
+function parseDirective(line) {
+  const match = line.match(/^\{([^}:\s]+)(?:[:\s]\s*(.*?))?\s*\}$/);
+  if (!match) return null;
+  const rawName = match[1].toLowerCase();
+  return {
+    name: DIRECTIVE_ALIASES[rawName] || rawName,
+    value: (match[2] || '').trim(),
+  };
+}
+
+/**
+ * Turn a section name into a heading label (e.g., "start_of_verse" -> "Verse")
+ * @param {string} section - Section name after "start_of_"
+ * @returns {string} Capitalized label
+ */
+function sectionLabel(section) {
+  const words = section.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Parse a {define} directive into an embedded chord
+ * Supports "Am base-fret 1 frets 2 0 0 0" (frets relative to base-fret)
+ * @param {string} value - Directive value
+ * @param {string} instrument - Instrument the chord belongs to
+ * @param {string} tuning - Tuning the chord belongs to
+ * @param {number} stringCount - Number of strings expected for this tuning
+ * @returns {Object|null} Embedded chord { name, frets, instrument, tuning } or null if unsupported
+ */
+function parseDefine(value, instrument, tuning, stringCount) {
+  const match = value.match(/^(\S+)\s+(?:base-fret\s+(\d+)\s+)?frets\s+([\dxXnN\-\s]+?)(?:\s+fingers\b.*)?$/);
+  if (!match) return null;
+
+  const [, name, baseFretValue, fretsValue] = match;
+  const baseFret = parseInt(baseFretValue || '1', 10);
+  const frets = fretsValue.trim().split(/\s+/).map(f => {
+    if (/^[xXnN-]$/.test(f)) return 'x';
+    const fret = parseInt(f, 10);
+    return fret === 0 ? 0 : fret + baseFret - 1;
+  });
+
+  // Frets are stored one character per string, so only single-digit frets fit
+  if (frets.length !== stringCount || frets.some(f => f !== 'x' && f > 9)) {
+    return null;
+  }
+
+  return {
+    name,
+    frets: frets.join(''),
+    instrument,
+    tuning,
+  };
+}
+
+/**
+ * Parse ChordPro text into song data
+ * @param {string} text - ChordPro file contents
+ * @param {Object} options - Additional options
+ * @param {string} options.instrument - Instrument for {define} chords (default "ukulele")
+ * @param {string} options.tuning - Tuning for {define} chords (default "ukulele_standard")
+ * @param {number} options.stringCount - Strings per chord shape (default 4)
+ * @returns {Object} { title, artist, key, capo, tempo, timeSignature, year, lyricsText, embeddedChords }
+ */
+export function parseChordPro(text, options = {}) {
+  const { instrument = 'ukulele', tuning = 'ukulele_standard', stringCount = 4 } = options;
+  const lines = (text || '').replace(/\r\n/g, '\n').replace(/\r/g, '\n').split('\n');
+
+  const result = {
+    title: '',
+    artist: '',
+    key: null,
+    capo: null,
+    tempo: null,
+    timeSignature: null,
+    year: null,
+    lyricsText: '',
+    embeddedChords: [],
+  };
+  const outputLines = [];
+  let subtitle = '';
+
+  lines.forEach(line => {
+    const trimmed = line.trim();
+
+    // "#" lines are ChordPro comments, not part of the song
+    if (trimmed.startsWith('#')) return;
+
+    const directive = parseDirective(trimmed);
+    if (!directive) {
+      outputLines.push(line.replace(/\s+$/, ''));
+      return;
+    }
+
+    const { name, value } = directive;
+
+    if (name === 'title') {
+      result.title = value;
+    } else if (name === 'subtitle') {
+      subtitle = value;
+    } else if (name === 'artist' || name === 'composer') {
+      result.artist = result.artist || value;
+    } else if (name === 'key') {
+      result.key = normalizeKey(value);
+    } else if (name === 'capo') {
+      const capo = parseInt(value, 10);
+      if (!isNaN(capo) && capo > 0) {
+        result.capo = capo;
+        outputLines.push(`{instruction:Capo ${capo}}`);
+      }
+    } else if (name === 'tempo') {
+      const tempo = Math.round(parseFloat(value));
+      if (tempo >= MIN_TEMPO && tempo <= MAX_TEMPO) {
+        result.tempo = tempo;
+      }
+    } else if (name === 'time') {
+      result.timeSignature = normalizeTimeSignature(value);
+    } else if (name === 'year') {
+      const year = parseInt(value, 10);
+      result.year = isValidYear(year) ? year : null;
+    } else if (COMMENT_DIRECTIVES.includes(name)) {
+      if (value) outputLines.push(`{instruction:${value}}`);
+    } else if (name === 'chorus') {
+      // {chorus} recalls the chorus
+      outputLines.push(`{instruction:${value || 'Chorus'}}`);
+    } else if (name.startsWith('start_of_')) {
+      const section = name.slice('start_of_'.length);
+      // Tab and grid blocks are kept as plain lines without a heading
+      if (section !== 'tab' && section !== 'grid') {
+        outputLines.push(`{heading:${value || sectionLabel(section)}}`);
+      }
+    } else if (name === 'define') {
+      const chord = parseDefine(value, instrument, tuning, stringCount);
+      if (chord) {
+        result.embeddedChords = result.embeddedChords
+          .filter(c => c.name !== chord.name)
+          .concat(chord);
+      }
+    }
+    // Section ends and unsupported directives (album, duration, etc.) are dropped
+  });
+
+  if (!result.artist && subtitle) {
+    result.artist = subtitle;
+  }
+
+  // Trim leading/trailing blank lines and collapse runs of blank lines
+  result.lyricsText = outputLines
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return result;
+}
+
+/**
+ * Pick the ChordPro section for a heading label
+ * @param {string} heading - Heading text (e.g., "Chorus", "Verse 2")
+ * @returns {string} Section name: 'chorus', 'bridge' or 'verse'
+ */
+function sectionForHeading(heading) {
+  if (/chorus/i.test(heading)) return 'chorus';
+  if (/bridge/i.test(heading)) return 'bridge';
+  return 'verse';
+}
+
+/**
+ * Serialize a song to ChordPro text
+ * Headings become labelled sections ({start_of_chorus: Chorus} ... {end_of_chorus})
+ * and instructions become {comment} directives.
+ * @param {Object} song - Song object (title, artist, tempo, timeSignature, year, lyrics, chords JSON, embeddedChords JSON)
+ * @param {Object} options - Additional options
+ * @param {Array} options.chords - Chord objects to use instead of song.chords (e.g., transposed)
+ * @param {string} options.key - Key to write in the {key} directive
+ * @returns {string} ChordPro text
+ */
+export function songToChordPro(song, options = {}) {
+  let chords = options.chords;
+  if (!chords) {
+    try {
+      chords = song.chords ? JSON.parse(song.chords) : [];
+    } catch (e) {
+      chords = [];
+    }
+  }
+
+  let embeddedChords = [];
+  if (song.embeddedChords) {
+    try {
+      embeddedChords = JSON.parse(song.embeddedChords) || [];
+    } catch (e) {
+      embeddedChords = [];
+    }
+  }
+
+  const header = [`{title: ${song.title || ''}}`];
+  if (song.artist) header.push(`{artist: ${song.artist}}`);
+  if (options.key) header.push(`{key: ${options.key}}`);
+  if (song.tempo) header.push(`{tempo: ${song.tempo}}`);
+  if (song.timeSignature) header.push(`{time: ${song.timeSignature}}`);
+  if (song.year) header.push(`{year: ${song.year}}`);
+
+  // Only define chords that are still used (names change when transposed)
+  const usedChordNames = new Set(chords.map(c => c.chord));
+  embeddedChords
+    .filter(c => usedChordNames.has(c.name))
+    .forEach(c => {
+      header.push(`{define: ${c.name} base-fret 1 frets ${c.frets.split('').join(' ')}}`);
+    });
+
+  const body = [];
+  let openSection = null;
+  let pendingBlankLines = 0;
+
+  const closeSection = () => {
+    if (openSection) {
+      body.push(`{end_of_${openSection}}`);
+      openSection = null;
+    }
+  };
+
+  const lines = lyricsWithChordsToText(song.lyrics || '', chords).split('\n');
+  lines.forEach(line => {
+    if (line.trim() === '') {
+      pendingBlankLines++;
+      return;
+    }
+
+    const headingMatch = line.match(/\{heading:([^}]+)\}/);
+    const instructionMatch = line.match(/\{instruction:([^}]+)\}/);
+
+    if (headingMatch) {
+      // Blank lines before a heading belong between sections
+      closeSection();
+      if (body.length > 0) body.push('');
+      pendingBlankLines = 0;
+      const label = headingMatch[1].trim();
+      openSection = sectionForHeading(label);
+      body.push(`{start_of_${openSection}: ${label}}`);
+      return;
+    }
+
+    for (; pendingBlankLines > 0; pendingBlankLines--) {
+      body.push('');
+    }
+
+    if (instructionMatch) {
+      body.push(`{comment: ${instructionMatch[1].trim()}}`);
+    } else {
+      body.push(line);
+    }
+  });
+  closeSection();
+
+  return `${header.join('\n')}\n\n${body.join('\n')}\n`;
+}
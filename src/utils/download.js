@@ -0,0 +1,39 @@
+/**
+ * File Download Utility
+ *
+ * Helpers for saving generated content (exports, calendars, reports) as a file
+ * in the browser.
+ */
+
+/**
+ * Turn a title into a safe file name (without extension)
+ * @param {string} name - Title to convert (e.g., "Hey Jude / Live")
+ * @param {string} fallback - Name to use if nothing usable remains
+ * @returns {string} File-system friendly name
+ */
+export function toFileName(name, fallback = 'download') {
+  const cleaned = (name || '')
+    .replace(/[\\/:*?"<>|]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return cleaned || fallback;
+}
+
+/**
+ * Download text or binary content as a file
+ * @param {string|Blob} content - File contents
+ * @param {string} fileName - File name including extension
+ * @param {string} mimeType - MIME type (ignored when content is already a Blob)
+ */
+export function downloadFile(content, fileName, mimeType = 'text/plain;charset=utf-8') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Give the browser a moment to start the download before releasing the URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
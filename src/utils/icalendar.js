@@ -0,0 +1,214 @@
+/**
+ * iCalendar Utility
+ *
+ * Builds iCalendar (.ics, RFC 5545) files from meetings so members can add
+ * them to their phone or desktop calendars. Each meeting becomes a VEVENT with
+ * its location, description, a link back to /meetings/:id and, when known,
+ * the member's RSVP as the attendee PARTSTAT.
+ */
+
+import { getMeetingStart } from './meetings';
+
+export const ICS_MIME_TYPE = 'text/calendar;charset=utf-8';
+
+// Meetings only store a start time, so events get a default length
+const DEFAULT_DURATION_MINUTES = 120;
+// Content lines are folded at 75 octets (RFC 5545 section 3.1)
+const MAX_LINE_OCTETS = 75;
+const PRODUCT_ID = '-//Strumkey//Meetings//EN';
+
+// RSVP response -> iCalendar participation status
+const PARTSTAT_BY_RESPONSE = {
+  yes: 'ACCEPTED',
+  no: 'DECLINED',
+  maybe: 'TENTATIVE',
+};
+
+/**
+ * Escape a TEXT value (backslashes, semicolons, commas and newlines)
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Quote a parameter value if it contains characters that need it (e.g., CN="Smith, Jo")
+ * @param {string} value - Parameter value
+ * @returns {string} Parameter value safe to use after "="
+ */
+function quoteParam(value) {
+  const cleaned = String(value).replace(/"/g, "'");
+  return /[;:,]/.test(cleaned) ? `"${cleaned}"` : cleaned;
+}
+
+/**
+ * Fold a content line to at most 75 octets per line
+ * Continuation lines start with a single space; multi-byte characters are never split
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line (CRLF-separated)
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= MAX_LINE_OCTETS) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+  for (const char of line) {
+    const charOctets = encoder.encode(char).length;
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + charOctets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += charOctets;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a timestamp as a UTC DATE-TIME (e.g., 20250304T193000Z)
+ * @param {number|Date} value - Timestamp or Date
+ * @returns {string} iCalendar UTC date-time
+ */
+function formatDateTime(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Format a timestamp as a local DATE (e.g., 20250304), for all-day events
+ * @param {number|Date} value - Timestamp or Date
+ * @returns {string} iCalendar date
+ */
+function formatDate(value) {
+  const date = new Date(value);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}${month}${day}`;
+}
+
+/**
+ * Get the iCalendar participation status for an RSVP response
+ * @param {string} response - 'yes', 'no', 'maybe' (anything else = not answered)
+ * @returns {string} PARTSTAT value
+ */
+export function getPartstat(response) {
+  return PARTSTAT_BY_RESPONSE[response] || 'NEEDS-ACTION';
+}
+
+/**
+ * Get the calendar attendee for a user profile
+ * @param {Object} user - $users record (firstName, lastName, email)
+ * @returns {Object|null} { name, email } or null if the user has no email
+ */
+export function getCalendarAttendee(user) {
+  if (!user?.email) return null;
+  const name = `${user.firstName || ''} ${user.lastName || ''}`.trim();
+  return { name: name || null, email: user.email };
+}
+
+/**
+ * Build the VEVENT lines for a meeting
+ * @param {Object} meeting - Meeting object (id, title, date, time, location, description, status)
+ * @param {Object} options
+ * @param {string} options.origin - Site origin for the meeting link (e.g., https://strumkey.app)
+ * @param {Object} options.attendee - Member exporting the calendar { name, email } (optional)
+ * @param {string} options.response - The attendee's RSVP response (optional)
+ * @param {number} options.now - Timestamp for DTSTAMP (default: Date.now())
+ * @returns {Array<string>} Unfolded content lines
+ */
+function buildEventLines(meeting, { origin = '', attendee = null, response = null, now = Date.now() } = {}) {
+  const hasTime = /^\d{1,2}:\d{2}/.test(meeting.time || '');
+  const start = getMeetingStart(meeting);
+  const url = `${origin}/meetings/${meeting.id}`;
+  const description = [meeting.description, url].filter(Boolean).join('\n\n');
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${meeting.id}@strumkey`,
+    `DTSTAMP:${formatDateTime(now)}`,
+  ];
+  if (hasTime) {
+    lines.push(
+      `DTSTART:${formatDateTime(start)}`,
+      `DTEND:${formatDateTime(start.getTime() + DEFAULT_DURATION_MINUTES * 60 * 1000)}`
+    );
+  } else {
+    const nextDay = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1);
+    lines.push(
+      `DTSTART;VALUE=DATE:${formatDate(start)}`,
+      `DTEND;VALUE=DATE:${formatDate(nextDay)}`
+    );
+  }
+  lines.push(`SUMMARY:${escapeText(meeting.title || 'Meeting')}`);
+  if (meeting.location) {
+    lines.push(`LOCATION:${escapeText(meeting.location)}`);
+  }
+  lines.push(
+    `DESCRIPTION:${escapeText(description)}`,
+    `URL:${url}`,
+    `STATUS:${meeting.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`
+  );
+  if (attendee?.email) {
+    const params = [`PARTSTAT=${getPartstat(response)}`];
+    if (attendee.name) {
+      params.unshift(`CN=${quoteParam(attendee.name)}`);
+    }
+    lines.push(`ATTENDEE;${params.join(';')}:mailto:${attendee.email}`);
+  }
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Generate an iCalendar file for one or more meetings
+ * @param {Array} meetings - Meeting objects
+ * @param {Object} options
+ * @param {string} options.calendarName - Calendar name shown by some apps (e.g., the group name)
+ * @param {string} options.origin - Site origin used for meeting links
+ * @param {Object} options.attendee - Member exporting the calendar { name, email } (optional)
+ * @param {Object} options.responses - RSVP responses by meeting ID (optional)
+ * @param {number} options.now - Timestamp for DTSTAMP (default: Date.now())
+ * @returns {string} iCalendar text (CRLF line endings)
+ */
+export function generateICalendar(meetings, {
+  calendarName = null,
+  origin = '',
+  attendee = null,
+  responses = {},
+  now = Date.now(),
+} = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+  ];
+  if (calendarName) {
+    lines.push(`X-WR-CALNAME:${escapeText(calendarName)}`);
+  }
+  meetings.forEach(meeting => {
+    lines.push(...buildEventLines(meeting, {
+      origin,
+      attendee,
+      response: responses[meeting.id],
+      now,
+    }));
+  });
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,136 @@
+/**
+ * Instrument Configuration Utility
+ *
+ * Supported instruments and tunings, with the string names used to label
+ * chord diagrams and fret inputs. Strings are listed in diagram order
+ * (lowest-pitched string on the left, except the banjo's short 5th string).
+ * pitches holds the MIDI note number of each open string, in the same order.
+ */
+
+export const DEFAULT_INSTRUMENT = 'ukulele';
+export const DEFAULT_TUNING = 'ukulele_standard';
+
+export const INSTRUMENTS = [
+  {
+    id: 'ukulele',
+    label: 'Ukulele',
+    tunings: [
+      { id: 'ukulele_standard', label: 'Standard (GCEA)', strings: ['G', 'C', 'E', 'A'], pitches: [67, 60, 64, 69] },
+      { id: 'ukulele_low_g', label: 'Low G (GCEA)', strings: ['G', 'C', 'E', 'A'], pitches: [55, 60, 64, 69] },
+      { id: 'ukulele_baritone', label: 'Baritone (DGBE)', strings: ['D', 'G', 'B', 'E'], pitches: [50, 55, 59, 64] },
+    ],
+  },
+  {
+    id: 'guitar',
+    label: 'Guitar',
+    tunings: [
+      { id: 'guitar_standard', label: 'Standard (EADGBE)', strings: ['E', 'A', 'D', 'G', 'B', 'E'], pitches: [40, 45, 50, 55, 59, 64] },
+    ],
+  },
+  {
+    id: 'mandolin',
+    label: 'Mandolin',
+    tunings: [
+      { id: 'mandolin_standard', label: 'Standard (GDAE)', strings: ['G', 'D', 'A', 'E'], pitches: [55, 62, 69, 76] },
+    ],
+  },
+  {
+    id: 'banjo',
+    label: 'Banjo (5-string)',
+    tunings: [
+      // The short 5th string (high g) is a drone: played open, never fretted
+      { id: 'banjo_open_g', label: 'Open G (gDGBD)', strings: ['g', 'D', 'G', 'B', 'D'], pitches: [67, 50, 55, 59, 62], droneStrings: [0] },
+    ],
+  },
+];
+
+/**
+ * Flat list of every instrument/tuning combination, for selects
+ * value is "instrument:tuning" (see parseInstrumentValue)
+ */
+export const INSTRUMENT_OPTIONS = INSTRUMENTS.flatMap(instrument =>
+  instrument.tunings.map(tuning => ({
+    value: `${instrument.id}:${tuning.id}`,
+    instrument: instrument.id,
+    tuning: tuning.id,
+    label: instrument.tunings.length > 1
+      ? `${instrument.label} – ${tuning.label}`
+      : instrument.label,
+  }))
+);
+
+/**
+ * Look up a tuning configuration
+ * @param {string} instrument - Instrument type (e.g., 'guitar')
+ * @param {string} tuning - Tuning identifier (e.g., 'guitar_standard')
+ * @returns {Object|null} Tuning config { id, label, strings } or null if unknown
+ */
+export function getTuningConfig(instrument, tuning) {
+  const instrumentConfig = INSTRUMENTS.find(i => i.id === instrument);
+  return instrumentConfig?.tunings.find(t => t.id === tuning) || null;
+}
+
+/**
+ * Get string labels for an instrument and tuning
+ * @param {string} instrument - Instrument type (e.g., 'ukulele')
+ * @param {string} tuning - Tuning identifier (e.g., 'ukulele_standard')
+ * @returns {Array<string>} Array of string labels (defaults to ukulele standard)
+ */
+export function getStringLabels(instrument, tuning) {
+  return getTuningConfig(instrument, tuning)?.strings
+    || getTuningConfig(DEFAULT_INSTRUMENT, DEFAULT_TUNING).strings;
+}
+
+/**
+ * Get the open-string pitches for an instrument and tuning
+ * @param {string} instrument - Instrument type
+ * @param {string} tuning - Tuning identifier
+ * @returns {Array<number>|null} MIDI note numbers of the open strings, or null if unknown
+ */
+export function getTuningPitches(instrument, tuning) {
+  return getTuningConfig(instrument, tuning)?.pitches || null;
+}
+
+/**
+ * Get the number of strings for an instrument and tuning
+ * @param {string} instrument - Instrument type
+ * @param {string} tuning - Tuning identifier
+ * @returns {number} String count
+ */
+export function getStringCount(instrument, tuning) {
+  return getStringLabels(instrument, tuning).length;
+}
+
+/**
+ * Get a display label for an instrument and tuning (e.g., "Ukulele – Baritone (DGBE)")
+ * @param {string} instrument - Instrument type
+ * @param {string} tuning - Tuning identifier
+ * @returns {string} Display label
+ */
+export function getInstrumentLabel(instrument, tuning) {
+  const option = INSTRUMENT_OPTIONS.find(o => o.instrument === instrument && o.tuning === tuning);
+  return option?.label || instrument;
+}
+
+/**
+ * Parse a select value ("instrument:tuning") into its parts
+ * Unknown combinations fall back to the default instrument
+ * @param {string} value - Option value
+ * @returns {Object} { instrument, tuning }
+ */
+export function parseInstrumentValue(value) {
+  const [instrument, tuning] = (value || '').split(':');
+  if (getTuningConfig(instrument, tuning)) {
+    return { instrument, tuning };
+  }
+  return { instrument: DEFAULT_INSTRUMENT, tuning: DEFAULT_TUNING };
+}
+
+/**
+ * Get a user's default instrument and tuning from their profile
+ * @param {Object} user - $users record (defaultInstrument, defaultTuning)
+ * @returns {Object} { instrument, tuning }
+ */
+export function getUserInstrument(user) {
+  return parseInstrumentValue(`${user?.defaultInstrument}:${user?.defaultTuning}`);
+}
@@ -0,0 +1,180 @@
+/**
+ * Key Detection Utility
+ *
+ * Infers the key of a song from its chord sequence. Every major and minor key
+ * is scored by how well the song's chords fit its diatonic chords, with extra
+ * weight for songs that start or end on the tonic chord.
+ */
+
+import { parseChordName, noteToSemitone, isMinorQuality, transposeKey } from './transpose';
+
+// Diatonic chord qualities by scale degree (semitones above the tonic)
+const MAJOR_DIATONIC = { 0: 'major', 2: 'minor', 4: 'minor', 5: 'major', 7: 'major', 9: 'minor', 11: 'diminished' };
+// Natural minor plus the major V from harmonic minor
+const MINOR_DIATONIC = { 0: 'minor', 2: 'diminished', 3: 'major', 5: 'minor', 7: ['minor', 'major'], 8: 'major', 10: 'major' };
+
+// Scoring weights
+const FIT_MATCH = 1;          // Root in the scale and quality matches
+const FIT_NEUTRAL = 0.75;     // Root in the scale, quality doesn't imply major/minor (sus, 5)
+const FIT_ROOT_ONLY = 0.25;   // Root in the scale, quality doesn't match
+const FIT_OUTSIDE = -0.5;     // Root outside the scale
+const TONIC_BONUS = 0.5;      // Every occurrence of the tonic chord
+const FIRST_CHORD_BONUS = 2;  // Song starts on the tonic chord
+const LAST_CHORD_BONUS = 3;   // Song ends on the tonic chord
+
+export const ALL_KEYS = [
+  'C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B',
+  'Cm', 'C#m', 'Dm', 'Ebm', 'Em', 'Fm', 'F#m', 'Gm', 'G#m', 'Am', 'Bbm', 'Bm',
+];
+
+/**
+ * Classify a chord quality for diatonic matching
+ * @param {string} quality - Chord quality as returned by parseChordName (e.g., "m7", "sus4")
+ * @returns {string} 'major', 'minor', 'diminished', 'augmented' or 'neutral'
+ */
+function classifyQuality(quality) {
+  if (/^(dim|°|o(?!n))/.test(quality) || /^m7b5/.test(quality)) return 'diminished';
+  if (/^(aug|\+)/.test(quality)) return 'augmented';
+  if (/^sus/.test(quality) || /^5$/.test(quality)) return 'neutral';
+  if (isMinorQuality(quality)) return 'minor';
+  return 'major';
+}
+
+/**
+ * Normalize chord input into an ordered list of parsed chords
+ * @param {Array} chords - Chord objects from parseLyricsWithChords, or chord name strings
+ * @returns {Array} Array of { semitone, quality } in song order
+ */
+function toChordSequence(chords) {
+  const ordered = chords.every(c => typeof c === 'string')
+    ? chords
+    : [...chords]
+        .sort((a, b) => (a.lineIndex - b.lineIndex) || (a.position - b.position))
+        .map(c => c.chord);
+
+  return ordered
+    .map(name => parseChordName(name))
+    .filter(Boolean)
+    .map(parsed => ({
+      semitone: noteToSemitone(parsed.root),
+      quality: classifyQuality(parsed.quality),
+    }));
+}
+
+/**
+ * Score how well a chord sequence fits one key
+ * @param {Array} sequence - Parsed chord sequence from toChordSequence
+ * @param {number} tonic - Pitch class of the key's tonic
+ * @param {boolean} minor - True for a minor key
+ * @returns {number} Fit score (higher is better)
+ */
+function scoreKey(sequence, tonic, minor) {
+  const diatonic = minor ? MINOR_DIATONIC : MAJOR_DIATONIC;
+  const tonicQuality = minor ? 'minor' : 'major';
+  const isTonicChord = (chord) => chord.semitone === tonic && chord.quality === tonicQuality;
+
+  let score = 0;
+  sequence.forEach(chord => {
+    const degree = (chord.semitone - tonic + 12) % 12;
+    const expected = diatonic[degree];
+    if (expected === undefined) {
+      score += FIT_OUTSIDE;
+    } else if ([].concat(expected).includes(chord.quality)) {
+      score += FIT_MATCH;
+    } else if (chord.quality === 'neutral') {
+      score += FIT_NEUTRAL;
+    } else {
+      score += FIT_ROOT_ONLY;
+    }
+    if (isTonicChord(chord)) {
+      score += TONIC_BONUS;
+    }
+  });
+
+  if (isTonicChord(sequence[0])) {
+    score += FIRST_CHORD_BONUS;
+  }
+  if (isTonicChord(sequence[sequence.length - 1])) {
+    score += LAST_CHORD_BONUS;
+  }
+
+  return score;
+}
+
+/**
+ * Detect the most likely key of a chord sequence
+ * @param {Array} chords - Chord objects from parseLyricsWithChords ({ chord, lineIndex, position }),
+ *   or an ordered array of chord names
+ * @returns {Object|null} { key, confidence } where confidence is 0-1, or null if there are no chords
+ */
+export function detectKey(chords = []) {
+  if (!Array.isArray(chords) || chords.length === 0) return null;
+  const sequence = toChordSequence(chords);
+  if (sequence.length === 0) return null;
+
+  let best = null;
+  ALL_KEYS.forEach(key => {
+    const parsed = parseChordName(key);
+    const minor = isMinorQuality(parsed.quality);
+    const score = scoreKey(sequence, noteToSemitone(parsed.root), minor);
+    // Strictly greater so ties resolve to the major key listed first
+    if (!best || score > best.score) {
+      best = { key, score };
+    }
+  });
+
+  const maxScore = sequence.length * (FIT_MATCH + TONIC_BONUS) + FIRST_CHORD_BONUS + LAST_CHORD_BONUS;
+  return {
+    key: best.key,
+    confidence: Math.max(0, Math.min(1, best.score / maxScore)),
+  };
+}
+
+/**
+ * Detect the key of a song from its chords JSON string
+ * @param {string} chordsJson - JSON string of chord objects as stored on a song
+ * @returns {string|null} Detected key name or null
+ */
+export function detectKeyFromChordsJson(chordsJson) {
+  if (!chordsJson) return null;
+  try {
+    const chords = JSON.parse(chordsJson);
+    return detectKey(Array.isArray(chords) ? chords : [])?.key || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Get the effective key of a song: the manual override if set, otherwise the
+ * stored detected key, otherwise a key detected on the fly from the chords
+ * @param {Object} song - Song object
+ * @returns {string|null} Key name or null if it can't be determined
+ */
+export function getSongKey(song) {
+  if (!song) return null;
+  return song.key || song.detectedKey || detectKeyFromChordsJson(song.chords);
+}
+
+/**
+ * Get the pitch-class order of a key name for sorting (C, C#/Db, D, ... majors before minors)
+ * @param {string} key - Key name
+ * @returns {number} Sort value, or Infinity for unknown keys
+ */
+export function getKeySortValue(key) {
+  const parsed = parseChordName(key);
+  if (!parsed) return Infinity;
+  return noteToSemitone(parsed.root) + (isMinorQuality(parsed.quality) ? 12 : 0);
+}
+
+/**
+ * Normalize a user-entered key to the conventional spelling (e.g., "a#" -> "Bb", "d#m" -> "Ebm")
+ * @param {string} key - Key name
+ * @returns {string|null} Normalized key or null if not a valid key
+ */
+export function normalizeKey(key) {
+  if (!key || !key.trim()) return null;
+  const trimmed = key.trim();
+  const capitalized = trimmed.charAt(0).toUpperCase() + trimmed.slice(1);
+  return transposeKey(capitalized, 0);
+}
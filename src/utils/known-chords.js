@@ -0,0 +1,67 @@
+/**
+ * Known Chords Utility
+ *
+ * Matches songs against the chords a member knows (saved on their profile as
+ * $users.knownChords) so song lists can show only the songs they can already
+ * play, or ones that need at most one new chord. Chord names are compared by
+ * pitch, so A#m and Bbm count as the same chord.
+ */
+
+import { noteToSemitone, parseChordName } from './transpose';
+
+export const PLAYABLE_FILTERS = {
+  ALL: 'all',
+  PLAYABLE: 'playable',
+  ONE_NEW_CHORD: 'one_new_chord',
+};
+
+export const PLAYABLE_FILTER_OPTIONS = [
+  { value: PLAYABLE_FILTERS.ALL, label: 'All songs' },
+  { value: PLAYABLE_FILTERS.PLAYABLE, label: 'Songs I can play' },
+  { value: PLAYABLE_FILTERS.ONE_NEW_CHORD, label: 'At most one new chord' },
+];
+
+/**
+ * Get the chords a user knows
+ * @param {Object} user - $users record (knownChords)
+ * @returns {Array<string>} Chord names
+ */
+export function getKnownChords(user) {
+  return Array.isArray(user?.knownChords) ? user.knownChords : [];
+}
+
+/**
+ * Build a comparison key for a chord name, ignoring how accidentals are spelled
+ * @param {string} chordName - Chord name (e.g., "Bbm7", "A#m7", "D/F#")
+ * @returns {string} Key that is equal for enharmonically equivalent chords
+ */
+export function getChordKey(chordName) {
+  const parsed = parseChordName(chordName);
+  if (!parsed) return (chordName || '').trim();
+  const bass = parsed.bass ? `/${noteToSemitone(parsed.bass)}` : '';
+  return `${noteToSemitone(parsed.root)}${parsed.quality}${bass}`;
+}
+
+/**
+ * Get the chords in a song that the member doesn't know yet
+ * @param {Array<string>} songChords - Unique chord names used by the song
+ * @param {Array<string>} knownChords - Chord names the member knows
+ * @returns {Array<string>} Unknown chords, spelled as in the song
+ */
+export function getMissingChords(songChords, knownChords) {
+  const knownKeys = new Set((knownChords || []).map(getChordKey));
+  return (songChords || []).filter(chord => !knownKeys.has(getChordKey(chord)));
+}
+
+/**
+ * Check whether a song passes a playable filter
+ * @param {Array<string>} songChords - Unique chord names used by the song
+ * @param {Array<string>} knownChords - Chord names the member knows
+ * @param {string} filter - One of PLAYABLE_FILTERS
+ * @returns {boolean} True if the song should be shown
+ */
+export function matchesPlayableFilter(songChords, knownChords, filter) {
+  if (!filter || filter === PLAYABLE_FILTERS.ALL) return true;
+  const missingCount = getMissingChords(songChords, knownChords).length;
+  return filter === PLAYABLE_FILTERS.ONE_NEW_CHORD ? missingCount <= 1 : missingCount === 0;
+}
@@ -0,0 +1,84 @@
+/**
+ * Meeting Date Utility
+ *
+ * Helpers for meeting dates and times. A meeting stores its day as a timestamp
+ * (local midnight) in `date` and its start time as "HH:MM" text in `time`.
+ */
+
+/**
+ * Convert a meeting timestamp to a date input value
+ * @param {number} timestamp - Meeting date timestamp
+ * @returns {string} "YYYY-MM-DD" (empty string if no timestamp)
+ */
+export function toDateInputValue(timestamp) {
+  if (!timestamp) return '';
+  const date = new Date(timestamp);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Convert a date input value to a meeting timestamp (local midnight)
+ * @param {string} value - "YYYY-MM-DD"
+ * @returns {number|null} Timestamp or null if the value is not a valid date
+ */
+export function fromDateInputValue(value) {
+  const match = (value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).getTime();
+}
+
+/**
+ * Get the start of a meeting as a Date, combining its date and time
+ * @param {Object} meeting - Meeting object (date, time)
+ * @returns {Date} Start date/time (midnight if the time is missing or not "HH:MM")
+ */
+export function getMeetingStart(meeting) {
+  const start = new Date(meeting.date || 0);
+  const match = (meeting.time || '').match(/^(\d{1,2}):(\d{2})/);
+  if (match) {
+    start.setHours(Number(match[1]), Number(match[2]), 0, 0);
+  }
+  return start;
+}
+
+/**
+ * Check whether a meeting is in the past (its day has ended)
+ * @param {Object} meeting - Meeting object
+ * @param {number} now - Current timestamp (default: Date.now())
+ * @returns {boolean} True if the meeting day is over
+ */
+export function isMeetingPast(meeting, now = Date.now()) {
+  const endOfDay = new Date(meeting.date || 0);
+  endOfDay.setHours(23, 59, 59, 999);
+  return endOfDay.getTime() < now;
+}
+
+/**
+ * Split meetings into upcoming (soonest first) and past (most recent first)
+ * @param {Array} meetings - Meeting objects
+ * @param {number} now - Current timestamp (default: Date.now())
+ * @returns {Object} { upcoming, past }
+ */
+export function splitMeetings(meetings, now = Date.now()) {
+  const byStart = (a, b) => getMeetingStart(a) - getMeetingStart(b);
+  const upcoming = meetings.filter(m => !isMeetingPast(m, now)).sort(byStart);
+  const past = meetings.filter(m => isMeetingPast(m, now)).sort((a, b) => byStart(b, a));
+  return { upcoming, past };
+}
+
+/**
+ * Format a meeting's date and time for display (e.g., "Tue, Mar 4, 2025 at 19:30")
+ * @param {Object} meeting - Meeting object
+ * @returns {string} Display text
+ */
+export function formatMeetingDate(meeting) {
+  const dateText = new Date(meeting.date).toLocaleDateString(undefined, {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  });
+  return meeting.time ? `${dateText} at ${meeting.time}` : dateText;
+}
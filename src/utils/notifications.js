@@ -6,6 +6,36 @@
 
 import { db } from '../db/schema';
 import { id } from '@instantdb/react';
+import { formatMeetingDate, isMeetingPast } from './meetings';
+import { addDays, describeRecurrence, startOfDay } from './recurrence';
+
+export const NOTIFICATION_TYPES = {
+  SONGS_COPIED: 'songs_copied',
+  MEETING_SCHEDULED: 'meeting_scheduled',
+  MEETING_UPDATED: 'meeting_updated',
+  MEETING_CANCELLED: 'meeting_cancelled',
+  MEETING_REMINDER: 'meeting_reminder',
+  RSVP_NUDGE: 'rsvp_nudge',
+};
+
+// Meeting notification types members can switch off on their profile
+export const MEETING_NOTIFICATION_OPTIONS = [
+  { type: NOTIFICATION_TYPES.MEETING_SCHEDULED, label: 'New meetings', description: 'When a meeting is scheduled in one of your groups' },
+  { type: NOTIFICATION_TYPES.MEETING_UPDATED, label: 'Meeting changes', description: 'When a meeting\'s time, place or details change' },
+  { type: NOTIFICATION_TYPES.MEETING_CANCELLED, label: 'Cancellations', description: 'When a meeting is cancelled' },
+  { type: NOTIFICATION_TYPES.MEETING_REMINDER, label: 'Reminders', description: 'Before a meeting you haven\'t declined' },
+  { type: NOTIFICATION_TYPES.RSVP_NUDGE, label: 'RSVP nudges', description: 'When an admin asks members who haven\'t replied to RSVP' },
+];
+
+export const REMINDER_DAYS_OPTIONS = [
+  { value: 1, label: '1 day before' },
+  { value: 2, label: '2 days before' },
+  { value: 3, label: '3 days before' },
+  { value: 7, label: '1 week before' },
+];
+
+const DEFAULT_REMINDER_DAYS = 1;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * Create a notification for a user
@@ -54,7 +84,7 @@ export async function createCopiedSongsNotifications(notifications) {
     });
   });
 
-  return db.transact(...transactions);
+  return db.transact(transactions);
 }
 
 /**
@@ -87,19 +117,186 @@ export async function markAllNotificationsRead(userId, notificationIds) {
     })
   );
 
-  return db.transact(...transactions);
+  return db.transact(transactions);
+}
+
+/**
+ * Get the meetings whose reminder a user has deleted
+ * @param {Object} user - $users record
+ * @returns {Array<string>} Meeting IDs
+ */
+export function getDismissedReminders(user) {
+  return Array.isArray(user?.dismissedReminders) ? user.dismissedReminders : [];
 }
 
 /**
  * Delete a notification
- * @param {string} notificationId - Notification ID
+ * Deleting a meeting reminder also records the meeting on the user's profile
+ * (`dismissedReminders`), so the reminder isn't created again on their next session
+ * @param {Object} notification - Notification (id, type, meetingId)
+ * @param {Object} user - The notification owner's $users record (needed for reminders)
  * @returns {Promise} Transaction promise
  */
-export async function deleteNotification(notificationId) {
-  return db.transact(
-    db.tx.notifications[notificationId].delete()
+export async function deleteNotification(notification, user = null) {
+  const transactions = [db.tx.notifications[notification.id].delete()];
+
+  const dismissed = getDismissedReminders(user);
+  if (notification.type === NOTIFICATION_TYPES.MEETING_REMINDER && notification.meetingId && user?.id
+    && !dismissed.includes(notification.meetingId)) {
+    transactions.push(
+      db.tx.$users[user.id].update({ dismissedReminders: [...dismissed, notification.meetingId] })
+    );
+  }
+
+  return db.transact(transactions);
+}
+
+/**
+ * Get a user's notification preferences, filling in defaults
+ * Every meeting notification type is on unless the user has switched it off
+ * @param {Object} user - $users record (notificationPreferences)
+ * @returns {Object} { [type]: boolean, reminderDays: number }
+ */
+export function getNotificationPreferences(user) {
+  const stored = user?.notificationPreferences || {};
+  const preferences = {};
+  MEETING_NOTIFICATION_OPTIONS.forEach(({ type }) => {
+    preferences[type] = stored[type] !== false;
+  });
+  preferences.reminderDays = Number(stored.reminderDays) || DEFAULT_REMINDER_DAYS;
+  return preferences;
+}
+
+/**
+ * Check whether a user receives a type of notification
+ * @param {Object} user - $users record (notificationPreferences)
+ * @param {string} type - Notification type
+ * @returns {boolean} True unless the user has switched the type off
+ */
+export function isNotificationEnabled(user, type) {
+  return user?.notificationPreferences?.[type] !== false;
+}
+
+/**
+ * Build the message for a meeting notification
+ * @param {string} type - Meeting notification type
+ * @param {Object} meeting - Meeting object (title, date, time)
+ * @param {Object} options
+ * @param {string} options.groupName - Group the meeting belongs to (optional)
+ * @param {Object} options.series - meetingSeries record when the whole series is affected (optional)
+ * @param {number} options.now - Current timestamp, for reminders (default: Date.now())
+ * @returns {string} Notification message
+ */
+export function getMeetingNotificationMessage(type, meeting, { groupName = null, series = null, now = Date.now() } = {}) {
+  const title = `"${meeting.title}"`;
+  const when = series ? `(${describeRecurrence(series)})` : `on ${formatMeetingDate(meeting)}`;
+  const inGroup = groupName ? ` in ${groupName}` : '';
+
+  switch (type) {
+    case NOTIFICATION_TYPES.MEETING_SCHEDULED:
+      return `New ${series ? 'recurring ' : ''}meeting${inGroup}: ${title} ${when}.`;
+    case NOTIFICATION_TYPES.MEETING_UPDATED:
+      return `${title} ${when} has been updated.`;
+    case NOTIFICATION_TYPES.MEETING_CANCELLED:
+      return `${title} ${when} has been cancelled.`;
+    case NOTIFICATION_TYPES.MEETING_REMINDER: {
+      const days = Math.round((startOfDay(meeting.date) - startOfDay(now)) / DAY_MS);
+      const relative = days <= 0 ? 'today' : days === 1 ? 'tomorrow' : `in ${days} days`;
+      return `Reminder: ${title} is ${relative} (${formatMeetingDate(meeting)}).`;
+    }
+    case NOTIFICATION_TYPES.RSVP_NUDGE:
+      return `Will you be at ${title} ${when}? Please RSVP so the group knows who's coming.`;
+    default:
+      return `${title} ${when}`;
+  }
+}
+
+/**
+ * Notify group members about a meeting
+ * Members who have switched the type off, and the member sending it, are skipped
+ * @param {string} type - Meeting notification type
+ * @param {Object} meeting - Meeting object (id, groupId, title, date, time)
+ * @param {Array} recipients - Array of { userId, user } (user is the $users record, if loaded)
+ * @param {Object} options
+ * @param {string} options.senderId - User sending the notification (not notified)
+ * @param {string} options.groupName - Group name for the message (optional)
+ * @param {Object} options.series - meetingSeries record when the whole series is affected (optional)
+ * @returns {Promise} Transaction promise
+ */
+export async function createMeetingNotifications(type, meeting, recipients, { senderId = null, groupName = null, series = null } = {}) {
+  const message = getMeetingNotificationMessage(type, meeting, { groupName, series });
+  const transactions = (recipients || [])
+    .filter(({ userId, user }) => userId && userId !== senderId && isNotificationEnabled(user, type))
+    .map(({ userId }) =>
+      db.tx.notifications[id()].update({
+        userId,
+        type,
+        message,
+        meetingId: meeting.id || null,
+        groupId: meeting.groupId || null,
+        read: false,
+        createdAt: Date.now(),
+      })
+    );
+
+  if (transactions.length === 0) {
+    return Promise.resolve();
+  }
+
+  return db.transact(transactions);
+}
+
+/**
+ * Find the meetings a user should be reminded about now
+ * A meeting is due once it is within the user's reminder window, unless it has been
+ * cancelled, the user has declined, or a reminder has already been sent (including
+ * reminders the user has since deleted, see getDismissedReminders)
+ * @param {Array} meetings - Meetings in the user's groups
+ * @param {Object} options
+ * @param {number} options.reminderDays - Days before the meeting to remind
+ * @param {Object} options.responses - RSVP responses by meeting ID
+ * @param {Set} options.remindedMeetingIds - Meetings that already have a reminder
+ * @param {number} options.now - Current timestamp (default: Date.now())
+ * @returns {Array} Meetings due a reminder
+ */
+export function getDueMeetingReminders(meetings, {
+  reminderDays = DEFAULT_REMINDER_DAYS,
+  responses = {},
+  remindedMeetingIds = new Set(),
+  now = Date.now(),
+} = {}) {
+  const windowEnd = addDays(startOfDay(now), reminderDays + 1);
+  return meetings.filter(meeting =>
+    meeting.status !== 'cancelled'
+    && !isMeetingPast(meeting, now)
+    && meeting.date < windowEnd
+    && responses[meeting.id] !== 'no'
+    && !remindedMeetingIds.has(meeting.id)
   );
 }
 
+/**
+ * Create reminder notifications for a user
+ * @param {string} userId - User to remind
+ * @param {Array} meetings - Meetings due a reminder
+ * @returns {Promise} Transaction promise
+ */
+export async function createMeetingReminders(userId, meetings) {
+  if (!meetings || meetings.length === 0) {
+    return Promise.resolve();
+  }
 
+  const transactions = meetings.map(meeting =>
+    db.tx.notifications[id()].update({
+      userId,
+      type: NOTIFICATION_TYPES.MEETING_REMINDER,
+      message: getMeetingNotificationMessage(NOTIFICATION_TYPES.MEETING_REMINDER, meeting),
+      meetingId: meeting.id,
+      groupId: meeting.groupId || null,
+      read: false,
+      createdAt: Date.now(),
+    })
+  );
 
+  return db.transact(transactions);
+}
@@ -102,6 +102,17 @@ export async function pdfPageToImage(pdfFile, pageNum = 1) {
  * @returns {Promise<string>} Extracted text
  */
 export async function extractTextFromScannedPDF(pdfFile, onProgress) {
+  const pages = await extractPagesFromScannedPDF(pdfFile, onProgress);
+  return pages.join('\n').trim();
+}
+
+/**
+ * Extract text from scanned PDF using OCR, one entry per page
+ * @param {File} pdfFile - PDF file
+ * @param {Function} onProgress - Optional progress callback (progress) => void
+ * @returns {Promise<Array<string>>} Extracted text for each page
+ */
+export async function extractPagesFromScannedPDF(pdfFile, onProgress) {
   try {
     // Dynamic import of pdfjs-dist
     const pdfjsLib = await import('pdfjs-dist');
@@ -115,7 +126,7 @@ export async function extractTextFromScannedPDF(pdfFile, onProgress) {
     const loadingTask = pdfjsLib.getDocument({ data: arrayBuffer });
     const pdf = await loadingTask.promise;
     
-    let fullText = '';
+    const pages = [];
     const totalPages = pdf.numPages;
     
     // Process each page
@@ -153,10 +164,10 @@ export async function extractTextFromScannedPDF(pdfFile, onProgress) {
         }
       });
       
-      fullText += pageText + '\n';
+      pages.push(pageText);
     }
     
-    return fullText.trim();
+    return pages;
   } catch (error) {
     console.error('Error extracting text from scanned PDF:', error);
     throw new Error(`Failed to extract text from scanned PDF: ${error.message}`);
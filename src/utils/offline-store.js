@@ -0,0 +1,191 @@
+/**
+ * Offline Store Utility
+ *
+ * Keeps snapshots of songbooks pinned with "Make available offline" in
+ * IndexedDB, so their songs can still be opened when InstantDB can't connect.
+ * A snapshot holds the songbook, its song records (including embedded chords)
+ * and the user's chord library for their instrument. The app shell itself is
+ * cached by the service worker (public/sw.js).
+ */
+
+const DB_NAME = 'strumkey-offline';
+const DB_VERSION = 1;
+const SONGBOOKS_STORE = 'songbooks';
+const SONGS_STORE = 'songs';
+const CHORDS_STORE = 'chords';
+
+let dbPromise = null;
+
+/**
+ * Open (and create on first use) the offline database
+ * @returns {Promise<IDBDatabase>} Database connection
+ */
+function openOfflineDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('Offline storage is not supported in this browser.'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(SONGBOOKS_STORE, { keyPath: 'id' });
+        db.createObjectStore(SONGS_STORE, { keyPath: 'id' });
+        db.createObjectStore(CHORDS_STORE, { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      // Allow a retry on the next call
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run a function against object stores in a single transaction
+ * @param {Array<string>} storeNames - Stores to open
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} fn - Called with an object of stores by name; may return an IDBRequest
+ * @returns {Promise<*>} The request's result once the transaction completes
+ */
+async function withStores(storeNames, mode, fn) {
+  const db = await openOfflineDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const stores = Object.fromEntries(storeNames.map(name => [name, transaction.objectStore(name)]));
+    const request = fn(stores);
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function getChordsKey(instrument, tuning) {
+  return `${instrument}:${tuning}`;
+}
+
+/**
+ * Save a songbook for offline use (replaces any earlier snapshot of it, and drops
+ * songs it no longer has that no other pinned songbook uses)
+ * @param {Object} params - Snapshot contents
+ * @param {Object} params.songbook - Songbook record
+ * @param {Array} params.songbookSongs - songbookSongs entries with their `song` attached
+ * @param {Array} params.chords - The user's database chords for the instrument
+ * @param {string} params.instrument - Instrument type
+ * @param {string} params.tuning - Tuning identifier
+ * @returns {Promise<number>} Timestamp the snapshot was saved at
+ */
+export async function saveOfflineSongbook({ songbook, songbookSongs, chords = [], instrument, tuning }) {
+  const savedAt = Date.now();
+  const entries = songbookSongs.filter(ss => ss.song);
+
+  const records = await withStores([SONGBOOKS_STORE], 'readonly', (stores) =>
+    stores[SONGBOOKS_STORE].getAll()
+  );
+  const previous = records.find(record => record.id === songbook.id);
+  const keptSongIds = new Set([
+    ...entries.map(ss => ss.song.id),
+    ...records
+      .filter(record => record.id !== songbook.id)
+      .flatMap(record => record.songbookSongs.map(ss => ss.songId)),
+  ]);
+
+  await withStores([SONGBOOKS_STORE, SONGS_STORE, CHORDS_STORE], 'readwrite', (stores) => {
+    stores[SONGBOOKS_STORE].put({
+      id: songbook.id,
+      title: songbook.title,
+      description: songbook.description || null,
+      type: songbook.type,
+      groupId: songbook.groupId || null,
+      createdBy: songbook.createdBy,
+      songbookSongs: entries.map(ss => ({ id: ss.id, songId: ss.song.id, order: ss.order })),
+      savedAt,
+    });
+    entries.forEach(ss => stores[SONGS_STORE].put({ ...ss.song, savedAt }));
+    (previous?.songbookSongs || [])
+      .filter(ss => !keptSongIds.has(ss.songId))
+      .forEach(ss => stores[SONGS_STORE].delete(ss.songId));
+    stores[CHORDS_STORE].put({ key: getChordsKey(instrument, tuning), chords, savedAt });
+  });
+
+  return savedAt;
+}
+
+/**
+ * Get a pinned songbook with its songs
+ * @param {string} songbookId - Songbook ID
+ * @returns {Promise<Object|null>} { songbook, songbookSongs (with `song` attached), savedAt } or null if not pinned
+ */
+export async function getOfflineSongbook(songbookId) {
+  if (!songbookId) return null;
+  const record = await withStores([SONGBOOKS_STORE], 'readonly', (stores) =>
+    stores[SONGBOOKS_STORE].get(songbookId)
+  );
+  if (!record) return null;
+
+  const songs = await Promise.all(record.songbookSongs.map(ss => getOfflineSong(ss.songId)));
+  const { songbookSongs, savedAt, ...songbook } = record;
+  return {
+    songbook,
+    songbookSongs: songbookSongs
+      .map((ss, index) => ({ ...ss, songbookId, song: songs[index] }))
+      .filter(ss => ss.song),
+    savedAt,
+  };
+}
+
+/**
+ * Get a song saved with any pinned songbook
+ * @param {string} songId - Song ID
+ * @returns {Promise<Object|null>} Song record or null if not saved
+ */
+export async function getOfflineSong(songId) {
+  if (!songId) return null;
+  const song = await withStores([SONGS_STORE], 'readonly', (stores) =>
+    stores[SONGS_STORE].get(songId)
+  );
+  return song || null;
+}
+
+/**
+ * Get the chord library saved for an instrument
+ * @param {string} instrument - Instrument type
+ * @param {string} tuning - Tuning identifier
+ * @returns {Promise<Array>} Database chords (empty if none saved)
+ */
+export async function getOfflineChords(instrument, tuning) {
+  const record = await withStores([CHORDS_STORE], 'readonly', (stores) =>
+    stores[CHORDS_STORE].get(getChordsKey(instrument, tuning))
+  );
+  return record?.chords || [];
+}
+
+/**
+ * Remove a pinned songbook, and any of its songs no other pinned songbook uses
+ * @param {string} songbookId - Songbook ID
+ * @returns {Promise} Resolves when removed
+ */
+export async function removeOfflineSongbook(songbookId) {
+  const records = await withStores([SONGBOOKS_STORE], 'readonly', (stores) =>
+    stores[SONGBOOKS_STORE].getAll()
+  );
+  const removed = records.find(record => record.id === songbookId);
+  if (!removed) return;
+
+  const keptSongIds = new Set(
+    records
+      .filter(record => record.id !== songbookId)
+      .flatMap(record => record.songbookSongs.map(ss => ss.songId))
+  );
+
+  await withStores([SONGBOOKS_STORE, SONGS_STORE], 'readwrite', (stores) => {
+    stores[SONGBOOKS_STORE].delete(songbookId);
+    removed.songbookSongs
+      .filter(ss => !keptSongIds.has(ss.songId))
+      .forEach(ss => stores[SONGS_STORE].delete(ss.songId));
+  });
+}
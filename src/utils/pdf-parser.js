@@ -11,12 +11,49 @@ if (typeof window !== 'undefined' && !pdfjsLib.GlobalWorkerOptions.workerSrc) {
   pdfjsLib.GlobalWorkerOptions.workerSrc = '/pdf.worker.min.mjs';
 }
 
+/**
+ * Group PDF text items into lines
+ * A new line starts whenever the Y position changes significantly
+ * @param {Array} items - Text items from page.getTextContent()
+ * @returns {Array} Array of { text, fontSize, items } (fontSize is the largest on the line,
+ *   items are { str, x, width } in page coordinates, in the same order as text)
+ */
+function groupTextItemsIntoLines(items) {
+  const lines = [];
+  let current = null;
+  let lastY = null;
+
+  items.forEach((item) => {
+    // If Y position changed significantly, start a new line
+    if (current === null || (lastY !== null && Math.abs(item.transform[5] - lastY) > 5)) {
+      current = { text: '', fontSize: 0, items: [] };
+      lines.push(current);
+    }
+
+    // Add text item
+    current.text += item.str;
+    if (item.str) {
+      current.items.push({ str: item.str, x: item.transform[4], width: item.width || 0 });
+    }
+    if (item.str && item.str.trim()) {
+      const fontSize = Math.abs(item.transform[3]) || item.height || 0;
+      current.fontSize = Math.max(current.fontSize, fontSize);
+    }
+    lastY = item.transform[5];
+  });
+
+  return lines;
+}
+
 /**
  * Extract text content from a PDF file
  * @param {File} file - The PDF file to parse
- * @returns {Promise<string>} - The extracted text content
+ * @param {Object} options - Additional options
+ * @param {boolean} options.withGeometry - Also return per-line text item positions
+ * @returns {Promise<string|Object>} - The extracted text content, or { text, lines } when
+ *   withGeometry is set (lines: [{ text, items: [{ str, x, width }] }], one per text line)
  */
-export async function extractTextFromPDF(file) {
+export async function extractTextFromPDF(file, options = {}) {
   try {
     // Validate file type
     if (file.type !== 'application/pdf' && !file.name.toLowerCase().endsWith('.pdf')) {
@@ -32,27 +69,20 @@ export async function extractTextFromPDF(file) {
 
     // Extract text from all pages
     let fullText = '';
+    const geometryLines = [];
     
     for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
       const page = await pdf.getPage(pageNum);
       const textContent = await page.getTextContent();
-      
-      // Combine text items, preserving spacing and line breaks
-      let pageText = '';
-      let lastY = null;
-      
-      textContent.items.forEach((item) => {
-        // If Y position changed significantly, add newline
-        if (lastY !== null && Math.abs(item.transform[5] - lastY) > 5) {
-          pageText += '\n';
-        }
-
-        // Add text item
-        pageText += item.str;
-        lastY = item.transform[5];
-      });
+      const lines = groupTextItemsIntoLines(textContent.items);
+      const pageText = lines.map(line => line.text).join('\n');
       
       fullText += pageText + '\n';
+      lines.forEach(line => geometryLines.push({ text: line.text, items: line.items }));
+    }
+
+    if (options.withGeometry) {
+      return { text: fullText.trim(), lines: geometryLines };
     }
 
     return fullText.trim();
@@ -62,6 +92,39 @@ export async function extractTextFromPDF(file) {
   }
 }
 
+/**
+ * Extract text from a PDF file page by page, keeping line font sizes
+ * Used to split songbook PDFs into separate songs
+ * @param {File} file - The PDF file to parse
+ * @returns {Promise<Array>} Array of { pageNumber, lines: [{ text, fontSize, items }] }
+ */
+export async function extractPagesFromPDF(file) {
+  try {
+    if (file.type !== 'application/pdf' && !file.name.toLowerCase().endsWith('.pdf')) {
+      throw new Error('File must be a PDF');
+    }
+
+    const arrayBuffer = await file.arrayBuffer();
+    const loadingTask = pdfjsLib.getDocument({ data: arrayBuffer });
+    const pdf = await loadingTask.promise;
+
+    const pages = [];
+    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+      const page = await pdf.getPage(pageNum);
+      const textContent = await page.getTextContent();
+      pages.push({
+        pageNumber: pageNum,
+        lines: groupTextItemsIntoLines(textContent.items),
+      });
+    }
+
+    return pages;
+  } catch (error) {
+    console.error('Error extracting pages from PDF:', error);
+    throw new Error(`Failed to extract text from PDF: ${error.message}`);
+  }
+}
+
 /**
  * Check if PDF appears to be text-based (has extractable text)
  * @param {File} file - PDF file object
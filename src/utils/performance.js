@@ -0,0 +1,112 @@
+/**
+ * Performance Mode Utility
+ *
+ * Works out how fast the song sheet should auto-scroll in performance mode.
+ * The song's stored duration is used when set; otherwise the playing time is
+ * estimated from its tempo (or a default pace) and the number of lyric lines.
+ */
+
+// Speed multiplier limits for nudging the scroll speed
+export const MIN_SCROLL_SPEED = 0.25;
+export const MAX_SCROLL_SPEED = 3;
+export const SCROLL_SPEED_STEP = 0.1;
+
+// Text size limits (multiplier of the normal song sheet size)
+export const MIN_TEXT_SCALE = 1;
+export const MAX_TEXT_SCALE = 2.5;
+export const TEXT_SCALE_STEP = 0.25;
+export const DEFAULT_TEXT_SCALE = 1.5;
+
+// Tempo limits accepted on the song form (beats per minute)
+export const MIN_TEMPO = 20;
+export const MAX_TEMPO = 300;
+
+// Assume a lyric line takes two bars of 4/4
+const BEATS_PER_LINE = 8;
+// Pace used when a song has neither a duration nor a tempo (same as 120 BPM)
+const DEFAULT_SECONDS_PER_LINE = 4;
+
+/**
+ * Count the sung lines in a song (blank lines, headings and instructions are skipped)
+ * @param {string} lyrics - Song lyrics
+ * @returns {number} Number of lyric lines
+ */
+export function getLyricLineCount(lyrics) {
+  return (lyrics || '')
+    .split('\n')
+    .filter(line => line.trim() && !/^\s*\{(heading|instruction):[^}]*\}\s*$/.test(line))
+    .length;
+}
+
+/**
+ * Get how long a song takes to play
+ * @param {Object} song - Song object (lyrics, tempo, duration)
+ * @returns {Object} { seconds, source } where source is 'duration', 'tempo' or 'estimate'
+ */
+export function getPerformanceDuration(song) {
+  if (song?.duration > 0) {
+    return { seconds: song.duration, source: 'duration' };
+  }
+
+  const lineCount = Math.max(1, getLyricLineCount(song?.lyrics));
+  if (song?.tempo > 0) {
+    return { seconds: (lineCount * BEATS_PER_LINE * 60) / song.tempo, source: 'tempo' };
+  }
+  return { seconds: lineCount * DEFAULT_SECONDS_PER_LINE, source: 'estimate' };
+}
+
+/**
+ * Get the auto-scroll speed for a song
+ * @param {number} scrollDistance - Pixels between the top and bottom scroll positions
+ * @param {Object} song - Song object (lyrics, tempo, duration)
+ * @param {number} speed - Speed multiplier (default: 1)
+ * @returns {number} Pixels per second
+ */
+export function getScrollPixelsPerSecond(scrollDistance, song, speed = 1) {
+  const { seconds } = getPerformanceDuration(song);
+  if (scrollDistance <= 0 || seconds <= 0) return 0;
+  return (scrollDistance / seconds) * speed;
+}
+
+/**
+ * Clamp a value to a range, rounded to two decimal places
+ * @param {number} value - Value to clamp
+ * @param {number} min - Minimum
+ * @param {number} max - Maximum
+ * @returns {number} Clamped value
+ */
+export function clampStep(value, min, max) {
+  return Math.round(Math.min(max, Math.max(min, value)) * 100) / 100;
+}
+
+/**
+ * Format a duration for display
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} "m:ss" (e.g., "3:05"), or '' if not set
+ */
+export function formatDuration(seconds) {
+  if (!seconds || seconds <= 0) return '';
+  const rounded = Math.round(seconds);
+  return `${Math.floor(rounded / 60)}:${String(rounded % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a duration typed as "m:ss" or as whole seconds
+ * @param {string} text - Duration text (e.g., "3:05", "185")
+ * @returns {number|null} Seconds, or null if blank or not a valid duration
+ */
+export function parseDuration(text) {
+  const value = (text || '').trim();
+  if (!value) return null;
+
+  const match = value.match(/^(\d+):([0-5]\d)$/);
+  if (match) {
+    const seconds = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+    return seconds > 0 ? seconds : null;
+  }
+  if (/^\d+$/.test(value)) {
+    const seconds = parseInt(value, 10);
+    return seconds > 0 ? seconds : null;
+  }
+  return null;
+}
@@ -0,0 +1,184 @@
+/**
+ * Meeting Recurrence Utility
+ *
+ * Recurrence rules for meeting series and the occurrence dates they produce.
+ * A rule is { frequency, interval, startDate, untilDate } where dates are
+ * local-midnight timestamps (like meeting.date). Occurrences are only
+ * generated for a rolling window ahead of today; the window is topped up as
+ * time passes (see needsExtension).
+ */
+
+export const RECURRENCE_FREQUENCIES = {
+  WEEKLY: 'weekly',
+  MONTHLY_WEEKDAY: 'monthly_weekday',
+};
+
+export const RECURRENCE_OPTIONS = [
+  { value: '', label: 'Does not repeat' },
+  { value: RECURRENCE_FREQUENCIES.WEEKLY, label: 'Weekly / every N weeks' },
+  { value: RECURRENCE_FREQUENCIES.MONTHLY_WEEKDAY, label: 'Monthly on the same weekday' },
+];
+
+// Edit/cancel scopes for an occurrence of a series
+export const SERIES_SCOPES = {
+  THIS: 'this',
+  FOLLOWING: 'following',
+  ALL: 'all',
+};
+
+export const SERIES_SCOPE_OPTIONS = [
+  { value: SERIES_SCOPES.THIS, label: 'This meeting' },
+  { value: SERIES_SCOPES.FOLLOWING, label: 'This and following meetings' },
+  { value: SERIES_SCOPES.ALL, label: 'All meetings in the series' },
+];
+
+// Occurrences are generated this far ahead of today
+export const ROLLING_WINDOW_DAYS = 90;
+// Top the window up once fewer than this many days remain generated
+const EXTEND_THRESHOLD_DAYS = 30;
+// Guard against runaway loops on bad rules
+const MAX_OCCURRENCES = 500;
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ORDINALS = ['1st', '2nd', '3rd', '4th'];
+
+/**
+ * Get local midnight for a timestamp
+ * @param {number} timestamp - Any timestamp
+ * @returns {number} Local-midnight timestamp of the same day
+ */
+export function startOfDay(timestamp) {
+  const date = new Date(timestamp);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+}
+
+/**
+ * Add calendar days to a date (DST-safe)
+ * @param {number} timestamp - Local-midnight timestamp
+ * @param {number} days - Days to add (may be negative)
+ * @returns {number} Local-midnight timestamp
+ */
+export function addDays(timestamp, days) {
+  const date = new Date(timestamp);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days).getTime();
+}
+
+/**
+ * Get the end of the rolling generation window
+ * @param {number} now - Current timestamp (default: Date.now())
+ * @returns {number} Local-midnight timestamp ROLLING_WINDOW_DAYS from today
+ */
+export function getRollingWindowEnd(now = Date.now()) {
+  return addDays(startOfDay(now), ROLLING_WINDOW_DAYS);
+}
+
+/**
+ * Check whether a series needs more occurrences generated
+ * @param {Object} series - meetingSeries record (generatedUntil, untilDate)
+ * @param {number} now - Current timestamp (default: Date.now())
+ * @returns {boolean} True if the generated window is running out
+ */
+export function needsExtension(series, now = Date.now()) {
+  const generatedUntil = series.generatedUntil || 0;
+  if (series.untilDate && generatedUntil >= series.untilDate) {
+    return false;
+  }
+  return generatedUntil < addDays(startOfDay(now), ROLLING_WINDOW_DAYS - EXTEND_THRESHOLD_DAYS);
+}
+
+/**
+ * Get the weekday position of a date within its month
+ * The 5th weekday of a month is treated as "last" so it exists every month
+ * @param {number} timestamp - Date timestamp
+ * @returns {Object} { weekday (0-6), week (1-4, or -1 for last) }
+ */
+export function getMonthlyWeekdayPosition(timestamp) {
+  const date = new Date(timestamp);
+  const week = Math.ceil(date.getDate() / 7);
+  return { weekday: date.getDay(), week: week > 4 ? -1 : week };
+}
+
+/**
+ * Find the nth weekday of a month
+ * @param {number} year - Full year
+ * @param {number} month - Month (0-11)
+ * @param {number} weekday - Weekday (0-6)
+ * @param {number} week - 1-4, or -1 for the last one
+ * @returns {number} Local-midnight timestamp
+ */
+function nthWeekdayOfMonth(year, month, weekday, week) {
+  if (week === -1) {
+    const lastDay = new Date(year, month + 1, 0);
+    const offset = (lastDay.getDay() - weekday + 7) % 7;
+    return new Date(year, month, lastDay.getDate() - offset).getTime();
+  }
+  const firstDay = new Date(year, month, 1);
+  const offset = (weekday - firstDay.getDay() + 7) % 7;
+  return new Date(year, month, 1 + offset + (week - 1) * 7).getTime();
+}
+
+/**
+ * Get the occurrence dates of a rule within a date range
+ * @param {Object} rule - { frequency, interval, startDate, untilDate }
+ * @param {number} from - Earliest date to include (timestamp)
+ * @param {number} to - Latest date to include (timestamp)
+ * @returns {Array<number>} Local-midnight timestamps in ascending order
+ */
+export function getOccurrenceDates(rule, from, to) {
+  const startDate = startOfDay(rule.startDate);
+  const interval = Math.max(1, Number(rule.interval) || 1);
+  const lastDate = rule.untilDate ? Math.min(to, rule.untilDate) : to;
+  const dates = [];
+
+  for (let step = 0; dates.length < MAX_OCCURRENCES; step++) {
+    let date;
+    if (rule.frequency === RECURRENCE_FREQUENCIES.MONTHLY_WEEKDAY) {
+      const { weekday, week } = getMonthlyWeekdayPosition(startDate);
+      const start = new Date(startDate);
+      const monthStart = new Date(start.getFullYear(), start.getMonth() + step * interval, 1);
+      if (monthStart.getTime() > lastDate) break;
+      date = nthWeekdayOfMonth(monthStart.getFullYear(), monthStart.getMonth(), weekday, week);
+    } else if (rule.frequency === RECURRENCE_FREQUENCIES.WEEKLY) {
+      date = addDays(startDate, step * interval * 7);
+    } else {
+      // Not recurring: the start date is the only occurrence
+      date = step === 0 ? startDate : Infinity;
+    }
+
+    if (date > lastDate) break;
+    if (date >= from && date >= startDate) {
+      dates.push(date);
+    }
+  }
+
+  return dates;
+}
+
+/**
+ * Describe a rule for display (e.g., "Every 2 weeks on Thursday")
+ * @param {Object} rule - { frequency, interval, startDate, untilDate }
+ * @returns {string} Description (empty string if the rule does not repeat)
+ */
+export function describeRecurrence(rule) {
+  if (!rule?.frequency || !rule.startDate) return '';
+
+  const interval = Math.max(1, Number(rule.interval) || 1);
+  let description;
+  if (rule.frequency === RECURRENCE_FREQUENCIES.MONTHLY_WEEKDAY) {
+    const { weekday, week } = getMonthlyWeekdayPosition(rule.startDate);
+    const position = week === -1 ? 'last' : ORDINALS[week - 1];
+    description = interval === 1
+      ? `Monthly on the ${position} ${WEEKDAY_NAMES[weekday]}`
+      : `Every ${interval} months on the ${position} ${WEEKDAY_NAMES[weekday]}`;
+  } else {
+    const weekday = WEEKDAY_NAMES[new Date(rule.startDate).getDay()];
+    description = interval === 1
+      ? `Weekly on ${weekday}`
+      : `Every ${interval} weeks on ${weekday}`;
+  }
+
+  if (rule.untilDate) {
+    description += `, until ${new Date(rule.untilDate).toLocaleDateString()}`;
+  }
+  return description;
+}
@@ -0,0 +1,131 @@
+/**
+ * Song Metadata Utility
+ *
+ * Validation, formatting and sorting for the structured song fields: key,
+ * tempo (BPM), time signature, capo, difficulty, year and free-form tags.
+ */
+
+import { getSongKey, getKeySortValue } from './key-detection';
+
+export const DIFFICULTY_OPTIONS = [
+  { value: 'easy', label: 'Easy' },
+  { value: 'medium', label: 'Medium' },
+  { value: 'hard', label: 'Hard' },
+];
+
+export const TIME_SIGNATURE_OPTIONS = ['4/4', '3/4', '6/8', '2/4', '12/8', '5/4'];
+
+export const MIN_YEAR = 1000;
+
+// Highest capo fret offered on the song form
+export const MAX_CAPO = 12;
+
+/**
+ * Get the display label for a difficulty
+ * @param {string} difficulty - One of DIFFICULTY_OPTIONS values
+ * @returns {string} Label, or '' if not set
+ */
+export function getDifficultyLabel(difficulty) {
+  return DIFFICULTY_OPTIONS.find(option => option.value === difficulty)?.label || '';
+}
+
+/**
+ * Normalize a time signature (e.g., " 3 / 4 " -> "3/4")
+ * @param {string} text - Time signature text
+ * @returns {string|null} Normalized time signature, or null if blank or not valid
+ */
+export function normalizeTimeSignature(text) {
+  const match = (text || '').trim().match(/^(\d{1,2})\s*\/\s*(1|2|4|8|16|32)$/);
+  if (!match || parseInt(match[1], 10) === 0) return null;
+  return `${parseInt(match[1], 10)}/${match[2]}`;
+}
+
+/**
+ * Check whether a year is plausible for a song
+ * @param {number} year - Year
+ * @param {number} now - Current timestamp (default: Date.now())
+ * @returns {boolean} True if the year is a whole number between MIN_YEAR and next year
+ */
+export function isValidYear(year, now = Date.now()) {
+  return Number.isInteger(year) && year >= MIN_YEAR && year <= new Date(now).getFullYear() + 1;
+}
+
+/**
+ * Parse comma-separated tags, dropping blanks and case-insensitive duplicates
+ * @param {string} text - Tags text (e.g., "sea shanty, Folk, folk")
+ * @returns {Array<string>} Tags (e.g., ["sea shanty", "Folk"])
+ */
+export function parseTags(text) {
+  const seen = new Set();
+  return (text || '')
+    .split(',')
+    .map(tag => tag.trim().replace(/\s+/g, ' '))
+    .filter(tag => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+/**
+ * Get a song's tags
+ * @param {Object} song - Song object (tags)
+ * @returns {Array<string>} Tags
+ */
+export function getSongTags(song) {
+  return Array.isArray(song?.tags) ? song.tags : [];
+}
+
+/**
+ * Get the value a song is sorted by for a field
+ * @param {Object} song - Song object
+ * @param {string} field - Sort field
+ * @returns {*} Sort value, or null if the song has no value for the field
+ */
+function getSortValue(song, field) {
+  switch (field) {
+    case 'title':
+    case 'artist':
+      return (song[field] || '').toLowerCase() || null;
+    case 'key': {
+      const value = getKeySortValue(getSongKey(song));
+      return value === Infinity ? null : value;
+    }
+    case 'timeSignature': {
+      // Sort by beat unit, then by beats per bar (2/4, 3/4, 4/4, 6/8, ...)
+      const match = (song.timeSignature || '').match(/^(\d+)\/(\d+)$/);
+      return match ? parseInt(match[2], 10) * 100 + parseInt(match[1], 10) : null;
+    }
+    case 'difficulty': {
+      const index = DIFFICULTY_OPTIONS.findIndex(option => option.value === song.difficulty);
+      return index === -1 ? null : index;
+    }
+    case 'tempo':
+    case 'capo':
+    case 'year':
+    case 'createdAt':
+      return song[field] ?? null;
+    default:
+      return (song.title || '').toLowerCase();
+  }
+}
+
+/**
+ * Compare two songs for sorting; songs without a value for the field always sort last
+ * @param {Object} a - Song object
+ * @param {Object} b - Song object
+ * @param {string} field - Sort field (title, artist, key, tempo, timeSignature, capo, difficulty, year, createdAt)
+ * @param {string} direction - 'asc' or 'desc'
+ * @returns {number} Comparison result for Array.prototype.sort
+ */
+export function compareSongs(a, b, field, direction = 'asc') {
+  const aValue = getSortValue(a, field);
+  const bValue = getSortValue(b, field);
+  if (aValue === null || bValue === null) {
+    return aValue === bValue ? 0 : aValue === null ? 1 : -1;
+  }
+  if (aValue < bValue) return direction === 'asc' ? -1 : 1;
+  if (aValue > bValue) return direction === 'asc' ? 1 : -1;
+  return 0;
+}
@@ -4,6 +4,29 @@
  * Supports both inline bracket format ([G]) and chord-above format
  */
 
+import { normalizeKey } from './key-detection';
+import { MIN_TEMPO, MAX_TEMPO } from './performance';
+import { MAX_CAPO, normalizeTimeSignature, isValidYear } from './song-metadata';
+import { parseChordName } from './transpose';
+
+// Chord qualities recognised in chord lines (after the root, before any /bass)
+const CHORD_QUALITY_PATTERN = /^(maj|min|m|M|dim|aug|sus|add)?[0-9]*$/;
+
+/**
+ * Check whether a line is made up only of chord names (e.g., "C    G    Am", "D/F#")
+ * Every space-separated word has to be a chord, so lyrics like "BAD" or "CAB" aren't
+ * @param {string} line - Text line
+ * @returns {boolean} True if the line is a chord line
+ */
+export function isChordLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.length >= 100) return false;
+  return trimmed.split(/\s+/).every(word => {
+    const chord = parseChordName(word);
+    return !!chord && CHORD_QUALITY_PATTERN.test(chord.quality);
+  });
+}
+
 /**
  * Detect chord notation format
  * @param {string} text - Extracted text from PDF
@@ -27,13 +50,12 @@ export function detectChordFormat(text) {
     const nextLine = lines[i + 1].trim();
     
     // Check if current line looks like chords
-    const chordPattern = /^[\s]*([A-G][#b]?(maj|min|m|M|dim|aug|sus|add)?[0-9]*[\s]+)+$/;
-    const isChordLine = chordPattern.test(line) && line.length < 100;
+    const isChords = isChordLine(line);
     
     // Check if next line looks like lyrics (has words, longer)
     const isLyricLine = nextLine.length > 20 && /[a-zA-Z]{3,}/.test(nextLine);
     
-    if (isChordLine && isLyricLine) {
+    if (isChords && isLyricLine) {
       chordLineCount++;
     }
     if (isLyricLine) {
@@ -50,15 +72,61 @@ export function detectChordFormat(text) {
 }
 
 /**
- * Extract title and artist from text
+ * Find the musical details written in a song's header lines
+ * (e.g., "Key: A minor", "120 bpm", "Tempo: 96", "Time: 3/4", "Capo 2", "Year: 1971")
+ * @param {Array<string>} lines - Trimmed, non-empty lines
+ * @returns {{key: string|null, tempo: number|null, timeSignature: string|null, capo: number|null, year: number|null}}
+ */
+function extractSongDetails(lines) {
+  const details = { key: null, tempo: null, timeSignature: null, capo: null, year: null };
+
+  lines.forEach(line => {
+    // "key:" can also follow the title on the same line (e.g., "Wellerman key:Am, artist:...")
+    const keyMatch = line.match(/\bkey:\s*([A-G][#b]?)\s*(m(?:in(?:or)?)?\b)?/i);
+    if (keyMatch && !details.key) {
+      details.key = normalizeKey(keyMatch[1] + (keyMatch[2] ? 'm' : ''));
+    }
+
+    const tempoMatch = line.match(/^(\d+)\s*bpm/i) || line.match(/^(?:tempo|bpm):\s*(\d+)/i);
+    if (tempoMatch && !details.tempo) {
+      const tempo = parseInt(tempoMatch[1], 10);
+      if (tempo >= MIN_TEMPO && tempo <= MAX_TEMPO) {
+        details.tempo = tempo;
+      }
+    }
+
+    const timeMatch = line.match(/^time(?:\s+signature)?:\s*(\S+\s*\/\s*\d+)/i);
+    if (timeMatch && !details.timeSignature) {
+      details.timeSignature = normalizeTimeSignature(timeMatch[1]);
+    }
+
+    const capoMatch = line.match(/^capo:?\s*(\d{1,2})$/i);
+    if (capoMatch && !details.capo) {
+      const capo = parseInt(capoMatch[1], 10);
+      details.capo = capo > 0 && capo <= MAX_CAPO ? capo : null;
+    }
+
+    const yearMatch = line.match(/^(?:year|released):\s*(\d{4})$/i);
+    if (yearMatch && !details.year) {
+      const year = parseInt(yearMatch[1], 10);
+      details.year = isValidYear(year) ? year : null;
+    }
+  });
+
+  return details;
+}
+
+/**
+ * Extract title, artist and musical details (key, tempo, time signature, capo, year) from text
  * @param {string} text - Extracted text from PDF
- * @returns {{title: string, artist: string}} Extracted metadata
+ * @returns {{title: string, artist: string, key: string|null, tempo: number|null, timeSignature: string|null, capo: number|null, year: number|null}} Extracted metadata
  */
 export function extractMetadata(text) {
   const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
   
   let title = '';
   let artist = '';
+  const details = extractSongDetails(lines);
   
   // Filter out common non-song content
   const skipPatterns = [
@@ -70,6 +138,10 @@ export function extractMetadata(text) {
     /^www\./i,
     /^http/i,
     /^\d+\s*bpm/i,
+    /^(tempo|bpm):/i,
+    /^time( signature)?:/i,
+    /^capo\b/i,
+    /^(year|released):/i,
     /^intro:/i,
     /^verse/i,
     /^chorus/i,
@@ -88,7 +160,7 @@ export function extractMetadata(text) {
   });
   
   if (relevantLines.length === 0) {
-    return { title: '', artist: '' };
+    return { title: '', artist: '', ...details };
   }
   
   // Try to find title and artist in first few lines
@@ -190,17 +262,171 @@ export function extractMetadata(text) {
     }
   }
   
-  return { title: title || '', artist: artist || '' };
+  return { title: title || '', artist: artist || '', ...details };
+}
+
+/**
+ * Create a lookup that finds the PDF geometry for each text line
+ * Lines are matched in document order, so a repeated line (e.g., the same
+ * chord line in every verse) gets the positions of its own occurrence
+ * @param {Array} lineGeometry - Lines from extractTextFromPDF(file, { withGeometry: true })
+ * @returns {Function} (lineText) => { text, items } or null if the line isn't found
+ */
+export function createLineGeometryLookup(lineGeometry) {
+  let nextIndex = 0;
+  return (lineText) => {
+    const target = lineText.trim();
+    if (!target) return null;
+    for (let i = nextIndex; i < lineGeometry.length; i++) {
+      if (lineGeometry[i].text.trim() === target) {
+        nextIndex = i + 1;
+        return lineGeometry[i];
+      }
+    }
+    return null;
+  };
+}
+
+/**
+ * Get the x-range of every character in a PDF line
+ * Character widths are spread evenly across each text item
+ * @param {Object} geometry - Line geometry { text, items: [{ str, x, width }] }
+ * @returns {Array} Array of { start, end }, one per character of geometry.text
+ */
+function getCharacterRanges(geometry) {
+  const ranges = [];
+  geometry.items.forEach(item => {
+    const charWidth = item.str.length > 0 ? item.width / item.str.length : 0;
+    for (let k = 0; k < item.str.length; k++) {
+      ranges.push({
+        start: item.x + k * charWidth,
+        end: item.x + (k + 1) * charWidth,
+      });
+    }
+  });
+  return ranges;
+}
+
+/**
+ * Find the chords in a chord line and where they sit
+ * @param {string} chordLine - Chord line text (every word a chord, see isChordLine)
+ * @returns {Array} Array of { chord, position } (character index)
+ */
+function findChordsInLine(chordLine) {
+  const chordMatches = [];
+  const chordRegex = /\S+/g;
+  let match;
+
+  while ((match = chordRegex.exec(chordLine)) !== null) {
+    chordMatches.push({
+      chord: match[0],
+      position: match.index,
+    });
+  }
+
+  return chordMatches;
+}
+
+/**
+ * Insert chord markers into a lyric line (right to left to avoid index shifting)
+ * @param {string} lyricLine - Lyric line
+ * @param {Array} placements - Array of { chord, index } (lyric character index)
+ * @returns {string} Lyric line with [chord] markers
+ */
+function insertChordMarkers(lyricLine, placements) {
+  let convertedLine = lyricLine;
+  [...placements]
+    .sort((a, b) => b.index - a.index)
+    .forEach(({ chord, index }) => {
+      convertedLine = convertedLine.slice(0, index) + `[${chord}]` + convertedLine.slice(index);
+    });
+  return convertedLine;
+}
+
+/**
+ * Place chords using their x coordinates in the PDF
+ * Each chord goes before the lyric character whose x-range it sits over
+ * @param {string} lyricLine - Lyric line text
+ * @param {Object} chordGeometry - Geometry of the chord line
+ * @param {Object} lyricGeometry - Geometry of the lyric line
+ * @returns {string|null} Lyric line with [chord] markers, or null if the geometry doesn't fit
+ */
+function alignChordsByPosition(lyricLine, chordGeometry, lyricGeometry) {
+  const chordRanges = getCharacterRanges(chordGeometry);
+  const lyricRanges = getCharacterRanges(lyricGeometry);
+  if (chordRanges.length !== chordGeometry.text.length || lyricRanges.length !== lyricGeometry.text.length) {
+    return null;
+  }
+
+  // The lyric line may have lost leading whitespace since extraction
+  const trimmedLyric = lyricGeometry.text.trim();
+  const lineStart = lyricLine.indexOf(trimmedLyric);
+  if (!trimmedLyric || lineStart === -1) {
+    return null;
+  }
+  const offset = lineStart - lyricGeometry.text.indexOf(trimmedLyric);
+
+  const placements = findChordsInLine(chordGeometry.text).map(({ chord, position }) => {
+    const chordX = chordRanges[position].start;
+    // First character that ends after the chord starts (small tolerance for kerning)
+    let charIndex = lyricRanges.findIndex(range => range.end > chordX + 1);
+    if (charIndex === -1) {
+      charIndex = lyricGeometry.text.length;
+    }
+    return {
+      chord,
+      index: Math.max(0, Math.min(lyricLine.length, charIndex + offset)),
+    };
+  });
+
+  return insertChordMarkers(lyricLine, placements);
+}
+
+/**
+ * Place chords by scaling their character offsets onto the lyric line
+ * Used when no PDF geometry is available (e.g., OCR text)
+ * @param {string} chordLine - Chord line text
+ * @param {string} lyricLine - Lyric line text
+ * @returns {string} Lyric line with [chord] markers
+ */
+function alignChordsByCharacterOffset(chordLine, lyricLine) {
+  const placements = findChordsInLine(chordLine).map(chordMatch => {
+    // Calculate approximate position in lyric line
+    // Use relative position from chord line start
+    const relativePos = chordMatch.position / chordLine.length;
+    const lyricPos = Math.floor(relativePos * lyricLine.length);
+    
+    // Find nearest word boundary or space
+    let insertPos = lyricPos;
+    
+    // Look for space or word boundary near the calculated position
+    const searchRange = Math.min(10, lyricLine.length - insertPos);
+    for (let j = 0; j < searchRange; j++) {
+      const pos = insertPos + j;
+      if (pos < lyricLine.length && (lyricLine[pos] === ' ' || pos === 0)) {
+        insertPos = pos;
+        break;
+      }
+    }
+
+    return { chord: chordMatch.chord, index: insertPos };
+  });
+
+  return insertChordMarkers(lyricLine, placements);
 }
 
 /**
  * Parse chord-above format and convert to bracket format
+ * When PDF line geometry is available, chords are aligned by their x coordinates;
+ * otherwise their position is estimated from character offsets
  * @param {string} text - Extracted text from PDF
+ * @param {Array} lineGeometry - Optional lines from extractTextFromPDF(file, { withGeometry: true })
  * @returns {string} Text with chords in bracket format
  */
-export function parseChordAboveFormat(text) {
+export function parseChordAboveFormat(text, lineGeometry = null) {
   const lines = text.split('\n');
   const result = [];
+  const findGeometry = lineGeometry ? createLineGeometryLookup(lineGeometry) : null;
   
   let i = 0;
   while (i < lines.length) {
@@ -208,60 +434,24 @@ export function parseChordAboveFormat(text) {
     const nextLine = i + 1 < lines.length ? lines[i + 1] : '';
     
     // Check if current line is a chord line
-    const chordPattern = /^[\s]*([A-G][#b]?(maj|min|m|M|dim|aug|sus|add)?[0-9]*[\s]+)+$/;
-    const isChordLine = chordPattern.test(currentLine.trim()) && currentLine.trim().length < 100;
+    const isChords = isChordLine(currentLine);
     
     // Check if next line is a lyric line
     const isLyricLine = nextLine.trim().length > 20 && /[a-zA-Z]{3,}/.test(nextLine);
     
-    if (isChordLine && isLyricLine) {
-      // Parse chord positions
-      const chordLine = currentLine;
-      const lyricLine = nextLine;
-      
-      // Extract chords and their positions
-      const chordMatches = [];
-      const chordRegex = /([A-G][#b]?(maj|min|m|M|dim|aug|sus|add)?[0-9]*)/g;
-      let match;
-      
-      while ((match = chordRegex.exec(chordLine)) !== null) {
-        chordMatches.push({
-          chord: match[1].trim(), // Trim whitespace from chord name
-          position: match.index,
-        });
-      }
-      
-      // Map chords to lyric line positions
-      // Use relative positioning based on chord line spacing
-      let convertedLine = lyricLine;
-      let offset = 0;
-      
-      // Sort chords by position (right to left to avoid index shifting)
-      const sortedChords = [...chordMatches].sort((a, b) => b.position - a.position);
-      
-      for (const chordMatch of sortedChords) {
-        // Calculate approximate position in lyric line
-        // Use relative position from chord line start
-        const relativePos = chordMatch.position / chordLine.length;
-        const lyricPos = Math.floor(relativePos * lyricLine.length);
-        
-        // Find nearest word boundary or space
-        let insertPos = lyricPos;
-        
-        // Look for space or word boundary near the calculated position
-        const searchRange = Math.min(10, lyricLine.length - insertPos);
-        for (let j = 0; j < searchRange; j++) {
-          const pos = insertPos + j;
-          if (pos < lyricLine.length && (lyricLine[pos] === ' ' || pos === 0)) {
-            insertPos = pos;
-            break;
-          }
+    if (isChords && isLyricLine) {
+      let convertedLine = null;
+
+      if (findGeometry) {
+        const chordGeometry = findGeometry(currentLine);
+        const lyricGeometry = chordGeometry ? findGeometry(nextLine) : null;
+        if (chordGeometry && lyricGeometry) {
+          convertedLine = alignChordsByPosition(nextLine, chordGeometry, lyricGeometry);
         }
-        
-        // Insert chord marker
-        convertedLine = convertedLine.slice(0, insertPos) + 
-                       `[${chordMatch.chord}]` + 
-                       convertedLine.slice(insertPos);
+      }
+
+      if (convertedLine === null) {
+        convertedLine = alignChordsByCharacterOffset(currentLine, nextLine);
       }
       
       result.push(convertedLine);
@@ -301,6 +491,10 @@ export function cleanSongText(text) {
         /^disclaimer/i.test(trimmed) ||
         /^transcribed by:/i.test(trimmed) ||
         /^\d+\s*bpm/i.test(trimmed) ||
+        /^(tempo|bpm):/i.test(trimmed) ||
+        /^time( signature)?:/i.test(trimmed) ||
+        /^capo:?\s*\d{1,2}$/i.test(trimmed) ||
+        /^(year|released):/i.test(trimmed) ||
         /^key:/i.test(trimmed) ||
         /^writer:/i.test(trimmed) ||
         /^url:/i.test(trimmed) ||
@@ -335,11 +529,15 @@ export function cleanSongText(text) {
 /**
  * Parse song from extracted PDF text
  * @param {string} text - Extracted text from PDF
- * @returns {{title: string, artist: string, lyricsText: string}} Parsed song data
+ * @param {Object} options - Additional options
+ * @param {Array} options.lineGeometry - Line positions from extractTextFromPDF(file, { withGeometry: true }),
+ *   used to align chords above lyrics (omit for OCR text)
+ * @returns {{title: string, artist: string, key: string|null, tempo: number|null, timeSignature: string|null,
+ *   capo: number|null, year: number|null, lyricsText: string}} Parsed song data
  */
-export function parseSongFromText(text) {
+export function parseSongFromText(text, options = {}) {
   // Extract metadata FIRST from original text (before cleaning removes metadata lines)
-  const { title, artist } = extractMetadata(text);
+  const metadata = extractMetadata(text);
   
   // Now clean the text (removes metadata lines, disclaimers, etc.)
   const cleanedText = cleanSongText(text);
@@ -351,15 +549,14 @@ export function parseSongFromText(text) {
   
   // Convert chord-above format to bracket format if needed
   if (format === 'chord-above') {
-    lyricsText = parseChordAboveFormat(cleanedText);
+    lyricsText = parseChordAboveFormat(cleanedText, options.lineGeometry);
   }
   
   // If format is unknown or brackets, use text as-is
   // (bracket format is already compatible)
   
   return {
-    title,
-    artist,
+    ...metadata,
     lyricsText,
   };
 }
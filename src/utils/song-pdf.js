@@ -0,0 +1,528 @@
+/**
+ * Song PDF Export Utility
+ *
+ * Renders song sheets to PDF with jsPDF: title and artist, a strip of vector
+ * chord diagrams (drawn to match ChordDiagram), and the lyrics with chords
+ * either above the lyric line or inline. jsPDF is lazy-loaded so it only
+ * ships to users who export.
+ */
+
+import { renderAboveChords, renderInlineChords } from './lyrics-helpers';
+import { toFileName } from './download';
+
+export const PAPER_SIZES = [
+  { id: 'a4', label: 'A4' },
+  { id: 'letter', label: 'US Letter' },
+];
+
+export const FONT_SIZES = [9, 10, 11, 12, 14, 16];
+
+export const DEFAULT_PDF_OPTIONS = {
+  paperSize: 'a4',
+  fontSize: 11,
+  chordMode: 'above',
+  showDiagrams: true,
+};
+
+// Page layout (points)
+const MARGIN = 48;
+
+// Colors (RGB) matching the app theme
+const TEXT_COLOR = [17, 24, 39];       // gray-900
+const MUTED_COLOR = [75, 85, 99];      // gray-600
+const CHORD_COLOR = [3, 105, 161];     // primary-700
+const DIAGRAM_LINE_COLOR = [102, 102, 102];
+const DIAGRAM_DOT_COLOR = [14, 165, 233]; // primary-500
+
+// Chord diagram geometry (points) - same proportions as ChordDiagram
+const DIAGRAM_STRING_SPACING = 9;
+const DIAGRAM_FRET_SPACING = 9;
+const DIAGRAM_DOT_RADIUS = 3.4;
+const DIAGRAM_SIDE_PADDING = 10;
+const DIAGRAM_LABEL_HEIGHT = 13;
+const DIAGRAM_GAP = 10;
+
+/**
+ * Create an empty PDF document
+ * @param {string} paperSize - Paper size id from PAPER_SIZES
+ * @returns {Promise<Object>} jsPDF document using point units
+ */
+export async function createPDFDocument(paperSize = DEFAULT_PDF_OPTIONS.paperSize) {
+  const { jsPDF } = await import('jspdf');
+  return new jsPDF({ unit: 'pt', format: paperSize });
+}
+
+/**
+ * Get the printable area of the document's pages
+ * @param {Object} doc - jsPDF document
+ * @returns {Object} { width, height, left, right, top, bottom, contentWidth }
+ */
+export function getPageMetrics(doc) {
+  const width = doc.internal.pageSize.getWidth();
+  const height = doc.internal.pageSize.getHeight();
+  return {
+    width,
+    height,
+    left: MARGIN,
+    right: width - MARGIN,
+    top: MARGIN,
+    bottom: height - MARGIN,
+    contentWidth: width - MARGIN * 2,
+  };
+}
+
+/**
+ * Start a new page if the content doesn't fit below y
+ * @param {Object} doc - jsPDF document
+ * @param {number} y - Current y position
+ * @param {number} needed - Height of the content about to be drawn
+ * @returns {number} y position to draw at (top margin if a page was added)
+ */
+function ensureSpace(doc, y, needed) {
+  const metrics = getPageMetrics(doc);
+  if (y + needed > metrics.bottom) {
+    doc.addPage();
+    return metrics.top;
+  }
+  return y;
+}
+
+/**
+ * Work out which frets a diagram shows (mirrors ChordDiagram)
+ * @param {Array} fretArray - Parsed frets ('muted', 'open' or fret number)
+ * @returns {Object} { showNut, startFret, fretCount, minFret }
+ */
+function getDiagramLayout(fretArray) {
+  const numericFrets = fretArray.filter(f => typeof f === 'number');
+  const maxFret = numericFrets.length > 0 ? Math.max(...numericFrets) : 0;
+  const minFret = numericFrets.length > 0 ? Math.min(...numericFrets) : 0;
+
+  if (maxFret <= 4) {
+    return { showNut: true, startFret: 0, fretCount: 5, minFret };
+  }
+  return {
+    showNut: false,
+    startFret: minFret,
+    fretCount: Math.max(5, maxFret - minFret + 2),
+    minFret,
+  };
+}
+
+/**
+ * Parse a fret string into diagram positions
+ * @param {string} frets - Fret positions (e.g., "0003", "x32010")
+ * @returns {Array} 'muted', 'open' or fret number for each string
+ */
+function parseDiagramFrets(frets) {
+  return frets.split('').map(f => {
+    if (f === 'x' || f === 'X') return 'muted';
+    if (f === '0') return 'open';
+    return parseInt(f, 10);
+  });
+}
+
+/**
+ * Measure a chord diagram
+ * @param {string} frets - Fret positions
+ * @returns {Object} { width, height } in points
+ */
+export function measureChordDiagram(frets) {
+  const { fretCount } = getDiagramLayout(parseDiagramFrets(frets));
+  return {
+    width: (frets.length - 1) * DIAGRAM_STRING_SPACING + DIAGRAM_SIDE_PADDING * 2,
+    height: DIAGRAM_LABEL_HEIGHT + (fretCount - 1) * DIAGRAM_FRET_SPACING + 6,
+  };
+}
+
+/**
+ * Draw a vector chord diagram
+ * @param {Object} doc - jsPDF document
+ * @param {number} x - Left edge of the diagram
+ * @param {number} y - Top edge of the diagram (chord name sits here)
+ * @param {string} frets - Fret positions (e.g., "0003")
+ * @param {string} chordName - Chord name shown above the diagram
+ * @returns {Object} { width, height } of the drawn diagram
+ */
+export function drawChordDiagram(doc, x, y, frets, chordName) {
+  const fretArray = parseDiagramFrets(frets);
+  const { showNut, startFret, fretCount, minFret } = getDiagramLayout(fretArray);
+  const size = measureChordDiagram(frets);
+  const stringCount = fretArray.length;
+  const stringsX = x + DIAGRAM_SIDE_PADDING;
+  const gridTop = y + DIAGRAM_LABEL_HEIGHT;
+  const gridBottom = gridTop + (fretCount - 1) * DIAGRAM_FRET_SPACING;
+  const stringsRight = stringsX + (stringCount - 1) * DIAGRAM_STRING_SPACING;
+
+  // Chord name
+  if (chordName) {
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(9);
+    doc.setTextColor(...CHORD_COLOR);
+    doc.text(chordName, x + size.width / 2, y + 8, { align: 'center' });
+  }
+
+  doc.setDrawColor(...DIAGRAM_LINE_COLOR);
+
+  // Strings
+  doc.setLineWidth(0.6);
+  for (let i = 0; i < stringCount; i++) {
+    const sx = stringsX + i * DIAGRAM_STRING_SPACING;
+    doc.line(sx, gridTop, sx, gridBottom + 2);
+  }
+
+  // Frets (the nut is drawn thicker and extends past the strings)
+  for (let i = 0; i < fretCount; i++) {
+    const fy = gridTop + i * DIAGRAM_FRET_SPACING;
+    const isNut = showNut && i === 0;
+    doc.setLineWidth(isNut ? 1.5 : 0.5);
+    doc.line(isNut ? stringsX - 2 : stringsX, fy, isNut ? stringsRight + 2 : stringsRight, fy);
+  }
+
+  // Starting fret number when the diagram doesn't begin at the nut
+  if (!showNut) {
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(7);
+    doc.setTextColor(...MUTED_COLOR);
+    doc.text(String(minFret), stringsX - 4, gridTop + DIAGRAM_FRET_SPACING / 2 + 2.5, { align: 'right' });
+  }
+
+  // Finger positions and muted strings
+  fretArray.forEach((fret, stringIndex) => {
+    const sx = stringsX + stringIndex * DIAGRAM_STRING_SPACING;
+    if (fret === 'muted') {
+      const my = gridTop + DIAGRAM_FRET_SPACING / 2;
+      doc.setLineWidth(0.8);
+      doc.line(sx - 2.2, my - 2.2, sx + 2.2, my + 2.2);
+      doc.line(sx - 2.2, my + 2.2, sx + 2.2, my - 2.2);
+      return;
+    }
+    if (fret === 'open' || isNaN(fret)) return;
+
+    const offset = startFret === 0 ? fret - 1 : fret - startFret;
+    const cy = gridTop + offset * DIAGRAM_FRET_SPACING + DIAGRAM_FRET_SPACING / 2;
+    doc.setFillColor(...DIAGRAM_DOT_COLOR);
+    doc.circle(sx, cy, DIAGRAM_DOT_RADIUS, 'F');
+  });
+
+  return size;
+}
+
+/**
+ * Draw chord diagrams in rows across the page
+ * @param {Object} doc - jsPDF document
+ * @param {Array} diagrams - Array of { name, frets }
+ * @param {number} y - Top of the strip
+ * @returns {number} y position below the strip
+ */
+export function drawChordDiagramStrip(doc, diagrams, y) {
+  const metrics = getPageMetrics(doc);
+  let x = metrics.left;
+  let rowHeight = 0;
+
+  diagrams.forEach(({ name, frets }) => {
+    const size = measureChordDiagram(frets);
+    if (x + size.width > metrics.right && x > metrics.left) {
+      x = metrics.left;
+      y += rowHeight + DIAGRAM_GAP;
+      rowHeight = 0;
+    }
+    const nextY = ensureSpace(doc, y, size.height);
+    if (nextY !== y) {
+      // Continued on a new page: start a fresh row
+      x = metrics.left;
+      y = nextY;
+      rowHeight = 0;
+    }
+    drawChordDiagram(doc, x, y, frets, name);
+    x += size.width + DIAGRAM_GAP;
+    rowHeight = Math.max(rowHeight, size.height);
+  });
+
+  return y + rowHeight + DIAGRAM_GAP;
+}
+
+/**
+ * Split a chords-above line into chunks that fit the page width,
+ * breaking at spaces in the lyric line where no chord is printed
+ * @param {string} chordLine - Chord line (chords placed by character column)
+ * @param {string} lyricLine - Lyric line
+ * @param {number} maxChars - Maximum characters per printed line
+ * @returns {Array} Array of { chordLine, lyricLine }
+ */
+function wrapAboveLine(chordLine, lyricLine, maxChars) {
+  const chunks = [];
+  let chords = chordLine;
+  let lyrics = lyricLine;
+
+  while (Math.max(chords.trimEnd().length, lyrics.trimEnd().length) > maxChars) {
+    let breakAt = maxChars;
+    for (let i = maxChars; i > maxChars / 2; i--) {
+      if (lyrics[i] === ' ' && (chords[i] || ' ') === ' ') {
+        breakAt = i;
+        break;
+      }
+    }
+    chunks.push({ chordLine: chords.slice(0, breakAt), lyricLine: lyrics.slice(0, breakAt) });
+    chords = chords.slice(breakAt + 1);
+    lyrics = lyrics.slice(breakAt + 1);
+  }
+  chunks.push({ chordLine: chords, lyricLine: lyrics });
+  return chunks;
+}
+
+/**
+ * Draw a heading or instruction element
+ * @param {Object} doc - jsPDF document
+ * @param {string} type - 'heading' or 'instruction'
+ * @param {string} text - Element text
+ * @param {number} y - Current y position
+ * @param {number} fontSize - Base font size
+ * @returns {number} y position below the element
+ */
+function drawElement(doc, type, text, y, fontSize) {
+  const metrics = getPageMetrics(doc);
+
+  if (type === 'heading') {
+    const size = fontSize + 2;
+    y = ensureSpace(doc, y + fontSize * 0.6, size * 1.4);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(size);
+    doc.setTextColor(...TEXT_COLOR);
+    doc.text(text, metrics.left, y + size);
+    return y + size * 1.5;
+  }
+
+  const size = fontSize - 1;
+  y = ensureSpace(doc, y, size * 1.6);
+  doc.setDrawColor(209, 213, 219); // gray-300
+  doc.setLineWidth(1.5);
+  doc.line(metrics.left, y + 2, metrics.left, y + size * 1.3);
+  doc.setFont('helvetica', 'italic');
+  doc.setFontSize(size);
+  doc.setTextColor(...MUTED_COLOR);
+  doc.text(text, metrics.left + 8, y + size);
+  return y + size * 1.7;
+}
+
+/**
+ * Draw the lyrics with chords above each lyric line
+ * @param {Object} doc - jsPDF document
+ * @param {string} lyrics - Song lyrics
+ * @param {Array} chords - Chord objects
+ * @param {number} y - Current y position
+ * @param {number} fontSize - Font size for lyrics
+ * @returns {number} y position below the lyrics
+ */
+function drawAboveLyrics(doc, lyrics, chords, y, fontSize) {
+  const metrics = getPageMetrics(doc);
+  const lineHeight = fontSize * 1.3;
+  doc.setFont('courier', 'normal');
+  doc.setFontSize(fontSize);
+  const charWidth = doc.getTextWidth('M');
+  const maxChars = Math.floor(metrics.contentWidth / charWidth);
+
+  renderAboveChords(lyrics, chords).forEach(lineData => {
+    if (lineData.type === 'heading' || lineData.type === 'instruction') {
+      y = drawElement(doc, lineData.type, lineData.text, y, fontSize);
+      return;
+    }
+
+    const { chordSegments = [], lyricLine = '' } = lineData;
+    const chordLine = chordSegments.map(segment => segment.content).join('');
+
+    if (!chordLine.trim() && !lyricLine.trim()) {
+      y += lineHeight * 0.7;
+      return;
+    }
+
+    wrapAboveLine(chordLine, lyricLine, maxChars).forEach(chunk => {
+      const hasChords = chunk.chordLine.trim().length > 0;
+      y = ensureSpace(doc, y, lineHeight * (hasChords ? 2 : 1));
+
+      if (hasChords) {
+        doc.setFont('courier', 'bold');
+        doc.setFontSize(fontSize);
+        doc.setTextColor(...CHORD_COLOR);
+        doc.text(chunk.chordLine, metrics.left, y + fontSize);
+        y += lineHeight;
+      }
+
+      doc.setFont('courier', 'normal');
+      doc.setFontSize(fontSize);
+      doc.setTextColor(...TEXT_COLOR);
+      doc.text(chunk.lyricLine, metrics.left, y + fontSize);
+      y += lineHeight;
+    });
+    y += lineHeight * 0.2;
+  });
+
+  return y;
+}
+
+/**
+ * Draw the lyrics with chords inline (chord names in bold before the syllable)
+ * @param {Object} doc - jsPDF document
+ * @param {string} lyrics - Song lyrics
+ * @param {Array} chords - Chord objects
+ * @param {number} y - Current y position
+ * @param {number} fontSize - Font size for lyrics
+ * @returns {number} y position below the lyrics
+ */
+function drawInlineLyrics(doc, lyrics, chords, y, fontSize) {
+  const metrics = getPageMetrics(doc);
+  const lineHeight = fontSize * 1.5;
+
+  const setLyricFont = () => {
+    doc.setFont('courier', 'normal');
+    doc.setTextColor(...TEXT_COLOR);
+  };
+  const setChordFont = () => {
+    doc.setFont('courier', 'bold');
+    doc.setTextColor(...CHORD_COLOR);
+  };
+
+  renderInlineChords(lyrics, chords).forEach(line => {
+    const headingMatch = line.match(/\{heading:([^}]+)\}/);
+    if (headingMatch) {
+      y = drawElement(doc, 'heading', headingMatch[1].trim(), y, fontSize);
+      return;
+    }
+    const instructionMatch = line.match(/\{instruction:([^}]+)\}/);
+    if (instructionMatch) {
+      y = drawElement(doc, 'instruction', instructionMatch[1].trim(), y, fontSize);
+      return;
+    }
+
+    if (!line.trim()) {
+      y += lineHeight * 0.6;
+      return;
+    }
+
+    // Split into lyric and chord tokens, then words so long lines can wrap
+    const tokens = [];
+    line.split(/\[([^\]]+)\]/).forEach((part, index) => {
+      if (index % 2 === 1) {
+        tokens.push({ text: `${part} `, chord: true });
+      } else {
+        part.split(/(\s+)/).filter(Boolean).forEach(word => tokens.push({ text: word, chord: false }));
+      }
+    });
+
+    doc.setFontSize(fontSize);
+    y = ensureSpace(doc, y, lineHeight);
+    let x = metrics.left;
+    tokens.forEach(token => {
+      if (token.chord) setChordFont(); else setLyricFont();
+      const width = doc.getTextWidth(token.text);
+      if (x + width > metrics.right && x > metrics.left) {
+        y = ensureSpace(doc, y + lineHeight, lineHeight);
+        x = metrics.left;
+        if (!token.chord && !token.text.trim()) return;
+      }
+      doc.text(token.text, x, y + fontSize);
+      x += width;
+    });
+    y += lineHeight;
+  });
+
+  return y;
+}
+
+/**
+ * Render a song onto the document, starting on the current page and adding pages as needed
+ * @param {Object} doc - jsPDF document
+ * @param {Object} song - Song object (title, artist, lyrics, chords JSON)
+ * @param {Object} options - Render options
+ * @param {Array} options.chords - Chord objects to use instead of song.chords (e.g., transposed)
+ * @param {Array} options.chordDiagrams - Diagrams to draw: [{ name, frets }]
+ * @param {string} options.key - Key shown under the title
+ * @param {string} options.subtitle - Extra line shown under the title (e.g., "Capo 3")
+ * @param {number} options.fontSize - Lyric font size in points
+ * @param {string} options.chordMode - 'above' or 'inline'
+ * @param {boolean} options.showDiagrams - Whether to draw the chord diagram strip
+ * @param {number} options.startY - y position to start at (default: top margin)
+ * @returns {Object} { firstPage, lastPage } page numbers the song occupies
+ */
+export function renderSongPages(doc, song, options = {}) {
+  const {
+    chordDiagrams = [],
+    key = null,
+    subtitle = null,
+    fontSize = DEFAULT_PDF_OPTIONS.fontSize,
+    chordMode = DEFAULT_PDF_OPTIONS.chordMode,
+    showDiagrams = DEFAULT_PDF_OPTIONS.showDiagrams,
+  } = options;
+
+  let chords = options.chords;
+  if (!chords) {
+    try {
+      chords = song.chords ? JSON.parse(song.chords) : [];
+    } catch (e) {
+      chords = [];
+    }
+  }
+
+  const metrics = getPageMetrics(doc);
+  const firstPage = doc.internal.getCurrentPageInfo().pageNumber;
+  let y = options.startY ?? metrics.top;
+
+  // Title
+  const titleSize = Math.round(fontSize * 1.8);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(titleSize);
+  doc.setTextColor(...TEXT_COLOR);
+  const titleLines = doc.splitTextToSize(song.title || 'Untitled', metrics.contentWidth);
+  doc.text(titleLines, metrics.left, y + titleSize);
+  y += titleSize * 1.2 * titleLines.length + 4;
+
+  // Artist and key
+  const details = [song.artist, key ? `Key: ${key}` : null, subtitle].filter(Boolean);
+  if (details.length > 0) {
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(fontSize + 1);
+    doc.setTextColor(...MUTED_COLOR);
+    doc.text(details.join('  ·  '), metrics.left, y + fontSize);
+    y += (fontSize + 1) * 1.6;
+  }
+  y += 6;
+
+  // Chord diagrams
+  if (showDiagrams && chordDiagrams.length > 0) {
+    y = drawChordDiagramStrip(doc, chordDiagrams, y);
+    y += 4;
+  }
+
+  // Lyrics
+  y = chordMode === 'inline'
+    ? drawInlineLyrics(doc, song.lyrics || '', chords, y, fontSize)
+    : drawAboveLyrics(doc, song.lyrics || '', chords, y, fontSize);
+
+  return {
+    firstPage,
+    lastPage: doc.internal.getCurrentPageInfo().pageNumber,
+  };
+}
+
+/**
+ * Create a PDF document for a single song
+ * @param {Object} song - Song object
+ * @param {Object} options - Render options (see renderSongPages) plus paperSize
+ * @returns {Promise<Object>} jsPDF document
+ */
+export async function createSongPDF(song, options = {}) {
+  const doc = await createPDFDocument(options.paperSize);
+  doc.setProperties({ title: song.title || 'Song', subject: song.artist || '' });
+  renderSongPages(doc, song, options);
+  return doc;
+}
+
+/**
+ * Create and download a PDF of a single song
+ * @param {Object} song - Song object
+ * @param {Object} options - Render options (see renderSongPages) plus paperSize
+ * @returns {Promise<void>}
+ */
+export async function exportSongPDF(song, options = {}) {
+  const doc = await createSongPDF(song, options);
+  doc.save(`${toFileName(song.title, 'song')}.pdf`);
+}
@@ -0,0 +1,103 @@
+/**
+ * Song Play Statistics Utility
+ *
+ * Summarises a group's song plays (songPlays: songs ticked as played at
+ * meetings and songs opened from group songbooks) into most played songs,
+ * neglected songs and first/last played dates. A song counts as played at
+ * most once per day, so several members opening it together is one play.
+ */
+
+import { toDateInputValue } from './meetings';
+
+export const NEGLECTED_MONTHS_OPTIONS = [
+  { value: 3, label: '3 months' },
+  { value: 6, label: '6 months' },
+  { value: 12, label: '12 months' },
+];
+
+export const PLAY_SORT_OPTIONS = [
+  { value: 'most', label: 'Most played' },
+  { value: 'recent', label: 'Recently played' },
+  { value: 'neglected', label: 'Longest since played' },
+  { value: 'title', label: 'Title' },
+];
+
+/**
+ * Summarise play history for each song
+ * @param {Array} songs - Songs to report on
+ * @param {Array} plays - songPlays records
+ * @returns {Array} Array of { song, playCount, meetingCount, firstPlayedAt, lastPlayedAt }
+ *   (dates are null for songs that have never been played)
+ */
+export function getSongPlayStats(songs, plays) {
+  const playsBySong = new Map();
+  (plays || []).forEach(play => {
+    if (!playsBySong.has(play.songId)) {
+      playsBySong.set(play.songId, []);
+    }
+    playsBySong.get(play.songId).push(play);
+  });
+
+  return (songs || []).map(song => {
+    const songPlays = playsBySong.get(song.id) || [];
+    const playedAts = songPlays.map(play => play.playedAt).filter(Boolean);
+    return {
+      song,
+      playCount: new Set(playedAts.map(toDateInputValue)).size,
+      meetingCount: new Set(songPlays.map(play => play.meetingId).filter(Boolean)).size,
+      firstPlayedAt: playedAts.length > 0 ? Math.min(...playedAts) : null,
+      lastPlayedAt: playedAts.length > 0 ? Math.max(...playedAts) : null,
+    };
+  });
+}
+
+/**
+ * Get the most played songs
+ * @param {Array} stats - Results of getSongPlayStats
+ * @param {number} limit - Maximum number of songs (default: 10)
+ * @returns {Array} Played songs, most plays first (ties: most recently played first)
+ */
+export function getMostPlayed(stats, limit = 10) {
+  return stats
+    .filter(stat => stat.playCount > 0)
+    .sort((a, b) => b.playCount - a.playCount || b.lastPlayedAt - a.lastPlayedAt)
+    .slice(0, limit);
+}
+
+/**
+ * Get songs that haven't been played for a number of months
+ * @param {Array} stats - Results of getSongPlayStats
+ * @param {number} months - Months without a play
+ * @param {number} now - Current timestamp (default: Date.now())
+ * @returns {Array} Neglected songs, never-played first, then longest since played
+ */
+export function getNeglectedSongs(stats, months, now = Date.now()) {
+  const cutoff = new Date(now);
+  cutoff.setMonth(cutoff.getMonth() - months);
+  return stats
+    .filter(stat => !stat.lastPlayedAt || stat.lastPlayedAt < cutoff.getTime())
+    .sort((a, b) => (a.lastPlayedAt || 0) - (b.lastPlayedAt || 0)
+      || (a.song.title || '').localeCompare(b.song.title || ''));
+}
+
+/**
+ * Sort play stats for display
+ * @param {Array} stats - Results of getSongPlayStats
+ * @param {string} sortBy - One of PLAY_SORT_OPTIONS values
+ * @returns {Array} Sorted copy
+ */
+export function sortSongPlayStats(stats, sortBy) {
+  const byTitle = (a, b) => (a.song.title || '').localeCompare(b.song.title || '');
+  const sorted = [...stats];
+  switch (sortBy) {
+    case 'recent':
+      return sorted.sort((a, b) => (b.lastPlayedAt || 0) - (a.lastPlayedAt || 0) || byTitle(a, b));
+    case 'neglected':
+      return sorted.sort((a, b) => (a.lastPlayedAt || 0) - (b.lastPlayedAt || 0) || byTitle(a, b));
+    case 'title':
+      return sorted.sort(byTitle);
+    case 'most':
+    default:
+      return sorted.sort((a, b) => b.playCount - a.playCount || byTitle(a, b));
+  }
+}
@@ -0,0 +1,607 @@
+/**
+ * Song Search Utility
+ *
+ * Shared search for the song lists (My Songs, a group's songs, adding songs
+ * to a songbook). Songs are indexed by title, artist, lyrics and chord names;
+ * matching ignores case and accents and allows small typos. Queries can mix
+ * plain words with facets, e.g.:
+ *
+ *   shanty artist:"longest johns" chord:Bb -chord:E chords:<=4 created:>2024
+ *
+ * Facets: artist, title, tag, group, creator (or by; "me" for your own
+ * songs), chord, chords (number of distinct chords) and created (date).
+ * A leading "-" excludes songs that match a word or facet, and quotes keep
+ * a phrase or value together.
+ *
+ * searchLyrics finds a remembered line ("the answer my friend") in the
+ * lyrics and returns snippets around each hit for highlighting.
+ */
+
+import { getChordKey } from './known-chords';
+import { getSongTags } from './song-metadata';
+import { parseLyricsWithChords } from './lyrics-helpers';
+
+// Facet names accepted in queries, with their aliases
+const FACET_ALIASES = {
+  artist: 'artist',
+  title: 'title',
+  tag: 'tag',
+  group: 'group',
+  creator: 'creator',
+  by: 'creator',
+  chord: 'chord',
+  chords: 'chords',
+  created: 'created',
+};
+
+// Relevance of a word match, by field and how closely it matched
+const FIELD_WEIGHTS = { title: 4, artist: 3, chords: 2, tags: 2, lyrics: 1 };
+const MATCH_WEIGHTS = { exact: 3, prefix: 2, fuzzy: 1 };
+
+export const SEARCH_SYNTAX_HELP = [
+  { example: 'wellerman', description: 'Title, artist, lyrics or chords (small typos are fine)' },
+  { example: '"leave her johnny"', description: 'Exact phrase' },
+  { example: 'artist:beatles', description: 'Artist (also title:, tag:, group:)' },
+  { example: 'creator:me', description: 'Added by you, or by a member (also by:)' },
+  { example: 'chord:Bb -chord:E', description: 'Uses B♭ but not E' },
+  { example: 'chords:<=4', description: 'Number of different chords (e.g., chords:3, chords:2-4)' },
+  { example: 'created:>2024-06', description: 'Date added (e.g., created:2024, created:<2024-01-15)' },
+  { example: '-christmas', description: 'Leave out songs matching a word' },
+];
+
+/**
+ * Normalize text for matching: lower case, without accents
+ * @param {string} text - Text
+ * @returns {string} Normalized text (e.g., "Café Olé" -> "cafe ole")
+ */
+export function normalizeSearchText(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Split text into normalized words (letters and digits of any script, plus # for sharps)
+ * @param {string} text - Text
+ * @returns {Array<string>} Words (e.g., "Кино — Группа крови" -> ["кино", "группа", "крови"])
+ */
+export function tokenizeSearchText(text) {
+  return normalizeSearchText(text)
+    .split(/[^\p{L}\p{M}\p{N}#]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Edit distance between two words, giving up once it exceeds a limit
+ * (swapping two neighbouring letters counts as one edit, e.g., "jdue" -> "jude")
+ * @param {string} a - Word
+ * @param {string} b - Word
+ * @param {number} limit - Largest distance of interest
+ * @returns {number} Distance, or limit + 1 if further apart than the limit
+ */
+function boundedEditDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Number of typos allowed for a search word (none for short words)
+ * @param {string} word - Search word
+ * @returns {number} Allowed edit distance
+ */
+function getTypoAllowance(word) {
+  if (word.length >= 8) return 2;
+  if (word.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Match a search word against indexed words
+ * @param {string} word - Normalized search word
+ * @param {Array<string>} tokens - Indexed words
+ * @param {boolean} allowTypos - Whether to accept near misses
+ * @returns {string|null} 'exact', 'prefix', 'fuzzy', or null if no word matches
+ */
+function matchWord(word, tokens, allowTypos = true) {
+  let best = null;
+  const allowance = allowTypos ? getTypoAllowance(word) : 0;
+
+  for (const token of tokens) {
+    if (token === word) return 'exact';
+    if (token.startsWith(word)) {
+      best = 'prefix';
+    } else if (!best && allowance > 0) {
+      // Compare whole words, and also the start of longer words (typos while still typing)
+      const distance = Math.min(
+        boundedEditDistance(word, token, allowance),
+        token.length > word.length
+          ? boundedEditDistance(word, token.slice(0, word.length), allowance)
+          : allowance + 1
+      );
+      if (distance <= allowance) {
+        best = 'fuzzy';
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Check that every word of a facet value matches the given words
+ * @param {string} value - Facet value (e.g., "longest johns")
+ * @param {Array<string>} tokens - Indexed words
+ * @returns {boolean} True if all value words match
+ */
+function matchesAllWords(value, tokens) {
+  const words = tokenizeSearchText(value);
+  return words.length > 0 && words.every(word => matchWord(word, tokens) !== null);
+}
+
+/**
+ * Split a query into words, "quoted phrases" and facet:value pairs
+ * @param {string} query - Search query
+ * @returns {Array<Object>} Parts: { facet (or null), value, negate, phrase, raw (text as typed) }
+ */
+function splitQuery(query) {
+  const parts = [];
+  const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+  let match;
+
+  while ((match = pattern.exec(query || '')) !== null) {
+    const [raw, minus, facetName, quoted, bare] = match;
+    const facet = facetName ? FACET_ALIASES[facetName.toLowerCase()] : null;
+    const value = (quoted ?? bare ?? '').trim();
+
+    if (facetName && !facet) {
+      // Not a facet we know (e.g., "re:member"), so search for it as typed
+      parts.push({ facet: null, value: `${facetName}:${value}`, negate: !!minus, phrase: false, raw });
+    } else if (value) {
+      parts.push({ facet, value, negate: !!minus, phrase: quoted !== undefined, raw });
+    }
+  }
+  return parts;
+}
+
+/**
+ * Split a search query into the text to look for and the filters narrowing it down
+ * (facets and -excluded words), e.g., for searching lyrics with the text only
+ * @param {string} query - Search query (e.g., 'artist:dylan "my friend" -live')
+ * @returns {Object} { text, filters } query strings (e.g., { text: 'my friend', filters: 'artist:dylan -live' })
+ */
+export function splitSearchFilters(query) {
+  const parts = splitQuery(query);
+  const isFilter = part => !!part.facet || part.negate;
+  return {
+    text: parts.filter(part => !isFilter(part)).map(part => part.value).join(' '),
+    filters: parts.filter(isFilter).map(part => part.raw.trim()).join(' '),
+  };
+}
+
+/**
+ * Parse a number comparison (e.g., "4", "<=4", ">3", "2-4")
+ * @param {string} value - Comparison text
+ * @returns {Function|null} (number) => boolean, or null if not a valid comparison
+ */
+function parseNumberComparison(value) {
+  const range = value.match(/^(\d+)\s*(?:-|\.\.)\s*(\d+)$/);
+  if (range) {
+    const [min, max] = [parseInt(range[1], 10), parseInt(range[2], 10)];
+    return count => count >= min && count <= max;
+  }
+
+  const comparison = value.match(/^(<=|>=|<|>|=)?\s*(\d+)$/);
+  if (!comparison) return null;
+  const target = parseInt(comparison[2], 10);
+  switch (comparison[1]) {
+    case '<': return count => count < target;
+    case '<=': return count => count <= target;
+    case '>': return count => count > target;
+    case '>=': return count => count >= target;
+    default: return count => count === target;
+  }
+}
+
+/**
+ * Get the time span of a date written as YYYY, YYYY-MM or YYYY-MM-DD (local time)
+ * @param {string} text - Date text
+ * @returns {Object|null} { start, end } timestamps (end exclusive), or null if not a date
+ */
+function parseDateSpan(text) {
+  const match = text.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+  if (!match) return null;
+
+  const year = parseInt(match[1], 10);
+  const month = match[2] ? parseInt(match[2], 10) - 1 : null;
+  const day = match[3] ? parseInt(match[3], 10) : null;
+  if (month !== null && (month < 0 || month > 11)) return null;
+  if (day !== null && (day < 1 || day > 31)) return null;
+
+  if (day !== null) {
+    return { start: new Date(year, month, day).getTime(), end: new Date(year, month, day + 1).getTime() };
+  }
+  if (month !== null) {
+    return { start: new Date(year, month, 1).getTime(), end: new Date(year, month + 1, 1).getTime() };
+  }
+  return { start: new Date(year, 0, 1).getTime(), end: new Date(year + 1, 0, 1).getTime() };
+}
+
+/**
+ * Parse a date comparison (e.g., "2024", ">2024-06", "<=2024-01-15", "2024-01..2024-06")
+ * @param {string} value - Comparison text
+ * @returns {Function|null} (timestamp) => boolean, or null if not a valid comparison
+ */
+function parseDateComparison(value) {
+  const range = value.split('..');
+  if (range.length === 2) {
+    const from = parseDateSpan(range[0].trim());
+    const to = parseDateSpan(range[1].trim());
+    if (!from || !to) return null;
+    return time => time >= from.start && time < to.end;
+  }
+
+  const comparison = value.match(/^(<=|>=|<|>)?\s*(.+)$/);
+  const span = comparison && parseDateSpan(comparison[2].trim());
+  if (!span) return null;
+  switch (comparison[1]) {
+    case '<': return time => time < span.start;
+    case '<=': return time => time < span.end;
+    case '>': return time => time >= span.end;
+    case '>=': return time => time >= span.start;
+    default: return time => time >= span.start && time < span.end;
+  }
+}
+
+/**
+ * Parse a search query
+ * @param {string} query - Search query (e.g., 'artist:beatles chord:Bb -chord:E')
+ * @returns {Object} { words, phrases, filters, isEmpty, hasUnusableText } where words/phrases
+ *   are { value, negate }, filters are { facet, value, negate, test } and hasUnusableText is
+ *   true when some text has no words to search for (e.g., "!!!")
+ */
+export function parseSearchQuery(query) {
+  const words = [];
+  const phrases = [];
+  const filters = [];
+  let hasUnusableText = false;
+
+  splitQuery(query).forEach(({ facet, value, negate, phrase }) => {
+    if (!facet) {
+      if (phrase) {
+        phrases.push({ value: normalizeSearchText(value), negate });
+      } else {
+        const valueWords = tokenizeSearchText(value);
+        hasUnusableText = hasUnusableText || valueWords.length === 0;
+        valueWords.forEach(word => words.push({ value: word, negate }));
+      }
+      return;
+    }
+
+    let test = null;
+    if (facet === 'chords') {
+      test = parseNumberComparison(value);
+    } else if (facet === 'created') {
+      test = parseDateComparison(value);
+    }
+    // Comparisons that don't parse are ignored rather than hiding every song
+    if ((facet === 'chords' || facet === 'created') && !test) return;
+
+    filters.push({ facet, value, negate, test });
+  });
+
+  return {
+    words,
+    phrases,
+    filters,
+    isEmpty: words.length === 0 && phrases.length === 0 && filters.length === 0,
+    hasUnusableText,
+  };
+}
+
+/**
+ * Get the distinct chord names used by a song
+ * @param {Object} song - Song object (chords JSON)
+ * @returns {Array<string>} Chord names
+ */
+function getSongChordNames(song) {
+  try {
+    const chords = song.chords ? JSON.parse(song.chords) : [];
+    return [...new Set(chords.map(c => c.chord).filter(Boolean))];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Map each song to the names of the groups it is shared with
+ * @param {Array} songShares - songShares records (songId, groupId)
+ * @param {Array} groups - Group records (id, name)
+ * @returns {Map<string, Array<string>>} Song ID -> group names
+ */
+export function getSongGroupNames(songShares, groups) {
+  const groupNames = new Map((groups || []).filter(Boolean).map(group => [group.id, group.name]));
+  const namesBySong = new Map();
+  (songShares || []).forEach(share => {
+    const name = groupNames.get(share?.groupId);
+    if (!name || !share.songId) return;
+    const names = namesBySong.get(share.songId) || [];
+    if (!names.includes(name)) {
+      namesBySong.set(share.songId, [...names, name]);
+    }
+  });
+  return namesBySong;
+}
+
+/**
+ * Map user IDs to the names the creator facet matches
+ * @param {Array} users - $users records (firstName, lastName, email)
+ * @returns {Map<string, string>} User ID -> name (and email)
+ */
+export function getCreatorNames(users) {
+  return new Map((users || []).filter(Boolean).map(user => [
+    user.id,
+    [user.firstName, user.lastName, user.email].filter(Boolean).join(' '),
+  ]));
+}
+
+/**
+ * Build a search index for a list of songs
+ * @param {Array} songs - Song objects
+ * @param {Object} options - Extra data for the group and creator facets
+ * @param {Map<string, Array<string>>} options.groupNamesBySongId - From getSongGroupNames
+ * @param {Map<string, string>} options.creatorNamesById - User ID -> display name
+ * @param {string} options.currentUserId - Signed-in user, for creator:me
+ * @returns {Object} Index for searchSongs
+ */
+export function buildSongSearchIndex(songs, options = {}) {
+  const { groupNamesBySongId = new Map(), creatorNamesById = new Map(), currentUserId = null } = options;
+
+  const entries = (songs || []).map(song => {
+    const chordNames = getSongChordNames(song);
+    const tags = getSongTags(song);
+    // Drop {heading:...}/{instruction:...} markers so "Chorus", "Repeat x2" etc. aren't searched as lyrics
+    const lyrics = (song.lyrics || '').replace(/\{(heading|instruction):[^}]*\}/g, ' ');
+
+    return {
+      song,
+      tokens: {
+        title: tokenizeSearchText(song.title),
+        artist: tokenizeSearchText(song.artist),
+        chords: chordNames.map(normalizeSearchText),
+        tags: tokenizeSearchText(tags.join(' ')),
+        lyrics: [...new Set(tokenizeSearchText(lyrics))],
+      },
+      text: normalizeSearchText([song.title, song.artist, lyrics].filter(Boolean).join('\n')).replace(/\s+/g, ' '),
+      chordKeys: new Set(chordNames.map(getChordKey)),
+      chordCount: chordNames.length,
+      groups: (groupNamesBySongId.get(song.id) || []).map(tokenizeSearchText),
+      creator: tokenizeSearchText(creatorNamesById.get(song.createdBy)),
+      isMine: !!currentUserId && song.createdBy === currentUserId,
+    };
+  });
+
+  return { entries };
+}
+
+/**
+ * Check a song against a facet filter
+ * @param {Object} entry - Index entry
+ * @param {Object} filter - Parsed filter
+ * @returns {boolean} True if the song has the facet value
+ */
+function matchesFilter(entry, filter) {
+  const { facet, value, test } = filter;
+  switch (facet) {
+    case 'artist':
+    case 'title':
+      return matchesAllWords(value, entry.tokens[facet]);
+    case 'tag':
+      return matchesAllWords(value, entry.tokens.tags);
+    case 'group':
+      return entry.groups.some(groupTokens => matchesAllWords(value, groupTokens));
+    case 'creator':
+      return value.toLowerCase() === 'me' ? entry.isMine : matchesAllWords(value, entry.creator);
+    case 'chord':
+      // Chord names are case sensitive apart from the root (chord:bb finds Bb)
+      return entry.chordKeys.has(getChordKey(value.charAt(0).toUpperCase() + value.slice(1)));
+    case 'chords':
+      return test(entry.chordCount);
+    case 'created':
+      return !!entry.song.createdAt && test(entry.song.createdAt);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Score how well a song matches the search words
+ * @param {Object} entry - Index entry
+ * @param {Array} words - Parsed search words (not negated)
+ * @returns {number} Relevance score, or 0 if any word doesn't match
+ */
+function scoreWords(entry, words) {
+  let score = 0;
+  for (const { value } of words) {
+    let best = 0;
+    Object.entries(FIELD_WEIGHTS).forEach(([field, fieldWeight]) => {
+      const match = matchWord(value, entry.tokens[field]);
+      if (match) {
+        best = Math.max(best, fieldWeight * MATCH_WEIGHTS[match]);
+      }
+    });
+    if (best === 0) return 0;
+    score += best;
+  }
+  return score;
+}
+
+/**
+ * Search songs
+ * @param {Object} index - Index from buildSongSearchIndex
+ * @param {string|Object} query - Query text, or a query from parseSearchQuery
+ * @returns {Array} Matching songs, best matches first when the query has words
+ *   (otherwise in index order); a query with only unsearchable text matches nothing
+ */
+export function searchSongs(index, query) {
+  const parsed = typeof query === 'string' ? parseSearchQuery(query) : query;
+  if (parsed.isEmpty) {
+    return parsed.hasUnusableText ? [] : index.entries.map(entry => entry.song);
+  }
+
+  const includeWords = parsed.words.filter(word => !word.negate);
+  const excludeWords = parsed.words.filter(word => word.negate);
+
+  const results = [];
+  index.entries.forEach((entry, position) => {
+    const passesFilters = parsed.filters.every(filter => matchesFilter(entry, filter) !== filter.negate);
+    const passesPhrases = parsed.phrases.every(phrase => entry.text.includes(phrase.value) !== phrase.negate);
+    // Excluded words only drop songs that really contain them (no typo matching)
+    const hasExcludedWord = excludeWords.some(({ value }) =>
+      Object.keys(FIELD_WEIGHTS).some(field => matchWord(value, entry.tokens[field], false) !== null)
+    );
+    if (!passesFilters || !passesPhrases || hasExcludedWord) return;
+
+    const score = includeWords.length > 0 ? scoreWords(entry, includeWords) : 1;
+    if (score > 0) {
+      results.push({ song: entry.song, score, position });
+    }
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score || a.position - b.position)
+    .map(result => result.song);
+}
+
+// Characters of context shown either side of a lyric hit
+const SNIPPET_CONTEXT = 40;
+// Words in lyrics, keeping apostrophes inside them (e.g., "don't", "blowin'")
+const LYRIC_WORD_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+/**
+ * Normalize a lyric word for matching (no case, accents or apostrophes: "Don't" -> "dont")
+ * @param {string} word - Word
+ * @returns {string} Normalized word
+ */
+function normalizeLyricWord(word) {
+  return normalizeSearchText(word).replace(/['’]/g, '');
+}
+
+/**
+ * Get a song's lyrics as plain text, without chord, heading or instruction markers
+ * @param {string} lyrics - Song lyrics
+ * @returns {string} Plain lyrics
+ */
+export function getPlainLyrics(lyrics) {
+  return parseLyricsWithChords(lyrics || '').lyrics
+    .replace(/\{(heading|instruction):[^}]*\}/g, '');
+}
+
+/**
+ * Cut a snippet of text around a hit, on word boundaries
+ * @param {string} text - Plain lyrics
+ * @param {number} start - Hit start index
+ * @param {number} end - Hit end index (exclusive)
+ * @returns {Object} { before, match, after } with line breaks shown as " / "
+ */
+function getSnippet(text, start, end) {
+  let from = Math.max(0, start - SNIPPET_CONTEXT);
+  let to = Math.min(text.length, end + SNIPPET_CONTEXT);
+  // Don't start or end in the middle of a word
+  if (from > 0) {
+    const space = text.slice(from, start).search(/\s/);
+    from = space === -1 ? start : from + space + 1;
+  }
+  if (to < text.length) {
+    const space = text.slice(end, to).search(/\s[^\s]*$/);
+    to = space === -1 ? end : end + space;
+  }
+
+  const format = (part) => part.replace(/\s*\n\s*/g, ' / ').replace(/[ \t]+/g, ' ');
+  return {
+    before: (from > 0 ? '…' : '') + format(text.slice(from, start)).replace(/^ \/ /, ''),
+    match: format(text.slice(start, end)),
+    after: format(text.slice(end, to)).replace(/ \/ $/, '') + (to < text.length ? '…' : ''),
+  };
+}
+
+/**
+ * Build a lyric search index (plain lyrics and their words for each song)
+ * Build it once per song list and reuse it for every query.
+ * @param {Array} songs - Song objects
+ * @returns {Object} Index for searchLyrics
+ */
+export function buildLyricSearchIndex(songs) {
+  return {
+    entries: (songs || []).map(song => {
+      const text = getPlainLyrics(song.lyrics);
+      const words = Array.from(text.matchAll(LYRIC_WORD_PATTERN), match => ({
+        value: normalizeLyricWord(match[0]),
+        start: match.index,
+        end: match.index + match[0].length,
+      }));
+      return { song, text, words };
+    }),
+  };
+}
+
+/**
+ * Search song lyrics for a line
+ * Words must appear in order (across line breaks, ignoring punctuation, case
+ * and accents); the last word may be unfinished.
+ * @param {Object} index - Index from buildLyricSearchIndex
+ * @param {string} query - Words to find (e.g., "the answer my friend"); facets and
+ *   -excluded words are not lyrics, so split them out first (see splitSearchFilters)
+ * @param {Object} options - Additional options
+ * @param {number} options.maxSnippets - Snippets returned per song (default 3)
+ * @returns {Array} { song, hitCount, snippets: [{ before, match, after }] }, most hits first
+ */
+export function searchLyrics(index, query, options = {}) {
+  const { maxSnippets = 3 } = options;
+  const queryWords = (normalizeSearchText(query).match(LYRIC_WORD_PATTERN) || []).map(normalizeLyricWord);
+  if (queryWords.length === 0) return [];
+
+  const results = [];
+  index.entries.forEach(({ song, text, words }) => {
+    const hits = [];
+    for (let i = 0; i + queryWords.length <= words.length; i++) {
+      const isHit = queryWords.every((queryWord, k) => {
+        const word = words[i + k].value;
+        return k === queryWords.length - 1 ? word.startsWith(queryWord) : word === queryWord;
+      });
+      if (isHit) {
+        hits.push({ start: words[i].start, end: words[i + queryWords.length - 1].end });
+        i += queryWords.length - 1;
+      }
+    }
+
+    if (hits.length > 0) {
+      results.push({
+        song,
+        hitCount: hits.length,
+        snippets: hits.slice(0, maxSnippets).map(hit => getSnippet(text, hit.start, hit.end)),
+      });
+    }
+  });
+
+  return results.sort((a, b) =>
+    b.hitCount - a.hitCount || (a.song.title || '').localeCompare(b.song.title || '')
+  );
+}
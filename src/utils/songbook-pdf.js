@@ -0,0 +1,302 @@
+/**
+ * Songbook PDF Export Utility
+ *
+ * Builds one print-ready PDF for a whole songbook: a cover page, a numbered
+ * table of contents in songbook order, each song starting on a new page,
+ * page footers, an alphabetical index and an optional chord appendix.
+ * Song pages are drawn by renderSongPages from song-pdf.
+ */
+
+import {
+  DEFAULT_PDF_OPTIONS,
+  createPDFDocument,
+  getPageMetrics,
+  drawChordDiagramStrip,
+  renderSongPages,
+} from './song-pdf';
+import { getSongChordDiagrams } from './chord-library';
+import { getSongKey } from './key-detection';
+import { toFileName } from './download';
+
+const TEXT_COLOR = [17, 24, 39];   // gray-900
+const MUTED_COLOR = [75, 85, 99];  // gray-600
+const RULE_COLOR = [209, 213, 219]; // gray-300
+
+const LIST_FONT_SIZE = 11;
+const LIST_LINE_HEIGHT = 20;
+const LIST_HEADER_HEIGHT = 60;
+
+// Footer baseline distance from the bottom edge (inside the bottom margin)
+const FOOTER_OFFSET = 22;
+
+/**
+ * Number of list entries (TOC or index) that fit on one page
+ * @param {Object} doc - jsPDF document
+ * @returns {number} Entries per page
+ */
+function getEntriesPerPage(doc) {
+  const metrics = getPageMetrics(doc);
+  return Math.max(1, Math.floor((metrics.bottom - metrics.top - LIST_HEADER_HEIGHT) / LIST_LINE_HEIGHT));
+}
+
+/**
+ * Draw a page heading (e.g., "Contents", "Index")
+ * @param {Object} doc - jsPDF document
+ * @param {string} text - Heading text
+ * @returns {number} y position below the heading
+ */
+function drawPageHeading(doc, text) {
+  const metrics = getPageMetrics(doc);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(22);
+  doc.setTextColor(...TEXT_COLOR);
+  doc.text(text, metrics.left, metrics.top + 22);
+  doc.setDrawColor(...RULE_COLOR);
+  doc.setLineWidth(1);
+  doc.line(metrics.left, metrics.top + 34, metrics.right, metrics.top + 34);
+  return metrics.top + LIST_HEADER_HEIGHT;
+}
+
+/**
+ * Draw one list entry with a dotted leader to the page number
+ * @param {Object} doc - jsPDF document
+ * @param {number} y - Baseline y position
+ * @param {string} label - Entry text (e.g., "1. Hey Jude")
+ * @param {string} detail - Muted text after the label (e.g., artist)
+ * @param {number} pageNumber - Page the entry points to
+ */
+function drawListEntry(doc, y, label, detail, pageNumber) {
+  const metrics = getPageMetrics(doc);
+  const pageText = String(pageNumber);
+
+  doc.setFontSize(LIST_FONT_SIZE);
+  doc.setFont('helvetica', 'normal');
+  const pageWidth = doc.getTextWidth(pageText);
+  const maxTextWidth = metrics.contentWidth - pageWidth - 24;
+
+  // Truncate long titles so the page number always has room
+  let text = label;
+  if (doc.getTextWidth(text) > maxTextWidth) {
+    while (text.length > 1 && doc.getTextWidth(`${text}…`) > maxTextWidth) {
+      text = text.slice(0, -1);
+    }
+    text = `${text.trimEnd()}…`;
+  }
+
+  doc.setTextColor(...TEXT_COLOR);
+  doc.text(text, metrics.left, y);
+  let x = metrics.left + doc.getTextWidth(text);
+
+  if (detail && x + doc.getTextWidth(` – ${detail}`) < metrics.left + maxTextWidth) {
+    doc.setTextColor(...MUTED_COLOR);
+    doc.text(` – ${detail}`, x, y);
+    x += doc.getTextWidth(` – ${detail}`);
+  }
+
+  // Dotted leader
+  doc.setTextColor(...MUTED_COLOR);
+  const dotWidth = doc.getTextWidth(' .');
+  const leaderEnd = metrics.right - pageWidth - 6;
+  const dotCount = Math.floor((leaderEnd - x - 6) / dotWidth);
+  if (dotCount > 0) {
+    doc.text(' .'.repeat(dotCount), leaderEnd, y, { align: 'right' });
+  }
+
+  doc.setTextColor(...TEXT_COLOR);
+  doc.text(pageText, metrics.right, y, { align: 'right' });
+}
+
+/**
+ * Draw a list of entries across pages, starting on the current page
+ * @param {Object} doc - jsPDF document
+ * @param {string} heading - Heading for the first page
+ * @param {Array} entries - Array of { label, detail, page }
+ * @param {number} firstPage - Page number to start on (pages must already exist)
+ */
+function drawListPages(doc, heading, entries, firstPage) {
+  const perPage = getEntriesPerPage(doc);
+
+  for (let i = 0; i < entries.length; i += perPage) {
+    doc.setPage(firstPage + i / perPage);
+    let y = drawPageHeading(doc, i === 0 ? heading : `${heading} (continued)`);
+    entries.slice(i, i + perPage).forEach(entry => {
+      drawListEntry(doc, y, entry.label, entry.detail, entry.page);
+      y += LIST_LINE_HEIGHT;
+    });
+  }
+}
+
+/**
+ * Draw the cover page
+ * @param {Object} doc - jsPDF document
+ * @param {Object} songbook - Songbook object (title, description)
+ * @param {number} songCount - Number of songs in the book
+ */
+function drawCoverPage(doc, songbook, songCount) {
+  const metrics = getPageMetrics(doc);
+  const centerX = metrics.width / 2;
+  let y = metrics.height * 0.35;
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(32);
+  doc.setTextColor(...TEXT_COLOR);
+  const titleLines = doc.splitTextToSize(songbook.title || 'Songbook', metrics.contentWidth);
+  doc.text(titleLines, centerX, y, { align: 'center' });
+  y += 38 * titleLines.length;
+
+  if (songbook.description) {
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(14);
+    doc.setTextColor(...MUTED_COLOR);
+    const descriptionLines = doc.splitTextToSize(songbook.description, metrics.contentWidth * 0.8);
+    doc.text(descriptionLines, centerX, y + 8, { align: 'center' });
+    y += 8 + 18 * descriptionLines.length;
+  }
+
+  doc.setDrawColor(...RULE_COLOR);
+  doc.setLineWidth(1);
+  doc.line(centerX - 60, y + 12, centerX + 60, y + 12);
+
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(12);
+  doc.setTextColor(...MUTED_COLOR);
+  const dateText = new Date().toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+  doc.text(`${songCount} song${songCount !== 1 ? 's' : ''}  ·  ${dateText}`, centerX, y + 36, { align: 'center' });
+}
+
+/**
+ * Draw footers (songbook title and page number) on every page except the cover
+ * @param {Object} doc - jsPDF document
+ * @param {string} title - Songbook title
+ */
+function drawFooters(doc, title) {
+  const pageCount = doc.internal.getNumberOfPages();
+
+  for (let page = 2; page <= pageCount; page++) {
+    doc.setPage(page);
+    const metrics = getPageMetrics(doc);
+    const y = metrics.height - FOOTER_OFFSET;
+
+    doc.setDrawColor(...RULE_COLOR);
+    doc.setLineWidth(0.5);
+    doc.line(metrics.left, y - 12, metrics.right, y - 12);
+
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.setTextColor(...MUTED_COLOR);
+    if (title) {
+      doc.text(title, metrics.left, y);
+    }
+    doc.text(`Page ${page}`, metrics.right, y, { align: 'right' });
+  }
+}
+
+/**
+ * Create a PDF document for a whole songbook
+ * @param {Object} songbook - Songbook object (title, description)
+ * @param {Array} songs - Song objects in songbook order
+ * @param {Object} options - Render options (see renderSongPages) plus:
+ * @param {string} options.paperSize - Paper size id
+ * @param {boolean} options.includeChordAppendix - Add a page of every chord diagram used
+ * @param {Array} options.databaseChords - Database chords used to look up diagrams
+ * @param {string} options.instrument - Instrument for chord diagrams (default "ukulele")
+ * @param {string} options.tuning - Tuning for chord diagrams (default "ukulele_standard")
+ * @returns {Promise<Object>} jsPDF document
+ */
+export async function createSongbookPDF(songbook, songs, options = {}) {
+  const {
+    paperSize = DEFAULT_PDF_OPTIONS.paperSize,
+    includeChordAppendix = false,
+    databaseChords = [],
+    instrument = 'ukulele',
+    tuning = 'ukulele_standard',
+    ...renderOptions
+  } = options;
+
+  const doc = await createPDFDocument(paperSize);
+  doc.setProperties({ title: songbook.title || 'Songbook', subject: songbook.description || '' });
+
+  // Cover
+  drawCoverPage(doc, songbook, songs.length);
+
+  // Reserve pages for the table of contents; they are filled in once page numbers are known
+  const perPage = getEntriesPerPage(doc);
+  const tocFirstPage = 2;
+  const tocPageCount = Math.max(1, Math.ceil(songs.length / perPage));
+  for (let i = 0; i < tocPageCount; i++) {
+    doc.addPage();
+  }
+
+  // Songs, each starting on a new page
+  const entries = [];
+  const appendixChords = new Map();
+  songs.forEach((song, index) => {
+    const chordDiagrams = getSongChordDiagrams(song, instrument, tuning, { databaseChords });
+    chordDiagrams.forEach(diagram => {
+      if (!appendixChords.has(diagram.name)) {
+        appendixChords.set(diagram.name, diagram);
+      }
+    });
+
+    doc.addPage();
+    const { firstPage } = renderSongPages(doc, song, {
+      ...renderOptions,
+      chordDiagrams,
+      key: getSongKey(song),
+    });
+
+    entries.push({
+      number: index + 1,
+      title: song.title || 'Untitled',
+      artist: song.artist || '',
+      page: firstPage,
+    });
+  });
+
+  // Alphabetical index
+  if (entries.length > 0) {
+    const indexEntries = [...entries]
+      .sort((a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base' }))
+      .map(entry => ({ label: entry.title, detail: entry.artist, page: entry.page }));
+    const indexFirstPage = doc.internal.getNumberOfPages() + 1;
+    const indexPageCount = Math.ceil(indexEntries.length / perPage);
+    for (let i = 0; i < indexPageCount; i++) {
+      doc.addPage();
+    }
+    drawListPages(doc, 'Index', indexEntries, indexFirstPage);
+    doc.setPage(doc.internal.getNumberOfPages());
+  }
+
+  // Chord appendix
+  if (includeChordAppendix && appendixChords.size > 0) {
+    doc.addPage();
+    const y = drawPageHeading(doc, 'Chord Appendix');
+    const diagrams = [...appendixChords.values()]
+      .sort((a, b) => a.name.localeCompare(b.name));
+    drawChordDiagramStrip(doc, diagrams, y);
+  }
+
+  // Table of contents
+  const tocEntries = entries.map(entry => ({
+    label: `${entry.number}. ${entry.title}`,
+    detail: entry.artist,
+    page: entry.page,
+  }));
+  drawListPages(doc, 'Contents', tocEntries, tocFirstPage);
+
+  drawFooters(doc, songbook.title);
+
+  return doc;
+}
+
+/**
+ * Create and download a PDF of a whole songbook
+ * @param {Object} songbook - Songbook object
+ * @param {Array} songs - Song objects in songbook order
+ * @param {Object} options - Options (see createSongbookPDF)
+ * @returns {Promise<void>}
+ */
+export async function exportSongbookPDF(songbook, songs, options = {}) {
+  const doc = await createSongbookPDF(songbook, songs, options);
+  doc.save(`${toFileName(songbook.title, 'songbook')}.pdf`);
+}
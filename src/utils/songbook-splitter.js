@@ -0,0 +1,372 @@
+/**
+ * Songbook Splitter Utility
+ *
+ * Splits the pages of a multi-song PDF (e.g., a club songbook) into separate
+ * songs. Repeated page headers/footers and page numbers are stripped, then
+ * song boundaries are detected from title-like lines: larger-than-body text
+ * when the PDF has font sizes, otherwise the first line of each page.
+ * The detected songs can be merged, split and renamed before import.
+ */
+
+import { parseSongFromText, isChordLine } from './song-parser';
+
+const SECTION_PATTERN = /^[([]?\s*(verse|chorus|pre-chorus|bridge|intro|outro|refrain|instrumental|solo|coda|tag|interlude|ending|repeat)\b/i;
+const PAGE_NUMBER_PATTERN = /^(page\s*)?[-–—]?\s*\d{1,4}\s*[-–—]?(\s*(of|\/)\s*\d{1,4})?$/i;
+const NUMBERED_TITLE_PATTERN = /^(\d{1,3})[.)]?\s+(?=\D)(.+)$/;
+
+// A line counts as a title when its font is this much larger than the body text
+const TITLE_FONT_RATIO = 1.2;
+
+// Lines checked at the top/bottom of each page for repeated headers and footers
+const HEADER_FOOTER_LINES = 2;
+
+let segmentCounter = 0;
+
+/**
+ * Create a unique id for a detected song
+ * @returns {string} Segment ID
+ */
+function nextSegmentId() {
+  segmentCounter += 1;
+  return `segment-${segmentCounter}`;
+}
+
+/**
+ * Check if a line could be a song title
+ * @param {string} text - Line text
+ * @returns {boolean} True if the line looks like a title
+ */
+function isTitleLike(text) {
+  const trimmed = text.trim();
+  return trimmed.length >= 2 &&
+    trimmed.length <= 80 &&
+    /[a-zA-Z]{2,}/.test(trimmed) &&
+    !/[,;]$/.test(trimmed) &&
+    !/^[a-z]/.test(trimmed) &&
+    !isChordLine(trimmed) &&
+    !SECTION_PATTERN.test(trimmed) &&
+    !PAGE_NUMBER_PATTERN.test(trimmed);
+}
+
+/**
+ * Normalize a header/footer line so "Page 3" and "Page 4" compare equal
+ * @param {string} text - Line text
+ * @returns {string} Normalized text
+ */
+function headerKey(text) {
+  return text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalize pages into { pageNumber, lines: [{ text, fontSize, items }] } without blank lines
+ * @param {Array} pages - Pages from extractPagesFromPDF, or page text strings (OCR)
+ * @returns {Array} Normalized pages
+ */
+function normalizePages(pages) {
+  return pages.map((page, index) => {
+    const lines = typeof page === 'string'
+      ? page.split('\n').map(text => ({ text, fontSize: null }))
+      : (page.lines || []);
+    return {
+      pageNumber: page.pageNumber || index + 1,
+      lines: lines
+        .map(line => ({
+          text: line.text.replace(/\s+$/, ''),
+          fontSize: line.fontSize || null,
+          items: line.items || null,
+        }))
+        .filter(line => line.text.trim().length > 0),
+    };
+  });
+}
+
+/**
+ * Remove repeated page headers/footers and bare page numbers
+ * A line is treated as a header/footer when it appears at the top or bottom
+ * of at least 40% of pages (and at least 3 pages)
+ * @param {Array} pages - Normalized pages
+ * @returns {Array} Pages with headers and footers removed
+ */
+function stripHeadersAndFooters(pages) {
+  const edgeIndexes = (lines) => {
+    const indexes = new Set();
+    for (let i = 0; i < Math.min(HEADER_FOOTER_LINES, lines.length); i++) {
+      indexes.add(i);
+      indexes.add(lines.length - 1 - i);
+    }
+    return [...indexes];
+  };
+
+  const counts = new Map();
+  pages.forEach(page => {
+    const keys = new Set(edgeIndexes(page.lines).map(i => headerKey(page.lines[i].text)));
+    keys.forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+  });
+
+  const minCount = Math.max(3, Math.ceil(pages.length * 0.4));
+  const repeated = new Set(
+    [...counts.entries()]
+      .filter(([, count]) => count >= minCount)
+      .map(([key]) => key)
+  );
+
+  return pages.map(page => {
+    const edges = new Set(edgeIndexes(page.lines));
+    return {
+      ...page,
+      lines: page.lines.filter((line, index) => {
+        if (!edges.has(index)) return true;
+        const text = line.text.trim();
+        return !repeated.has(headerKey(text)) && !PAGE_NUMBER_PATTERN.test(text);
+      }),
+    };
+  });
+}
+
+/**
+ * Get the most common font size (the body text size)
+ * @param {Array} pages - Normalized pages
+ * @returns {number|null} Body font size, or null if the pages have no font sizes
+ */
+function getBodyFontSize(pages) {
+  const counts = new Map();
+  pages.forEach(page => {
+    page.lines.forEach(line => {
+      if (line.fontSize) {
+        const size = Math.round(line.fontSize * 2) / 2;
+        counts.set(size, (counts.get(size) || 0) + 1);
+      }
+    });
+  });
+  if (counts.size === 0) return null;
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0])[0][0];
+}
+
+/**
+ * Work out title and artist from the first lines of a song
+ * Handles "12. Title", "Title - Artist", "Title by Artist", "Title (Artist)"
+ * and an artist on the next line ("by Artist" or "Artist: Name")
+ * @param {Array<string>} lines - Song lines (title first)
+ * @param {boolean} secondLineIsHeader - Whether the second line is part of the heading (e.g., large font)
+ * @returns {Object} { title, artist, bodyStart }
+ */
+export function describeSongLines(lines, secondLineIsHeader = false) {
+  if (lines.length === 0) {
+    return { title: '', artist: '', bodyStart: 0 };
+  }
+
+  let title = lines[0].trim();
+  let artist = '';
+  let bodyStart = 1;
+
+  const numberedMatch = title.match(NUMBERED_TITLE_PATTERN);
+  if (numberedMatch) {
+    title = numberedMatch[2].trim();
+  }
+
+  const byMatch = title.match(/^(.+?)\s+by\s+(.+)$/i);
+  const dashMatch = title.match(/^(.+?)\s+[-–—]\s+(.+)$/);
+  const parenMatch = title.match(/^(.+?)\s*\((.+?)\)\s*$/);
+  if (byMatch) {
+    [, title, artist] = byMatch;
+  } else if (dashMatch) {
+    [, title, artist] = dashMatch;
+  } else if (parenMatch) {
+    [, title, artist] = parenMatch;
+  }
+
+  const secondLine = lines[1]?.trim() || '';
+  if (!artist && secondLine) {
+    const artistMatch = secondLine.match(/^(?:by|artist:)\s*(.+)$/i);
+    if (artistMatch) {
+      artist = artistMatch[1];
+      bodyStart = 2;
+    } else if (secondLineIsHeader && isTitleLike(secondLine)) {
+      artist = secondLine;
+      bodyStart = 2;
+    }
+  }
+
+  return { title: title.trim(), artist: artist.trim(), bodyStart };
+}
+
+/**
+ * Create a segment (detected song) from its lines
+ * @param {Array<string>} lines - Song lines
+ * @param {number} startPage - First page of the song
+ * @param {number} endPage - Last page of the song
+ * @param {Object} options - Additional options
+ * @param {boolean} options.secondLineIsHeader - Whether the second line is part of the heading
+ * @param {boolean} options.include - Whether to import the segment (default true)
+ * @param {Array} options.geometry - PDF text positions, one per line ([{ text, items }]); empty for OCR text
+ * @param {Array<number>} options.linePages - Page number of each line
+ * @returns {Object} Segment { id, title, artist, lines, geometry, linePages, bodyStart, startPage, endPage, include }
+ */
+function createSegment(lines, startPage, endPage, options = {}) {
+  const { title, artist, bodyStart } = describeSongLines(lines, options.secondLineIsHeader);
+  return {
+    id: nextSegmentId(),
+    title,
+    artist,
+    lines,
+    geometry: options.geometry || [],
+    linePages: options.linePages || [],
+    bodyStart,
+    startPage,
+    endPage,
+    // Title-only segments (e.g., a cover page) are not imported by default
+    include: options.include !== false && lines.length > bodyStart,
+  };
+}
+
+/**
+ * Split songbook pages into separate songs
+ * @param {Array} pages - Pages from extractPagesFromPDF ({ pageNumber, lines }) or page text strings (OCR)
+ * @returns {Array} Detected songs: [{ id, title, artist, lines, geometry, linePages, bodyStart, startPage, endPage, include }]
+ */
+export function splitSongbookPages(pages) {
+  const cleanPages = stripHeadersAndFooters(normalizePages(pages));
+  const bodyFontSize = getBodyFontSize(cleanPages);
+
+  const isLargeLine = (line) => Boolean(
+    bodyFontSize && line.fontSize && line.fontSize >= bodyFontSize * TITLE_FONT_RATIO
+  );
+
+  // Only trust font sizes when the PDF actually uses larger titles
+  const largeTitleCount = cleanPages.reduce(
+    (count, page) => count + page.lines.filter(line => isLargeLine(line) && isTitleLike(line.text)).length,
+    0
+  );
+  const useFontSizes = largeTitleCount >= Math.min(2, cleanPages.length);
+
+  const segments = [];
+  let current = null;
+  let previousLarge = false;
+
+  const startSegment = (pageNumber, options = {}) => {
+    current = { lines: [], geometry: [], linePages: [], startPage: pageNumber, endPage: pageNumber, ...options };
+    segments.push(current);
+  };
+
+  cleanPages.forEach(page => {
+    previousLarge = false;
+    page.lines.forEach((line, index) => {
+      const large = useFontSizes && isLargeLine(line);
+      const text = line.text.trim();
+
+      let isBoundary;
+      if (useFontSizes) {
+        // Consecutive large lines (title + subtitle) belong to the same heading
+        isBoundary = large && !previousLarge && isTitleLike(text);
+      } else {
+        // Without font sizes, songs start at the top of a page or at a numbered title
+        isBoundary = isTitleLike(text) && (index === 0 || NUMBERED_TITLE_PATTERN.test(text));
+      }
+
+      if (isBoundary) {
+        const nextLine = page.lines[index + 1];
+        startSegment(page.pageNumber, {
+          secondLineIsHeader: Boolean(nextLine && useFontSizes && isLargeLine(nextLine)),
+        });
+      } else if (!current) {
+        // Content before the first title (cover, contents) is kept but not imported by default
+        startSegment(page.pageNumber, { include: false });
+      }
+
+      current.lines.push(line.text);
+      current.linePages.push(page.pageNumber);
+      if (line.items) {
+        current.geometry.push({ text: line.text, items: line.items });
+      }
+      current.endPage = page.pageNumber;
+      previousLarge = large;
+    });
+  });
+
+  return segments.map(segment =>
+    createSegment(segment.lines, segment.startPage, segment.endPage, {
+      secondLineIsHeader: segment.secondLineIsHeader,
+      include: segment.include,
+      geometry: segment.geometry,
+      linePages: segment.linePages,
+    })
+  );
+}
+
+/**
+ * Merge a detected song with the one after it
+ * The merged song keeps the first song's title and artist
+ * @param {Array} segments - Detected songs
+ * @param {number} index - Index of the first song to merge
+ * @returns {Array} New segments array
+ */
+export function mergeSongSegments(segments, index) {
+  const first = segments[index];
+  const second = segments[index + 1];
+  if (!first || !second) return segments;
+
+  const merged = {
+    ...first,
+    lines: [...first.lines, ...second.lines],
+    geometry: [...first.geometry, ...second.geometry],
+    linePages: [...first.linePages, ...second.linePages],
+    endPage: Math.max(first.endPage, second.endPage),
+    include: first.include || second.include,
+  };
+
+  return [...segments.slice(0, index), merged, ...segments.slice(index + 2)];
+}
+
+/**
+ * Split a detected song in two, starting a new song at the given line
+ * @param {Array} segments - Detected songs
+ * @param {number} index - Index of the song to split
+ * @param {number} lineIndex - Line that becomes the new song's title
+ * @returns {Array} New segments array
+ */
+export function splitSongSegment(segments, index, lineIndex) {
+  const segment = segments[index];
+  if (!segment || lineIndex <= 0 || lineIndex >= segment.lines.length) return segments;
+
+  // Each half spans the pages of its own lines
+  const splitPage = segment.linePages[lineIndex] ?? segment.endPage;
+  const first = {
+    ...segment,
+    lines: segment.lines.slice(0, lineIndex),
+    geometry: segment.geometry.slice(0, lineIndex),
+    linePages: segment.linePages.slice(0, lineIndex),
+    bodyStart: Math.min(segment.bodyStart, lineIndex),
+    endPage: segment.linePages[lineIndex - 1] ?? segment.endPage,
+  };
+  const second = createSegment(segment.lines.slice(lineIndex), splitPage, segment.endPage, {
+    include: segment.include,
+    geometry: segment.geometry.slice(lineIndex),
+    linePages: segment.linePages.slice(lineIndex),
+  });
+
+  return [...segments.slice(0, index), first, second, ...segments.slice(index + 1)];
+}
+
+/**
+ * Convert a detected song into song data for import
+ * The title and artist come from the segment (they can be edited before import);
+ * the musical details are the ones the parser found in the song's lines.
+ * @param {Object} segment - Detected song
+ * @returns {Object} { title, artist, key, tempo, timeSignature, capo, year, lyricsText }
+ */
+export function segmentToSongData(segment) {
+  const bodyText = segment.lines.slice(segment.bodyStart).join('\n');
+  const { key, tempo, timeSignature, capo, year, lyricsText } = parseSongFromText(bodyText, {
+    lineGeometry: segment.geometry.length > 0 ? segment.geometry : null,
+  });
+  return {
+    title: segment.title.trim() || 'Untitled Song',
+    artist: segment.artist.trim(),
+    key,
+    tempo,
+    timeSignature,
+    capo,
+    year,
+    lyricsText,
+  };
+}
@@ -0,0 +1,183 @@
+/**
+ * Chord Transposition Utility
+ *
+ * Parses chord names into root/quality/bass parts and shifts them by a number
+ * of semitones. Accidentals are spelled to suit the target key, so a song
+ * moved into F uses Bb rather than A#.
+ */
+
+export const SHARP_NOTES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+export const FLAT_NOTES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Conventional key names for each pitch class (index = semitone above C)
+const MAJOR_KEY_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+const MINOR_KEY_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'G#', 'A', 'Bb', 'B'];
+
+// Keys whose signatures use flats
+const FLAT_MAJOR_KEYS = ['F', 'Bb', 'Eb', 'Ab', 'Db', 'Gb', 'Cb'];
+const FLAT_MINOR_KEYS = ['D', 'G', 'C', 'F', 'Bb', 'Eb', 'Ab'];
+
+const NATURAL_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/**
+ * Convert a note name to its pitch class
+ * @param {string} note - Note name (e.g., "C", "F#", "Bb", "E♭")
+ * @returns {number|null} Semitone above C (0-11), or null if not a note
+ */
+export function noteToSemitone(note) {
+  if (!note) return null;
+  const match = note.trim().match(/^([A-Ga-g])([#b♯♭]*)$/);
+  if (!match) return null;
+
+  let semitone = NATURAL_SEMITONES[match[1].toUpperCase()];
+  for (const accidental of match[2]) {
+    semitone += (accidental === '#' || accidental === '♯') ? 1 : -1;
+  }
+  return ((semitone % 12) + 12) % 12;
+}
+
+/**
+ * Convert a pitch class to a note name
+ * @param {number} semitone - Semitone above C (any integer, wrapped to 0-11)
+ * @param {boolean} preferFlats - Spell accidentals as flats instead of sharps
+ * @returns {string} Note name
+ */
+export function semitoneToNote(semitone, preferFlats = false) {
+  const index = ((semitone % 12) + 12) % 12;
+  return preferFlats ? FLAT_NOTES[index] : SHARP_NOTES[index];
+}
+
+/**
+ * Split a chord name into root, quality and optional bass note
+ * @param {string} chordName - Chord name (e.g., "C#m7", "Gsus4", "D/F#", "Bbmaj7")
+ * @returns {Object|null} { root, quality, bass } or null if the name has no recognisable root
+ */
+export function parseChordName(chordName) {
+  if (!chordName) return null;
+  const match = chordName.trim().match(/^([A-G])([#b♯♭]?)(.*)$/);
+  if (!match) return null;
+
+  let quality = match[3];
+  let bass = null;
+
+  // Slash chord: only treat the part after the last "/" as a bass note if it is one
+  const slashIndex = quality.lastIndexOf('/');
+  if (slashIndex !== -1) {
+    const bassCandidate = quality.slice(slashIndex + 1);
+    if (noteToSemitone(bassCandidate) !== null) {
+      bass = normalizeAccidentals(bassCandidate);
+      quality = quality.slice(0, slashIndex);
+    }
+  }
+
+  return {
+    root: normalizeAccidentals(match[1] + match[2]),
+    quality,
+    bass,
+  };
+}
+
+/**
+ * Replace unicode accidentals with their ASCII equivalents
+ * @param {string} note - Note name
+ * @returns {string} Note name using # and b
+ */
+function normalizeAccidentals(note) {
+  return note.replace('♯', '#').replace('♭', 'b');
+}
+
+/**
+ * Check whether a chord quality is minor (m, m7, min, -7 etc. but not maj)
+ * @param {string} quality - Chord quality as returned by parseChordName
+ * @returns {boolean} True if the chord is minor
+ */
+export function isMinorQuality(quality) {
+  if (!quality) return false;
+  if (/^maj/i.test(quality) || /^M(?!in)/.test(quality)) return false;
+  return /^(m|min|-)/.test(quality);
+}
+
+/**
+ * Decide whether a key should be spelled with flats
+ * @param {string} key - Key name (e.g., "F", "Bb", "Dm", "F#m")
+ * @returns {boolean} True if accidentals in this key are flats
+ */
+export function keyPrefersFlats(key) {
+  const parsed = parseChordName(key);
+  if (!parsed) return false;
+  if (parsed.root.length > 1) {
+    return parsed.root.endsWith('b');
+  }
+  const flatKeys = isMinorQuality(parsed.quality) ? FLAT_MINOR_KEYS : FLAT_MAJOR_KEYS;
+  return flatKeys.includes(parsed.root);
+}
+
+/**
+ * Transpose a key name, choosing the conventional spelling for the new key
+ * @param {string} key - Key name (e.g., "G", "Em")
+ * @param {number} semitones - Number of semitones to shift (negative = down)
+ * @returns {string|null} Transposed key name, or null if the key can't be parsed
+ */
+export function transposeKey(key, semitones) {
+  const parsed = parseChordName(key);
+  if (!parsed) return null;
+  const minor = isMinorQuality(parsed.quality);
+  const index = (((noteToSemitone(parsed.root) + semitones) % 12) + 12) % 12;
+  return minor ? `${MINOR_KEY_NAMES[index]}m` : MAJOR_KEY_NAMES[index];
+}
+
+/**
+ * Transpose a single chord name
+ * Unrecognised chord names (e.g., "N.C.") are returned unchanged.
+ * @param {string} chordName - Chord name (e.g., "Am7", "G/B")
+ * @param {number} semitones - Number of semitones to shift (negative = down)
+ * @param {Object} options - Additional options
+ * @param {boolean} options.preferFlats - Spell accidentals as flats
+ * @returns {string} Transposed chord name
+ */
+export function transposeChordName(chordName, semitones, options = {}) {
+  const parsed = parseChordName(chordName);
+  if (!parsed || !semitones) return chordName;
+
+  const { preferFlats = false } = options;
+  const root = semitoneToNote(noteToSemitone(parsed.root) + semitones, preferFlats);
+  const bass = parsed.bass
+    ? `/${semitoneToNote(noteToSemitone(parsed.bass) + semitones, preferFlats)}`
+    : '';
+
+  return `${root}${parsed.quality}${bass}`;
+}
+
+/**
+ * Best-effort key guess used when a song has no key information:
+ * takes the first chord of the song as the tonic.
+ * @param {Array} chords - Array of chord objects { chord, lineIndex, position }
+ * @returns {string|null} Key name or null if the song has no parseable chords
+ */
+function guessKeyFromChords(chords = []) {
+  const first = chords.find(c => parseChordName(c.chord));
+  if (!first) return null;
+  const parsed = parseChordName(first.chord);
+  return isMinorQuality(parsed.quality) ? `${parsed.root}m` : parsed.root;
+}
+
+/**
+ * Transpose every chord in a song's chord array
+ * @param {Array} chords - Array of chord objects { id, lineIndex, position, chord }
+ * @param {number} semitones - Number of semitones to shift (negative = down)
+ * @param {Object} options - Additional options
+ * @param {string} options.key - Original key of the song (used to pick sharps or flats)
+ * @returns {Array} New array of chord objects with transposed chord names
+ */
+export function transposeChords(chords = [], semitones = 0, options = {}) {
+  if (!semitones || !Array.isArray(chords)) return chords;
+
+  const originalKey = options.key || guessKeyFromChords(chords);
+  const targetKey = originalKey ? transposeKey(originalKey, semitones) : null;
+  const preferFlats = targetKey ? keyPrefersFlats(targetKey) : semitones < 0;
+
+  return chords.map(chord => ({
+    ...chord,
+    chord: transposeChordName(chord.chord, semitones, { preferFlats }),
+  }));
+}